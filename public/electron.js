@@ -13,6 +13,7 @@ const url = require('url');
 const path = require('path');
 const constants = require('./constants');
 const { instance: Ledger } = require('./ledger');
+const { instance: SwapRelay } = require('./swapRelay');
 
 Sentry.init({
   dsn: constants.SENTRY_DSN,
@@ -50,6 +51,62 @@ contextMenu({
 // be closed automatically when the JavaScript object is garbage collected.
 let mainWindow
 
+// Scheme of the payment request URIs, like hathor:<address>?token=<uid>&amount=<amount>
+const PAYMENT_URI_SCHEME = 'hathor';
+// Payment request opened before the renderer process was ready to handle it
+let pendingPaymentUri = null;
+// If the renderer process has registered its payment request listener
+let paymentRequestReady = false;
+
+/**
+ * Find a payment request URI on the command line arguments, used on Windows and Linux
+ */
+const findPaymentUri = (argv) => argv.find((arg) => arg.toLowerCase().startsWith(`${PAYMENT_URI_SCHEME}:`)) || null;
+
+/**
+ * Send a payment request URI to the renderer process, that will open the send tokens screen
+ */
+const openPaymentUri = (uri) => {
+  if (!mainWindow || !paymentRequestReady) {
+    pendingPaymentUri = uri;
+    return;
+  }
+  mainWindow.show();
+  mainWindow.focus();
+  mainWindow.webContents.send('app:payment_request', uri);
+}
+
+// Register the app as the handler of the payment request URIs.
+// When running from source, electron must receive the app path to open it.
+if (process.defaultApp && process.argv.length >= 2) {
+  app.setAsDefaultProtocolClient(PAYMENT_URI_SCHEME, process.execPath, [path.resolve(process.argv[1])]);
+} else {
+  app.setAsDefaultProtocolClient(PAYMENT_URI_SCHEME);
+}
+
+// On Windows and Linux, opening an URI starts a new instance of the app with the URI as argument.
+// The new instance quits and the URI is handled by the instance already running.
+if (!app.requestSingleInstanceLock()) {
+  app.quit();
+} else {
+  pendingPaymentUri = findPaymentUri(process.argv);
+  app.on('second-instance', (event, argv) => {
+    const uri = findPaymentUri(argv);
+    if (uri) {
+      openPaymentUri(uri);
+    } else if (mainWindow) {
+      mainWindow.show();
+      mainWindow.focus();
+    }
+  });
+}
+
+// On macOS the URI is received on this event, even when it starts the app
+app.on('open-url', (event, uri) => {
+  event.preventDefault();
+  openPaymentUri(uri);
+});
+
 function createWindow () {
   // Create the browser window.
   mainWindow = new BrowserWindow({
@@ -135,6 +192,7 @@ function createWindow () {
     // in an array if your app supports multi windows, this is the time
     // when you should delete the corresponding element.
     mainWindow = null
+    paymentRequestReady = false
   })
 
   const optionsClose = {
@@ -167,12 +225,22 @@ function createWindow () {
     }
   });
 
+  // The renderer process informs when it's ready to handle payment requests
+  ipcMain.on('app:payment_request_ready', () => {
+    paymentRequestReady = true;
+    if (pendingPaymentUri) {
+      openPaymentUri(pendingPaymentUri);
+      pendingPaymentUri = null;
+    }
+  });
+
   ipcMain.on('app:clear_storage_success', () => {
     console.log('Data reset success. Closing window...');
     mainWindow.close();
   });
 
   addLedgerListeners(mainWindow);
+  addSwapRelayListeners(mainWindow);
 }
 
 if (process.platform === 'darwin') {
@@ -288,3 +356,20 @@ function addLedgerListeners(mainWindow) {
 
   Ledger.mainWindow = mainWindow;
 }
+
+/**
+ * The local swap relay runs on the main process, since the renderer can't listen for connections
+ */
+function addSwapRelayListeners(mainWindow) {
+  ipcMain.on('swap_relay:start', (event, { port, lan }) => {
+    SwapRelay.start(port, lan).then((data) => {
+      mainWindow.webContents.send('swap_relay:started', {success: true, data});
+    }, (e) => {
+      mainWindow.webContents.send('swap_relay:started', {success: false, error: e.message});
+    });
+  });
+
+  ipcMain.on('swap_relay:stop', () => {
+    SwapRelay.stop();
+  });
+}
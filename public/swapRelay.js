@@ -0,0 +1,451 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const http = require('http');
+const os = require('os');
+const crypto = require('crypto');
+
+// Same error codes returned by the Atomic Swap Service, so the wallet handles them the same way
+const errorCodes = {
+  ProposalNotFound: 'PROPOSAL_NOT_FOUND',
+  InvalidPassword: 'INVALID_PASSWORD',
+  IncorrectPassword: 'INCORRECT_PASSWORD',
+  VersionConflict: 'VERSION_CONFLICT',
+  UnknownError: 'UNKNOWN_ERROR',
+};
+
+// Proposals are small, so anything bigger than this is not a valid request
+const maxBodySize = 1024 * 1024;
+
+// Limits of the proposals kept in memory, when exceeded the least recently updated ones are dropped.
+// Any machine of the network can create proposals when the relay accepts LAN connections.
+const maxProposals = 1000;
+const maxTotalSize = 50 * 1024 * 1024;
+
+// Defined by the WebSocket protocol to accept the connection, see RFC 6455
+const websocketGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const websocketOpcodes = {
+  text: 0x1,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xA,
+};
+
+/**
+ * Minimal implementation of the Atomic Swap Service api, so wallets on the same machine or network
+ * can exchange proposals without the hosted service.
+ *
+ * The proposals are kept encrypted, exactly as sent by the wallets, and only in memory,
+ * so they are lost when the relay stops.
+ *
+ * Wallets connected by websocket on the same port are notified of the updates of the proposals they subscribe to,
+ * like the websocket of the service.
+ */
+class SwapRelay {
+  constructor() {
+    this.server = null;
+    this.port = null;
+    this.lan = false;
+    // Ordered from the least to the most recently updated
+    this.proposals = new Map();
+    // Sum of the sizes of the proposals kept
+    this.totalSize = 0;
+    // Proposal ids each websocket is subscribed to
+    this.sockets = new Map();
+  }
+
+  /**
+   * Start listening, or restart if it's already listening with other options
+   *
+   * @param {number} port
+   * @param {boolean} lan If the relay accepts connections from other machines of the network
+   *
+   * @return {Promise<{port: number, addresses: string[]}>} The addresses other machines can use to reach the relay
+   */
+  async start(port, lan) {
+    if (this.server) {
+      if (this.port === port && this.lan === lan) {
+        return this.getInfo();
+      }
+      await this.stop();
+    }
+
+    const server = http.createServer((req, res) => this.handleRequest(req, res));
+    server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, lan ? '0.0.0.0' : '127.0.0.1', resolve);
+    });
+
+    this.server = server;
+    this.port = port;
+    this.lan = lan;
+    return this.getInfo();
+  }
+
+  /**
+   * Stop listening. The proposals are kept, in case it's started again.
+   *
+   * @return {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    // The server only closes after all connections end
+    for (const socket of this.sockets.keys()) {
+      socket.destroy();
+    }
+    this.sockets.clear();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  getInfo() {
+    const addresses = [];
+    if (this.lan) {
+      for (const iface of Object.values(os.networkInterfaces())) {
+        for (const address of iface) {
+          if (address.family === 'IPv4' && !address.internal) {
+            addresses.push(`http://${address.address}:${this.port}`);
+          }
+        }
+      }
+    }
+    return { port: this.port, addresses };
+  }
+
+  sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  sendError(res, status, code) {
+    this.sendJson(res, status, { success: false, code });
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      // The chunks are decoded together, a multibyte character may be split between them
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size > maxBodySize) {
+          reject(new Error('Request too big'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        try {
+          const body = Buffer.concat(chunks).toString('utf8');
+          resolve(JSON.parse(body || '{}'));
+        } catch (e) {
+          reject(e);
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  getProposalSize(proposal) {
+    const history = proposal.history.reduce((acc, item) => acc + item.partialTx.length, 0);
+    return proposal.partialTx.length + (proposal.signatures || '').length + proposal.authPassword.length + history;
+  }
+
+  /**
+   * Add or update a proposal, then drop the least recently updated ones while the limits are exceeded
+   */
+  saveProposal(proposal) {
+    const previous = this.proposals.get(proposal.id);
+    if (previous) {
+      this.totalSize -= previous.size;
+      // Moves it to the end of the map
+      this.proposals.delete(proposal.id);
+    }
+    proposal.size = this.getProposalSize(proposal);
+    this.proposals.set(proposal.id, proposal);
+    this.totalSize += proposal.size;
+
+    for (const [id, oldest] of this.proposals) {
+      if (this.proposals.size <= maxProposals && this.totalSize <= maxTotalSize) {
+        break;
+      }
+      this.proposals.delete(id);
+      this.totalSize -= oldest.size;
+    }
+  }
+
+  /**
+   * Get the proposal of the request, checking its password
+   *
+   * @return {Object|null} The proposal, or null if an error was already sent
+   */
+  getAuthorizedProposal(req, res, proposalId) {
+    const proposal = this.proposals.get(proposalId);
+    if (!proposal) {
+      this.sendError(res, 404, errorCodes.ProposalNotFound);
+      return null;
+    }
+    if (req.headers['x-auth-password'] !== proposal.authPassword) {
+      this.sendError(res, 403, errorCodes.IncorrectPassword);
+      return null;
+    }
+    return proposal;
+  }
+
+  async handleRequest(req, res) {
+    // The wallet window loads from a file or from the dev server, so it's always a cross-origin request
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Auth-Password');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const proposalId = decodeURIComponent(new URL(req.url, 'http://relay').pathname.slice(1));
+    try {
+      if (req.method === 'POST' && !proposalId) {
+        const body = await this.readBody(req);
+        if (typeof body.partialTx !== 'string' || !body.partialTx) {
+          this.sendError(res, 400, errorCodes.UnknownError);
+          return;
+        }
+        if (typeof body.authPassword !== 'string' || !body.authPassword) {
+          this.sendError(res, 400, errorCodes.InvalidPassword);
+          return;
+        }
+        const id = crypto.randomUUID();
+        this.saveProposal({
+          id,
+          partialTx: body.partialTx,
+          signatures: null,
+          authPassword: body.authPassword,
+          version: 0,
+          timestamp: Date.now(),
+          history: [],
+        });
+        this.sendJson(res, 200, { success: true, id });
+        return;
+      }
+
+      if (req.method === 'GET' && proposalId) {
+        const proposal = this.getAuthorizedProposal(req, res, proposalId);
+        if (proposal) {
+          const { id, partialTx, signatures, version, timestamp, history } = proposal;
+          this.sendJson(res, 200, { id, partialTx, signatures, version, timestamp, history });
+        }
+        return;
+      }
+
+      if (req.method === 'PUT' && proposalId) {
+        const proposal = this.getAuthorizedProposal(req, res, proposalId);
+        if (!proposal) {
+          return;
+        }
+        const body = await this.readBody(req);
+        if (body.version !== proposal.version) {
+          this.sendError(res, 409, errorCodes.VersionConflict);
+          return;
+        }
+        if (typeof body.partialTx !== 'string' || !body.partialTx
+          || (body.signatures && typeof body.signatures !== 'string')) {
+          this.sendError(res, 400, errorCodes.UnknownError);
+          return;
+        }
+        proposal.history.push({ partialTx: proposal.partialTx, timestamp: proposal.timestamp });
+        proposal.partialTx = body.partialTx;
+        proposal.signatures = body.signatures || null;
+        proposal.version += 1;
+        proposal.timestamp = Date.now();
+        this.saveProposal(proposal);
+        this.sendJson(res, 200, { success: true });
+        this.notifyProposalUpdated(proposal);
+        return;
+      }
+
+      this.sendError(res, 404, errorCodes.UnknownError);
+    } catch (e) {
+      this.sendError(res, 400, errorCodes.UnknownError);
+    }
+  }
+
+  handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    // The websocket of the service is on the root path, like the one of the relay
+    const { pathname } = new URL(req.url, 'http://relay');
+    if (pathname !== '/' || req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + websocketGuid).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '\r\n',
+    ].join('\r\n'));
+
+    this.sockets.set(socket, new Set());
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let frame;
+      while ((frame = this.readFrame(buffer))) {
+        if (!frame.masked) {
+          // Clients must mask all their frames, see RFC 6455
+          socket.destroy();
+          return;
+        }
+        buffer = buffer.subarray(frame.length);
+        this.handleFrame(socket, frame);
+      }
+      if (buffer.length > maxBodySize) {
+        socket.destroy();
+      }
+    });
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => socket.destroy());
+  }
+
+  /**
+   * Read a frame sent by a wallet. Wallets don't fragment their small json messages, so each frame is a message.
+   *
+   * @return {{opcode: number, masked: boolean, payload: Buffer, length: number}|null} Null if the frame didn't arrive completely yet
+   */
+  readFrame(buffer) {
+    if (buffer.length < 2) {
+      return null;
+    }
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+    if (payloadLength === 126) {
+      if (buffer.length < 4) {
+        return null;
+      }
+      payloadLength = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (payloadLength === 127) {
+      if (buffer.length < 10) {
+        return null;
+      }
+      payloadLength = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) {
+      offset += 4;
+    }
+    if (buffer.length < offset + payloadLength) {
+      return null;
+    }
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= buffer[maskOffset + (i % 4)];
+      }
+    }
+    return { opcode, masked, payload, length: offset + payloadLength };
+  }
+
+  sendFrame(socket, opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+      header.writeUInt32BE(payload.length % 0x100000000, 6);
+    }
+    socket.write(Buffer.concat([header, payload]));
+  }
+
+  sendMessage(socket, message) {
+    this.sendFrame(socket, websocketOpcodes.text, Buffer.from(JSON.stringify(message)));
+  }
+
+  /**
+   * Handle the messages of the websocket api of the service: ping, subscribe_proposal and unsubscribe_proposal
+   */
+  handleFrame(socket, frame) {
+    switch (frame.opcode) {
+      case websocketOpcodes.close:
+        this.sendFrame(socket, websocketOpcodes.close, Buffer.alloc(0));
+        socket.end();
+        return;
+      case websocketOpcodes.ping:
+        this.sendFrame(socket, websocketOpcodes.pong, frame.payload);
+        return;
+      case websocketOpcodes.text:
+        break;
+      default:
+        return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(frame.payload.toString());
+    } catch (e) {
+      return;
+    }
+
+    const subscriptions = this.sockets.get(socket);
+    if (!subscriptions) {
+      return;
+    }
+    switch (message.type) {
+      case 'ping':
+        this.sendMessage(socket, { type: 'pong' });
+        break;
+      case 'subscribe_proposal':
+        subscriptions.add(message.proposalId);
+        break;
+      case 'unsubscribe_proposal':
+        subscriptions.delete(message.proposalId);
+        break;
+    }
+  }
+
+  /**
+   * Send the updated proposal, still encrypted, to the wallets subscribed to it
+   */
+  notifyProposalUpdated(proposal) {
+    const { id, partialTx, signatures, version, timestamp, history } = proposal;
+    const message = {
+      type: 'proposal_updated',
+      data: { proposalId: id, partialTx, signatures, version, timestamp, history },
+    };
+    for (const [socket, subscriptions] of this.sockets) {
+      if (subscriptions.has(id)) {
+        this.sendMessage(socket, message);
+      }
+    }
+  }
+}
+
+const instance = new SwapRelay();
+
+module.exports = {
+  instance
+}
@@ -5,7 +5,7 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React, { useEffect, useState, useContext } from 'react';
+import React, { useEffect, useState, useContext, useRef } from 'react';
 import { Navigate, Route, Routes, useLocation, useNavigate } from 'react-router-dom';
 import Wallet from './screens/Wallet';
 import SendTokens from './screens/SendTokens';
@@ -27,8 +27,16 @@ import NewWallet from './screens/NewWallet';
 import WalletType from './screens/WalletType';
 import SoftwareWalletWarning from './screens/SoftwareWalletWarning';
 import StartHardwareWallet from './screens/StartHardwareWallet';
+import WatchOnlyWallet from './screens/WatchOnlyWallet';
+import OfflineSigning from './screens/OfflineSigning';
+import MultisigWallet from './screens/MultisigWallet';
+import MultisigTransactions from './screens/MultisigTransactions';
+import MultisigTransactionDetail from './screens/MultisigTransactionDetail';
+import AddressDerivation from './screens/AddressDerivation';
+import SwapService from './screens/SwapService';
 import Settings from './screens/Settings';
 import LoadWallet from './screens/LoadWallet';
+import RestoreBackup from './screens/RestoreBackup';
 import Page404 from './screens/Page404';
 import VersionError from './screens/VersionError';
 import WalletVersionError from './screens/WalletVersionError';
@@ -37,20 +45,36 @@ import versionUtils from './utils/version';
 import helpersUtils from './utils/helpers';
 import tokensUtils from './utils/tokens';
 import storageUtils from './utils/storage';
+import paymentRequestUtils from './utils/paymentRequest';
 import { useDispatch, useSelector } from 'react-redux';
+import { t } from 'ttag';
 import RequestErrorModal from './components/RequestError';
 import { GlobalModalContext, MODAL_TYPES } from './components/GlobalModal';
 import createRequestInstance from './api/axiosInstance';
 import hathorLib from '@hathor/wallet-lib';
 import { IPC_RENDERER } from './constants';
 import AddressList from './screens/AddressList';
+import AddressBook from './screens/AddressBook';
+import ScheduledPayments from './screens/ScheduledPayments';
+import UtxoList from './screens/UtxoList';
+import UtxoConsolidation from './screens/UtxoConsolidation';
+import ScheduledPaymentOutputs from './components/ScheduledPaymentOutputs';
 import NFTList from './screens/NFTList';
-import { resetNavigateTo, updateLedgerClosed } from './actions/index';
+import {
+  profileListUpdated,
+  resetNavigateTo,
+  updateLedgerClosed,
+  scheduledPaymentConfirmed,
+  scheduledPaymentPostponed,
+  paymentRequestOpened,
+} from './actions/index';
 import { WALLET_STATUS } from './sagas/wallet';
 import ProposalList from './screens/atomic-swap/ProposalList';
 import EditSwap from './screens/atomic-swap/EditSwap';
 import NewSwap from './screens/atomic-swap/NewSwap';
 import ImportExisting from './screens/atomic-swap/ImportExisting';
+import ProposalHistory from './screens/atomic-swap/ProposalHistory';
+import NewOffer from './screens/atomic-swap/NewOffer';
 import LOCAL_STORE from './storage';
 import { getGlobalWallet } from "./modules/wallet";
 
@@ -60,18 +84,24 @@ function Root() {
     walletStartState,
     isVersionAllowed,
     navigateTo,
+    duePayment,
   } = useSelector((state) => {
+    const { payments, duePaymentId } = state.scheduledPayments;
     return {
       ledgerClosed: state.ledgerWasClosed,
       walletStartState: state.walletStartState,
       isVersionAllowed: state.isVersionAllowed,
       navigateTo: state.navigateTo,
+      duePayment: duePaymentId ? payments[duePaymentId] : null,
     };
   });
   const wallet = getGlobalWallet();
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const context = useContext(GlobalModalContext);
+  const openModalType = context.store?.modalType;
+  // Due payment already shown on the PIN modal
+  const promptedPaymentId = useRef(null);
 
   // Monitors when Ledger device loses connection or the app is closed
   useEffect(() => {
@@ -94,6 +124,7 @@ function Root() {
     hathorLib.axios.registerNewCreateRequestInstance(createRequestInstance);
     // Start the wallet as locked
     LOCAL_STORE.lock();
+    dispatch(profileListUpdated(LOCAL_STORE.getProfiles(), LOCAL_STORE.getCurrentProfileId()));
 
     // Ensure we have the network set even before the first ever load.
     const localNetwork = LOCAL_STORE.getNetwork();
@@ -128,6 +159,25 @@ function Root() {
         }
       });
 
+      // Event called when the user opens a payment request URI with the app
+      IPC_RENDERER.on('app:payment_request', (_, uri) => {
+        const request = paymentRequestUtils.parseUri(uri);
+        if (!request) {
+          const network = LOCAL_STORE.getNetwork();
+          context.showModal(MODAL_TYPES.ALERT, {
+            title: t`Invalid payment request`,
+            body: <p>{t`The payment request is not valid for the ${network} network: ${uri}`}</p>,
+            buttonName: t`Close`,
+          });
+          return;
+        }
+
+        // The send tokens screen is filled with the request, after the wallet is unlocked if necessary
+        dispatch(paymentRequestOpened(request));
+        navigate('/wallet/send_tokens/');
+      });
+      IPC_RENDERER.send('app:payment_request_ready');
+
       IPC_RENDERER.on('ledger:manyTokenSignatureValid', async (_, arg) => {
         const storage = LOCAL_STORE.getStorage();
         if (
@@ -147,6 +197,7 @@ function Root() {
     return () => {
       if (IPC_RENDERER) {
         IPC_RENDERER.removeAllListeners('ledger:closed');
+        IPC_RENDERER.removeAllListeners('app:payment_request');
         IPC_RENDERER.removeAllListeners('ledger:manyTokenSignatureValid');
       }
     };
@@ -177,6 +228,35 @@ function Root() {
     dispatch(resetNavigateTo());
   }, [navigateTo])
 
+  /**
+   * Ask for the PIN when the scheduler saga has a payment due.
+   * Closing the modal postpones the payment, it will be asked again later.
+   * The prompt waits for any open modal to be closed, so it won't interrupt a transaction being sent.
+   */
+  useEffect(() => {
+    if (!duePayment) {
+      promptedPaymentId.current = null;
+      return;
+    }
+
+    if (openModalType || promptedPaymentId.current === duePayment.id) {
+      return;
+    }
+
+    promptedPaymentId.current = duePayment.id;
+    const name = duePayment.name;
+    context.showModal(MODAL_TYPES.PIN, {
+      bodyTop: (
+        <div className="mb-3">
+          <p>{t`The scheduled payment ${name} is due. Write your PIN to send it now or close this window to be asked again later.`}</p>
+          <ScheduledPaymentOutputs outputs={duePayment.outputs} />
+        </div>
+      ),
+      onSuccess: ({ pin }) => dispatch(scheduledPaymentConfirmed(duePayment.id, pin)),
+      onCancel: () => dispatch(scheduledPaymentPostponed(duePayment.id)),
+    });
+  }, [duePayment?.id, openModalType])
+
   // Handles failed wallet states
   if (walletStartState === WALLET_STATUS.FAILED) {
     return <LoadWalletFailed />;
@@ -191,24 +271,39 @@ function Root() {
       <Route path="/custom_tokens" element={<StartedComponent children={ <CustomTokens /> } loaded={true} />} />
       <Route path="/unknown_tokens" element={<StartedComponent children={ <UnknownTokens />} loaded={true} />} />
       <Route path="/wallet/send_tokens" element={<StartedComponent children={ <SendTokens /> } loaded={true} />} />
+      <Route path="/wallet/multisig" element={<StartedComponent children={ <MultisigTransactions /> } loaded={true} />} />
+      <Route path="/wallet/multisig/:txId" element={<StartedComponent children={ <MultisigTransactionDetail /> } loaded={true} />} />
       <Route path="/wallet/atomic_swap" element={<StartedComponent children={ <ProposalList />} loaded={true} />} />
       <Route path="/wallet/atomic_swap/proposal/create" element={<StartedComponent children={ <NewSwap /> } loaded={true} />} />
       <Route path="/wallet/atomic_swap/proposal/import" element={<StartedComponent children={ <ImportExisting />} loaded={true} />} />
+      <Route path="/wallet/atomic_swap/offer" element={<StartedComponent children={ <NewOffer /> } loaded={true} />} />
+      <Route path="/wallet/atomic_swap/history" element={<StartedComponent children={ <ProposalHistory />} loaded={true} />} />
       <Route path="/wallet/atomic_swap/proposal/:proposalId" element={<StartedComponent children={ <EditSwap /> } loaded={true} />} />
       <Route path="/wallet" element={<StartedComponent children={ <Wallet />} loaded={true} />} />
       <Route path="/settings" element={<StartedComponent children={ <Settings /> } loaded={true} />} />
       <Route path="/wallet/passphrase" element={<StartedComponent children={ <ChoosePassphrase />} loaded={true} />} />
       <Route path="/server" element={<StartedComponent children={ <Server /> } loaded={true} />} />
+      <Route path="/address_derivation" element={<StartedComponent children={ <AddressDerivation /> } loaded={true} />} />
+      <Route path="/swap_service" element={<StartedComponent children={ <SwapService /> } loaded={true} />} />
       <Route path="/mining_server" element={<StartedComponent children={ <MiningServer /> } loaded={true} />} />
       <Route path="/transaction/:id" element={<StartedComponent children={ <TransactionDetail />} loaded={true} />} />
       <Route path="/addresses" element={<StartedComponent children={ <AddressList /> } loaded={true} /> } />
+      <Route path="/address_book" element={<StartedComponent children={ <AddressBook /> } loaded={true} /> } />
+      <Route path="/scheduled_payments" element={<StartedComponent children={ <ScheduledPayments /> } loaded={true} /> } />
+      <Route path="/utxos" element={<StartedComponent children={ <UtxoList /> } loaded={true} /> } />
+      <Route path="/utxos/consolidate" element={<StartedComponent children={ <UtxoConsolidation /> } loaded={true} /> } />
       <Route path="/new_wallet" element={<StartedComponent children={ <NewWallet />} loaded={false} />} />
       <Route path="/load_wallet" element={<StartedComponent children={ <LoadWallet /> } loaded={false} /> } />
+      <Route path="/restore_backup" element={<StartedComponent children={ <RestoreBackup /> } loaded={false} /> } />
       <Route path="/wallet_type" element={<StartedComponent children={<WalletType loaded={false} />} />} />
       <Route path="/software_warning" element={<StartedComponent children={ <SoftwareWalletWarning /> } loaded={false} />} />
       <Route path="/signin" element={<StartedComponent children={ <Signin />} loaded={false} />} />
       <Route path="/hardware_wallet" element={<StartedComponent children={ <StartHardwareWallet /> } loaded={false} />} />
+      <Route path="/watch_only_wallet" element={<StartedComponent children={ <WatchOnlyWallet /> } loaded={false} />} />
+      <Route path="/multisig_wallet" element={<StartedComponent children={ <MultisigWallet /> } loaded={false} />} />
       <Route path="/locked" element={<DefaultComponent children={<LockedWallet />} />} />
+      {/* Signing must work from the locked screen, without a connection to start the wallet */}
+      <Route path="/offline_signing" element={<OfflineSigning />} />
       <Route path="/welcome" element={<Welcome />} />
       <Route path="/loading_addresses" element={<LoadingAddresses />} />
       <Route path="/permission" element={<SentryPermission />} />
@@ -92,19 +92,49 @@ describe('rendering tests', () => {
     expect(element instanceof HTMLElement).toStrictEqual(true);
   });
 
-  it('does not render the "see all addresses" option on a hardware wallet', () => {
-    window.localStorage.setItem('localstorage:ishardware', 'true');
+  it('renders the label of a reserved address', () => {
+    window.localStorage.setItem('localstorage:ishardware', 'false');
+    render(
+      <WalletAddress
+        goToAllAddresses={jest.fn()}
+        lastSharedAddress={sampleAddress}
+        lastSharedIndex={''}
+        addressLabels={{ [sampleAddress]: 'Invoice 42' }}
+      />,
+      container);
 
+    const element = screen.getByText('Invoice 42');
+    expect(element instanceof HTMLElement).toStrictEqual(true);
+  });
+
+  it('does not render a label for an address without one', () => {
+    window.localStorage.setItem('localstorage:ishardware', 'false');
     render(
       <WalletAddress
         goToAllAddresses={jest.fn()}
         lastSharedAddress={sampleAddress}
         lastSharedIndex={''}
+        addressLabels={{ anotherAddress: 'Invoice 42' }}
       />,
       container);
 
-    // Ensure we found the full address text
-    const element = screen.queryByText('See all addresses');
+    const element = screen.queryByText('Invoice 42');
     expect(element).toBeNull();
   });
+
+  it('renders the "see all addresses" option on a hardware wallet', () => {
+    window.localStorage.setItem('localstorage:ishardware', 'true');
+
+    render(
+      <WalletAddress
+        goToAllAddresses={jest.fn()}
+        lastSharedAddress={sampleAddress}
+        lastSharedIndex={''}
+      />,
+      container);
+
+    // The address list is also available for hardware wallets
+    const element = screen.getByText('See all addresses');
+    expect(element instanceof HTMLElement).toStrictEqual(true);
+  });
 });
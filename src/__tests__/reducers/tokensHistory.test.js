@@ -0,0 +1,52 @@
+import rootReducer from "../../reducers/index";
+import {
+  tokenFetchHistoryFailed,
+  tokenFetchHistorySuccess,
+  tokenHistoryFilterUpdated,
+  tokenHistoryFullyLoaded,
+  tokenInvalidateHistory,
+} from "../../actions";
+
+// The app store runs all the sagas when imported
+jest.mock('../../store/index', () => ({ dispatch: jest.fn() }));
+
+const filter = {
+  startTimestamp: 1000,
+  endTimestamp: null,
+  direction: null,
+  minAmount: null,
+  maxAmount: null,
+  voided: 'all',
+  txIdPrefix: '',
+  tag: '',
+};
+const history = [{ txId: 'tx-1', timestamp: 1000, balance: 10 }];
+
+/**
+ * State with the history of HTR loaded and filtered
+ */
+function createFilteredState() {
+  let state = rootReducer(undefined, tokenFetchHistorySuccess('00', history));
+  state = rootReducer(state, tokenHistoryFilterUpdated('00', filter));
+  return rootReducer(state, tokenHistoryFullyLoaded('00'));
+}
+
+describe('tokensHistory', () => {
+  it('should keep the filter when the history is invalidated and downloaded again', () => {
+    let state = rootReducer(createFilteredState(), tokenInvalidateHistory('00'));
+    expect(state.tokensHistory['00'].filter).toEqual(filter);
+
+    state = rootReducer(state, tokenFetchHistorySuccess('00', [...history]));
+    expect(state.tokensHistory['00']).toEqual(expect.objectContaining({ filter, fullyLoaded: false }));
+  });
+
+  it('should only keep the history fully loaded when the same data is dispatched again', () => {
+    const state = rootReducer(createFilteredState(), tokenFetchHistorySuccess('00', history));
+    expect(state.tokensHistory['00']).toEqual(expect.objectContaining({ filter, fullyLoaded: true }));
+  });
+
+  it('should keep the filter when the download fails', () => {
+    const state = rootReducer(createFilteredState(), tokenFetchHistoryFailed('00'));
+    expect(state.tokensHistory['00']).toEqual(expect.objectContaining({ filter, data: [] }));
+  });
+});
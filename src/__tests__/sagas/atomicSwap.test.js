@@ -0,0 +1,87 @@
+import { runSaga, stdChannel } from 'redux-saga';
+import { AtomicSwapServiceConnection, config } from '@hathor/wallet-lib';
+import GenericWebSocket from '@hathor/wallet-lib/lib/websocket';
+import { listenForProposalUpdates } from '../../sagas/atomicSwap';
+import { proposalFetchRequested, types } from '../../actions';
+
+// The app store runs all the sagas when imported, so only the saga under test should run here
+jest.mock('../../store/index', () => ({ dispatch: jest.fn() }));
+
+describe('listenForProposalUpdates', () => {
+  let connection;
+  const originalStart = AtomicSwapServiceConnection.prototype.start;
+
+  beforeEach(() => {
+    config.setSwapServiceBaseUrl('http://localhost:8765');
+    // Keeps the real connection and message parsing, without opening a socket
+    jest.spyOn(GenericWebSocket.prototype, 'setup').mockImplementation(() => {});
+    jest.spyOn(GenericWebSocket.prototype, 'sendMessage').mockImplementation(() => {});
+    jest.spyOn(AtomicSwapServiceConnection.prototype, 'start').mockImplementation(function () {
+      connection = this;
+      originalStart.call(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    connection = null;
+  });
+
+  /**
+   * Runs the saga with the given proposals and returns the dispatched actions
+   * @param {Record<string, Object>} proposals
+   */
+  const runListener = (proposals) => {
+    const channel = stdChannel();
+    const dispatched = [];
+    const task = runSaga({
+      channel,
+      dispatch: (action) => dispatched.push(action),
+      getState: () => ({ useAtomicSwap: true, proposals }),
+    }, listenForProposalUpdates);
+    return { channel, dispatched, task };
+  };
+
+  /**
+   * Feeds a frame to the websocket of the connection, as received from the service
+   * @param {Object} message
+   */
+  const receiveFrame = (message) => {
+    connection.websocket.onMessage({ data: JSON.stringify(message) });
+  };
+
+  it('should fetch a proposal when the service pushes an update for it', () => {
+    const { channel, dispatched, task } = runListener({
+      'proposal-1': { id: 'proposal-1', password: 'abc', offline: false },
+    });
+
+    receiveFrame({
+      type: 'proposal_updated',
+      data: {
+        proposalId: 'proposal-1',
+        partialTx: 'PartialTx|00|||',
+        signatures: null,
+        timestamp: 1700000000,
+        version: 1,
+        history: [],
+      },
+    });
+
+    expect(dispatched).toContainEqual(proposalFetchRequested('proposal-1', 'abc', true));
+
+    channel.put({ type: types.WALLET_RESET });
+    expect(task.isRunning()).toBe(false);
+  });
+
+  it('should ignore updates of proposals not on the list or exchanged offline', () => {
+    const { channel, dispatched } = runListener({
+      'offline-1': { id: 'offline-1', password: '', offline: true },
+    });
+
+    receiveFrame({ type: 'proposal_updated', data: { proposalId: 'offline-1' } });
+    receiveFrame({ type: 'proposal_updated', data: { proposalId: 'unknown' } });
+
+    expect(dispatched.filter((action) => action.type === types.PROPOSAL_FETCH_REQUESTED)).toHaveLength(0);
+    channel.put({ type: types.WALLET_RESET });
+  });
+});
@@ -0,0 +1,101 @@
+import hathorLib from "@hathor/wallet-lib";
+import addressBook from "../../utils/addressBook";
+import helpers from "../../utils/helpers";
+import LOCAL_STORE from "../../storage";
+
+// The app store runs all the sagas when imported
+jest.mock('../../store/index', () => ({ dispatch: jest.fn() }));
+
+const customTokenUid = '00003b47ce1a6774cfc132169122c38c15fbc4a7f43487cf1041ff4826c1842e';
+
+const xpub = hathorLib.walletUtils.getXPrivKeyFromSeed(hathorLib.walletUtils.generateWalletWords(), { networkName: 'testnet' })
+  .deriveNonCompliantChild(`${hathorLib.constants.P2PKH_ACCT_PATH}/0`).xpubkey;
+const [aliceAddress, bobAddress] = [0, 1].map((index) => (
+  hathorLib.addressUtils.deriveAddressFromXPubP2PKH(xpub, index, 'testnet').base58
+));
+
+beforeEach(() => {
+  localStorage.clear();
+  LOCAL_STORE.setNetwork('testnet');
+});
+
+describe('saveContact', () => {
+  it('should save the contact on the network of the wallet', () => {
+    expect(addressBook.saveContact({ name: ' Alice ', address: aliceAddress })).toBeNull();
+    expect(addressBook.getContact(aliceAddress)).toEqual({
+      address: aliceAddress,
+      name: 'Alice',
+      network: 'testnet',
+      notes: '',
+      tokenUid: null,
+    });
+  });
+
+  it('should reject contacts without a name or with an invalid address', () => {
+    expect(addressBook.saveContact({ name: '', address: aliceAddress })).toBe('Must provide a name for the contact');
+    expect(addressBook.saveContact({ name: 'Alice', address: 'invalid' })).toContain('Invalid address');
+    expect(addressBook.listContacts()).toEqual([]);
+  });
+
+  it('should move the contact when its address is edited', () => {
+    addressBook.saveContact({ name: 'Alice', address: aliceAddress });
+    addressBook.saveContact({ name: 'Alice', address: bobAddress }, aliceAddress);
+    expect(addressBook.listContacts().map((contact) => contact.address)).toEqual([bobAddress]);
+  });
+});
+
+describe('isTokenAllowed', () => {
+  it('should only allow the token of a restricted contact', () => {
+    addressBook.saveContact({ name: 'Alice', address: aliceAddress, tokenUid: customTokenUid });
+    expect(addressBook.isTokenAllowed(aliceAddress, customTokenUid)).toBe(true);
+    expect(addressBook.isTokenAllowed(aliceAddress, '00')).toBe(false);
+    expect(addressBook.isTokenAllowed(bobAddress, '00')).toBe(true);
+  });
+});
+
+describe('importCsv', () => {
+  it('should import the contacts exported by exportCsv', () => {
+    addressBook.saveContact({ name: 'Bob', address: bobAddress, notes: 'Pays, "always" late' });
+    addressBook.saveContact({ name: 'Alice', address: aliceAddress, tokenUid: customTokenUid });
+    const csv = addressBook.exportCsv();
+
+    localStorage.clear();
+    LOCAL_STORE.setNetwork('testnet');
+    expect(addressBook.importCsv(csv)).toEqual({ imported: 2, errors: [] });
+    expect(addressBook.listContacts()).toEqual([
+      expect.objectContaining({ name: 'Alice', address: aliceAddress, tokenUid: customTokenUid }),
+      expect.objectContaining({ name: 'Bob', address: bobAddress, notes: 'Pays, "always" late' }),
+    ]);
+  });
+
+  it('should report the invalid lines and skip contacts of other networks', () => {
+    const csv = [
+      'name,address,network,notes,token',
+      `Alice,${aliceAddress},testnet,,`,
+      `Bob,${bobAddress},mainnet,,`,
+      ',invalid,,,',
+    ].join('\n');
+    const { imported, errors } = addressBook.importCsv(csv);
+    expect(imported).toBe(1);
+    expect(errors).toEqual([
+      'Line 3: contact of the mainnet network, the wallet is on testnet',
+      'Line 4: Must provide a name for the contact',
+    ]);
+  });
+});
+
+describe('helpers.parseCsv', () => {
+  it('should parse quoted values with commas, quotes and line breaks', () => {
+    const text = 'name,notes\r\n"Alice, Bob","Said ""hi""\nand left"\n\nCarol,\n';
+    expect(helpers.parseCsv(text)).toEqual([
+      ['name', 'notes'],
+      ['Alice, Bob', 'Said "hi"\nand left'],
+      ['Carol', ''],
+    ]);
+  });
+
+  it('should be the inverse of toCsv', () => {
+    const rows = [['a', 'b, c', 'd "e"', 'f\ng', ''], ['1', '2', '3', '4', '5']];
+    expect(helpers.parseCsv(helpers.toCsv(rows))).toEqual(rows);
+  });
+});
@@ -0,0 +1,44 @@
+import addressLabels from '../../utils/addressLabels';
+
+/**
+ * Mocked wallet with the current address index moving up to the gap limit
+ * @param {string[]} addresses Loaded addresses of the wallet
+ */
+function createWallet(addresses) {
+  let currentIndex = 0;
+  return {
+    getCurrentAddress: async () => ({ address: addresses[currentIndex], index: currentIndex }),
+    getNextAddress: async () => {
+      currentIndex = Math.min(currentIndex + 1, addresses.length - 1);
+      return { address: addresses[currentIndex], index: currentIndex };
+    },
+  };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('getSharedAddress returns the current address when it is not reserved', async () => {
+  const wallet = createWallet(['addr0', 'addr1']);
+  expect(await addressLabels.getSharedAddress(wallet)).toEqual({ address: 'addr0', index: 0 });
+});
+
+test('getSharedAddress skips the addresses reserved with a label', async () => {
+  addressLabels.setLabel('addr0', 'Invoice 1');
+  addressLabels.setLabel('addr1', 'Invoice 2');
+  const wallet = createWallet(['addr0', 'addr1', 'addr2']);
+  expect(await addressLabels.getSharedAddress(wallet)).toEqual({ address: 'addr2', index: 2 });
+});
+
+test('getSharedAddress keeps the reserved address when the gap limit is reached', async () => {
+  addressLabels.setLabel('addr0', 'Invoice 1');
+  addressLabels.setLabel('addr1', 'Invoice 2');
+  const wallet = createWallet(['addr0', 'addr1']);
+  expect(await addressLabels.getSharedAddress(wallet)).toEqual({ address: 'addr1', index: 1 });
+});
+
+test('setLabel removes the label when it is empty', () => {
+  addressLabels.setLabel('addr0', 'Invoice 1');
+  expect(addressLabels.setLabel('addr0', '  ')).toEqual({});
+});
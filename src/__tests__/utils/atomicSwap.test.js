@@ -1,5 +1,28 @@
-import { calculateExhibitionData, PROPOSAL_DOWNLOAD_STATUS } from "../../utils/atomicSwap";
-import { PartialTxProposal } from "@hathor/wallet-lib";
+import {
+  acceptOfferProposal,
+  calculateExhibitionData,
+  calculateOfferTerms,
+  calculateProposalChanges,
+  calculateSignaturesObject,
+  checkProposalInputsSpent,
+  closeProposalHistory,
+  createOfferProposal,
+  deserializeOfflineProposal,
+  getInputsSignedByOthers,
+  mergeOfflineProposal,
+  OFFLINE_MERGE_STATUS,
+  OfflineProposalError,
+  PROPOSAL_DOWNLOAD_STATUS,
+  PROPOSAL_HISTORY_STATUS,
+  recordProposalHistory,
+  resolveOfflineProposalConflict,
+  serializeOfflineProposal,
+} from "../../utils/atomicSwap";
+import hathorLib, { Network, PartialTx, PartialTxProposal } from "@hathor/wallet-lib";
+import walletUtil from "../../utils/wallet";
+
+// The app store runs all the sagas when imported
+jest.mock('../../store/index', () => ({ dispatch: jest.fn() }));
 
 const customTokenUid = '00003b47ce1a6774cfc132169122c38c15fbc4a7f43487cf1041ff4826c1842e';
 
@@ -74,6 +97,10 @@ describe('calculateExhibitionData', () => {
   const deserializeSpy = jest.spyOn(PartialTxProposal, 'fromPartialTx');
   const fakePartialTx = { serialize: () => 'fakeSerializedPartialTx' };
 
+  afterAll(() => {
+    deserializeSpy.mockRestore();
+  });
+
   it('should return an empty array when there is no interaction with the wallet', async () => {
     deserializeSpy.mockImplementationOnce(() => createNewProposal())
     const cachedTokens = {};
@@ -314,3 +341,371 @@ describe('calculateExhibitionData', () => {
       }),)
   })
 })
+
+const testnet = new Network('testnet');
+const xpub = hathorLib.walletUtils.getXPrivKeyFromSeed(hathorLib.walletUtils.generateWalletWords(), { networkName: 'testnet' })
+  .deriveNonCompliantChild(`${hathorLib.constants.P2PKH_ACCT_PATH}/0`).xpubkey;
+const [mineAddress, otherAddress, otherChangeAddress] = [0, 1, 2].map((index) => (
+  hathorLib.addressUtils.deriveAddressFromXPubP2PKH(xpub, index, 'testnet').base58
+));
+const txId1 = '00000000000000000000000000000000000000000000000000000000000000a1';
+const txId2 = '00000000000000000000000000000000000000000000000000000000000000a2';
+
+const testnetStorage = {
+  config: {
+    getNetwork: () => testnet,
+  },
+  isAddressMine: async (address) => address === mineAddress,
+};
+
+/**
+ * Mocked wallet on the testnet, with real addresses so the partial txs can be serialized
+ * @type {HathorWallet}
+ */
+const testnetWallet = {
+  getNetworkObject: () => testnet,
+  isAddressMine: async (address) => address === mineAddress,
+  storage: testnetStorage,
+};
+
+/**
+ * Serialized partial tx where another wallet sends HTR to receive the custom token
+ * @param {number} [value=200] HTR sent to this wallet
+ * @returns {string}
+ */
+function createSerializedPartialTx(value = 200) {
+  const np = new PartialTxProposal(testnetStorage);
+  np.addInput(txId1, 0, 6400, otherAddress, { markAsSelected: false });
+  np.addOutput('00', 6400 - value, otherChangeAddress, { isChange: true });
+  np.addOutput('00', value, mineAddress);
+  np.addOutput(customTokenUid, 1, otherAddress);
+  return np.partialTx.serialize();
+}
+
+/**
+ * Serialized signatures of the inputs of a partial tx, with fake input data
+ * @param {string} serializedPartialTx
+ * @param {number[]} indexes Inputs signed
+ * @returns {string}
+ */
+function createSignatures(serializedPartialTx, indexes) {
+  const signaturesObj = calculateSignaturesObject(PartialTx.deserialize(serializedPartialTx, testnet), null);
+  for (const index of indexes) {
+    signaturesObj.addData(index, Buffer.from('abcd', 'hex'));
+  }
+  return signaturesObj.serialize();
+}
+
+/**
+ * Data of a proposal exchanged offline
+ * @returns {ProposalData}
+ */
+function createOfflineData(partialTx, options = {}) {
+  return { id: 'proposal-1', partialTx, signatures: null, version: 0, timestamp: 1000, history: [], ...options };
+}
+
+describe('deserializeOfflineProposal', () => {
+  it('should parse a serialized proposal', async () => {
+    const data = createOfflineData(createSerializedPartialTx());
+    const serialized = serializeOfflineProposal(data);
+    await expect(deserializeOfflineProposal(serialized, testnetWallet)).resolves.toEqual(data);
+  });
+
+  it('should reject invalid proposals', async () => {
+    const serialized = serializeOfflineProposal(createOfflineData(createSerializedPartialTx()));
+    await expect(deserializeOfflineProposal('not json', testnetWallet)).rejects.toThrow(OfflineProposalError);
+    await expect(deserializeOfflineProposal(serialized.replace('hathor-atomic-swap-proposal', 'other'), testnetWallet))
+      .rejects.toThrow('Invalid atomic swap proposal.');
+    await expect(deserializeOfflineProposal(serializeOfflineProposal(createOfflineData('PartialTx|invalid')), testnetWallet))
+      .rejects.toThrow('This proposal is not valid for this wallet');
+  });
+});
+
+describe('mergeOfflineProposal', () => {
+  const partialTx = createSerializedPartialTx();
+
+  it('should join the signatures of the same partial tx', async () => {
+    const local = createOfflineData(partialTx, { version: 2 });
+    const signatures = createSignatures(partialTx, [0]);
+
+    await expect(mergeOfflineProposal(local, { ...local, version: 1 }, testnetWallet)).resolves.toEqual({
+      status: OFFLINE_MERGE_STATUS.UNCHANGED,
+      data: null,
+    });
+
+    const { status, data } = await mergeOfflineProposal(local, { ...local, signatures, version: 1 }, testnetWallet);
+    expect(status).toBe(OFFLINE_MERGE_STATUS.UPDATED);
+    expect(data).toEqual(expect.objectContaining({ id: local.id, partialTx, signatures, version: 3 }));
+
+    await expect(mergeOfflineProposal(data, { ...local, signatures }, testnetWallet)).resolves.toEqual({
+      status: OFFLINE_MERGE_STATUS.UNCHANGED,
+      data: null,
+    });
+  });
+
+  it('should use the history to find which side is newer', async () => {
+    const changedPartialTx = createSerializedPartialTx(300);
+    const local = createOfflineData(partialTx, { version: 1 });
+    const received = createOfflineData(changedPartialTx, {
+      id: 'proposal-2',
+      version: 2,
+      history: [{ partialTx, timestamp: 1000 }],
+    });
+
+    await expect(mergeOfflineProposal(local, received, testnetWallet)).resolves.toEqual({
+      status: OFFLINE_MERGE_STATUS.UPDATED,
+      data: { ...received, id: local.id },
+    });
+    await expect(mergeOfflineProposal(received, local, testnetWallet)).resolves.toEqual({
+      status: OFFLINE_MERGE_STATUS.OUTDATED,
+      data: null,
+    });
+  });
+
+  it('should report a conflict when both sides changed the proposal', async () => {
+    const history = [{ partialTx, timestamp: 1000 }];
+    const local = createOfflineData(createSerializedPartialTx(300), { version: 1, timestamp: 2000, history });
+    const received = createOfflineData(createSerializedPartialTx(400), { version: 3, timestamp: 3000, history });
+
+    await expect(mergeOfflineProposal(local, received, testnetWallet)).resolves.toEqual({
+      status: OFFLINE_MERGE_STATUS.CONFLICT,
+      data: null,
+    });
+
+    const resolved = resolveOfflineProposalConflict(local, received);
+    expect(resolved).toEqual(expect.objectContaining({ id: local.id, partialTx: received.partialTx, version: 4 }));
+    expect(resolved.history).toEqual([...history, { partialTx: local.partialTx, timestamp: 2000 }]);
+
+    // The other side sees the resolved version is based on both
+    await expect(mergeOfflineProposal(local, resolved, testnetWallet)).resolves.toEqual(
+      expect.objectContaining({ status: OFFLINE_MERGE_STATUS.UPDATED }),
+    );
+  });
+});
+
+describe('calculateProposalChanges', () => {
+  it('should list the inputs and outputs changed on each version', async () => {
+    const firstPartialTx = createSerializedPartialTx();
+    const data = createOfflineData(createSerializedPartialTx(300), {
+      timestamp: 5000,
+      history: [{ partialTx: firstPartialTx, timestamp: 2000 }, { partialTx: firstPartialTx, timestamp: 3000 }],
+    });
+    const changes = await calculateProposalChanges(data, testnetWallet);
+
+    // The version with no changes is not listed
+    expect(changes.map((change) => change.timestamp)).toEqual([2, 5]);
+    expect(changes[0].inputs).toEqual({
+      added: [{ txId: txId1, index: 0, tokenUid: '00', value: 6400, address: otherAddress, isMine: false }],
+      removed: [],
+    });
+    expect(changes[0].outputs.added).toHaveLength(3);
+    expect(changes[1].inputs).toEqual({ added: [], removed: [] });
+    expect(changes[1].outputs).toEqual({
+      added: [
+        { tokenUid: '00', value: 6100, address: otherChangeAddress, isMine: false },
+        { tokenUid: '00', value: 300, address: mineAddress, isMine: true },
+      ],
+      removed: [
+        { tokenUid: '00', value: 6200, address: otherChangeAddress, isMine: false },
+        { tokenUid: '00', value: 200, address: mineAddress, isMine: true },
+      ],
+    });
+  });
+});
+
+describe('proposals history', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should record the balances of the proposal until it is closed', async () => {
+    const data = createOfflineData(createSerializedPartialTx());
+    await recordProposalHistory(data.id, data, true, { '00': { tokenUid: '00', symbol: 'HTR', name: 'Hathor' } }, testnetWallet);
+
+    const entry = walletUtil.getProposalsHistory()[data.id];
+    expect(entry).toEqual(expect.objectContaining({
+      id: data.id,
+      status: PROPOSAL_HISTORY_STATUS.OPEN,
+      offline: true,
+      updatedAt: 1,
+      closedAt: null,
+      txId: null,
+      balances: [{ tokenUid: '00', symbol: 'HTR', sending: 0, receiving: 200 }],
+    }));
+    expect(entry.changes).toHaveLength(1);
+
+    expect(closeProposalHistory(data.id, PROPOSAL_HISTORY_STATUS.FINISHED, txId1)).toBe(true);
+    expect(walletUtil.getProposalsHistory()[data.id]).toEqual(expect.objectContaining({
+      status: PROPOSAL_HISTORY_STATUS.FINISHED,
+      txId: txId1,
+      createdAt: entry.createdAt,
+    }));
+
+    // A finished proposal is not reopened or closed again
+    await recordProposalHistory(data.id, data, true, {}, testnetWallet);
+    expect(closeProposalHistory(data.id, PROPOSAL_HISTORY_STATUS.CANCELLED)).toBe(false);
+    expect(walletUtil.getProposalsHistory()[data.id].status).toBe(PROPOSAL_HISTORY_STATUS.FINISHED);
+  });
+
+  it('should reopen a cancelled proposal', async () => {
+    const data = createOfflineData(createSerializedPartialTx());
+    expect(closeProposalHistory(data.id, PROPOSAL_HISTORY_STATUS.CANCELLED)).toBe(false);
+
+    await recordProposalHistory(data.id, data, false, {}, testnetWallet);
+    expect(closeProposalHistory(data.id, PROPOSAL_HISTORY_STATUS.CANCELLED)).toBe(true);
+    expect(walletUtil.getProposalsHistory()[data.id].closedAt).not.toBeNull();
+
+    await recordProposalHistory(data.id, data, false, {}, testnetWallet);
+    expect(walletUtil.getProposalsHistory()[data.id]).toEqual(expect.objectContaining({
+      status: PROPOSAL_HISTORY_STATUS.OPEN,
+      offline: false,
+      closedAt: null,
+    }));
+  });
+});
+
+describe('checkProposalInputsSpent', () => {
+  const partialTx = { inputs: [{ hash: txId1, index: 0 }, { hash: txId2, index: 1 }] };
+
+  /**
+   * Mocked wallet with the transactions spending the outputs of txId1 and txId2
+   * @param {Record<string, [number, string[]][]>} spentOutputs Spending txs of each output, by tx
+   * @param {Record<string, number>} inputsLength Number of inputs of each spending tx
+   * @type {HathorWallet}
+   */
+  function createWallet(spentOutputs, inputsLength = {}) {
+    return {
+      getFullTxById: async (txId) => ({
+        tx: { inputs: new Array(inputsLength[txId] || 0).fill({}) },
+        meta: { spent_outputs: spentOutputs[txId] || [] },
+      }),
+    };
+  }
+
+  it('should not report proposals with unspent inputs', async () => {
+    const wallet = createWallet({ [txId1]: [[0, []], [1, ['other-tx']]] });
+    await expect(checkProposalInputsSpent(partialTx, wallet)).resolves.toEqual({ spent: false, sentTxId: null });
+  });
+
+  it('should find the transaction of the proposal', async () => {
+    const wallet = createWallet(
+      { [txId1]: [[0, ['double-spend', 'sent-tx']]], [txId2]: [[1, ['sent-tx']]] },
+      { 'double-spend': 2, 'sent-tx': 2 },
+    );
+    await expect(checkProposalInputsSpent(partialTx, wallet)).resolves.toEqual({ spent: true, sentTxId: 'sent-tx' });
+  });
+
+  it('should report inputs spent by other transactions', async () => {
+    // The only tx spending both inputs has another input, so it's not the proposal
+    const wallet = createWallet(
+      { [txId1]: [[0, ['other-tx']]], [txId2]: [[1, ['other-tx']]] },
+      { 'other-tx': 3 },
+    );
+    await expect(checkProposalInputsSpent(partialTx, wallet)).resolves.toEqual({ spent: true, sentTxId: null });
+    await expect(checkProposalInputsSpent(partialTx, createWallet({ [txId2]: [[1, ['other-tx']]] })))
+      .resolves.toEqual({ spent: true, sentTxId: null });
+  });
+});
+
+describe('getInputsSignedByOthers', () => {
+  const np = new PartialTxProposal(testnetStorage);
+  np.addInput(txId1, 0, 100, mineAddress, { markAsSelected: false });
+  np.addInput(txId2, 0, 1, otherAddress, { token: customTokenUid, markAsSelected: false });
+  np.addOutput(customTokenUid, 1, mineAddress);
+  np.addOutput('00', 100, otherAddress);
+  const partialTx = np.partialTx.serialize();
+
+  it('should list the inputs of other wallets signed on the new version', async () => {
+    const oldSignatures = createSignatures(partialTx, [0]);
+    const newSignatures = createSignatures(partialTx, [0, 1]);
+    await expect(getInputsSignedByOthers(partialTx, oldSignatures, newSignatures, testnetWallet)).resolves.toEqual([1]);
+    await expect(getInputsSignedByOthers(partialTx, null, newSignatures, testnetWallet)).resolves.toEqual([1]);
+  });
+
+  it('should ignore the inputs of this wallet and the unchanged signatures', async () => {
+    const signatures = createSignatures(partialTx, [0, 1]);
+    await expect(getInputsSignedByOthers(partialTx, null, createSignatures(partialTx, [0]), testnetWallet)).resolves.toEqual([]);
+    await expect(getInputsSignedByOthers(partialTx, signatures, signatures, testnetWallet)).resolves.toEqual([]);
+    await expect(getInputsSignedByOthers(partialTx, signatures, null, testnetWallet)).resolves.toEqual([]);
+  });
+});
+
+describe('offers', () => {
+  /**
+   * Mocked wallet with a single utxo, which receives on `receiveAddress` and gets the change on `changeAddress`
+   * @type {HathorWallet}
+   */
+  function createOfferWallet(utxo, receiveAddress, changeAddress) {
+    return {
+      ...testnetWallet,
+      storage: {
+        ...testnetStorage,
+        getCurrentAddress: async () => changeAddress,
+        selectUtxos: async function* ({ token }) {
+          if (utxo.token === token) {
+            yield utxo;
+          }
+        },
+      },
+      getCurrentAddress: jest.fn(async () => ({ address: receiveAddress })),
+    };
+  }
+
+  let offerer;
+  let accepter;
+  beforeEach(() => {
+    // Offers 200 HTR for 1 of the custom token
+    offerer = createOfferWallet(
+      { txId: txId1, index: 0, token: '00', value: 6400, address: otherAddress, timelock: null },
+      otherAddress,
+      otherChangeAddress,
+    );
+    accepter = createOfferWallet(
+      { txId: txId2, index: 0, token: customTokenUid, value: 1, address: mineAddress, timelock: null },
+      mineAddress,
+      mineAddress,
+    );
+  });
+
+  it('should create the proposal of an offer', async () => {
+    const partialTx = PartialTx.deserialize(
+      await createOfferProposal({ tokenUid: '00', amount: 200 }, { tokenUid: customTokenUid, amount: 1 }, offerer),
+      testnet,
+    );
+    expect(partialTx.inputs.map((input) => [input.hash, input.value])).toEqual([[txId1, 6400]]);
+    expect(partialTx.outputs.map((output) => [output.token, output.value, output.isChange])).toEqual([
+      ['00', 6200, true],
+      [customTokenUid, 1, false],
+    ]);
+    expect(offerer.getCurrentAddress).toHaveBeenCalledWith({ markAsUsed: true });
+
+    expect(calculateOfferTerms(partialTx)).toEqual({
+      sending: [{ tokenUid: customTokenUid, amount: 1 }],
+      receiving: [{ tokenUid: '00', amount: 200 }],
+    });
+  });
+
+  it('should reject offers of the same token', async () => {
+    await expect(createOfferProposal({ tokenUid: '00', amount: 200 }, { tokenUid: '00', amount: 100 }, offerer))
+      .rejects.toThrow('The offer must exchange different tokens');
+  });
+
+  it('should balance the offer when accepted', async () => {
+    const offer = await createOfferProposal({ tokenUid: '00', amount: 200 }, { tokenUid: customTokenUid, amount: 1 }, offerer);
+    const partialTx = await acceptOfferProposal(offer, accepter);
+
+    expect(partialTx.isComplete()).toBe(true);
+    expect(partialTx.inputs.map((input) => input.hash)).toEqual([txId1, txId2]);
+    expect(partialTx.outputs[2]).toEqual(expect.objectContaining({ token: '00', value: 200 }));
+    expect(calculateOfferTerms(partialTx)).toBeNull();
+  });
+
+  it('should not accept proposals that are not offers', async () => {
+    // Nothing is missing on a complete proposal
+    const np = new PartialTxProposal(testnetStorage);
+    np.addInput(txId1, 0, 6400, otherAddress, { markAsSelected: false });
+    np.addOutput('00', 6400, mineAddress);
+    await expect(acceptOfferProposal(np.partialTx.serialize(), accepter))
+      .rejects.toThrow('This proposal is not an offer to be accepted');
+  });
+});
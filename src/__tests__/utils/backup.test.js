@@ -0,0 +1,109 @@
+import backup, { BACKUP_FILE_TYPE, BackupError } from "../../utils/backup";
+import LOCAL_STORE, { ACCESS_DATA_KEY } from "../../storage";
+import walletUtils from "../../utils/wallet";
+import addressBook, { ADDRESS_BOOK_KEY } from "../../utils/addressBook";
+import multisig from "../../utils/multisig";
+
+// The app store runs all the sagas when imported
+jest.mock('../../store/index', () => ({ dispatch: jest.fn() }));
+
+const accessData = { xpubkey: 'xpub-of-the-wallet', words: 'encrypted-words' };
+const customTokenUid = '00003b47ce1a6774cfc132169122c38c15fbc4a7f43487cf1041ff4826c1842e';
+
+/**
+ * Save a wallet on the current profile, as if it was loaded by the user
+ */
+function saveWallet() {
+  LOCAL_STORE.updateStorageVersion();
+  LOCAL_STORE.setItem(ACCESS_DATA_KEY, accessData);
+  LOCAL_STORE.setHardwareWallet(true);
+  walletUtils.setTokenAlwaysShow(customTokenUid, true);
+  LOCAL_STORE.setItem(ADDRESS_BOOK_KEY, { WXYZ: { address: 'WXYZ', name: 'Alice', network: 'mainnet', notes: '', tokenUid: null } });
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('readBackup', () => {
+  it('should decrypt the wallet data of a backup', () => {
+    saveWallet();
+    const { walletData } = backup.readBackup(backup.createBackup('secret'), 'secret');
+    expect(walletData).toEqual(expect.objectContaining({
+      accessData,
+      alwaysShowTokens: [customTokenUid],
+      isHardware: true,
+    }));
+  });
+
+  it('should reject a wrong password', () => {
+    saveWallet();
+    expect(() => backup.readBackup(backup.createBackup('secret'), 'wrong')).toThrow(BackupError);
+  });
+
+  it('should reject files that are not a backup', () => {
+    expect(() => backup.readBackup('not json', 'secret')).toThrow(BackupError);
+    expect(() => backup.readBackup(JSON.stringify({ type: 'other', data: 'abc' }), 'secret')).toThrow(BackupError);
+  });
+
+  it('should reject backups from a newer version of the wallet', () => {
+    const file = JSON.stringify({
+      type: BACKUP_FILE_TYPE,
+      formatVersion: 1,
+      storeVersion: LOCAL_STORE.version + 1,
+      walletVersion: '99.0.0',
+      data: 'abc',
+    });
+    expect(() => backup.readBackup(file, 'secret')).toThrow('newer version');
+  });
+});
+
+describe('restoreBackup', () => {
+  it('should reproduce the backed up wallet', () => {
+    saveWallet();
+    const backupData = backup.readBackup(backup.createBackup('secret'), 'secret');
+
+    localStorage.clear();
+    walletUtils.setTokenAlwaysShow('00', true);
+    backup.restoreBackup(backupData);
+
+    expect(LOCAL_STORE.getItem(ACCESS_DATA_KEY)).toEqual(accessData);
+    expect(LOCAL_STORE.isHardwareWallet()).toBe(true);
+    expect(walletUtils.listTokensAlwaysShow()).toEqual([customTokenUid]);
+    expect(Object.keys(addressBook.getContactsMap())).toEqual(['WXYZ']);
+    expect(LOCAL_STORE.isLocked()).toBe(true);
+  });
+
+  it('should restore the proposals exchanged offline and the multisig transactions', () => {
+    saveWallet();
+    const offlineProposal = { id: 'proposal-1', partialTx: 'PartialTx|abc||', signatures: null, version: 0, timestamp: 1000, history: [] };
+    walletUtils.setListenedProposals({ 'proposal-1': { id: 'proposal-1', password: '', offline: true } });
+    walletUtils.setOfflineProposals({ 'proposal-1': offlineProposal });
+    walletUtils.setProposalsHistory({ 'proposal-1': { id: 'proposal-1', status: 'open' } });
+    multisig.save('tx-1', { txHex: 'abcd', signatures: [], createdAt: 1000 });
+    const backupData = backup.readBackup(backup.createBackup('secret'), 'secret');
+
+    localStorage.clear();
+    backup.restoreBackup(backupData);
+
+    expect(walletUtils.getOfflineProposals()).toEqual({ 'proposal-1': offlineProposal });
+    expect(walletUtils.getProposalsHistory()).toEqual({ 'proposal-1': { id: 'proposal-1', status: 'open' } });
+    expect(Object.keys(multisig.getAll())).toEqual(['tx-1']);
+  });
+
+  it('should replace the derivation settings of the profile', () => {
+    saveWallet();
+    LOCAL_STORE.setDerivationSettings({ gapLimit: 100, accountIndex: 0 });
+    const backupData = backup.readBackup(backup.createBackup('secret'), 'secret');
+
+    localStorage.clear();
+    LOCAL_STORE.setDerivationSettings({ gapLimit: 20, accountIndex: 3 });
+    backup.restoreBackup(backupData);
+    expect(LOCAL_STORE.getDerivationSettings()).toEqual({ gapLimit: 100, accountIndex: 0 });
+
+    // Backups created before the settings were added use the defaults
+    LOCAL_STORE.setDerivationSettings({ gapLimit: 20, accountIndex: 3 });
+    backup.restoreBackup({ ...backupData, walletData: { ...backupData.walletData, derivationSettings: undefined } });
+    expect(LOCAL_STORE.hasCustomDerivation()).toBe(false);
+  });
+});
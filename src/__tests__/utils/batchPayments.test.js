@@ -0,0 +1,109 @@
+import hathorLib from "@hathor/wallet-lib";
+import batchPayments from "../../utils/batchPayments";
+import LOCAL_STORE from "../../storage";
+
+// The app store runs all the sagas when imported
+jest.mock('../../store/index', () => ({ dispatch: jest.fn() }));
+
+const customTokenUid = '00003b47ce1a6774cfc132169122c38c15fbc4a7f43487cf1041ff4826c1842e';
+const nftUid = '00000000f2b3ee81d9bd1c84e4b6d6b7f1b7e02b79ed0c6b3f7eee8cd52d7c21';
+
+const tokens = [
+  { uid: '00', symbol: 'HTR' },
+  { uid: customTokenUid, symbol: 'CST' },
+  { uid: nftUid, symbol: 'NFT' },
+];
+const tokenMetadata = { [nftUid]: { nft: true } };
+
+const xpub = hathorLib.walletUtils.getXPrivKeyFromSeed(hathorLib.walletUtils.generateWalletWords(), { networkName: 'testnet' })
+  .deriveNonCompliantChild(`${hathorLib.constants.P2PKH_ACCT_PATH}/0`).xpubkey;
+const [address1, address2] = [0, 1].map((index) => (
+  hathorLib.addressUtils.deriveAddressFromXPubP2PKH(xpub, index, 'testnet').base58
+));
+
+const parseOptions = { tokens, tokenMetadata, allowTimelock: true, allowCustomTokens: true };
+
+beforeEach(() => {
+  localStorage.clear();
+  LOCAL_STORE.setNetwork('testnet');
+});
+
+describe('parseCsv', () => {
+  it('should parse the payments of each line', () => {
+    const csv = [
+      'address,amount,token,timelock',
+      `${address1},"1,000.5",,`,
+      `${address2},2,cst,1700000000`,
+      `${address2},3,${nftUid},`,
+    ].join('\n');
+    expect(batchPayments.parseCsv(csv, parseOptions)).toEqual({
+      payments: [
+        { line: 2, address: address1, value: 100050, token: '00' },
+        { line: 3, address: address2, value: 200, token: customTokenUid, timelock: 1700000000 },
+        { line: 4, address: address2, value: 3, token: nftUid },
+      ],
+      errors: [],
+    });
+  });
+
+  it('should report the error of each invalid line', () => {
+    const csv = [
+      `invalid,1,,`,
+      `${address1},1,ABC,`,
+      `${address1},1.001,HTR,`,
+      `${address1},1.5,NFT,`,
+      `${address1},0,HTR,`,
+      `${address1},1,HTR,not a date`,
+    ].join('\n');
+    const { payments, errors } = batchPayments.parseCsv(csv, parseOptions);
+    expect(payments).toEqual([]);
+    expect(errors.map((error) => error.line)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(errors[0].message).toBe('Invalid address: invalid');
+    expect(errors[1].message).toBe('Token ABC is not registered in the wallet');
+    expect(errors[3].message).toContain('NFT is an NFT');
+    expect(errors[5].message).toBe('Invalid timelock: not a date');
+  });
+
+  it('should reject timelocks and custom tokens when not supported', () => {
+    const csv = `${address1},1,CST,\n${address1},1,HTR,1700000000`;
+    const { errors } = batchPayments.parseCsv(csv, { ...parseOptions, allowTimelock: false, allowCustomTokens: false });
+    expect(errors).toEqual([
+      { line: 1, message: 'Custom tokens are not supported by the Hathor app version on your Ledger device' },
+      { line: 2, message: 'Timelock is not supported on hardware wallets' },
+    ]);
+  });
+
+  it('should reject an empty file', () => {
+    expect(batchPayments.parseCsv('address,amount,token\n', parseOptions).errors).toEqual([
+      { line: 1, message: 'The file has no payments' },
+    ]);
+  });
+
+  it('should ask for the uid when more than one token has the symbol', () => {
+    const { error } = batchPayments.findToken('cst', [...tokens, { uid: '0001', symbol: 'CST' }]);
+    expect(error).toBe('More than one registered token with symbol cst, use the token uid');
+  });
+});
+
+describe('splitTransactions', () => {
+  it('should leave room for the change outputs', () => {
+    const payments = Array.from({ length: 300 }, (_, index) => ({ line: index + 1, address: address1, value: 1, token: '00' }));
+    const transactions = batchPayments.splitTransactions(payments);
+    expect(transactions.map((tx) => tx.outputs.length)).toEqual([254, 46]);
+    expect(transactions[1].lines[0]).toBe(255);
+    expect(transactions[0].outputs[0]).toEqual({ address: address1, value: 1, token: '00' });
+  });
+
+  it('should limit the custom tokens of each transaction', () => {
+    const payments = [
+      { line: 1, address: address1, value: 1, token: customTokenUid },
+      { line: 2, address: address1, value: 1, token: nftUid },
+      { line: 3, address: address2, value: 5, token: '00' },
+      { line: 4, address: address2, value: 2, token: nftUid },
+    ];
+    const transactions = batchPayments.splitTransactions(payments, { maxCustomTokens: 1 });
+    expect(transactions.map((tx) => tx.lines)).toEqual([[1], [2, 3, 4]]);
+    expect(transactions[1].tokens).toEqual([nftUid, '00']);
+    expect(batchPayments.getTotals(transactions[1])).toEqual({ [nftUid]: 3, '00': 5 });
+  });
+});
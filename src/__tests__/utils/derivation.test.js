@@ -0,0 +1,40 @@
+import hathorLib from "@hathor/wallet-lib";
+import derivation, { DerivationSettingsError, MAX_ACCOUNT_INDEX, MAX_GAP_LIMIT } from "../../utils/derivation";
+import LOCAL_STORE from "../../storage";
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('parse', () => {
+  it('should convert the settings written by the user', () => {
+    expect(derivation.parse('50', '0')).toEqual({ gapLimit: 50, accountIndex: 0 });
+    expect(derivation.parse(String(MAX_GAP_LIMIT), String(MAX_ACCOUNT_INDEX))).toEqual({
+      gapLimit: MAX_GAP_LIMIT,
+      accountIndex: MAX_ACCOUNT_INDEX,
+    });
+  });
+
+  it('should reject gap limits out of the limits', () => {
+    for (const gapLimit of ['0', '-1', '1.5', 'abc', String(MAX_GAP_LIMIT + 1)]) {
+      expect(() => derivation.parse(gapLimit, '0')).toThrow(DerivationSettingsError);
+    }
+  });
+
+  it('should reject invalid account indexes', () => {
+    for (const accountIndex of ['-1', '0.5', 'abc', String(MAX_ACCOUNT_INDEX + 1)]) {
+      expect(() => derivation.parse('20', accountIndex)).toThrow('Invalid account index.');
+    }
+  });
+});
+
+describe('LOCAL_STORE.getDerivationSettings', () => {
+  it('should use the defaults of the lib until the settings are saved', () => {
+    expect(LOCAL_STORE.getDerivationSettings()).toEqual({ gapLimit: hathorLib.constants.GAP_LIMIT, accountIndex: 0 });
+    expect(LOCAL_STORE.hasCustomDerivation()).toBe(false);
+
+    LOCAL_STORE.setDerivationSettings(derivation.parse('100', '1'));
+    expect(LOCAL_STORE.getDerivationSettings()).toEqual({ gapLimit: 100, accountIndex: 1 });
+    expect(LOCAL_STORE.hasCustomDerivation()).toBe(true);
+  });
+});
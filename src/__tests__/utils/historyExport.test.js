@@ -0,0 +1,135 @@
+import historyExport from "../../utils/historyExport";
+
+// The app store runs all the sagas when imported
+jest.mock('../../store/index', () => ({ dispatch: jest.fn() }));
+
+const customTokenUid = '00003b47ce1a6774cfc132169122c38c15fbc4a7f43487cf1041ff4826c1842e';
+const authorityTokenData = 129;
+
+/**
+ * Transactions of the wallet: a token creation with a deposit of 1.00 HTR, a mint with a deposit of 0.50 HTR
+ * and a payment of 0.30 HTR to another wallet
+ */
+const fullTxs = {
+  create: {
+    version: 2,
+    inputs: [{ token: '00', token_data: 0, value: 100 }],
+    outputs: [
+      { token: customTokenUid, token_data: 1, value: 10000, decoded: { address: 'mine-1' } },
+      { token: customTokenUid, token_data: authorityTokenData, value: 1, decoded: { address: 'mine-1' } },
+    ],
+  },
+  mint: {
+    version: 1,
+    inputs: [
+      { token: '00', token_data: 0, value: 60 },
+      { token: customTokenUid, token_data: authorityTokenData, value: 1 },
+    ],
+    outputs: [
+      { token: '00', token_data: 0, value: 10, decoded: { address: 'mine-2' } },
+      { token: customTokenUid, token_data: 1, value: 5000, decoded: { address: 'mine-2' } },
+      { token: customTokenUid, token_data: authorityTokenData, value: 1, decoded: { address: 'mine-2' } },
+    ],
+  },
+  send: {
+    version: 1,
+    inputs: [{ token: '00', token_data: 0, value: 100 }],
+    outputs: [
+      { token: '00', token_data: 0, value: 70, decoded: { address: 'mine-3' } },
+      { token: '00', token_data: 0, value: 30, decoded: { address: 'other-1' } },
+    ],
+  },
+};
+
+const htrHistory = [
+  { txId: 'send', timestamp: 3000, balance: -30, voided: false, version: 1 },
+  { txId: 'mint', timestamp: 2000, balance: -50, voided: false, version: 1 },
+  { txId: 'create', timestamp: 1000, balance: -100, voided: false, version: 2 },
+];
+
+const customHistory = [
+  { txId: 'mint', timestamp: 2000, balance: 5000, voided: false, version: 1 },
+  { txId: 'create', timestamp: 1000, balance: 10000, voided: false, version: 2 },
+];
+
+/**
+ * Mocked wallet to help with the tests
+ * @param {boolean} canGetTx If the facade implements `getTx`, the wallet service does not
+ * @type {HathorWallet}
+ */
+function createWallet(canGetTx = true) {
+  return {
+    getTxHistory: async ({ token_id: tokenUid }) => (tokenUid === '00' ? htrHistory : customHistory),
+    getTx: async (txId) => {
+      if (!canGetTx) {
+        throw new Error('Not implemented.');
+      }
+      return fullTxs[txId];
+    },
+  };
+}
+
+const exportOptions = { startTimestamp: null, endTimestamp: null, tokenMetadata: {}, txNotes: {} };
+
+describe('buildRows', () => {
+  it('should report the HTR deposits apart from the amount', async () => {
+    const rows = await historyExport.buildRows(createWallet(), [{ uid: '00', symbol: 'HTR' }], exportOptions);
+    expect(rows.map((row) => [row.tx_id, row.amount, row.deposit])).toEqual([
+      ['send', '-0.30', '0.00'],
+      ['mint', '0.00', '0.50'],
+      ['create', '0.00', '1.00'],
+    ]);
+  });
+
+  it('should not report deposits on other tokens', async () => {
+    const rows = await historyExport.buildRows(createWallet(), [{ uid: customTokenUid, symbol: 'CST' }], {
+      ...exportOptions,
+      txNotes: { mint: { note: 'Monthly mint', tags: ['mint'] } },
+    });
+    expect(rows).toEqual([
+      expect.objectContaining({ tx_id: 'mint', amount: '50.00', deposit: '0.00', note: 'Monthly mint', tags: ['mint'] }),
+      expect.objectContaining({ tx_id: 'create', amount: '100.00', deposit: '0.00', direction: 'token_creation' }),
+    ]);
+  });
+
+  it('should report the deposit of token creations when the transactions are not available', async () => {
+    const rows = await historyExport.buildRows(createWallet(false), [{ uid: '00', symbol: 'HTR' }], exportOptions);
+    expect(rows.map((row) => [row.tx_id, row.amount, row.deposit])).toEqual([
+      ['send', '-0.30', '0.00'],
+      ['mint', '-0.50', '0.00'],
+      ['create', '0.00', '1.00'],
+    ]);
+  });
+
+  it('should filter the transactions by timestamp', async () => {
+    const rows = await historyExport.buildRows(createWallet(), [{ uid: '00', symbol: 'HTR' }], {
+      ...exportOptions,
+      startTimestamp: 1500,
+      endTimestamp: 3000,
+    });
+    expect(rows.map((row) => row.tx_id)).toEqual(['mint']);
+  });
+});
+
+describe('toCsv', () => {
+  it('should write the tags separated by semicolon', () => {
+    const csv = historyExport.toCsv([{
+      timestamp: 1000,
+      date: '1970-01-01T00:16:40.000Z',
+      tx_id: 'create',
+      token_uid: '00',
+      token_symbol: 'HTR',
+      direction: 'token_deposit',
+      amount: '0.00',
+      deposit: '1.00',
+      voided: false,
+      first_block: null,
+      note: 'New token, "CST"',
+      tags: ['token', 'deposit'],
+    }]);
+    const [header, row] = csv.split(/\r?\n/);
+    expect(header).toBe('timestamp,date,tx_id,token_uid,token_symbol,direction,amount,deposit,voided,first_block,note,tags');
+    expect(row).toContain('"New token, ""CST"""');
+    expect(row).toContain('token;deposit');
+  });
+});
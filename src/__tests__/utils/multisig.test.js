@@ -0,0 +1,109 @@
+import hathorLib, { Input, Network, Output, P2SHSignature, Transaction } from "@hathor/wallet-lib";
+import multisig, { MultisigError } from "../../utils/multisig";
+
+const network = new Network('testnet');
+const spentTxId = '000000e5924f0b07a626fd47839f85983a0faf14a337ac85e53cc6bb877bd14a';
+const addressIndex = 3;
+
+/**
+ * Multisig account key of a new participant
+ */
+function createParticipant() {
+  const words = hathorLib.walletUtils.generateWalletWords();
+  const root = hathorLib.walletUtils.getXPrivKeyFromSeed(words, { networkName: network.name });
+  const account = root.deriveNonCompliantChild(hathorLib.constants.P2SH_ACCT_PATH);
+  return { account, xpub: account.xpubkey, pubkey: account.publicKey.toString('hex') };
+}
+
+const alice = createParticipant();
+const bob = createParticipant();
+const outsider = createParticipant();
+
+/**
+ * Mocked multisig wallet of alice and bob, with the spent output on the address of `addressIndex`
+ * @type {HathorWallet}
+ */
+const wallet = {
+  getNetworkObject: () => network,
+  getTx: async (txId) => (txId === spentTxId ? { outputs: [{ decoded: { address: 'multisig-address' } }] } : null),
+  getAddressIndex: async (address) => (address === 'multisig-address' ? addressIndex : null),
+  storage: {
+    getAccessData: async () => ({
+      multisigData: { pubkey: alice.pubkey, pubkeys: [alice.xpub, bob.xpub], numSignatures: 2 },
+    }),
+  },
+};
+
+const tx = new Transaction([new Input(spentTxId, 0)], [new Output(10, Buffer.from('76a914', 'hex'))]);
+tx.timestamp = 1700000000;
+const txHex = tx.toHex();
+
+/**
+ * Serialized `P2SHSignature` of a participant for the single input of the transaction
+ * @param {Object} signer Participant whose key signs the input
+ * @param {string} [pubkey] Pubkey written on the signature, the signer pubkey by default
+ * @param {Buffer} [hash] Data signed, the transaction data to sign by default
+ */
+function sign(signer, pubkey = signer.pubkey, hash = tx.getDataToSignHash()) {
+  const privateKey = signer.account.deriveChild(0).deriveChild(addressIndex).privateKey;
+  const signature = hathorLib.transactionUtils.getSignature(hash, privateKey);
+  return new P2SHSignature(pubkey, { 0: signature.toString('hex') }).serialize();
+}
+
+describe('getSigners', () => {
+  it('should return the participants with a valid signature', async () => {
+    const signers = await multisig.getSigners(wallet, txHex, [sign(alice), sign(bob)]);
+    expect(signers).toEqual([alice.pubkey, bob.pubkey]);
+  });
+
+  it('should not count signatures of someone that is not a participant', async () => {
+    expect(await multisig.getSigners(wallet, txHex, [sign(outsider)])).toEqual([]);
+  });
+
+  it('should not count forged signatures of a participant', async () => {
+    const forged = sign(outsider, bob.pubkey);
+    const otherData = sign(bob, bob.pubkey, Buffer.alloc(32));
+    const signers = await multisig.getSigners(wallet, txHex, [sign(alice), forged, otherData, 'invalid']);
+    expect(signers).toEqual([alice.pubkey]);
+  });
+});
+
+describe('mergeSignatures', () => {
+  it('should keep one signature for each participant', async () => {
+    const aliceSignature = sign(alice);
+    const merged = await multisig.mergeSignatures(wallet, txHex, [aliceSignature], [sign(alice), sign(bob)]);
+    expect(merged).toHaveLength(2);
+    expect(merged[0]).toBe(aliceSignature);
+    expect(P2SHSignature.deserialize(merged[1]).pubkey).toBe(bob.pubkey);
+  });
+
+  it('should reject invalid signatures', async () => {
+    await expect(multisig.mergeSignatures(wallet, txHex, [sign(alice)], [sign(outsider, bob.pubkey)]))
+      .rejects.toThrow(MultisigError);
+  });
+});
+
+describe('serialize', () => {
+  it('should be parsed back by deserialize', () => {
+    const signatures = [sign(alice)];
+    expect(multisig.deserialize(multisig.serialize(txHex, signatures), network)).toEqual({ txHex, signatures });
+  });
+
+  it('should reject text that is not a multisig transaction', () => {
+    expect(() => multisig.deserialize(`PartialTx|${txHex}`, network)).toThrow(MultisigError);
+    expect(() => multisig.deserialize(`MultisigTx;${txHex.slice(0, 20)}`, network)).toThrow(MultisigError);
+  });
+});
+
+describe('validateConfig', () => {
+  it('should accept the participants including this wallet', () => {
+    expect(() => multisig.validateConfig([alice.xpub, bob.xpub], 2, alice.xpub)).not.toThrow();
+  });
+
+  it('should reject invalid configurations', () => {
+    expect(() => multisig.validateConfig([alice.xpub, bob.xpub], 2, outsider.xpub)).toThrow(MultisigError);
+    expect(() => multisig.validateConfig([alice.xpub, alice.xpub], 1, alice.xpub)).toThrow(MultisigError);
+    expect(() => multisig.validateConfig([alice.xpub, bob.xpub], 3, alice.xpub)).toThrow(MultisigError);
+    expect(() => multisig.validateConfig([alice.xpub, 'invalid'], 1, alice.xpub)).toThrow(MultisigError);
+  });
+});
@@ -0,0 +1,108 @@
+import hathorLib, { Network, PartialTx, ScriptData } from "@hathor/wallet-lib";
+import offlineSigning from "../../utils/offlineSigning";
+
+const network = new Network('testnet');
+const spentTxId = '000000e5924f0b07a626fd47839f85983a0faf14a337ac85e53cc6bb877bd14a';
+
+const words = hathorLib.walletUtils.generateWalletWords();
+const root = hathorLib.walletUtils.getXPrivKeyFromSeed(words, { networkName: network.name });
+const mainKey = root.deriveNonCompliantChild(`${hathorLib.constants.P2PKH_ACCT_PATH}/0`);
+const addresses = [0, 1, 2].map((index) => (
+  hathorLib.addressUtils.deriveAddressFromXPubP2PKH(mainKey.xpubkey, index, network.name).base58
+));
+const otherAddress = hathorLib.addressUtils.deriveAddressFromXPubP2PKH(
+  hathorLib.walletUtils.getXPrivKeyFromSeed(hathorLib.walletUtils.generateWalletWords(), { networkName: network.name })
+    .deriveNonCompliantChild(`${hathorLib.constants.P2PKH_ACCT_PATH}/0`).xpubkey,
+  0,
+  network.name,
+).base58;
+
+/**
+ * Mocked storage of the offline wallet, with only the first address loaded
+ * @type {IStorage}
+ */
+const storage = {
+  getAddressInfo: async (address) => (address === addresses[0] ? { bip32AddressIndex: 0 } : null),
+  getAccessData: async () => ({ xpubkey: mainKey.xpubkey }),
+  getMainXPrivKey: async () => mainKey.xprivkey,
+};
+
+/**
+ * Full tx data sending 10 HTR of the second address to another wallet, with the change to the third
+ */
+const txData = {
+  inputs: [
+    { txId: spentTxId, index: 0, value: 100, token: '00', address: addresses[1] },
+  ],
+  outputs: [
+    { type: 'p2pkh', address: otherAddress, value: 10, token: '00' },
+    { type: 'p2pkh', address: addresses[2], value: 90, token: '00', isChange: true },
+  ],
+};
+
+describe('serializeUnsignedTx', () => {
+  it('should be parsed back by parseUnsignedTx', () => {
+    const partialTx = offlineSigning.parseUnsignedTx(offlineSigning.serializeUnsignedTx(txData, network), network);
+    expect(partialTx.inputs).toEqual([expect.objectContaining({ hash: spentTxId, index: 0, value: 100, address: addresses[1] })]);
+    expect(partialTx.outputs.map((output) => output.isChange)).toEqual([false, true]);
+  });
+
+  it('should reject transactions that do not balance', () => {
+    const unbalanced = { ...txData, outputs: [txData.outputs[0]] };
+    const serialized = offlineSigning.serializeUnsignedTx(unbalanced, network);
+    expect(() => offlineSigning.parseUnsignedTx(serialized, network)).toThrow(SyntaxError);
+  });
+});
+
+describe('getAddressIndexes', () => {
+  it('should find the addresses of the wallet not loaded in the storage', async () => {
+    const indexes = await offlineSigning.getAddressIndexes(storage, [addresses[0], addresses[2]], network);
+    expect(indexes).toEqual(new Map([[addresses[0], 0], [addresses[2], 2]]));
+  });
+});
+
+describe('buildPreview', () => {
+  it('should show the outputs of the wallet', async () => {
+    const partialTx = offlineSigning.parseUnsignedTx(offlineSigning.serializeUnsignedTx(txData, network), network);
+    const preview = await offlineSigning.buildPreview(partialTx, new Map([[addresses[1], 1], [addresses[2], 2]]));
+    expect(preview.outputs).toEqual([
+      expect.objectContaining({ address: otherAddress, data: null, value: 10, isMine: false }),
+      expect.objectContaining({ address: addresses[2], data: null, value: 90, isChange: true, isMine: true }),
+    ]);
+    expect(preview.balance).toEqual({ '00': -10 });
+  });
+
+  it('should show data outputs without an address', async () => {
+    const partialTx = new PartialTx(network);
+    partialTx.addInput(spentTxId, 0, 100, addresses[1]);
+    partialTx.addOutput(1, new ScriptData('hello').createScript(), { token: '00' });
+    partialTx.addOutput(99, hathorLib.transactionUtils.createOutputScript(txData.outputs[1], network), {
+      token: '00',
+      isChange: true,
+    });
+
+    const preview = await offlineSigning.buildPreview(partialTx, new Map([[addresses[1], 1]]));
+    expect(preview.outputs[0]).toEqual(expect.objectContaining({ address: null, data: 'hello', isMine: false }));
+    expect(offlineSigning.getAddresses(partialTx)).toEqual([addresses[1], addresses[2]]);
+  });
+});
+
+describe('signUnsignedTx', () => {
+  it('should sign the inputs of the wallet so the transaction can be assembled', async () => {
+    const serialized = offlineSigning.serializeUnsignedTx(txData, network);
+    const offlineTx = offlineSigning.parseUnsignedTx(serialized, network);
+    const signatures = await offlineSigning.signUnsignedTx(offlineTx, storage, '123456', new Map([[addresses[1], 1]]));
+
+    const onlineTx = offlineSigning.parseUnsignedTx(serialized, network);
+    const tx = offlineSigning.assembleSignedTx(onlineTx, signatures);
+    expect(tx.inputs[0].data).toBeTruthy();
+  });
+
+  it('should not assemble a transaction with inputs not signed', async () => {
+    const serialized = offlineSigning.serializeUnsignedTx(txData, network);
+    const offlineTx = offlineSigning.parseUnsignedTx(serialized, network);
+    const signatures = await offlineSigning.signUnsignedTx(offlineTx, storage, '123456', new Map());
+
+    expect(() => offlineSigning.assembleSignedTx(offlineTx, signatures)).toThrow('Some inputs of the transaction are not signed.');
+  });
+});
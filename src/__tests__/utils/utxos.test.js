@@ -0,0 +1,103 @@
+import utxos from "../../utils/utxos";
+import { AVERAGE_BLOCK_TIME } from "../../constants";
+
+const now = Math.floor(Date.now() / 1000);
+
+/**
+ * Mocked wallet to help with the tests, at height 100 with a reward lock of 10 blocks
+ * @param {Object[]} storageUtxos Utxos of the storage, regular and authorities
+ * @type {HathorWallet}
+ */
+function createWallet(storageUtxos) {
+  return {
+    storage: {
+      version: { reward_spend_min_blocks: 10 },
+      getCurrentHeight: async () => 100,
+      selectUtxos: async function* ({ authorities }) {
+        for (const utxo of storageUtxos) {
+          if ((authorities === 0) === (utxo.authorities === 0)) {
+            yield utxo;
+          }
+        }
+      },
+    },
+    getUtxos: async ({ amount_smaller_than: amountSmallerThan }) => ({
+      utxos: storageUtxos
+        .filter((utxo) => utxo.authorities === 0 && (!amountSmallerThan || utxo.value < amountSmallerThan))
+        .map((utxo) => ({ tx_id: utxo.txId, index: utxo.index, amount: utxo.value })),
+    }),
+  };
+}
+
+/**
+ * Utxo of the storage, a regular transaction output by default
+ */
+function createUtxo(txId, options = {}) {
+  return { txId, index: 0, token: '00', address: 'mine-1', value: 100, authorities: 0, timelock: null, type: 1, height: null, ...options };
+}
+
+describe('getUtxos', () => {
+  it('should list regular, authority and locked utxos', async () => {
+    const wallet = createWallet([
+      createUtxo('regular'),
+      createUtxo('timelocked', { timelock: now + 3600 }),
+      createUtxo('expired', { timelock: now - 3600 }),
+      createUtxo('reward', { type: 0, height: 95 }),
+      createUtxo('old-reward', { type: 0, height: 50 }),
+      createUtxo('authority', { value: 1, authorities: 1 }),
+    ]);
+    const list = await utxos.getUtxos(wallet, '00');
+
+    expect(list.map((utxo) => [utxo.txId, utxo.isTimelocked, utxo.isHeightlocked, utxo.unlockHeight])).toEqual([
+      ['regular', false, false, null],
+      ['timelocked', true, false, null],
+      ['expired', false, false, null],
+      ['reward', false, true, 105],
+      ['old-reward', false, false, 60],
+      ['authority', false, false, null],
+    ]);
+    expect(list.filter((utxo) => utxos.isSpendable(utxo)).map((utxo) => utxo.txId)).toEqual(['regular', 'expired', 'old-reward']);
+  });
+});
+
+describe('getUnlockSchedule', () => {
+  it('should sort the locked utxos by the time they unlock', () => {
+    const list = [
+      { txId: 'timelocked', authorities: 0, timelock: now + 3600, isTimelocked: true, isHeightlocked: false },
+      { txId: 'reward', authorities: 0, timelock: null, isTimelocked: false, isHeightlocked: true, unlockHeight: 105 },
+      { txId: 'regular', authorities: 0, timelock: null, isTimelocked: false, isHeightlocked: false },
+      { txId: 'authority', authorities: 1, timelock: now + 60, isTimelocked: true, isHeightlocked: false },
+    ];
+    expect(utxos.getUnlockSchedule(list, 100, now).map(({ utxo, unlockAt }) => [utxo.txId, unlockAt])).toEqual([
+      ['reward', now + 5 * AVERAGE_BLOCK_TIME],
+      ['timelocked', now + 3600],
+    ]);
+  });
+});
+
+describe('getConsolidationPlan', () => {
+  it('should merge the utxos in transactions of at most maxInputs inputs', async () => {
+    const wallet = createWallet(['a', 'b', 'c', 'd', 'e'].map((txId) => createUtxo(txId)));
+    const plan = await utxos.getConsolidationPlan(wallet, { token: '00', address: 'mine-2', maxInputs: 2 });
+
+    // The last utxo alone is not consolidated
+    expect(plan).toEqual([
+      {
+        inputs: [{ txId: 'a', index: 0 }, { txId: 'b', index: 0 }],
+        outputs: [{ address: 'mine-2', value: 200, token: '00' }],
+        total: 200,
+      },
+      {
+        inputs: [{ txId: 'c', index: 0 }, { txId: 'd', index: 0 }],
+        outputs: [{ address: 'mine-2', value: 200, token: '00' }],
+        total: 200,
+      },
+    ]);
+  });
+
+  it('should only merge the utxos smaller than the amount', async () => {
+    const wallet = createWallet([createUtxo('a'), createUtxo('b', { value: 5000 }), createUtxo('c')]);
+    const plan = await utxos.getConsolidationPlan(wallet, { token: '00', address: 'mine-2', maxInputs: 10, amountSmallerThan: 1000 });
+    expect(plan.map((tx) => tx.total)).toEqual([200]);
+  });
+});
@@ -33,6 +33,10 @@ export const types = {
   PROPOSAL_CREATE_REQUESTED: 'PROPOSAL_CREATE_REQUESTED',
   PROPOSAL_REMOVED: 'PROPOSAL_REMOVED',
   PROPOSAL_IMPORTED: 'PROPOSAL_IMPORTED',
+  PROPOSAL_SENT: 'PROPOSAL_SENT',
+  PROPOSAL_SENDING: 'PROPOSAL_SENDING',
+  PROPOSAL_INVALIDATED: 'PROPOSAL_INVALIDATED',
+  SWAP_SERVICE_CHANGED: 'SWAP_SERVICE_CHANGED',
   TOKEN_INVALIDATE_HISTORY: 'TOKEN_INVALIDATE_HISTORY',
   ON_START_WALLET_LOCK: 'ON_START_WALLET_LOCK',
   RELOAD_WALLET_REQUESTED: 'RELOAD_WALLET_REQUESTED',
@@ -48,6 +52,7 @@ export const types = {
   SET_SERVER_INFO: 'SET_SERVER_INFO',
   SET_NAVIGATE_TO: 'SET_NAVIGATE_TO',
   WALLET_RELOADING: 'WALLET_RELOADING',
+  WALLET_RESCAN_REQUESTED: 'WALLET_RESCAN_REQUESTED',
   FEATURE_TOGGLE_INITIALIZED: 'FEATURE_TOGGLE_INITIALIZED',
   SET_FEATURE_TOGGLES: 'SET_FEATURE_TOGGLES',
   SET_UNLEASH_CLIENT: 'SET_UNLEASH_CLIENT',
@@ -55,6 +60,18 @@ export const types = {
   UPDATE_MINING_SERVER: 'UPDATE_MINING_SERVER',
   SET_MINING_SERVER: 'SET_MINING_SERVER',
   SET_NATIVE_TOKEN_DATA: 'SET_NATIVE_TOKEN_DATA',
+  PROFILE_SWITCH_REQUESTED: 'PROFILE_SWITCH_REQUESTED',
+  PROFILE_LIST_UPDATED: 'PROFILE_LIST_UPDATED',
+  TX_NOTES_UPDATED: 'TX_NOTES_UPDATED',
+  ADDRESS_LABELS_UPDATED: 'ADDRESS_LABELS_UPDATED',
+  TOKEN_HISTORY_FILTER_UPDATED: 'TOKEN_HISTORY_FILTER_UPDATED',
+  TOKEN_HISTORY_FULLY_LOADED: 'TOKEN_HISTORY_FULLY_LOADED',
+  SCHEDULED_PAYMENTS_UPDATED: 'SCHEDULED_PAYMENTS_UPDATED',
+  SCHEDULED_PAYMENT_DUE: 'SCHEDULED_PAYMENT_DUE',
+  SCHEDULED_PAYMENT_CONFIRMED: 'SCHEDULED_PAYMENT_CONFIRMED',
+  SCHEDULED_PAYMENT_POSTPONED: 'SCHEDULED_PAYMENT_POSTPONED',
+  PAYMENT_REQUEST_OPENED: 'PAYMENT_REQUEST_OPENED',
+  MULTISIG_TXS_UPDATED: 'MULTISIG_TXS_UPDATED',
 };
 
 /**
@@ -223,6 +240,24 @@ export const tokenFetchHistoryFailed = (tokenId) => ({
   tokenId,
 });
 
+/**
+ * tokenId: The tokenId of the filtered history
+ * filter: The filter of the history, null to show all transactions
+ */
+export const tokenHistoryFilterUpdated = (tokenId, filter) => ({
+  type: types.TOKEN_HISTORY_FILTER_UPDATED,
+  tokenId,
+  filter,
+});
+
+/**
+ * tokenId: The tokenId that had all its history pages loaded
+ */
+export const tokenHistoryFullyLoaded = (tokenId) => ({
+  type: types.TOKEN_HISTORY_FULLY_LOADED,
+  tokenId,
+});
+
 /**
  * tokenId: The tokenId of the invalidate history request
  */
@@ -298,11 +333,13 @@ export const proposalFetchSuccess = (proposalId, data) => ({
 /**
  * @param {string} proposalId The proposalId of the fetch request
  * @param {string} errorMessage The error found on proposal fetching
+ * @param {boolean} [notFound=false] If the proposal was not found on the Atomic Swap Service
  */
-export const proposalFetchFailed = (proposalId, errorMessage) => ({
+export const proposalFetchFailed = (proposalId, errorMessage, notFound = false) => ({
   type: types.PROPOSAL_FETCH_FAILED,
   proposalId,
   errorMessage,
+  notFound,
 });
 
 /**
@@ -346,29 +383,72 @@ export const proposalTokenFetchFailed = (tokenUid, errorMessage) => ({
 /**
  * @param {string} partialTx
  * @param {string} password
+ * @param {boolean} [offline=false] If the proposal is exchanged offline, without the service
  */
-export const proposalCreateRequested = (partialTx, password) => ({
+export const proposalCreateRequested = (partialTx, password, offline = false) => ({
   type: types.PROPOSAL_CREATE_REQUESTED,
   password,
   partialTx,
+  offline,
 });
 
 /**
  * @param {string} proposalId
+ * @param {string|null} [historyStatus=null] Status to keep the proposal on the history, cancelled if not informed
  */
-export const proposalRemoved = (proposalId) => ({
+export const proposalRemoved = (proposalId, historyStatus = null) => ({
   type: types.PROPOSAL_REMOVED,
   proposalId,
+  historyStatus,
 });
 
 /**
  * @param {string} proposalId
  * @param {string} password
+ * @param {boolean} [offline=false] If the proposal is exchanged offline, without the service
  */
-export const importProposal = (proposalId, password) => ({
+export const importProposal = (proposalId, password, offline = false) => ({
   type: types.PROPOSAL_IMPORTED,
   proposalId,
   password,
+  offline,
+});
+
+/**
+ * @param {string} proposalId
+ * @param {string} txId The transaction of the proposal, sent by this wallet
+ */
+export const proposalSent = (proposalId, txId) => ({
+  type: types.PROPOSAL_SENT,
+  proposalId,
+  txId,
+});
+
+/**
+ * @param {string} proposalId
+ * @param {boolean} sending If this wallet is sending the proposal transaction
+ */
+export const proposalSending = (proposalId, sending) => ({
+  type: types.PROPOSAL_SENDING,
+  proposalId,
+  sending,
+});
+
+/**
+ * @param {string} proposalId
+ * @param {string} reason Why the proposal can't be sent anymore
+ */
+export const proposalInvalidated = (proposalId, reason) => ({
+  type: types.PROPOSAL_INVALIDATED,
+  proposalId,
+  reason,
+});
+
+/**
+ * The Atomic Swap Service url changed, so its connection must be restarted
+ */
+export const swapServiceChanged = () => ({
+  type: types.SWAP_SERVICE_CHANGED,
 });
 
 export const tokenInvalidateBalance = (tokenId) => ({
@@ -417,6 +497,13 @@ export const reloadingWallet = () => ({
   type: types.WALLET_RELOADING,
 });
 
+/**
+ * Load the addresses and history of the wallet again, with the derivation settings saved on localStorage
+ */
+export const walletRescanRequested = () => ({
+  type: types.WALLET_RESCAN_REQUESTED,
+});
+
 /**
  * @param {string} route Route that should be navigated to in consequence of an event
  * @param {boolean} replace Should we navigate with the replace parameter set
@@ -515,3 +602,90 @@ export const setNativeTokenData = (data) => ({
   type: types.SET_NATIVE_TOKEN_DATA,
   payload: data,
 });
+
+/**
+ * Stop the loaded wallet and select another wallet profile
+ * @param {string} profileId
+ */
+export const profileSwitchRequested = (profileId) => ({
+  type: types.PROFILE_SWITCH_REQUESTED,
+  profileId,
+});
+
+/**
+ * @param {Record<string, {id: string, name: string|null}>} profiles Map of all wallet profiles
+ * @param {string} currentProfileId Id of the profile in use
+ */
+export const profileListUpdated = (profiles, currentProfileId) => ({
+  type: types.PROFILE_LIST_UPDATED,
+  profiles,
+  currentProfileId,
+});
+
+/**
+ * @param {Record<string, {note: string, tags: string[]}>} txNotes Notes and tags of the transactions, indexed by tx id
+ */
+export const txNotesUpdated = (txNotes) => ({
+  type: types.TX_NOTES_UPDATED,
+  payload: txNotes,
+});
+
+/**
+ * @param {Record<string, string>} labels Labels of the wallet addresses, indexed by address
+ */
+export const addressLabelsUpdated = (labels) => ({
+  type: types.ADDRESS_LABELS_UPDATED,
+  payload: labels,
+});
+
+/**
+ * @param {Record<string, Object>} payments Scheduled payments, indexed by id
+ */
+export const scheduledPaymentsUpdated = (payments) => ({
+  type: types.SCHEDULED_PAYMENTS_UPDATED,
+  payload: payments,
+});
+
+/**
+ * paymentId: Id of the scheduled payment waiting for the user PIN to be sent, null if none
+ */
+export const scheduledPaymentDue = (paymentId) => ({
+  type: types.SCHEDULED_PAYMENT_DUE,
+  paymentId,
+});
+
+/**
+ * paymentId: Id of the scheduled payment the user confirmed
+ * pin: PIN used to sign the payment transaction
+ */
+export const scheduledPaymentConfirmed = (paymentId, pin) => ({
+  type: types.SCHEDULED_PAYMENT_CONFIRMED,
+  paymentId,
+  pin,
+});
+
+/**
+ * paymentId: Id of the scheduled payment the user closed the PIN prompt without confirming
+ */
+export const scheduledPaymentPostponed = (paymentId) => ({
+  type: types.SCHEDULED_PAYMENT_POSTPONED,
+  paymentId,
+});
+
+/**
+ * @param {Object|null} request Payment request opened from an URI, to fill the send tokens screen.
+ *                              null after the screen is filled.
+ */
+export const paymentRequestOpened = (request) => ({
+  type: types.PAYMENT_REQUEST_OPENED,
+  payload: request,
+});
+
+/**
+ * @param {Record<string, {txHex: string, signatures: string[], createdAt: number}>} txs
+ *        Transactions of the multisig wallet waiting for signatures, indexed by id
+ */
+export const multisigTxsUpdated = (txs) => ({
+  type: types.MULTISIG_TXS_UPDATED,
+  payload: txs,
+});
@@ -0,0 +1,136 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { t } from 'ttag';
+import { useSelector } from 'react-redux';
+import PropTypes from 'prop-types';
+import hathorLib from '@hathor/wallet-lib';
+import helpers from '../utils/helpers';
+import batchPayments from '../utils/batchPayments';
+
+/**
+ * Component that shows the payments imported from a CSV file before sending them.
+ * Invalid rows are listed with their errors and block the send.
+ *
+ * @memberof Components
+ */
+function BatchPaymentsPreview({ fileName, errors, transactions, onSend, onCancel }) {
+  const { tokens, tokenMetadata } = useSelector((state) => ({
+    tokens: state.tokens,
+    tokenMetadata: state.tokenMetadata,
+  }));
+
+  const getSymbol = (uid) => {
+    const token = tokens.find((token) => token.uid === uid);
+    return token ? token.symbol : uid;
+  };
+
+  const renderValue = (value, uid) => {
+    return helpers.renderValue(value, helpers.isTokenNFT(uid, tokenMetadata));
+  };
+
+  const renderErrors = () => {
+    const count = errors.length;
+    return (
+      <div className="mt-3">
+        <p className="text-danger">{t`${count} invalid rows, fix the file and import it again:`}</p>
+        <ul className="text-danger">
+          {errors.map(({ line, message }) => <li key={`${line}-${message}`}>{t`Line ${line}: ${message}`}</li>)}
+        </ul>
+      </div>
+    );
+  };
+
+  const renderTransaction = (transaction, index) => {
+    const number = index + 1;
+    const outputsCount = transaction.outputs.length;
+    const totals = batchPayments.getTotals(transaction);
+    return (
+      <div key={index} className="mt-4">
+        <p className="font-weight-bold mb-1">
+          {transactions.length > 1 ? t`Transaction ${number}: ${outputsCount} outputs` : t`${outputsCount} outputs`}
+        </p>
+        <p className="mb-2">
+          {t`Total:`} {Object.entries(totals).map(([uid, total]) => `${renderValue(total, uid)} ${getSymbol(uid)}`).join(', ')}
+        </p>
+        <div className="table-responsive">
+          <table className="table table-sm table-striped">
+            <thead>
+              <tr>
+                <th>{t`Line`}</th>
+                <th>{t`Address`}</th>
+                <th className="text-right">{t`Amount`}</th>
+                <th>{t`Token`}</th>
+                <th>{t`Timelock`}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {transaction.outputs.map((output, outputIndex) => (
+                <tr key={outputIndex}>
+                  <td>{transaction.lines[outputIndex]}</td>
+                  <td className="text-monospace">{output.address}</td>
+                  <td className="text-right">{renderValue(output.value, output.token)}</td>
+                  <td>{getSymbol(output.token)}</td>
+                  <td>{output.timelock ? hathorLib.dateFormatter.parseTimestamp(output.timelock) : ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+
+  const hasErrors = errors.length > 0;
+  const transactionsCount = transactions.length;
+
+  return (
+    <div>
+      <p>{t`Payments imported from ${fileName}.`}</p>
+      {transactionsCount > 1 && (
+        <p>{t`The payments don't fit in one transaction, so they will be sent in ${transactionsCount} transactions.`}</p>
+      )}
+      {hasErrors && renderErrors()}
+      {transactions.map(renderTransaction)}
+      <div className="mt-4">
+        <button type="button" className="btn btn-secondary mr-4" onClick={onCancel}>{t`Cancel`}</button>
+        <button type="button" className="btn btn-hathor" onClick={onSend} disabled={hasErrors || transactionsCount === 0}>
+          {transactionsCount > 1 ? t`Send ${transactionsCount} transactions` : t`Send Tokens`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+BatchPaymentsPreview.propTypes = {
+  /**
+   * Name of the imported CSV file
+   */
+  fileName: PropTypes.string.isRequired,
+  /**
+   * Errors of the invalid rows of the file
+   */
+  errors: PropTypes.arrayOf(PropTypes.shape({
+    line: PropTypes.number.isRequired,
+    message: PropTypes.string.isRequired,
+  })).isRequired,
+  /**
+   * Transactions that will be sent, as returned by batchPayments.splitTransactions
+   */
+  transactions: PropTypes.array.isRequired,
+  /**
+   * Called when the user confirms the payments
+   */
+  onSend: PropTypes.func.isRequired,
+  /**
+   * Called when the user discards the imported payments
+   */
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default BatchPaymentsPreview;
@@ -0,0 +1,41 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { t } from 'ttag';
+import { MAX_ACCOUNT_INDEX, MAX_GAP_LIMIT } from '../utils/derivation';
+
+/**
+ * Inputs of the gap limit and account index used to derive the addresses of the wallet
+ *
+ * @param {Object} props
+ * @param {string} props.gapLimit
+ * @param {string} props.accountIndex
+ * @param {function} props.onGapLimitChange Called with the new value of the gap limit input
+ * @param {function} props.onAccountIndexChange Called with the new value of the account index input
+ * @param {boolean} [props.accountIndexDisabled] If the account index can't be changed
+ *
+ * @memberof Components
+ */
+function DerivationSettings({ gapLimit, accountIndex, onGapLimitChange, onAccountIndexChange, accountIndexDisabled = false }) {
+  return (
+    <div className="w-100">
+      <div className="form-group">
+        <label>{t`Gap limit`}</label>
+        <input type="number" className="form-control" min={1} max={MAX_GAP_LIMIT} step={1} value={gapLimit} onChange={(e) => onGapLimitChange(e.target.value)} style={{ maxWidth: 160 }} />
+        <small className="form-text text-muted">{t`How many unused addresses in a row are loaded before the wallet stops looking for transactions. Increase it if the wallet used many addresses beyond the gap.`}</small>
+      </div>
+      <div className="form-group">
+        <label>{t`Account index`}</label>
+        <input type="number" className="form-control" min={0} max={MAX_ACCOUNT_INDEX} step={1} value={accountIndex} onChange={(e) => onAccountIndexChange(e.target.value)} disabled={accountIndexDisabled} style={{ maxWidth: 160 }} />
+        <small className="form-text text-muted">{t`Account of the derivation path m/44'/280'/account'. Only change it if the wallet was created with another account.`}</small>
+      </div>
+    </div>
+  );
+}
+
+export default DerivationSettings;
@@ -22,6 +22,13 @@ import ModalConfirmClearStorage from './ModalConfirmClearStorage';
 import ModalSendTx from './ModalSendTx';
 import ModalUnregisteredTokenInfo from './ModalUnregisteredTokenInfo';
 import ModalPin from "./ModalPin";
+import ModalAddProfile from './ModalAddProfile';
+import ModalExportBackup from './ModalExportBackup';
+import ModalSaveContact from './ModalSaveContact';
+import ModalTxNote from './ModalTxNote';
+import ModalExportHistory from './ModalExportHistory';
+import ModalPaymentRequest from './ModalPaymentRequest';
+import ModalAddressLabel from './ModalAddressLabel';
 import { ModalAtomicSend } from "./atomic-swap/ModalAtomicSend";
 import { ModalAtomicReceive } from "./atomic-swap/ModalAtomicReceive";
 import { ModalAtomicExternalChange } from "./atomic-swap/ExternalChangeModal";
@@ -51,6 +58,13 @@ export const MODAL_TYPES = {
   'ATOMIC_SEND': 'ATOMIC_SEND',
   'ATOMIC_RECEIVE': 'ATOMIC_RECEIVE',
   'ATOMIC_EXTERNAL_CHANGE': 'ATOMIC_EXTERNAL_CHANGE',
+  'ADD_PROFILE': 'ADD_PROFILE',
+  'EXPORT_BACKUP': 'EXPORT_BACKUP',
+  'SAVE_CONTACT': 'SAVE_CONTACT',
+  'TX_NOTE': 'TX_NOTE',
+  'EXPORT_HISTORY': 'EXPORT_HISTORY',
+  'PAYMENT_REQUEST': 'PAYMENT_REQUEST',
+  'ADDRESS_LABEL': 'ADDRESS_LABEL',
 };
 
 export const MODAL_COMPONENTS = {
@@ -72,6 +86,13 @@ export const MODAL_COMPONENTS = {
   [MODAL_TYPES.ATOMIC_SEND]: ModalAtomicSend,
   [MODAL_TYPES.ATOMIC_RECEIVE]: ModalAtomicReceive,
   [MODAL_TYPES.ATOMIC_EXTERNAL_CHANGE]: ModalAtomicExternalChange,
+  [MODAL_TYPES.ADD_PROFILE]: ModalAddProfile,
+  [MODAL_TYPES.EXPORT_BACKUP]: ModalExportBackup,
+  [MODAL_TYPES.SAVE_CONTACT]: ModalSaveContact,
+  [MODAL_TYPES.TX_NOTE]: ModalTxNote,
+  [MODAL_TYPES.EXPORT_HISTORY]: ModalExportHistory,
+  [MODAL_TYPES.PAYMENT_REQUEST]: ModalPaymentRequest,
+  [MODAL_TYPES.ADDRESS_LABEL]: ModalAddressLabel,
 };
 
 export const GlobalModalContext = createContext(initialState);
@@ -24,8 +24,8 @@ class InputsWrapper extends React.Component {
   render = () => {
     return (
       <div className="input-group mb-3">
-        <input type="text" placeholder="Tx id" ref={this.txId} className="form-control input-id col-6" />
-        <input type="text" placeholder="Index" ref={this.index} className="form-control input-index col-1" />
+        <input type="text" placeholder="Tx id" ref={this.txId} className="form-control input-id col-6" defaultValue={this.props.defaultTxId} />
+        <input type="text" placeholder="Index" ref={this.index} className="form-control input-index col-1" defaultValue={this.props.defaultIndex} />
         {this.props.index === 0 ? <button type="button" className="btn btn-hathor" onClick={this.props.addInput}>+</button> : null}
       </div>
     );
@@ -0,0 +1,177 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { t } from 'ttag';
+import { useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import hathorLib from '@hathor/wallet-lib';
+import utxosUtils from '../utils/utxos';
+import helpers from '../utils/helpers';
+import { getGlobalWallet } from '../modules/wallet';
+import { colors } from '../constants';
+
+/**
+ * Size of the timeline chart, in svg units
+ */
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 10;
+
+/**
+ * Step chart with the amount that becomes spendable over time
+ *
+ * @param {Object} props
+ * @param {LockedUtxo[]} props.schedule Locked utxos in the order they are unlocked
+ * @param {number} props.now Current timestamp, in seconds
+ * @param {boolean} props.isNFT
+ * @param {string} props.symbol
+ *
+ * @memberof Components
+ */
+function UnlockTimeline({ schedule, now, isNFT, symbol }) {
+  const total = schedule.reduce((acc, item) => acc + item.utxo.value, 0);
+  const end = schedule[schedule.length - 1].unlockAt;
+  // Avoid a division by zero when everything unlocks right now
+  const duration = Math.max(end - now, 1);
+
+  const x = (timestamp) => CHART_PADDING + ((timestamp - now) / duration) * (CHART_WIDTH - 2 * CHART_PADDING);
+  const y = (amount) => CHART_HEIGHT - CHART_PADDING - (amount / total) * (CHART_HEIGHT - 2 * CHART_PADDING);
+
+  let unlocked = 0;
+  const points = [`${x(now)},${y(0)}`];
+  for (const item of schedule) {
+    points.push(`${x(item.unlockAt)},${y(unlocked)}`);
+    unlocked += item.utxo.value;
+    points.push(`${x(item.unlockAt)},${y(unlocked)}`);
+  }
+
+  const totalValue = helpers.renderValue(total, isNFT);
+  const endDate = hathorLib.dateFormatter.parseTimestamp(end);
+  return (
+    <div className="mb-3">
+      <svg width="100%" height={CHART_HEIGHT} viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+        <line x1={x(now)} y1={y(0)} x2={x(end)} y2={y(0)} stroke="#ccc" />
+        <polyline points={points.join(' ')} fill="none" stroke={colors.purpleHathor} strokeWidth="2" />
+      </svg>
+      <div className="d-flex flex-row justify-content-between text-muted">
+        <small>{t`Now`}</small>
+        <small>{t`${totalValue} ${symbol} spendable by ${endDate}`}</small>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Panel that lists the locked utxos of a token, with when each one can be spent
+ *
+ * @param {Object} props
+ * @param {string} props.tokenUid
+ *
+ * @memberof Components
+ */
+function LockedFunds({ tokenUid }) {
+  const { tokens, tokenMetadata, height } = useSelector((state) => ({
+    tokens: state.tokens,
+    tokenMetadata: state.tokenMetadata,
+    // The locks are checked again when the network height changes
+    height: state.height,
+  }));
+
+  const [open, setOpen] = useState(false);
+  const [utxos, setUtxos] = useState([]);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+
+    let cancelled = false;
+    utxosUtils.getUtxos(getGlobalWallet(), tokenUid).then((list) => {
+      if (cancelled) return;
+      setUtxos(list);
+      setErrorMessage('');
+    }, (e) => {
+      if (cancelled) return;
+      setErrorMessage(e.message);
+    });
+
+    return () => { cancelled = true; };
+  }, [open, tokenUid, height]);
+
+  const toggle = (e) => {
+    e.preventDefault();
+    setOpen(!open);
+  }
+
+  const token = tokens.find((token) => token.uid === tokenUid);
+  const symbol = token ? token.symbol : '';
+  const isNFT = helpers.isTokenNFT(tokenUid, tokenMetadata);
+  const now = Math.floor(Date.now() / 1000);
+  const schedule = utxosUtils.getUnlockSchedule(utxos, height, now);
+
+  const renderUnlock = ({ utxo, unlockAt }) => {
+    const date = hathorLib.dateFormatter.parseTimestamp(unlockAt);
+    if (utxo.isHeightlocked) {
+      const unlockHeight = utxo.unlockHeight;
+      return t`Block ${unlockHeight} (around ${date})`;
+    }
+    return date;
+  }
+
+  const renderSchedule = () => {
+    if (schedule.length === 0) {
+      return <p>{t`There are no locked unspent outputs of this token.`}</p>;
+    }
+
+    return (
+      <div>
+        <UnlockTimeline schedule={schedule} now={now} isNFT={isNFT} symbol={symbol} />
+        <div className="table-responsive">
+          <table className="table table-striped">
+            <thead>
+              <tr>
+                <th>{t`Tx id`}</th>
+                <th>{t`Amount`}</th>
+                <th>{t`Address`}</th>
+                <th>{t`Type`}</th>
+                <th>{t`Spendable at`}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedule.map((item) => (
+                <tr key={`${item.utxo.txId}:${item.utxo.index}`}>
+                  <td><Link to={`/transaction/${item.utxo.txId}`}>{hathorLib.helpersUtils.getShortHash(item.utxo.txId)}</Link></td>
+                  <td>{helpers.renderValue(item.utxo.value, isNFT)} {symbol}</td>
+                  <td className="text-monospace">{item.utxo.address}</td>
+                  <td>{item.utxo.isHeightlocked ? t`Block reward` : t`Timelock`}</td>
+                  <td>{renderUnlock(item)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-3 mb-3">
+      <a href="true" onClick={toggle}>{open ? t`Hide locked funds` : t`Show locked funds`}</a>
+      {open && (
+        <div className="mt-3">
+          <h4>{t`Locked funds`}</h4>
+          {renderSchedule()}
+          <p className="text-danger">{errorMessage}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LockedFunds;
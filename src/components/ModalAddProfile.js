@@ -0,0 +1,96 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { t } from 'ttag';
+import { useDispatch } from 'react-redux';
+import PropTypes from 'prop-types';
+import { profileSwitchRequested } from '../actions';
+import LOCAL_STORE from '../storage';
+
+/**
+ * Component that shows a modal to create a new wallet profile and switch to it
+ *
+ * @memberof Components
+ */
+function ModalAddProfile({ manageDomLifecycle, onClose }) {
+  const [name, setName] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const nameRef = useRef(null);
+  const dispatch = useDispatch();
+  const modalDomId = 'addProfileModal';
+
+  useEffect(() => {
+    manageDomLifecycle(`#${modalDomId}`);
+    nameRef.current.focus();
+  }, []);
+
+  /**
+   * Creates the profile and switches to it, the current wallet is stopped
+   *
+   * @param {Object} e Event emitted when the form is submitted
+   */
+  const handleAdd = (e) => {
+    e.preventDefault();
+
+    const profileName = name.trim();
+    if (!profileName) {
+      setErrorMessage(t`Must provide a name for the wallet`);
+      return;
+    }
+
+    const profileId = LOCAL_STORE.addProfile(profileName);
+    onClose(`#${modalDomId}`);
+    dispatch(profileSwitchRequested(profileId));
+  }
+
+  return (
+    <div className="modal fade" id={modalDomId} tabIndex="-1" role="dialog" aria-labelledby={modalDomId} aria-hidden="true">
+      <div className="modal-dialog" role="document">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">{t`Add wallet`}</h5>
+            <button type="button" className="close" data-dismiss="modal" aria-label="Close">
+              <span aria-hidden="true">&times;</span>
+            </button>
+          </div>
+          <div className="modal-body">
+            <p>{t`Each wallet has its own keys, tokens and server. The current wallet will be locked and you can go back to it from the wallet menu.`}</p>
+            <form onSubmit={handleAdd}>
+              <input
+                ref={nameRef}
+                type="text"
+                className="form-control"
+                placeholder={t`Wallet name`}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+              />
+            </form>
+            {errorMessage && <p className="mt-3 text-danger">{errorMessage}</p>}
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" data-dismiss="modal">{t`Cancel`}</button>
+            <button onClick={handleAdd} type="button" className="btn btn-hathor">{t`Add`}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ModalAddProfile.propTypes = {
+  /**
+   * Callback provided by the GlobalModal helper to show the modal
+   */
+  manageDomLifecycle: PropTypes.func.isRequired,
+  /**
+   * Callback provided by the GlobalModal helper to manage the modal lifecycle
+   */
+  onClose: PropTypes.func.isRequired,
+};
+
+export default ModalAddProfile;
@@ -0,0 +1,99 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { t } from 'ttag';
+import { useDispatch, useSelector } from 'react-redux';
+import PropTypes from 'prop-types';
+import { addressLabelsUpdated } from '../actions';
+import addressLabels from '../utils/addressLabels';
+
+/**
+ * Component that shows a modal to edit the label of an address, telling what it was given out for
+ *
+ * @memberof Components
+ */
+function ModalAddressLabel({ manageDomLifecycle, onClose, address, title, onSave }) {
+  const existing = useSelector(state => state.addressLabels[address]);
+  const [label, setLabel] = useState(existing || '');
+  const dispatch = useDispatch();
+  const modalDomId = 'addressLabelModal';
+
+  useEffect(() => {
+    manageDomLifecycle(`#${modalDomId}`);
+  }, []);
+
+  /**
+   * Saves the label, then closes the modal
+   *
+   * @param {Object} e Event emitted when the form is submitted
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    // The caller may not be able to use the label, like when the address can't be reserved
+    const canSave = !onSave || (await onSave(label.trim())) !== false;
+    if (canSave) {
+      dispatch(addressLabelsUpdated(addressLabels.setLabel(address, label)));
+    }
+    onClose(`#${modalDomId}`);
+  }
+
+  return (
+    <div className="modal fade" id={modalDomId} tabIndex="-1" role="dialog" aria-labelledby={modalDomId} aria-hidden="true">
+      <div className="modal-dialog" role="document">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">{title || t`Address label`}</h5>
+            <button type="button" className="close" data-dismiss="modal" aria-label="Close">
+              <span aria-hidden="true">&times;</span>
+            </button>
+          </div>
+          <div className="modal-body">
+            <p className="text-monospace text-break">{address}</p>
+            <form onSubmit={handleSave}>
+              <div className="form-group">
+                <label>{t`Label`}</label>
+                <input type="text" className="form-control" placeholder={t`Invoice #123`} value={label} onChange={(e) => setLabel(e.target.value)} />
+              </div>
+            </form>
+            <p className="text-muted">{t`Labels are saved only on this computer.`}</p>
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" data-dismiss="modal">{t`Cancel`}</button>
+            <button onClick={handleSave} type="button" className="btn btn-hathor">{t`Save`}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ModalAddressLabel.propTypes = {
+  /**
+   * Callback provided by the GlobalModal helper to show the modal
+   */
+  manageDomLifecycle: PropTypes.func.isRequired,
+  /**
+   * Callback provided by the GlobalModal helper to manage the modal lifecycle
+   */
+  onClose: PropTypes.func.isRequired,
+  /**
+   * Address being labeled
+   */
+  address: PropTypes.string.isRequired,
+  /**
+   * Title of the modal, defaults to "Address label"
+   */
+  title: PropTypes.string,
+  /**
+   * Called with the label before it is saved. The label is not saved if it returns false
+   */
+  onSave: PropTypes.func,
+};
+
+export default ModalAddressLabel;
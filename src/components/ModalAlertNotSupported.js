@@ -9,6 +9,7 @@ import React from 'react';
 import { t } from 'ttag'
 
 import ModalAlert from './ModalAlert.js';
+import LOCAL_STORE from '../storage';
 
 
 /**
@@ -19,6 +20,22 @@ import ModalAlert from './ModalAlert.js';
 class ModalAlertNotSupported extends React.Component {
   render() {
     const renderBody = () => {
+      if (LOCAL_STORE.isWatchOnlyWallet()) {
+        return (
+          <div>
+            <p>{t`This is a watch-only wallet, so it has no private keys to sign transactions. If you need this feature, you can use it on the wallet that holds the keys of this xpub.`}</p>
+          </div>
+        );
+      }
+
+      if (LOCAL_STORE.isMultisigWallet()) {
+        return (
+          <div>
+            <p>{t`This feature is not supported on multisig wallets, since its transactions must be signed by the other participants.`}</p>
+          </div>
+        );
+      }
+
       return (
         <div>
           <p>{t`Unfortunately this feature is currently not supported when using a hardware wallet. If you need this feature, you can use it switching to a software wallet.`}</p>
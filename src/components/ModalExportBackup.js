@@ -0,0 +1,143 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { t } from 'ttag';
+import PropTypes from 'prop-types';
+import PinInput from './PinInput';
+import backup from '../utils/backup';
+import helpers from '../utils/helpers';
+import { getGlobalWallet } from '../modules/wallet';
+import { PASSWORD_PATTERN } from '../constants';
+
+/**
+ * Component that shows a modal to download an encrypted backup file of the wallet
+ *
+ * The wallet keys on the backup remain encrypted with the PIN, so we ask for it here
+ * to make sure the user will be able to unlock the wallet after restoring it.
+ *
+ * @memberof Components
+ */
+function ModalExportBackup({ manageDomLifecycle, onClose }) {
+  const [errorMessage, setErrorMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+  const formRef = useRef(null);
+  const passwordRef = useRef(null);
+  const confirmRef = useRef(null);
+  const pinInputRef = useRef(null);
+  const modalDomId = 'exportBackupModal';
+
+  useEffect(() => {
+    manageDomLifecycle(`#${modalDomId}`);
+  }, []);
+
+  /**
+   * Validates the form, then creates the backup file and triggers its download
+   *
+   * @param {Object} e Event emitted when the form is submitted
+   */
+  const handleExport = async (e) => {
+    e.preventDefault();
+
+    if (formRef.current.checkValidity() === false) {
+      formRef.current.classList.add('was-validated');
+      return;
+    }
+    formRef.current.classList.remove('was-validated');
+
+    const password = passwordRef.current.value;
+    if (password !== confirmRef.current.value) {
+      setErrorMessage(t`Both fields must be equal`);
+      return;
+    }
+
+    const pin = pinInputRef.current.refs.pin.value;
+    const wallet = getGlobalWallet();
+    if (!await wallet.checkPin(pin)) {
+      setErrorMessage(t`Invalid PIN`);
+      return;
+    }
+
+    setErrorMessage('');
+    setLoading(true);
+    // Give the render a chance to show the loading message, the key derivation takes a while
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const contents = backup.createBackup(password);
+
+    helpers.downloadFile(contents, 'Hathor Wallet - Backup.json', 'application/json');
+
+    setLoading(false);
+    onClose(`#${modalDomId}`);
+  }
+
+  return (
+    <div className="modal fade" id={modalDomId} tabIndex="-1" role="dialog" aria-labelledby={modalDomId} aria-hidden="true">
+      <div className="modal-dialog" role="document">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">{t`Export wallet backup`}</h5>
+            <button type="button" className="close" data-dismiss="modal" aria-label="Close">
+              <span aria-hidden="true">&times;</span>
+            </button>
+          </div>
+          <div className="modal-body">
+            <p>{t`The backup file keeps your wallet keys, registered tokens and settings, encrypted with the password below.`}</p>
+            <p>{t`To restore it you will need this password and your current PIN.`}</p>
+            <form ref={formRef} onSubmit={handleExport} noValidate>
+              <div className="form-group">
+                <input
+                  ref={passwordRef}
+                  type="password"
+                  pattern={PASSWORD_PATTERN}
+                  className="form-control"
+                  placeholder={t`Backup password`}
+                  autoComplete="new-password"
+                  required
+                />
+                <div className="invalid-feedback">
+                  {t`The password must have at least 8 characters, with upper and lower case letters, numbers and symbols.`}
+                </div>
+              </div>
+              <div className="form-group">
+                <input
+                  ref={confirmRef}
+                  type="password"
+                  className="form-control"
+                  placeholder={t`Confirm backup password`}
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <PinInput ref={pinInputRef} />
+              </div>
+            </form>
+            {loading && <p className="mt-3">{t`Encrypting backup...`}</p>}
+            {errorMessage && <p className="mt-3 text-danger">{errorMessage}</p>}
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" data-dismiss="modal">{t`Cancel`}</button>
+            <button onClick={handleExport} type="button" className="btn btn-hathor" disabled={loading}>{t`Export`}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ModalExportBackup.propTypes = {
+  /**
+   * Callback provided by the GlobalModal helper to show the modal
+   */
+  manageDomLifecycle: PropTypes.func.isRequired,
+  /**
+   * Callback provided by the GlobalModal helper to manage the modal lifecycle
+   */
+  onClose: PropTypes.func.isRequired,
+};
+
+export default ModalExportBackup;
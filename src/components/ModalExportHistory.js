@@ -0,0 +1,157 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { t } from 'ttag';
+import { useSelector } from 'react-redux';
+import PropTypes from 'prop-types';
+import historyExport from '../utils/historyExport';
+import helpers from '../utils/helpers';
+import { getGlobalWallet } from '../modules/wallet';
+
+/**
+ * Value of the token select to export the history of all registered tokens
+ */
+const ALL_TOKENS = 'all';
+
+/**
+ * Component that shows a modal to export the complete transaction history as a CSV or JSON file
+ *
+ * @memberof Components
+ */
+function ModalExportHistory({ manageDomLifecycle, onClose, tokenUid }) {
+  const { tokens, tokenMetadata, txNotes } = useSelector(state => ({
+    tokens: state.tokens,
+    tokenMetadata: state.tokenMetadata,
+    txNotes: state.txNotes,
+  }));
+  const [selectedToken, setSelectedToken] = useState(tokenUid || ALL_TOKENS);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [format, setFormat] = useState('csv');
+  const [loading, setLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const modalDomId = 'exportHistoryModal';
+
+  useEffect(() => {
+    manageDomLifecycle(`#${modalDomId}`);
+  }, []);
+
+  /**
+   * Fetch the history of the selected tokens and download the file
+   *
+   * @param {Object} e Event emitted when the button is clicked
+   */
+  const handleExport = async (e) => {
+    e.preventDefault();
+
+    const startTimestamp = helpers.dateInputToTimestamp(startDate);
+    // The end date is inclusive, so we get the transactions until the start of the next day
+    const endTimestamp = helpers.dateInputToTimestamp(endDate, 1);
+    if (startTimestamp && endTimestamp && startTimestamp >= endTimestamp) {
+      setErrorMessage(t`The start date must be before the end date`);
+      return;
+    }
+
+    const exportTokens = selectedToken === ALL_TOKENS
+      ? tokens
+      : tokens.filter((token) => token.uid === selectedToken);
+
+    setErrorMessage('');
+    setLoading(true);
+    try {
+      const rows = await historyExport.buildRows(getGlobalWallet(), exportTokens, {
+        startTimestamp,
+        endTimestamp,
+        tokenMetadata,
+        txNotes,
+      });
+      const fileName = `Hathor Wallet - History.${format}`;
+      if (format === 'csv') {
+        helpers.downloadFile(historyExport.toCsv(rows), fileName, 'text/csv');
+      } else {
+        helpers.downloadFile(historyExport.toJson(rows), fileName, 'application/json');
+      }
+    } catch (err) {
+      setLoading(false);
+      setErrorMessage(t`Error loading the history: ${err.message}`);
+      return;
+    }
+
+    setLoading(false);
+    onClose(`#${modalDomId}`);
+  }
+
+  return (
+    <div className="modal fade" id={modalDomId} tabIndex="-1" role="dialog" aria-labelledby={modalDomId} aria-hidden="true">
+      <div className="modal-dialog" role="document">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">{t`Export history`}</h5>
+            <button type="button" className="close" data-dismiss="modal" aria-label="Close">
+              <span aria-hidden="true">&times;</span>
+            </button>
+          </div>
+          <div className="modal-body">
+            <form onSubmit={handleExport}>
+              <div className="form-group">
+                <label>{t`Token`}</label>
+                <select className="form-control" value={selectedToken} onChange={(e) => setSelectedToken(e.target.value)}>
+                  <option value={ALL_TOKENS}>{t`All registered tokens`}</option>
+                  {tokens.map((token) => <option key={token.uid} value={token.uid}>{token.symbol}</option>)}
+                </select>
+              </div>
+              <div className="form-row">
+                <div className="form-group col-6">
+                  <label>{t`From`}</label>
+                  <input type="date" className="form-control" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+                </div>
+                <div className="form-group col-6">
+                  <label>{t`To`}</label>
+                  <input type="date" className="form-control" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+                </div>
+              </div>
+              <div className="form-group">
+                <div className="form-check form-check-inline">
+                  <input className="form-check-input" type="radio" id="exportFormatCsv" checked={format === 'csv'} onChange={() => setFormat('csv')} />
+                  <label className="form-check-label" htmlFor="exportFormatCsv">CSV</label>
+                </div>
+                <div className="form-check form-check-inline">
+                  <input className="form-check-input" type="radio" id="exportFormatJson" checked={format === 'json'} onChange={() => setFormat('json')} />
+                  <label className="form-check-label" htmlFor="exportFormatJson">JSON</label>
+                </div>
+              </div>
+            </form>
+            {loading && <p>{t`Loading the complete history, this may take a while...`}</p>}
+            {errorMessage && <p className="text-danger">{errorMessage}</p>}
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" data-dismiss="modal">{t`Cancel`}</button>
+            <button onClick={handleExport} type="button" className="btn btn-hathor" disabled={loading}>{t`Export`}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ModalExportHistory.propTypes = {
+  /**
+   * Callback provided by the GlobalModal helper to show the modal
+   */
+  manageDomLifecycle: PropTypes.func.isRequired,
+  /**
+   * Callback provided by the GlobalModal helper to manage the modal lifecycle
+   */
+  onClose: PropTypes.func.isRequired,
+  /**
+   * Token selected when the modal opens
+   */
+  tokenUid: PropTypes.string,
+};
+
+export default ModalExportHistory;
@@ -0,0 +1,139 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { t } from 'ttag';
+import { useSelector } from 'react-redux';
+import PropTypes from 'prop-types';
+import QRCode from 'qrcode.react';
+import { CopyToClipboard } from 'react-copy-to-clipboard';
+import hathorLib from '@hathor/wallet-lib';
+import paymentRequest from '../utils/paymentRequest';
+import batchPayments from '../utils/batchPayments';
+import helpers from '../utils/helpers';
+
+/**
+ * Component that shows a modal to request a payment to the current address,
+ * with the token, amount and memo encoded on an URI and its QR code
+ *
+ * @memberof Components
+ */
+function ModalPaymentRequest({ manageDomLifecycle }) {
+  const { address, tokens, tokenMetadata, selectedToken } = useSelector((state) => ({
+    address: state.lastSharedAddress,
+    tokens: state.tokens,
+    tokenMetadata: state.tokenMetadata,
+    selectedToken: state.selectedToken,
+  }));
+  const [tokenUid, setTokenUid] = useState(selectedToken || hathorLib.constants.NATIVE_TOKEN_UID);
+  const [amount, setAmount] = useState('');
+  const [memo, setMemo] = useState('');
+  const [copied, setCopied] = useState(false);
+  const downloadLinkRef = useRef();
+  const copiedTimerRef = useRef(null);
+  const modalDomId = 'paymentRequestModal';
+
+  useEffect(() => {
+    manageDomLifecycle(`#${modalDomId}`);
+    return () => clearTimeout(copiedTimerRef.current);
+  }, []);
+
+  const isNFT = helpers.isTokenNFT(tokenUid, tokenMetadata);
+  const cleanAmount = amount.replace(/,/g, '').trim();
+  const isAmountValid = !cleanAmount || batchPayments.parseAmount(cleanAmount, isNFT) !== null;
+  const uri = paymentRequest.buildUri({
+    address,
+    tokenUid,
+    amount: isAmountValid ? cleanAmount : '',
+    memo: memo.trim(),
+  });
+
+  /**
+   * Download the QR code image
+   */
+  const download = () => {
+    const canvas = document.querySelector(`#${modalDomId} canvas`);
+    if (canvas) {
+      downloadLinkRef.current.href = canvas.toDataURL();
+    }
+    downloadLinkRef.current.click();
+  }
+
+  /**
+   * Show a message for a while after the URI is copied
+   *
+   * @param {string} _text Text copied to clipboard
+   * @param {*} result Null in case of error
+   */
+  const onCopy = (_text, result) => {
+    if (result) {
+      setCopied(true);
+      copiedTimerRef.current = setTimeout(() => setCopied(false), 2000);
+    }
+  }
+
+  return (
+    <div className="modal fade" id={modalDomId} tabIndex="-1" role="dialog" aria-labelledby={modalDomId} aria-hidden="true">
+      <div className="modal-dialog" role="document">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">{t`Request payment`}</h5>
+            <button type="button" className="close" data-dismiss="modal" aria-label="Close">
+              <span aria-hidden="true">&times;</span>
+            </button>
+          </div>
+          <div className="modal-body">
+            <form onSubmit={(e) => e.preventDefault()}>
+              <div className="form-row">
+                <div className="form-group col-4">
+                  <label>{t`Token`}</label>
+                  <select className="form-control" value={tokenUid} onChange={(e) => setTokenUid(e.target.value)}>
+                    {tokens.map((token) => <option key={token.uid} value={token.uid}>{token.symbol}</option>)}
+                  </select>
+                </div>
+                <div className="form-group col-8">
+                  <label>{t`Amount`}</label>
+                  <input type="text" className="form-control" placeholder={isNFT ? '0' : hathorLib.numberUtils.prettyValue(0)}
+                    value={amount} onChange={(e) => setAmount(e.target.value)} />
+                  {!isAmountValid && <small className="text-danger">{t`Invalid amount`}</small>}
+                </div>
+              </div>
+              <div className="form-group">
+                <label>{t`Memo`}</label>
+                <input type="text" className="form-control" value={memo} onChange={(e) => setMemo(e.target.value)} />
+              </div>
+            </form>
+            <div className="d-flex flex-column align-items-center">
+              <QRCode size={200} value={uri} />
+              <span className="mt-3 text-break">
+                {uri}
+                <CopyToClipboard text={uri} onCopy={onCopy}>
+                  <i className="fa fa-clone pointer ml-1" title={t`Copy to clipboard`}></i>
+                </CopyToClipboard>
+              </span>
+              <a href="true" download={`Hathor payment request - ${address}`} className="hidden" ref={downloadLinkRef}>{t`Download`}</a>
+              {copied && <p className="text-success mt-3">{t`Payment request copied to clipboard!`}</p>}
+            </div>
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" data-dismiss="modal">{t`Close`}</button>
+            <button onClick={download} type="button" className="btn btn-hathor">{t`Download`}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ModalPaymentRequest.propTypes = {
+  /**
+   * Callback provided by the GlobalModal helper to show the modal
+   */
+  manageDomLifecycle: PropTypes.func.isRequired,
+};
+
+export default ModalPaymentRequest;
@@ -27,15 +27,23 @@ export class ModalPin extends React.Component {
 
   pin = '';
 
+  /**
+   * If the modal was already closed, so the callbacks are not called twice
+   */
+  closed = false;
+
   componentDidMount = () => {
     $('#modalPin').modal('show');
     $('#modalPin').on('hidden.bs.modal', (e) => {
+      this.closed = true;
       // Mandatory cleanup by GlobalModal
       this.props.onClose();
 
       // If the correct PIN was inserted, call the `onSuccess` callback
       if (this.pin) {
         this.props.onSuccess({ pin: this.pin })
+      } else if (this.props.onCancel) {
+        this.props.onCancel();
       }
     });
 
@@ -49,6 +57,11 @@ export class ModalPin extends React.Component {
     // Removing all event listeners
     $('#modalPin').off();
     $('#modalPin').modal('hide');
+
+    // The modal may be replaced by another one before being closed
+    if (!this.closed && this.props.onCancel) {
+      this.props.onCancel();
+    }
   }
 
   /**
@@ -146,6 +159,10 @@ ModalPin.propTypes = {
    * Callback invoked when tx is sent with success
    */
   onSuccess: PropTypes.func.isRequired,
+  /**
+   * Optional callback invoked when the modal is closed without a valid PIN
+   */
+  onCancel: PropTypes.func,
   /**
    * Callback provided by the GlobalModal helper to manage the modal lifecycle
    */
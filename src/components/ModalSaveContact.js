@@ -0,0 +1,119 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { t } from 'ttag';
+import { useSelector } from 'react-redux';
+import PropTypes from 'prop-types';
+import addressBook from '../utils/addressBook';
+
+/**
+ * Component that shows a modal to add a contact to the address book or edit an existing one
+ *
+ * @memberof Components
+ */
+function ModalSaveContact({ manageDomLifecycle, onClose, address, onSave }) {
+  const existingContact = address ? addressBook.getContact(address) : null;
+  const [name, setName] = useState(existingContact?.name || '');
+  const [contactAddress, setContactAddress] = useState(address || '');
+  const [notes, setNotes] = useState(existingContact?.notes || '');
+  const [tokenUid, setTokenUid] = useState(existingContact?.tokenUid || '');
+  const [errorMessage, setErrorMessage] = useState('');
+  const tokens = useSelector(state => state.tokens);
+  const modalDomId = 'saveContactModal';
+
+  useEffect(() => {
+    manageDomLifecycle(`#${modalDomId}`);
+  }, []);
+
+  /**
+   * Validates and saves the contact, then closes the modal
+   *
+   * @param {Object} e Event emitted when the form is submitted
+   */
+  const handleSave = (e) => {
+    e.preventDefault();
+
+    const error = addressBook.saveContact(
+      { name, address: contactAddress, notes, tokenUid: tokenUid || null },
+      existingContact?.address,
+    );
+    if (error) {
+      setErrorMessage(error);
+      return;
+    }
+
+    onClose(`#${modalDomId}`);
+    if (onSave) {
+      onSave();
+    }
+  }
+
+  return (
+    <div className="modal fade" id={modalDomId} tabIndex="-1" role="dialog" aria-labelledby={modalDomId} aria-hidden="true">
+      <div className="modal-dialog" role="document">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">{existingContact ? t`Edit contact` : t`Save as contact`}</h5>
+            <button type="button" className="close" data-dismiss="modal" aria-label="Close">
+              <span aria-hidden="true">&times;</span>
+            </button>
+          </div>
+          <div className="modal-body">
+            <form onSubmit={handleSave}>
+              <div className="form-group">
+                <label>{t`Name`}</label>
+                <input type="text" className="form-control" value={name} onChange={(e) => setName(e.target.value)} />
+              </div>
+              <div className="form-group">
+                <label>{t`Address`}</label>
+                <input type="text" className="form-control" value={contactAddress} onChange={(e) => setContactAddress(e.target.value)} />
+              </div>
+              <div className="form-group">
+                <label>{t`Only send this token`}</label>
+                <select className="form-control" value={tokenUid} onChange={(e) => setTokenUid(e.target.value)}>
+                  <option value="">{t`Any token`}</option>
+                  {tokens.map((token) => <option key={token.uid} value={token.uid}>{token.symbol}</option>)}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>{t`Notes`}</label>
+                <textarea className="form-control" rows={3} value={notes} onChange={(e) => setNotes(e.target.value)} />
+              </div>
+            </form>
+            {errorMessage && <p className="text-danger">{errorMessage}</p>}
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" data-dismiss="modal">{t`Cancel`}</button>
+            <button onClick={handleSave} type="button" className="btn btn-hathor">{t`Save`}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ModalSaveContact.propTypes = {
+  /**
+   * Callback provided by the GlobalModal helper to show the modal
+   */
+  manageDomLifecycle: PropTypes.func.isRequired,
+  /**
+   * Callback provided by the GlobalModal helper to manage the modal lifecycle
+   */
+  onClose: PropTypes.func.isRequired,
+  /**
+   * Address to be saved, if it already has a contact the modal edits it
+   */
+  address: PropTypes.string,
+  /**
+   * Callback invoked after the contact is saved
+   */
+  onSave: PropTypes.func,
+};
+
+export default ModalSaveContact;
@@ -11,9 +11,11 @@ import { connect } from "react-redux";
 import $ from 'jquery';
 import PropTypes from "prop-types";
 import SendTxHandler from '../components/SendTxHandler';
+import TxPreview from '../components/TxPreview';
 import ReactLoading from 'react-loading';
 import { colors } from '../constants';
 import { getGlobalWallet } from '../modules/wallet';
+import txPreview from '../utils/txPreview';
 
 
 const mapStateToProps = (state) => {
@@ -32,15 +34,21 @@ export class ModalSendTx extends React.Component {
   /**
    * @property {boolean} loading If it's executing a sending tx request
    * @property {unknown} [preparedTransaction] The prepared transaction, if any
+   * @property {TxPreview} [preview] Review of the transaction waiting for the user confirmation, if any
    */
   state = {
     loading: true, // The modal is called with all the necessary parameters, so it starts already processing the tx
     preparedTransaction: null,
+    preview: null,
   }
 
   // Tx send data, if succeeded
   sentTx = null;
 
+  // Transaction being reviewed and the method to sign it after the user confirms
+  reviewedTransaction = null;
+  signReviewedTransaction = null;
+
   // Error message when sending
   sendErrorMessage = '';
 
@@ -86,15 +94,53 @@ export class ModalSendTx extends React.Component {
     }
 
     const preparedTx = await this.props.prepareSendTransaction(pin);
-    if (preparedTx) {
+    if (!preparedTx) {
+      // Close modal and show error
+      $('#sendTxModal').modal('hide');
+      return;
+    }
+
+    if (!this.props.review) {
       // Show send tx handler component and start sending
       this.setState({ preparedTransaction: preparedTx });
-    } else {
-      // Close modal and show error
+      return;
+    }
+
+    try {
+      // Choose the inputs and change, so the user can review them before the tx is signed
+      const { preview, sign } = await txPreview.prepare(preparedTx, getGlobalWallet());
+      this.reviewedTransaction = preparedTx;
+      this.signReviewedTransaction = sign;
+      this.setState({ preview, loading: false });
+    } catch (e) {
+      this.sendErrorMessage = e.message;
       $('#sendTxModal').modal('hide');
     }
   }
 
+  /**
+   * Executed when the user confirms the reviewed transaction, then it's signed and sent
+   */
+  onConfirmReview = async () => {
+    this.setState({ loading: true });
+    try {
+      await this.signReviewedTransaction();
+    } catch (e) {
+      this.sendErrorMessage = e.message;
+      $('#sendTxModal').modal('hide');
+      return;
+    }
+    this.setState({ preview: null, preparedTransaction: this.reviewedTransaction });
+  }
+
+  /**
+   * Executed when the user gives up sending the reviewed transaction
+   */
+  onCancelReview = () => {
+    this.sendErrorMessage = t`The transaction was cancelled.`;
+    $('#sendTxModal').modal('hide');
+  }
+
   /**
    * Executed when used clicked ok after tx is sent (or an error happened)
    */
@@ -137,9 +183,10 @@ export class ModalSendTx extends React.Component {
           <div className="modal-dialog" role="document">
             <div className="modal-content">
               <div className="modal-header">
-                <h5 className="modal-title" id="exampleModalLabel">{this.props.title}</h5>
+                <h5 className="modal-title" id="exampleModalLabel">{this.state.preview ? t`Review transaction` : this.props.title}</h5>
               </div>
               <div className="modal-body modal-body-pin">
+                { this.state.preview && <TxPreview preview={this.state.preview} /> }
                 { this.state.preparedTransaction &&
                 <SendTxHandler
                     sendTransaction={this.state.preparedTransaction}
@@ -149,7 +196,16 @@ export class ModalSendTx extends React.Component {
                 }
               </div>
               <div className="modal-footer">
-                {<div className="d-flex flex-row align-items-center">
+                {this.state.preview ? <div className="d-flex flex-row align-items-center">
+                  {this.state.loading &&  <ReactLoading
+                      type='spin'
+                      color={colors.purpleHathor}
+                      width={24} height={24} delay={200}/>}
+                  <button type="button" className="btn btn-secondary ml-3" onClick={this.onCancelReview}
+                          disabled={this.state.loading}>{t`Cancel`}</button>
+                  <button type="button" className="btn btn-hathor ml-3" onClick={this.onConfirmReview}
+                          disabled={this.state.loading}>{t`Confirm and send`}</button>
+                </div> : <div className="d-flex flex-row align-items-center">
                   {this.state.loading &&  <ReactLoading
                       type='spin'
                       color={colors.purpleHathor}
@@ -168,9 +224,10 @@ export class ModalSendTx extends React.Component {
 
 ModalSendTx.propTypes = {
   /**
-   * User PIN already validated
+   * User PIN already validated.
+   * Not needed for transactions already signed, which only have to be mined and pushed
    */
-  pin: PropTypes.string.isRequired,
+  pin: PropTypes.string,
   /**
    * Title of the modal to be shown
    */
@@ -181,6 +238,11 @@ ModalSendTx.propTypes = {
    * @param {string} pin
    */
   prepareSendTransaction: PropTypes.func.isRequired,
+  /**
+   * If the user must review the inputs, outputs and balance change of the tx before it's signed.
+   * Only for transactions that are not prepared yet by `prepareSendTransaction`
+   */
+  review: PropTypes.bool,
   /**
    * Callback invoked when tx is sent with success
    */
@@ -0,0 +1,94 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { t } from 'ttag';
+import { useDispatch, useSelector } from 'react-redux';
+import PropTypes from 'prop-types';
+import hathorLib from '@hathor/wallet-lib';
+import { txNotesUpdated } from '../actions';
+import txNotes from '../utils/txNotes';
+
+/**
+ * Component that shows a modal to edit the note and tags of a transaction
+ *
+ * @memberof Components
+ */
+function ModalTxNote({ manageDomLifecycle, onClose, txId }) {
+  const existing = useSelector(state => state.txNotes[txId]);
+  const [note, setNote] = useState(existing?.note || '');
+  const [tags, setTags] = useState((existing?.tags || []).join(', '));
+  const dispatch = useDispatch();
+  const modalDomId = 'txNoteModal';
+
+  useEffect(() => {
+    manageDomLifecycle(`#${modalDomId}`);
+  }, []);
+
+  /**
+   * Saves the note and tags, then closes the modal
+   *
+   * @param {Object} e Event emitted when the form is submitted
+   */
+  const handleSave = (e) => {
+    e.preventDefault();
+
+    const notesMap = txNotes.setTxNote(txId, note, txNotes.parseTags(tags));
+    dispatch(txNotesUpdated(notesMap));
+    onClose(`#${modalDomId}`);
+  }
+
+  return (
+    <div className="modal fade" id={modalDomId} tabIndex="-1" role="dialog" aria-labelledby={modalDomId} aria-hidden="true">
+      <div className="modal-dialog" role="document">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">{t`Transaction note`}</h5>
+            <button type="button" className="close" data-dismiss="modal" aria-label="Close">
+              <span aria-hidden="true">&times;</span>
+            </button>
+          </div>
+          <div className="modal-body">
+            <p className="text-monospace">{hathorLib.helpersUtils.getShortHash(txId)}</p>
+            <form onSubmit={handleSave}>
+              <div className="form-group">
+                <label>{t`Note`}</label>
+                <textarea className="form-control" rows={3} value={note} onChange={(e) => setNote(e.target.value)} />
+              </div>
+              <div className="form-group">
+                <label>{t`Tags`}</label>
+                <input type="text" className="form-control" placeholder={t`Tags separated by comma`} value={tags} onChange={(e) => setTags(e.target.value)} />
+              </div>
+            </form>
+            <p className="text-muted">{t`Notes are saved only on this computer.`}</p>
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" data-dismiss="modal">{t`Cancel`}</button>
+            <button onClick={handleSave} type="button" className="btn btn-hathor">{t`Save`}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ModalTxNote.propTypes = {
+  /**
+   * Callback provided by the GlobalModal helper to show the modal
+   */
+  manageDomLifecycle: PropTypes.func.isRequired,
+  /**
+   * Callback provided by the GlobalModal helper to manage the modal lifecycle
+   */
+  onClose: PropTypes.func.isRequired,
+  /**
+   * Id of the transaction
+   */
+  txId: PropTypes.string.isRequired,
+};
+
+export default ModalTxNote;
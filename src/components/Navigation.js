@@ -12,9 +12,13 @@ import logo from '../assets/images/hathor-white-logo.png';
 import Version from './Version';
 import ServerStatus from './ServerStatus';
 import helpers from '../utils/helpers';
-import { useSelector } from 'react-redux';
+import walletUtils from '../utils/wallet';
+import LOCAL_STORE from '../storage';
+import { useDispatch, useSelector } from 'react-redux';
 import { FEATURE_TOGGLE_DEFAULTS, NANO_CONTRACTS_FEATURE_TOGGLE } from '../constants';
 import { get } from 'lodash';
+import { profileSwitchRequested } from '../actions';
+import { MODAL_TYPES, useGlobalModalContext } from './GlobalModal';
 
 /**
  * Component that shows a navigation bar with the menu options
@@ -26,6 +30,10 @@ function Navigation() {
   const featureToggles = useSelector(state => state.featureToggles);
   const nanoEnabledDefault = get(FEATURE_TOGGLE_DEFAULTS, NANO_CONTRACTS_FEATURE_TOGGLE, false)
   const nanoEnabled = get(featureToggles, NANO_CONTRACTS_FEATURE_TOGGLE, nanoEnabledDefault);
+  const walletProfiles = useSelector(state => state.walletProfiles);
+  const currentProfileId = useSelector(state => state.currentProfileId);
+  const dispatch = useDispatch();
+  const context = useGlobalModalContext();
 
   /**
    * Method called when user clicked on Explorer menu
@@ -37,6 +45,57 @@ function Navigation() {
     helpers.openExternalURL(helpers.getExplorerURL());
   }
 
+  /**
+   * Method called when user selects another wallet profile on the wallet menu
+   *
+   * @param {Object} e Event for the click
+   * @param {string} profileId Id of the selected profile
+   */
+  const switchProfile = (e, profileId) => {
+    e.preventDefault();
+    if (profileId !== currentProfileId) {
+      dispatch(profileSwitchRequested(profileId));
+    }
+  }
+
+  /**
+   * Method called when user clicks to add a wallet profile
+   *
+   * @param {Object} e Event for the click
+   */
+  const addProfile = (e) => {
+    e.preventDefault();
+    context.showModal(MODAL_TYPES.ADD_PROFILE);
+  }
+
+  const renderProfileSwitcher = () => {
+    const currentProfile = walletProfiles[currentProfileId];
+    if (!currentProfile) {
+      return null;
+    }
+
+    return (
+      <div className="dropdown profile-switcher">
+        <a className="nav-link dropdown-toggle" href="true" id="profileDropdown" role="button" data-toggle="dropdown" aria-haspopup="true" aria-expanded="false" onClick={(e) => e.preventDefault()}>
+          {walletUtils.getProfileName(currentProfile)}
+        </a>
+        <div className="dropdown-menu dropdown-menu-right" aria-labelledby="profileDropdown">
+          {walletUtils.sortProfiles(walletProfiles).map((profile) => (
+            <a
+              key={profile.id}
+              className={`dropdown-item ${profile.id === currentProfileId ? 'active' : ''}`}
+              href="true"
+              onClick={(e) => switchProfile(e, profile.id)}>
+              {walletUtils.getProfileName(profile)}
+            </a>
+          ))}
+          <div className="dropdown-divider" />
+          <a className="dropdown-item" href="true" onClick={addProfile}>{t`Add wallet`}</a>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="main-nav">
       <nav className="navbar navbar-expand-lg navbar-dark">
@@ -62,6 +121,9 @@ function Navigation() {
             <li className="nav-item">
               <NavLink to="/nft/" className="nav-link">{t`NFTs`}</NavLink>
             </li>
+            {LOCAL_STORE.isMultisigWallet() && <li className="nav-item">
+              <NavLink to="/wallet/multisig/" className="nav-link">{t`Multisig`}</NavLink>
+            </li>}
             {useAtomicSwap && <li className="nav-item">
               <NavLink to="/wallet/atomic_swap/" className="nav-link">{t`Atomic Swap`}</NavLink>
             </li>}
@@ -73,6 +135,7 @@ function Navigation() {
             </li>}
           </ul>
           <div className="navbar-right d-flex flex-row align-items-center navigation-search">
+            {renderProfileSwitcher()}
             <ServerStatus />
             <Version />
           </div>
@@ -0,0 +1,46 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import { t } from 'ttag';
+import PropTypes from 'prop-types';
+import { CopyToClipboard } from 'react-copy-to-clipboard';
+import TxPreview from './TxPreview';
+import helpers from '../utils/helpers';
+
+/**
+ * Component that shows the data exchanged between the online and the offline wallets when signing offline,
+ * so it can be copied or saved to a file
+ *
+ * @memberof Components
+ */
+function OfflineTxExport({ preview, description, serialized, fileName }) {
+  const [copied, setCopied] = useState(false);
+
+  return (
+    <div>
+      {preview && <TxPreview preview={preview} />}
+      <p className="mt-3">{description}</p>
+      <textarea className="form-control text-monospace" rows={4} value={serialized} readOnly />
+      <div className="d-flex flex-row align-items-center mt-2">
+        <CopyToClipboard text={serialized} onCopy={() => setCopied(true)}>
+          <button type="button" className="btn btn-secondary mr-2">{copied ? t`Copied!` : t`Copy to clipboard`}</button>
+        </CopyToClipboard>
+        <button type="button" className="btn btn-secondary" onClick={() => helpers.downloadFile(serialized, fileName)}>{t`Save file`}</button>
+      </div>
+    </div>
+  );
+}
+
+OfflineTxExport.propTypes = {
+  preview: PropTypes.object,
+  description: PropTypes.string.isRequired,
+  serialized: PropTypes.string.isRequired,
+  fileName: PropTypes.string.isRequired,
+};
+
+export default OfflineTxExport;
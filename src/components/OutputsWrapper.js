@@ -12,6 +12,7 @@ import _ from 'lodash';
 import hathorLib from '@hathor/wallet-lib';
 import InputNumber from './InputNumber';
 import LOCAL_STORE from '../storage';
+import addressBook from '../utils/addressBook';
 
 /**
  * Component that wraps the outputs of a token in the Send Tokens screen
@@ -48,16 +49,31 @@ class OutputsWrapper extends React.Component {
   render = () => {
     const renderInputNumber = () => {
       const classNames = "form-control output-value col-2";
+      // The default value is an integer, the input adds the decimal places
+      const defaultValue = this.props.defaultValue ? String(this.props.defaultValue) : undefined;
       if (this.props.isNFT) {
-        return <InputNumber key="nft-value" ref={this.value} className={classNames} placeholder="0" precision={0} />;
+        return <InputNumber key="nft-value" ref={this.value} className={classNames} placeholder="0" precision={0} defaultValue={defaultValue} />;
       } else {
-        return <InputNumber key="value" ref={this.value} placeholder={hathorLib.numberUtils.prettyValue(0)} className={classNames} />;
+        return <InputNumber key="value" ref={this.value} placeholder={hathorLib.numberUtils.prettyValue(0)} className={classNames} defaultValue={defaultValue} />;
       }
     }
 
+    // Contacts of the address book are suggested while typing the address
+    const renderContactOptions = () => {
+      const contacts = addressBook.listContacts(LOCAL_STORE.getNetwork()).filter((contact) => (
+        !contact.tokenUid || contact.tokenUid === this.props.tokenUid
+      ));
+      return (
+        <datalist id={`contacts-${this.uniqueID}`}>
+          {contacts.map((contact) => <option key={contact.address} value={contact.address}>{contact.name}</option>)}
+        </datalist>
+      );
+    }
+
     return (
       <div className="input-group mb-3">
-        <input type="text" ref={this.address} placeholder={t`Address`} className="form-control output-address col-5" />
+        <input type="text" ref={this.address} placeholder={t`Address`} className="form-control output-address col-5" list={`contacts-${this.uniqueID}`} defaultValue={this.props.defaultAddress} />
+        {renderContactOptions()}
         {renderInputNumber()}
         <div className="form-check mr-2 d-flex flex-column justify-content-center">
           <input className="form-check-input mt-0 has-timelock" type="checkbox"
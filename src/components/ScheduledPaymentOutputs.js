@@ -0,0 +1,52 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { useSelector } from 'react-redux';
+import PropTypes from 'prop-types';
+import helpers from '../utils/helpers';
+
+/**
+ * Component that lists the outputs of a scheduled payment, with the amount, token and address
+ *
+ * @memberof Components
+ */
+function ScheduledPaymentOutputs({ outputs }) {
+  const { tokens, tokenMetadata } = useSelector((state) => ({
+    tokens: state.tokens,
+    tokenMetadata: state.tokenMetadata,
+  }));
+
+  const getSymbol = (uid) => {
+    const token = tokens.find((token) => token.uid === uid);
+    return token ? token.symbol : uid;
+  };
+
+  return (
+    <ul className="list-unstyled mb-0">
+      {outputs.map((output, index) => (
+        <li key={index}>
+          {helpers.renderValue(output.value, helpers.isTokenNFT(output.token, tokenMetadata))} {getSymbol(output.token)}
+          <span className="text-monospace ml-2">{output.address}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+ScheduledPaymentOutputs.propTypes = {
+  /**
+   * Outputs of the payment {address, value, token}
+   */
+  outputs: PropTypes.arrayOf(PropTypes.shape({
+    address: PropTypes.string.isRequired,
+    value: PropTypes.number.isRequired,
+    token: PropTypes.string.isRequired,
+  })).isRequired,
+};
+
+export default ScheduledPaymentOutputs;
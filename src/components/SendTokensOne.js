@@ -20,6 +20,7 @@ import InputsWrapper from '../components/InputsWrapper';
 import Loading from '../components/Loading';
 import { TOKEN_DOWNLOAD_STATUS } from '../sagas/tokens';
 import LOCAL_STORE from '../storage';
+import addressBook from '../utils/addressBook';
 
 
 const mapStateToProps = (state) => {
@@ -44,7 +45,9 @@ class SendTokensOne extends React.Component {
 
     this.inputsWrapper = React.createRef();
     this.noInputs = React.createRef();
-    this.inputs = [React.createRef()];
+    // Inputs chosen on the utxo list start filled, instead of being chosen automatically
+    this.defaultInputs = props.defaultInputs || [];
+    this.inputs = this.defaultInputs.length ? this.defaultInputs.map(() => React.createRef()) : [React.createRef()];
     this.outputs = [React.createRef()];
     this.uniqueID = _.uniqueId();
 
@@ -55,7 +58,7 @@ class SendTokensOne extends React.Component {
      * selectedTokens {Array} The list of all tokens already selected on the Send Tokens screen
      */
     this.state = {
-      inputsCount: 1,
+      inputsCount: this.inputs.length,
       outputsCount: 1,
       selected: null,
       selectedTokens: []
@@ -114,6 +117,11 @@ class SendTokensOne extends React.Component {
           this.props.updateState({ errorMessage: `Token: ${this.state.selected.symbol}. Output: ${output.current.props.index}. Maximum output value is ${helpers.renderValue(hathorLib.constants.MAX_OUTPUT_VALUE, this.isNFT())}` });
           return null;
         }
+        if (!addressBook.isTokenAllowed(address, this.state.selected.uid)) {
+          const contact = addressBook.getContact(address);
+          this.props.updateState({ errorMessage: t`Token: ${this.state.selected.symbol}. Output: ${output.current.props.index}. The contact ${contact.name} only receives another token` });
+          return null;
+        }
         let dataOutput = {'address': address, 'value': parseInt(tokensValue, 10), 'token': this.state.selected.uid};
 
         const hasTimelock = output.current.timelockCheckbox.current.checked;
@@ -173,14 +181,20 @@ class SendTokensOne extends React.Component {
 
   render = () => {
     const renderOutputs = () => {
+      // The default output, filled from a payment request, is the first one
+      const defaultOutput = this.props.defaultOutput || {};
       return this.outputs.map((output, index) =>
-        <OutputsWrapper key={index} index={index} setRef={(node) => { output.current = node; }} addOutput={this.addOutput} isNFT={this.isNFT()} />
+        <OutputsWrapper key={index} index={index} setRef={(node) => { output.current = node; }} addOutput={this.addOutput} isNFT={this.isNFT()} tokenUid={this.state.selected.uid}
+          defaultAddress={index === 0 ? defaultOutput.address : undefined}
+          defaultValue={index === 0 ? defaultOutput.value : undefined} />
       );
     }
 
     const renderInputs = () => {
       return this.inputs.map((input, index) =>
-        <InputsWrapper key={index} index={index} ref={input} addInput={this.addInput} />
+        <InputsWrapper key={index} index={index} ref={input} addInput={this.addInput}
+          defaultTxId={this.defaultInputs[index] ? this.defaultInputs[index].txId : undefined}
+          defaultIndex={this.defaultInputs[index] ? this.defaultInputs[index].index : undefined} />
       );
     }
 
@@ -249,12 +263,12 @@ class SendTokensOne extends React.Component {
           {renderOutputs()}
         </div>
         <div className="form-check checkbox-wrapper">
-          <input className="form-check-input" type="checkbox" defaultChecked="true" ref={this.noInputs} id={this.uniqueID} onChange={this.handleCheckboxChange} />
+          <input className="form-check-input" type="checkbox" defaultChecked={this.defaultInputs.length === 0} ref={this.noInputs} id={this.uniqueID} onChange={this.handleCheckboxChange} />
           <label className="form-check-label" htmlFor={this.uniqueID}>
             {t`Choose inputs automatically`}
           </label>
         </div>
-        <div ref={this.inputsWrapper} className="inputs-wrapper" style={{display: 'none'}}>
+        <div ref={this.inputsWrapper} className="inputs-wrapper" style={this.defaultInputs.length ? null : {display: 'none'}}>
           <label htmlFor="inputs">{t`Inputs`}</label>
           {renderInputs()}
         </div>
@@ -119,6 +119,22 @@ class TokenAdministrative extends React.Component {
       )
     }
 
+    if (LOCAL_STORE.isWatchOnlyWallet()) {
+      return (
+        <div className="content-wrapper flex align-items-start">
+          <p>{t`This is a watch-only wallet, so it can't mint, melt or delegate authorities.`}</p>
+        </div>
+      )
+    }
+
+    if (LOCAL_STORE.isMultisigWallet()) {
+      return (
+        <div className="content-wrapper flex align-items-start">
+          <p>{t`Minting, melting and delegating authorities are not supported on multisig wallets.`}</p>
+        </div>
+      )
+    }
+
     if (this.state.errorMessage) {
       return (
         <div className="content-wrapper flex align-items-start">
@@ -20,6 +20,8 @@ import TokenPagination from './TokenPagination';
 import HathorAlert from './HathorAlert';
 import { TOKEN_DOWNLOAD_STATUS } from '../sagas/tokens';
 import { getGlobalWallet } from "../modules/wallet";
+import { GlobalModalContext, MODAL_TYPES } from './GlobalModal';
+import TokenHistoryFilter from './TokenHistoryFilter';
 
 const mapStateToProps = (state, props) => {
   const defaultTokenHistory = {
@@ -34,6 +36,8 @@ const mapStateToProps = (state, props) => {
   return {
     tokenHistory: history,
     tokenMetadata: state.tokenMetadata,
+    txNotes: state.txNotes,
+    addressLabels: state.addressLabels,
   };
 };
 
@@ -44,6 +48,8 @@ const mapStateToProps = (state, props) => {
  * @memberof Components
  */
 class TokenHistory extends React.Component {
+  static contextType = GlobalModalContext;
+
   constructor(props) {
     super(props);
 
@@ -75,7 +81,15 @@ class TokenHistory extends React.Component {
   }
 
   componentDidUpdate = (prevProps) => {
-    if (prevProps.tokenHistory.data !== this.props.tokenHistory.data) {
+    if (prevProps.tokenHistory.filter !== this.props.tokenHistory.filter) {
+      // The filter changed, so we go back to the first page
+      this.setState({ reference: null, direction: null }, () => {
+        this.handleHistoryUpdate();
+      });
+    } else if (prevProps.tokenHistory.data !== this.props.tokenHistory.data) {
+      this.handleHistoryUpdate();
+    } else if (this.props.tokenHistory.filter && prevProps.txNotes !== this.props.txNotes) {
+      // A tag was added or removed from a transaction, so the filtered list may have changed
       this.handleHistoryUpdate();
     }
   }
@@ -106,8 +120,11 @@ class TokenHistory extends React.Component {
     e.preventDefault();
     this.setState({ reference: this.state.lastHash, direction: 'next' }, () => {
       // Every time the user clicks on the next button we must try to fetch more history
-      // usually we will have at least five more pages already fetched
-      this.fetchMoreHistory();
+      // usually we will have at least five more pages already fetched.
+      // With a filter the full history is already being loaded by the tokens saga.
+      if (!helpers.isHistoryFilterActive(this.props.tokenHistory.filter)) {
+        this.fetchMoreHistory();
+      }
       this.handleHistoryUpdate();
     });
   }
@@ -124,12 +141,36 @@ class TokenHistory extends React.Component {
     });
   }
 
+  /**
+   * Get the loaded history of the token, only with the transactions that match the filter
+   *
+   * @return {Object[]}
+   */
+  getFilteredHistory = () => {
+    const history = get(this.props.tokenHistory, 'data', []);
+    return helpers.filterTokenHistory(history, this.props.tokenHistory.filter, this.props.txNotes);
+  }
+
+  /**
+   * Open the modal to edit the note and tags of a transaction
+   *
+   * @param {Object} e Event emitted when the link is clicked
+   * @param {string} txId Id of the transaction
+   */
+  editNoteClicked = (e, txId) => {
+    e.preventDefault();
+    this.context.showModal(MODAL_TYPES.TX_NOTE, { txId });
+  }
+
   /**
    * Calculates the transactions that will be shown in the list, besides the pagination data
    */
   handleHistoryUpdate = () => {
-    const history = get(this.props.tokenHistory, 'data', []);
-    if (history.length > 0) {
+    const history = this.getFilteredHistory();
+    if (history.length === 0 && helpers.isHistoryFilterActive(this.props.tokenHistory.filter)) {
+      // No transaction matches the filter
+      this.setState({ hasAfter: false, hasBefore: false, firstHash: null, lastHash: null, transactions: [], reference: null });
+    } else if (history.length > 0) {
       let startIndex = 0;
       let endIndex = this.props.count;
       if (this.state.reference !== null) {
@@ -163,7 +204,7 @@ class TokenHistory extends React.Component {
     if (this.state.reference === null) {
       throw new Error('State reference cannot be null calling this method.');
     }
-    const history = get(this.props.tokenHistory, 'data', []);
+    const history = this.getFilteredHistory();
     const idxReference = history.findIndex((tx) =>
       tx.tx_id === this.state.reference
     );
@@ -216,9 +257,37 @@ class TokenHistory extends React.Component {
   }
 
   render() {
+    const renderTxNote = (txId) => {
+      const txNote = this.props.txNotes[txId];
+      return (
+        <div className="tx-note">
+          {txNote && txNote.tags.map((tag) => <span key={tag} className="badge badge-secondary mr-1">{tag}</span>)}
+          {txNote && txNote.note && <span className="text-muted mr-1" title={txNote.note}>{txNote.note}</span>}
+          <a href="true" onClick={(e) => this.editNoteClicked(e, txId)} title={t`Edit note`}>
+            <i className="fa fa-pencil"></i>
+          </a>
+        </div>
+      );
+    }
+
+    const renderAddressLabels = (tx) => {
+      const labels = (tx.outputAddresses || [])
+        .map((address) => this.props.addressLabels[address])
+        .filter((label) => label);
+      if (labels.length === 0) {
+        return null;
+      }
+      return (
+        <div>
+          {[...new Set(labels)].map((label) => <span key={label} className="badge badge-info mr-1" title={t`Address label`}>{label}</span>)}
+        </div>
+      );
+    }
+
     const renderHistory = () => {
       return (
         <div className="table-responsive">
+          {this.props.showFilter && <TokenHistoryFilter key={this.props.selectedToken} tokenUid={this.props.selectedToken} />}
           <table className="mt-3 table table-striped" id="token-history">
             <thead>
               <tr>
@@ -233,8 +302,11 @@ class TokenHistory extends React.Component {
               { renderHistoryData() }
             </tbody>
           </table>
+          {this.state.transactions.length === 0 && helpers.isHistoryFilterActive(this.props.tokenHistory.filter) && (
+            <p>{t`No transactions match the filter.`}</p>
+          )}
           <TokenPagination
-            history={this.props.tokenHistory.data}
+            history={this.getFilteredHistory()}
             hasBefore={this.state.hasBefore}
             hasAfter={this.state.hasAfter}
             nextClicked={this.nextClicked}
@@ -299,6 +371,8 @@ class TokenHistory extends React.Component {
               <CopyToClipboard text={tx.tx_id} onCopy={this.copied}>
                 <i className="fa fa-clone pointer ml-1" title="Copy to clipboard"></i>
               </CopyToClipboard>
+              {renderAddressLabels(tx)}
+              {renderTxNote(tx.tx_id)}
             </td>
             <td className={tx.is_voided ? 'voided state' : 'state'}>{statusElement}</td>
             <td>{tx.is_voided && renderVoidedElement()}</td>
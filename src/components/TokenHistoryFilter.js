@@ -0,0 +1,221 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import { t } from 'ttag';
+import { useDispatch, useSelector } from 'react-redux';
+import PropTypes from 'prop-types';
+import { get } from 'lodash';
+import hathorLib from '@hathor/wallet-lib';
+import { tokenHistoryFilterUpdated } from '../actions';
+import helpers from '../utils/helpers';
+import wallet from '../utils/wallet';
+import txNotesUtils from '../utils/txNotes';
+import { TX_DIRECTION } from '../constants';
+
+/**
+ * Convert a timestamp to the value of a date input, in the local time
+ *
+ * @param {number|null} timestamp Timestamp in seconds
+ * @param {number} [addDays=0] Days to add to the date
+ *
+ * @return {string} Date in the yyyy-mm-dd format or an empty string
+ */
+const timestampToDateInput = (timestamp, addDays = 0) => {
+  if (!timestamp) {
+    return '';
+  }
+  const date = new Date(timestamp * 1000);
+  date.setDate(date.getDate() + addDays);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Component that renders the filter bar of the token history.
+ * The filter is kept on redux with the token history, so it is applied to all pages.
+ *
+ * @memberof Components
+ */
+function TokenHistoryFilter({ tokenUid }) {
+  const dispatch = useDispatch();
+  const { filter, fullyLoaded, txNotes, tokenMetadata } = useSelector((state) => ({
+    filter: get(state.tokensHistory, `${tokenUid}.filter`, null),
+    fullyLoaded: get(state.tokensHistory, `${tokenUid}.fullyLoaded`, false),
+    txNotes: state.txNotes,
+    tokenMetadata: state.tokenMetadata,
+  }));
+  const isNFT = helpers.isTokenNFT(tokenUid, tokenMetadata);
+
+  /**
+   * Render an integer amount of the filter on the amount inputs
+   *
+   * @param {number|null} value
+   */
+  const amountToInput = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (isNFT) {
+      return String(value);
+    }
+    return (value / (10 ** hathorLib.constants.DECIMAL_PLACES)).toFixed(hathorLib.constants.DECIMAL_PLACES);
+  };
+
+  const [startDate, setStartDate] = useState(timestampToDateInput(filter?.startTimestamp));
+  // The end timestamp is the start of the day after the selected date
+  const [endDate, setEndDate] = useState(timestampToDateInput(filter?.endTimestamp, -1));
+  const [direction, setDirection] = useState(filter?.direction || '');
+  const [minAmount, setMinAmount] = useState(amountToInput(filter?.minAmount));
+  const [maxAmount, setMaxAmount] = useState(amountToInput(filter?.maxAmount));
+  const [voided, setVoided] = useState(filter?.voided || 'all');
+  const [txIdPrefix, setTxIdPrefix] = useState(filter?.txIdPrefix || '');
+  const [tag, setTag] = useState(filter?.tag || '');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  /**
+   * Convert an amount typed by the user to an integer
+   *
+   * @param {string} value
+   *
+   * @return {number|null|undefined} null if empty and undefined if invalid
+   */
+  const inputToAmount = (value) => {
+    const cleanValue = value.replace(/,/g, '').trim();
+    if (!cleanValue) {
+      return null;
+    }
+    const number = Number(cleanValue);
+    if (Number.isNaN(number) || number < 0) {
+      return undefined;
+    }
+    return isNFT ? Math.floor(number) : wallet.decimalToInteger(number);
+  };
+
+  /**
+   * Validate the filter fields and save the filter on redux
+   *
+   * @param {Object} e Event emitted when the form is submitted
+   */
+  const applyFilter = (e) => {
+    e.preventDefault();
+
+    const min = inputToAmount(minAmount);
+    const max = inputToAmount(maxAmount);
+    if (min === undefined || max === undefined) {
+      setErrorMessage(t`Invalid amount`);
+      return;
+    }
+
+    const startTimestamp = helpers.dateInputToTimestamp(startDate);
+    const endTimestamp = helpers.dateInputToTimestamp(endDate, 1);
+    if (startTimestamp && endTimestamp && startTimestamp >= endTimestamp) {
+      setErrorMessage(t`The start date must be before the end date`);
+      return;
+    }
+
+    setErrorMessage('');
+    dispatch(tokenHistoryFilterUpdated(tokenUid, {
+      startTimestamp,
+      endTimestamp,
+      direction: direction || null,
+      minAmount: min,
+      maxAmount: max,
+      voided,
+      txIdPrefix: txIdPrefix.trim(),
+      tag,
+    }));
+  }
+
+  /**
+   * Clear all fields and remove the filter
+   */
+  const clearFilter = () => {
+    setStartDate('');
+    setEndDate('');
+    setDirection('');
+    setMinAmount('');
+    setMaxAmount('');
+    setVoided('all');
+    setTxIdPrefix('');
+    setTag('');
+    setErrorMessage('');
+    dispatch(tokenHistoryFilterUpdated(tokenUid, null));
+  }
+
+  const tags = txNotesUtils.listTags(txNotes);
+  const isActive = helpers.isHistoryFilterActive(filter);
+
+  return (
+    <form className="token-history-filter mt-3" onSubmit={applyFilter}>
+      <div className="form-row">
+        <div className="col-auto">
+          <label>{t`From`}</label>
+          <input type="date" className="form-control form-control-sm" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+        </div>
+        <div className="col-auto">
+          <label>{t`To`}</label>
+          <input type="date" className="form-control form-control-sm" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+        </div>
+        <div className="col-auto">
+          <label>{t`Type`}</label>
+          <select className="form-control form-control-sm" value={direction} onChange={(e) => setDirection(e.target.value)}>
+            <option value="">{t`All`}</option>
+            <option value={TX_DIRECTION.RECEIVED}>{t`Received`}</option>
+            <option value={TX_DIRECTION.SENT}>{t`Sent`}</option>
+            <option value={TX_DIRECTION.TOKEN_CREATION}>{t`Token creation`}</option>
+            <option value={TX_DIRECTION.TOKEN_DEPOSIT}>{t`Token deposit`}</option>
+          </select>
+        </div>
+        <div className="col-auto">
+          <label>{t`Min. value`}</label>
+          <input type="text" className="form-control form-control-sm" value={minAmount} onChange={(e) => setMinAmount(e.target.value)} />
+        </div>
+        <div className="col-auto">
+          <label>{t`Max. value`}</label>
+          <input type="text" className="form-control form-control-sm" value={maxAmount} onChange={(e) => setMaxAmount(e.target.value)} />
+        </div>
+        <div className="col-auto">
+          <label>{t`Status`}</label>
+          <select className="form-control form-control-sm" value={voided} onChange={(e) => setVoided(e.target.value)}>
+            <option value="all">{t`All`}</option>
+            <option value="valid">{t`Valid`}</option>
+            <option value="voided">{t`Voided`}</option>
+          </select>
+        </div>
+        <div className="col-auto">
+          <label>{t`ID starts with`}</label>
+          <input type="text" className="form-control form-control-sm" value={txIdPrefix} onChange={(e) => setTxIdPrefix(e.target.value)} />
+        </div>
+        {tags.length > 0 && (
+          <div className="col-auto">
+            <label>{t`Tag`}</label>
+            <select className="form-control form-control-sm" value={tag} onChange={(e) => setTag(e.target.value)}>
+              <option value="">{t`All`}</option>
+              {tags.map((tagOption) => <option key={tagOption} value={tagOption}>{tagOption}</option>)}
+            </select>
+          </div>
+        )}
+        <div className="col-auto d-flex align-items-end">
+          <button type="submit" className="btn btn-hathor btn-sm mr-2">{t`Filter`}</button>
+          {isActive && <button type="button" className="btn btn-secondary btn-sm" onClick={clearFilter}>{t`Clear`}</button>}
+        </div>
+      </div>
+      {errorMessage && <p className="text-danger mt-2 mb-0">{errorMessage}</p>}
+      {isActive && !fullyLoaded && <p className="mt-2 mb-0">{t`Loading all transactions to apply the filter...`}</p>}
+    </form>
+  );
+}
+
+TokenHistoryFilter.propTypes = {
+  /**
+   * Uid of the token of the history being filtered
+   */
+  tokenUid: PropTypes.string.isRequired,
+};
+
+export default TokenHistoryFilter;
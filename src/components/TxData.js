@@ -23,12 +23,15 @@ import helpers from '../utils/helpers';
 import { GlobalModalContext, MODAL_TYPES } from '../components/GlobalModal';
 import Loading from '../components/Loading';
 import { getGlobalWallet } from '../modules/wallet';
+import addressBook from '../utils/addressBook';
 
 
 const mapStateToProps = (state) => {
   return {
     tokens: state.tokens,
     tokenMetadata: state.tokenMetadata || {},
+    txNotes: state.txNotes,
+    addressLabels: state.addressLabels,
   };
 };
 
@@ -43,6 +46,9 @@ const mapDispatchToProps = dispatch => {
 /**
  * Component that renders data of a transaction (used in TransactionDetail and DecodeTx screens)
  *
+ * With the `pending` prop it renders a transaction that was not sent to the network yet, like the ones
+ * waiting for the signatures of a multisig wallet, so the data that only exists after it's sent is hidden.
+ *
  * @memberof Components
  */
 class TxData extends React.Component {
@@ -81,8 +87,11 @@ class TxData extends React.Component {
     this.calculateBalance();
     this.calculateTokens();
     this.fetchWalletAddressesMap();
-    this.queryVerificationData();
-    this.queryFundsData();
+    // A pending transaction is not on the network yet, so it has no neighbors
+    if (!this.props.pending) {
+      this.queryVerificationData();
+      this.queryFundsData();
+    }
   }
 
   /**
@@ -417,6 +426,21 @@ class TxData extends React.Component {
     this.props.setNavigateTo('/wallet/');
   }
 
+  /**
+   * Open the modal to save an address of the transaction on the address book
+   *
+   * @param {Object} e Event emitted when the link is clicked
+   * @param {string} address Address to be saved
+   */
+  saveContactClicked = (e, address) => {
+    e.preventDefault();
+    this.context.showModal(MODAL_TYPES.SAVE_CONTACT, {
+      address,
+      // Render again to show the contact name instead of the link
+      onSave: () => this.forceUpdate(),
+    });
+  }
+
   isAddressMine = (address) => {
     return (
       address in this.state.walletAddressesMap
@@ -480,6 +504,8 @@ class TxData extends React.Component {
           <div>{outputValue(output)} {renderOutputToken(output)} {output.decoded && addBadge && this.isAddressMine(output.decoded.address) && renderAddressBadge()}</div>
           <div>
             {renderDecodedScript(output)}
+            {output.decoded && renderContact(output.decoded.address)}
+            {output.decoded && renderAddressLabel(output.decoded.address)}
             {idx in this.props.spentOutputs ? <span> (<Link to={`/transaction/${this.props.spentOutputs[idx]}`}>{t`Spent`}</Link>)</span> : ''}
           </div>
         </div>
@@ -763,6 +789,28 @@ class TxData extends React.Component {
       );
     }
 
+    const renderContact = (address) => {
+      if (!address || this.isAddressMine(address)) {
+        return null;
+      }
+
+      const contact = addressBook.getContact(address);
+      if (contact) {
+        return <span className='address-badge' title={contact.notes}> {contact.name} </span>;
+      }
+      return (
+        <span> (<a href="true" onClick={(e) => this.saveContactClicked(e, address)}>{t`Save as contact`}</a>)</span>
+      );
+    }
+
+    const renderAddressLabel = (address) => {
+      const label = this.props.addressLabels[address];
+      if (!label) {
+        return null;
+      }
+      return <span className="badge badge-secondary ml-1" title={t`Address label`}>{label}</span>;
+    }
+
     const renderAddressBadge = () => {
       return (
         <span className='address-badge'> {t`Your address`} </span>
@@ -792,6 +840,27 @@ class TxData extends React.Component {
       });
     }
 
+    const renderTxNote = () => {
+      const txNote = this.props.txNotes[this.props.transaction.hash];
+      const editNote = (e) => {
+        e.preventDefault();
+        this.context.showModal(MODAL_TYPES.TX_NOTE, { txId: this.props.transaction.hash });
+      };
+
+      return (
+        <div className="d-flex flex-column common-div bordered-wrapper mt-3">
+          <div>
+            <label>{t`Note:`}</label>
+            <a href="true" className="ml-2" onClick={editNote}>{txNote ? t`Edit` : t`Add a note`}</a>
+          </div>
+          {txNote && txNote.note && <div className="text-break">{txNote.note}</div>}
+          {txNote && txNote.tags.length > 0 && (
+            <div>{txNote.tags.map((tag) => <span key={tag} className="badge badge-secondary mr-1">{tag}</span>)}</div>
+          )}
+        </div>
+      );
+    }
+
     const renderBalance = () => {
       if (Object.keys(this.state.balance).length === 0) return null;
 
@@ -877,20 +946,21 @@ class TxData extends React.Component {
           {this.props.showConflicts ? renderConflicts() : ''}
           <div><label>{hathorLib.transactionUtils.isBlock(this.props.transaction) ? t`Block` : t`Transaction`} ID:</label> {this.props.transaction.hash}</div>
           {renderBalance()}
+          {this.props.transaction.hash && !this.props.pending && renderTxNote()}
           <div className="d-flex flex-row align-items-start mt-3 mb-3">
             <div className="d-flex flex-column align-items-start common-div bordered-wrapper mr-3">
               <div><label>{t`Type:`}</label> {hathorLib.transactionUtils.getTxType(this.props.transaction)} {isNFTCreation() && '(NFT)'}</div>
               <div><label>{t`Time:`}</label> {hathorLib.dateFormatter.parseTimestamp(this.props.transaction.timestamp)}</div>
-              <div><label>{t`Nonce:`}</label> {this.props.transaction.nonce}</div>
-              <div><label>{t`Weight:`}</label> {hathorLib.helpersUtils.roundFloat(this.props.transaction.weight)}</div>
-              {!hathorLib.transactionUtils.isBlock(this.props.transaction) && renderFirstBlockDiv()}
+              {!this.props.pending && <div><label>{t`Nonce:`}</label> {this.props.transaction.nonce}</div>}
+              {!this.props.pending && <div><label>{t`Weight:`}</label> {hathorLib.helpersUtils.roundFloat(this.props.transaction.weight)}</div>}
+              {!hathorLib.transactionUtils.isBlock(this.props.transaction) && !this.props.pending && renderFirstBlockDiv()}
             </div>
-            <div className="d-flex flex-column align-items-center important-div bordered-wrapper">
+            {!this.props.pending && <div className="d-flex flex-column align-items-center important-div bordered-wrapper">
               {hathorLib.transactionUtils.isBlock(this.props.transaction) && renderHeight()}
               {hathorLib.transactionUtils.isBlock(this.props.transaction) && renderScore()}
               {!hathorLib.transactionUtils.isBlock(this.props.transaction) && renderAccWeightDiv()}
               {!hathorLib.transactionUtils.isBlock(this.props.transaction) && renderConfirmationLevel()}
-            </div>
+            </div>}
           </div>
           <div className="d-flex flex-row align-items-start mb-3">
             <div className="f-flex flex-column align-items-start common-div bordered-wrapper mr-3">
@@ -903,6 +973,14 @@ class TxData extends React.Component {
             </div>
           </div>
           {this.state.tokens.length > 0 && renderTokenList()}
+          {!this.props.pending && renderNetworkData()}
+        </div>
+      );
+    }
+
+    const renderNetworkData = () => {
+      return (
+        <div>
           <div className="d-flex flex-row align-items-start mb-3">
             <div className="f-flex flex-column align-items-start common-div bordered-wrapper mr-3">
               <div><label>{t`Parents:`}</label></div>
@@ -0,0 +1,102 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { t } from 'ttag';
+import { useSelector } from 'react-redux';
+import PropTypes from 'prop-types';
+import hathorLib from '@hathor/wallet-lib';
+import helpers from '../utils/helpers';
+
+/**
+ * Component that shows the review of a transaction before it is signed:
+ * its inputs, outputs with the change marked, deposits and the balance change per token
+ *
+ * @memberof Components
+ */
+function TxPreview({ preview }) {
+  const { tokens, tokenMetadata } = useSelector((state) => ({
+    tokens: state.tokens,
+    tokenMetadata: state.tokenMetadata,
+  }));
+
+  const getSymbol = (uid) => {
+    const token = tokens.find((token) => token.uid === uid);
+    return token ? token.symbol : hathorLib.helpersUtils.getShortHash(uid);
+  };
+
+  const renderAmount = (value, token) => {
+    return `${helpers.renderValue(value, helpers.isTokenNFT(token, tokenMetadata))} ${getSymbol(token)}`;
+  };
+
+  const renderOutputBadge = (output) => {
+    if (output.isChange) {
+      return <span className="badge badge-secondary ml-2">{t`Change`}</span>;
+    }
+    if (output.isMine) {
+      return <span className="badge badge-secondary ml-2">{t`Your address`}</span>;
+    }
+    return null;
+  };
+
+  const renderBalance = () => {
+    return Object.entries(preview.balance).map(([token, value]) => (
+      <li key={token} className={value < 0 ? 'text-danger' : ''}>
+        {value > 0 && '+'}{renderAmount(value, token)}
+      </li>
+    ));
+  };
+
+  return (
+    <div className="tx-preview small">
+      <strong>{t`Inputs`}</strong>
+      <ul className="list-unstyled">
+        {preview.inputs.map((input) => (
+          <li key={`${input.txId}-${input.index}`}>
+            <span className="text-monospace">{hathorLib.helpersUtils.getShortHash(input.txId)} ({input.index})</span>
+            <span className="ml-2">{renderAmount(input.value, input.token)}</span>
+            <div className="text-monospace text-break">{input.address}</div>
+          </li>
+        ))}
+      </ul>
+      <strong>{t`Outputs`}</strong>
+      <ul className="list-unstyled">
+        {preview.outputs.map((output, index) => (
+          <li key={index}>
+            {renderAmount(output.value, output.token)}
+            {renderOutputBadge(output)}
+            {output.address !== null
+              ? <div className="text-monospace text-break">{output.address}</div>
+              : <div className="text-break">{t`Data`}: {output.data}</div>}
+            {output.timelock && <div>{t`Locked until`} {hathorLib.dateFormatter.parseTimestamp(output.timelock)}</div>}
+          </li>
+        ))}
+      </ul>
+      {preview.deposit > 0 && (
+        <p><strong>{t`Token deposit`}:</strong> {renderAmount(preview.deposit, hathorLib.constants.NATIVE_TOKEN_UID)}</p>
+      )}
+      <strong>{t`Balance change`}</strong>
+      <ul className="list-unstyled mb-0">
+        {renderBalance()}
+      </ul>
+    </div>
+  );
+}
+
+TxPreview.propTypes = {
+  /**
+   * Preview of the transaction, built by the txPreview util
+   */
+  preview: PropTypes.shape({
+    inputs: PropTypes.array.isRequired,
+    outputs: PropTypes.array.isRequired,
+    balance: PropTypes.object.isRequired,
+    deposit: PropTypes.number.isRequired,
+  }).isRequired,
+};
+
+export default TxPreview;
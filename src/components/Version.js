@@ -25,7 +25,7 @@ function Version() {
    * If it's software wallet show modal warning
    */
   const walletTypeClicked = () => {
-    if (!LOCAL_STORE.isHardwareWallet()) {
+    if (!LOCAL_STORE.isHardwareWallet() && !LOCAL_STORE.isWatchOnlyWallet()) {
       contextType.showModal(MODAL_TYPES.ALERT, {
         body: <SoftwareWalletWarningMessage />,
         buttonName: 'Ok',
@@ -35,10 +35,20 @@ function Version() {
     }
   };
 
+  const renderWalletType = () => {
+    if (LOCAL_STORE.isHardwareWallet()) {
+      return t`Hardware Wallet`;
+    }
+    if (LOCAL_STORE.isWatchOnlyWallet()) {
+      return t`Watch-only Wallet`;
+    }
+    return LOCAL_STORE.isMultisigWallet() ? t`Multisig Wallet` : t`Software Wallet`;
+  };
+
   return (
     <div className='d-flex flex-column version-wrapper align-items-center'>
       <span className={LOCAL_STORE.isHardwareWallet() ? 'hardware' : 'software'} onClick={walletTypeClicked}>
-        {LOCAL_STORE.isHardwareWallet() ? t`Hardware Wallet` : t`Software Wallet`}
+        {renderWalletType()}
       </span>
       <span>{VERSION}</span>
     </div>
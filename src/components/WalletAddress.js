@@ -27,6 +27,7 @@ const mapStateToProps = (state) => {
   return {
     lastSharedAddress: state.lastSharedAddress,
     lastSharedIndex: state.lastSharedIndex,
+    addressLabels: state.addressLabels,
   };
 };
 
@@ -39,6 +40,10 @@ const mapStateToProps = (state) => {
 export class WalletAddress extends React.Component {
   static contextType = GlobalModalContext;
 
+  static defaultProps = {
+    addressLabels: {},
+  };
+
   constructor(props) {
     super(props);
 
@@ -71,17 +76,28 @@ export class WalletAddress extends React.Component {
    */
   generateNewAddress = async (e) => {
     e.preventDefault();
+    await this.updateSharedAddress();
+  }
+
+  /**
+   * Move the shared address to the next one of the wallet
+   *
+   * @return {Promise<boolean>} False if the gap limit was reached and the address could not be moved
+   */
+  updateSharedAddress = async () => {
     const wallet = getGlobalWallet();
     const address = await wallet.getNextAddress();
 
     if (address.address === this.props.lastSharedAddress) {
       this.alertErrorRef.current.show(3000);
-    } else {
-      this.props.sharedAddressUpdate({
-        lastSharedAddress: address.address,
-        lastSharedIndex: address.index,
-      });
+      return false;
     }
+
+    this.props.sharedAddressUpdate({
+      lastSharedAddress: address.address,
+      lastSharedIndex: address.index,
+    });
+    return true;
   }
 
   openAddressModal = (e) => {
@@ -99,6 +115,22 @@ export class WalletAddress extends React.Component {
     }
   }
 
+  /**
+   * Called when user clicks to reserve the address with a label.
+   * The next address is shown before the label is saved, so the reserved one is not given out again.
+   * Nothing is saved if there is no label or the next address can't be used.
+   *
+   * @param {Object} e Event emitted by the link clicked
+   */
+  reserveAddress = (e) => {
+    e.preventDefault();
+    this.context.showModal(MODAL_TYPES.ADDRESS_LABEL, {
+      address: this.props.lastSharedAddress,
+      title: t`Reserve address with a label`,
+      onSave: async (label) => !!label && this.updateSharedAddress(),
+    });
+  }
+
   /**
    * Called when user clicks to show the qrcode
    *
@@ -109,6 +141,16 @@ export class WalletAddress extends React.Component {
     this.context.showModal(MODAL_TYPES.ADDRESS_QR_CODE)
   }
 
+  /**
+   * Called when user clicks to request a payment with amount and token
+   *
+   * @param {Object} e Event emitted by the link clicked
+   */
+  showPaymentRequest = (e) => {
+    e.preventDefault();
+    this.context.showModal(MODAL_TYPES.PAYMENT_REQUEST);
+  }
+
   /**
    * Method called on copy to clipboard success
    * Show alert success message
@@ -150,18 +192,22 @@ export class WalletAddress extends React.Component {
         <div className="d-flex flex-column align-items-center address-wrapper card">
           <p><strong>{t`Address to receive tokens`}</strong></p>
           {showAddressString()}
+          {this.props.addressLabels[this.props.lastSharedAddress] && (
+            <span className="badge badge-secondary mb-2">{this.props.addressLabels[this.props.lastSharedAddress]}</span>
+          )}
           <div className="d-flex flex-row align-items-center">
             <a className="new-address" onClick={(e) => this.generateNewAddress(e)} href="true">{t`Generate new address`} <i className="fa fa-refresh ml-1" title={t`Get new address`}></i></a>
             {(!LOCAL_STORE.isHardwareWallet()) &&   // hide the QR code for hardware wallet
               <div>
                 <span className="ml-3 mr-3">|</span>
                 <a href="true" onClick={(e) => this.showQRCode(e)}>{t`QR Code`} <i className="fa fa-qrcode ml-1" title={t`Get qrcode`}></i></a>
+                <span className="ml-3 mr-3">|</span>
+                <a href="true" onClick={(e) => this.showPaymentRequest(e)}>{t`Request payment`}</a>
               </div>
             }
           </div>
-          {(!LOCAL_STORE.isHardwareWallet()) &&   // hide all addresses for hardware wallet
-            <a href="true" onClick={this.seeAllAddresses} className="mt-3 ">{t`See all addresses`}</a>
-          }
+          <a href="true" onClick={this.reserveAddress} className="mt-3">{t`Reserve with a label`}</a>
+          <a href="true" onClick={this.seeAllAddresses} className="mt-3 ">{t`See all addresses`}</a>
         </div>
       );
     }
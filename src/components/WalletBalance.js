@@ -10,6 +10,7 @@ import { t } from 'ttag';
 import { connect } from "react-redux";
 import helpers from '../utils/helpers';
 import { get } from 'lodash';
+import { Link } from 'react-router-dom';
 
 
 const mapStateToProps = (state) => {
@@ -18,6 +19,7 @@ const mapStateToProps = (state) => {
     tokens: state.tokens,
     tokensBalance: state.tokensBalance,
     tokenMetadata: state.tokenMetadata,
+    useWalletService: state.useWalletService,
   };
 };
 
@@ -45,6 +47,7 @@ class WalletBalance extends React.Component {
           <p><strong>{t`Total:`}</strong> {helpers.renderValue(balance.available + balance.locked, isNFT)} {symbol}</p>
           <p><strong>{t`Available:`}</strong> {helpers.renderValue(balance.available, isNFT)} {symbol}</p>
           <p><strong>{t`Locked:`}</strong> {helpers.renderValue(balance.locked, isNFT)} {symbol}</p>
+          {!this.props.useWalletService && <Link to="/utxos/">{t`See unspent outputs`}</Link>}
         </div>
       );
     }
@@ -9,6 +9,7 @@ import React from 'react';
 import { t } from 'ttag';
 import TokenHistory from '../components/TokenHistory';
 import { WALLET_HISTORY_COUNT } from '../constants';
+import { useGlobalModalContext, MODAL_TYPES } from './GlobalModal';
 
 
 /**
@@ -17,11 +18,21 @@ import { WALLET_HISTORY_COUNT } from '../constants';
  * @memberof Components
  */
 const WalletHistory = (props) => {
+  const context = useGlobalModalContext();
+
+  const exportClicked = (e) => {
+    e.preventDefault();
+    context.showModal(MODAL_TYPES.EXPORT_HISTORY, { tokenUid: props.selectedToken });
+  }
+
   return (
     <div>
       <div className="d-flex flex-column mt-5">
-        <h4><strong>{t`Transaction history`}</strong></h4>
-        <TokenHistory count={WALLET_HISTORY_COUNT} selectedToken={props.selectedToken} showPage={true} />
+        <div className="d-flex flex-row align-items-center justify-content-between">
+          <h4><strong>{t`Transaction history`}</strong></h4>
+          <a href="true" onClick={exportClicked}>{t`Export history`}</a>
+        </div>
+        <TokenHistory count={WALLET_HISTORY_COUNT} selectedToken={props.selectedToken} showPage={true} showFilter={true} />
       </div>
     </div>
   );
@@ -19,6 +19,40 @@ import { version } from '../package.json';
  */
 export const WALLET_HISTORY_COUNT = 10;
 
+/**
+ * Direction of a transaction on the history of a token, based on its balance
+ */
+export const TX_DIRECTION = {
+  RECEIVED: 'received',
+  SENT: 'sent',
+  TOKEN_CREATION: 'token_creation',
+  TOKEN_DEPOSIT: 'token_deposit',
+  AUTHORITY: 'authority',
+};
+
+/**
+ * Average time between blocks of the network, in seconds. Used to estimate when block rewards are unlocked
+ */
+export const AVERAGE_BLOCK_TIME = 30;
+
+/**
+ * How often a scheduled payment is sent
+ */
+export const SCHEDULE_FREQUENCY = {
+  ONCE: 'once',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+};
+
+/**
+ * Outcome of an attempt to send a scheduled payment
+ */
+export const SCHEDULED_PAYMENT_STATUS = {
+  SENT: 'sent',
+  FAILED: 'failed',
+  POSTPONED: 'postponed',
+};
+
 /**
  * Wallet version
  */
@@ -234,6 +268,12 @@ export const LEDGER_FIRST_CUSTOM_TOKEN_COMPATIBLE_VERSION = '1.1.0'
 export const WALLET_SERVICE_MAINNET_BASE_URL = 'https://wallet-service.hathor.network/';
 export const WALLET_SERVICE_MAINNET_BASE_WS_URL = 'wss://ws.wallet-service.hathor.network/';
 
+/**
+ * Atomic Swap Service websocket URLs, which are not on the same host of their api
+ */
+export const ATOMIC_SWAP_SERVICE_MAINNET_BASE_WS_URL = 'wss://ws.atomic-swap-service.hathor.network/';
+export const ATOMIC_SWAP_SERVICE_TESTNET_BASE_WS_URL = 'wss://ws.atomic-swap-service.testnet.hathor.network/';
+
 /**
  * Default Wallet Service servers
  */
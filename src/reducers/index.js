@@ -126,6 +126,42 @@ const initialState = {
   // The native token data of the current network
   // @type {{symbol: string, name: string, uid: string}}
   nativeTokenData: null,
+  /**
+   * All wallet profiles, each one with its own wallet data on localStorage
+   * @type {Record<string, {id: string, name: string|null}>}
+   */
+  walletProfiles: {},
+  // Id of the wallet profile in use
+  currentProfileId: null,
+  /**
+   * Notes and tags written by the user on transactions, indexed by tx id
+   * @type {Record<string, {note: string, tags: string[]}>}
+   */
+  txNotes: {},
+  /**
+   * Labels telling what each address of the wallet was given out for, indexed by address
+   * @type {Record<string, string>}
+   */
+  addressLabels: {},
+  /**
+   * Payments sent periodically or at a set time by the scheduler saga
+   * @property {Record<string, Object>} payments Scheduled payments, indexed by id
+   * @property {string|null} duePaymentId Payment waiting for the user PIN to be sent
+   */
+  scheduledPayments: {
+    payments: {},
+    duePaymentId: null,
+  },
+  /**
+   * Payment request opened from an URI, waiting to fill the send tokens screen
+   * @type {{address: string, tokenUid: string, amount: string|null, memo: string}|null}
+   */
+  paymentRequest: null,
+  /**
+   * Transactions of the multisig wallet waiting for the signatures of the participants, indexed by id
+   * @type {Record<string, {txHex: string, signatures: string[], createdAt: number}>}
+   */
+  multisigTxs: {},
 };
 
 const rootReducer = (state = initialState, action) => {
@@ -226,6 +262,10 @@ const rootReducer = (state = initialState, action) => {
       return onProposalRemoved(state, action);
     case types.PROPOSAL_IMPORTED:
       return onProposalImported(state, action);
+    case types.PROPOSAL_INVALIDATED:
+      return onProposalInvalidated(state, action);
+    case types.PROPOSAL_SENDING:
+      return onProposalSending(state, action);
     case types.TOKEN_INVALIDATE_HISTORY:
       return onTokenInvalidateHistory(state, action);
     case types.TOKEN_INVALIDATE_BALANCE:
@@ -256,6 +296,27 @@ const rootReducer = (state = initialState, action) => {
       return onSetMiningServer(state, action);
     case types.SET_NATIVE_TOKEN_DATA:
       return onSetNativeTokenData(state, action);
+    case types.PROFILE_LIST_UPDATED:
+      return onProfileListUpdated(state, action);
+    case types.TX_NOTES_UPDATED:
+      return onTxNotesUpdated(state, action);
+    case types.ADDRESS_LABELS_UPDATED:
+      return onAddressLabelsUpdated(state, action);
+    case types.TOKEN_HISTORY_FILTER_UPDATED:
+      return onTokenHistoryFilterUpdated(state, action);
+    case types.TOKEN_HISTORY_FULLY_LOADED:
+      return onTokenHistoryFullyLoaded(state, action);
+    case types.SCHEDULED_PAYMENTS_UPDATED:
+      return onScheduledPaymentsUpdated(state, action);
+    case types.SCHEDULED_PAYMENT_DUE:
+      return onScheduledPaymentDue(state, action);
+    case types.SCHEDULED_PAYMENT_CONFIRMED:
+    case types.SCHEDULED_PAYMENT_POSTPONED:
+      return onScheduledPaymentPromptClosed(state);
+    case types.PAYMENT_REQUEST_OPENED:
+      return onPaymentRequestOpened(state, action);
+    case types.MULTISIG_TXS_UPDATED:
+      return onMultisigTxsUpdated(state, action);
     default:
       return state;
   }
@@ -270,6 +331,7 @@ const getTxHistoryFromWSTx = (tx, tokenUid, tokenTxBalance) => {
     is_voided: tx.is_voided,
     version: tx.version,
     isAllAuthority: helpersUtils.isAllAuthority(tx),
+    outputAddresses: helpersUtils.getOutputAddresses(tx, tokenUid),
   }
 };
 
@@ -339,6 +401,8 @@ const onCleanData = (state) => {
     loadingAddresses: state.loadingAddresses,
     ledgerWasClosed: state.ledgerWasClosed,
     featureTogglesInitialized: state.featureTogglesInitialized,
+    walletProfiles: state.walletProfiles,
+    currentProfileId: state.currentProfileId,
   });
 };
 
@@ -597,6 +661,10 @@ export const onTokenFetchHistorySuccess = (state, action) => {
         updatedAt: new Date().getTime(),
         data,
         oldStatus: oldState.status,
+        // The filter is kept while the history is downloaded again
+        filter: oldState.filter || null,
+        // The same data is dispatched again when it was already loaded
+        fullyLoaded: data === oldState.data && Boolean(oldState.fullyLoaded),
       },
     },
   };
@@ -617,6 +685,7 @@ export const onTokenFetchHistoryFailed = (state, action) => {
         status: TOKEN_DOWNLOAD_STATUS.FAILED,
         data: [],
         oldStatus: oldState.status,
+        filter: oldState.filter || null,
       },
     },
   };
@@ -715,9 +784,9 @@ export const onProposalFetchSuccess = (state, action) => {
  * @param {String} action.errorMessage - Error message
  */
 export const onProposalFetchFailed = (state, action) => {
-  const { proposalId, errorMessage } = action;
+  const { proposalId, errorMessage, notFound } = action;
 
-  const { password } = get(state.proposals, proposalId, { id: proposalId })
+  const { password, offline } = get(state.proposals, proposalId, { id: proposalId })
 
   return {
     ...state,
@@ -726,8 +795,10 @@ export const onProposalFetchFailed = (state, action) => {
       [proposalId]: {
         id: proposalId,
         password,
+        offline,
         status: PROPOSAL_DOWNLOAD_STATUS.FAILED,
         errorMessage: errorMessage,
+        notFound,
         updatedAt: new Date().getTime(),
       },
     },
@@ -828,9 +899,10 @@ export const onProposalTokenFetchFailed = (state, action) => {
 /**
  * @param {String} action.proposalId - The new proposalId to store
  * @param {String} action.password - The proposal's password
+ * @param {Boolean} action.offline - If the proposal is exchanged offline, without the service
  */
 export const onProposalImported = (state, action) => {
-  const { proposalId, password } = action;
+  const { proposalId, password, offline } = action;
   return {
     ...state,
     proposals: {
@@ -838,12 +910,63 @@ export const onProposalImported = (state, action) => {
       [proposalId]: {
         id: proposalId,
         password,
+        offline,
         status: PROPOSAL_DOWNLOAD_STATUS.INVALIDATED
       }
     },
   };
 };
 
+/**
+ * @param {String} action.proposalId - The proposalId to mark as invalidated
+ * @param {String} action.reason - Why the proposal can't be sent anymore
+ */
+export const onProposalInvalidated = (state, action) => {
+  const { proposalId, reason } = action;
+
+  const oldState = get(state.proposals, proposalId);
+  if (!oldState) {
+    return state;
+  }
+
+  return {
+    ...state,
+    proposals: {
+      ...state.proposals,
+      [proposalId]: {
+        ...oldState,
+        status: PROPOSAL_DOWNLOAD_STATUS.INVALIDATED,
+        invalidatedReason: reason,
+        updatedAt: new Date().getTime(),
+      },
+    },
+  };
+};
+
+/**
+ * @param {String} action.proposalId - The proposalId being sent
+ * @param {boolean} action.sending - If this wallet is sending the proposal transaction
+ */
+export const onProposalSending = (state, action) => {
+  const { proposalId, sending } = action;
+
+  const oldState = get(state.proposals, proposalId);
+  if (!oldState) {
+    return state;
+  }
+
+  return {
+    ...state,
+    proposals: {
+      ...state.proposals,
+      [proposalId]: {
+        ...oldState,
+        sending,
+      },
+    },
+  };
+};
+
 /**
  * @param {String} action.proposalId - The new proposalId to store
  */
@@ -916,6 +1039,7 @@ export const onTokenInvalidateHistory = (state, action) => {
       ...state.tokensHistory,
       [tokenId]: {
         status: TOKEN_DOWNLOAD_STATUS.INVALIDATED,
+        filter: get(state.tokensHistory, `${tokenId}.filter`, null),
       },
     },
   };
@@ -1047,4 +1171,112 @@ export const onSetNativeTokenData = (state, { payload }) => {
   };
 };
 
+/**
+ * @param {Record<string, {id: string, name: string|null}>} action.profiles Map of all wallet profiles
+ * @param {string} action.currentProfileId Id of the profile in use
+ */
+export const onProfileListUpdated = (state, { profiles, currentProfileId }) => ({
+  ...state,
+  walletProfiles: profiles,
+  currentProfileId,
+});
+
+/**
+ * @param {Record<string, {note: string, tags: string[]}>} action.payload Notes of the transactions
+ */
+export const onTxNotesUpdated = (state, { payload }) => ({
+  ...state,
+  txNotes: payload,
+});
+
+/**
+ * @param {Record<string, string>} action.payload Labels of the addresses
+ */
+export const onAddressLabelsUpdated = (state, { payload }) => ({
+  ...state,
+  addressLabels: payload,
+});
+
+/**
+ * @param {String} action.tokenId - The tokenId of the filtered history
+ * @param {Object|null} action.filter - The new filter
+ */
+export const onTokenHistoryFilterUpdated = (state, action) => {
+  const { tokenId, filter } = action;
+
+  return {
+    ...state,
+    tokensHistory: {
+      ...state.tokensHistory,
+      [tokenId]: {
+        status: TOKEN_DOWNLOAD_STATUS.LOADING,
+        data: [],
+        ...state.tokensHistory[tokenId],
+        filter,
+      },
+    },
+  };
+};
+
+/**
+ * @param {String} action.tokenId - The tokenId that had all its history loaded
+ */
+export const onTokenHistoryFullyLoaded = (state, action) => {
+  const { tokenId } = action;
+
+  return {
+    ...state,
+    tokensHistory: {
+      ...state.tokensHistory,
+      [tokenId]: {
+        ...state.tokensHistory[tokenId],
+        fullyLoaded: true,
+      },
+    },
+  };
+};
+
+/**
+ * @param {Record<string, Object>} action.payload Scheduled payments, indexed by id
+ */
+export const onScheduledPaymentsUpdated = (state, { payload }) => ({
+  ...state,
+  scheduledPayments: {
+    ...state.scheduledPayments,
+    payments: payload,
+  },
+});
+
+/**
+ * @param {string|null} action.paymentId Id of the payment waiting for the user PIN
+ */
+export const onScheduledPaymentDue = (state, { paymentId }) => ({
+  ...state,
+  scheduledPayments: {
+    ...state.scheduledPayments,
+    duePaymentId: paymentId,
+  },
+});
+
+export const onScheduledPaymentPromptClosed = (state) => ({
+  ...state,
+  scheduledPayments: {
+    ...state.scheduledPayments,
+    duePaymentId: null,
+  },
+});
+
+/**
+ * @param {Object|null} action.payload Payment request opened from an URI
+ */
+export const onPaymentRequestOpened = (state, { payload }) => ({
+  ...state,
+  paymentRequest: payload,
+});
+
+export const onMultisigTxsUpdated = (state, { payload }) => ({
+  ...state,
+  multisigTxs: payload,
+});
+
 export default rootReducer;
@@ -5,13 +5,17 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import { all, call, fork, put, select, take, takeEvery, } from 'redux-saga/effects';
-import { channel } from "redux-saga";
+import { all, call, fork, put, race, select, take, takeEvery, takeLatest, } from 'redux-saga/effects';
+import { channel, eventChannel } from "redux-saga";
 import {
     importProposal,
     lastFailedRequest,
     proposalFetchFailed,
+    proposalFetchRequested,
     proposalFetchSuccess,
+    proposalInvalidated,
+    proposalRemoved,
+    proposalSent,
     proposalUpdated,
     setNavigateTo,
     types
@@ -20,13 +24,24 @@ import { specificTypeAndPayload } from "./helpers";
 import { get } from 'lodash';
 import {
     ATOMIC_SWAP_SERVICE_ERRORS,
+    checkProposalInputsSpent,
+    closeProposalHistory,
+    createOfflineProposal,
+    deserializePartialTx,
     generateReduxObjFromProposal,
+    getInputsSignedByOthers,
+    getSwapServiceWsUrl,
+    recordProposalHistory,
+    removeOfflineProposal,
     updatePersistentStorage,
     PROPOSAL_DOWNLOAD_STATUS,
+    PROPOSAL_HISTORY_STATUS,
 } from "../utils/atomicSwap";
 import { t } from "ttag";
-import { swapService } from '@hathor/wallet-lib'
+import { AtomicSwapServiceConnection, swapService } from '@hathor/wallet-lib'
+import { ConnectionState } from '@hathor/wallet-lib/lib/wallet/types';
 import { getGlobalWallet } from "../modules/wallet";
+import walletUtil from "../utils/wallet";
 
 const CONCURRENT_FETCH_REQUESTS = 5;
 
@@ -89,8 +104,16 @@ function* fetchProposalData(action) {
             return;
         }
 
-        // Fetch data from the backend
-        const responseData = yield swapService.get(proposalId, password);
+        // Fetch data from the backend, or from the storage when the proposal is exchanged offline
+        let responseData;
+        if (proposalData && proposalData.offline) {
+            responseData = walletUtil.getOfflineProposals()[proposalId];
+            if (!responseData) {
+                throw new Error(`Offline proposal ${proposalId} not found on storage`);
+            }
+        } else {
+            responseData = yield swapService.get(proposalId, password);
+        }
         yield put(proposalFetchSuccess(proposalId, responseData));
 
         // On success, build the proposal object locally and enrich it
@@ -100,17 +123,22 @@ function* fetchProposalData(action) {
           password,
           responseData.partialTx,
           wallet,
+          { signatures: responseData.signatures },
         );
 
-        // Adding the newly generated metadata to the proposal
-        const enrichedData = { ...responseData, ...newData.data };
+        // Adding the newly generated metadata to the proposal, keeping the history of its versions
+        const enrichedData = { ...responseData, ...newData.data, history: responseData.history || [] };
         yield put(proposalUpdated(proposalId, enrichedData));
+
+        yield fork(checkProposalChanges, proposalId, proposalData && proposalData.data, enrichedData);
     } catch (e) {
         let errorMessage;
         const backendErrorData = e.response?.data || {};
         switch (backendErrorData.code) {
             case ATOMIC_SWAP_SERVICE_ERRORS.ProposalNotFound:
-                errorMessage = t`Proposal not found.`;
+                // The proposal may have expired, or be stored on another service than the one in use.
+                // It's kept on the list, so it's not lost when the service is changed back.
+                errorMessage = t`Proposal not found. It may have expired or be stored on another atomic swap service.`;
                 break;
             case ATOMIC_SWAP_SERVICE_ERRORS.IncorrectPassword:
                 errorMessage = t`Incorrect password.`;
@@ -118,24 +146,196 @@ function* fetchProposalData(action) {
             default:
                 errorMessage = t`An error occurred while fetching this proposal.`;
         }
-        yield put(proposalFetchFailed(proposalId, errorMessage));
+        yield put(proposalFetchFailed(
+            proposalId,
+            errorMessage,
+            backendErrorData.code === ATOMIC_SWAP_SERVICE_ERRORS.ProposalNotFound,
+        ));
+    }
+}
+
+/**
+ * Notifies the user when the other participants signed the proposal since it was last loaded,
+ * and checks if its inputs were spent
+ * @param {string} proposalId
+ * @param {ProposalData|undefined} oldData
+ * @param {ProposalData} newData
+ */
+function* checkProposalChanges(proposalId, oldData, newData) {
+    try {
+        const wallet = getGlobalWallet();
+        if (oldData && oldData.partialTx === newData.partialTx) {
+            const signedInputs = yield call(
+                getInputsSignedByOthers,
+                newData.partialTx,
+                oldData.signatures,
+                newData.signatures,
+                wallet,
+            );
+            if (signedInputs.length) {
+                walletUtil.sendNotification(t`The other participant signed the atomic swap proposal ${proposalId}.`);
+            }
+        }
+
+        yield call(checkSpentInputs, proposalId, newData.partialTx);
+    } catch (e) {
+        // These checks are only informative, so they should not break the proposal screens
+        console.error('Error checking the proposal changes', e);
+    }
+}
+
+/**
+ * Invalidates the proposal when its inputs were spent by another transaction, since it can't be sent anymore.
+ * If the proposal itself was sent by another participant, it's finished instead.
+ * Proposals being sent by this wallet are not checked.
+ * @param {string} proposalId
+ * @param {string} serializedPartialTx
+ */
+function* checkSpentInputs(proposalId, serializedPartialTx) {
+    // When this wallet sends the proposal, it's finished by the send flow itself
+    const proposal = yield select((state) => get(state.proposals, proposalId));
+    if (proposal && proposal.sending) {
+        return;
+    }
+
+    const wallet = getGlobalWallet();
+    const partialTx = yield call(deserializePartialTx, serializedPartialTx, wallet);
+    if (!partialTx.inputs.length) {
+        return;
+    }
+
+    const { spent, sentTxId } = yield call(checkProposalInputsSpent, partialTx, wallet);
+    if (sentTxId) {
+        walletUtil.sendNotification(t`The atomic swap proposal ${proposalId} was sent by another participant.`);
+        yield put(proposalSent(proposalId, sentTxId));
+    } else if (spent) {
+        yield put(proposalInvalidated(
+            proposalId,
+            t`Some inputs of this proposal were spent by another transaction, so it can't be sent anymore.`,
+        ));
+    }
+}
+
+/**
+ * Checks the proposals that have inputs spent by a new transaction of the wallet
+ * @param {Object} action.payload The new transaction
+ */
+function* checkProposalsSpentByTx(action) {
+    const tx = action.payload;
+    const spentOutputs = new Set(tx.inputs.map((input) => `${input.tx_id}:${input.index}`));
+
+    const proposals = yield select((state) => state.proposals);
+    const wallet = getGlobalWallet();
+    for (const [proposalId, proposal] of Object.entries(proposals)) {
+        if (!proposal.data || !proposal.data.partialTx) {
+            continue;
+        }
+
+        try {
+            const partialTx = yield call(deserializePartialTx, proposal.data.partialTx, wallet);
+            if (partialTx.inputs.some((input) => spentOutputs.has(`${input.hash}:${input.index}`))) {
+                yield call(checkSpentInputs, proposalId, proposal.data.partialTx);
+            }
+        } catch (e) {
+            console.error('Error checking the proposal inputs', e);
+        }
     }
 }
 
 /**
- * Makes the request to the backend to create a proposal and returns its results via saga events
+ * Listens to the updates of the proposals pushed by the websocket of the Atomic Swap Service
+ * and loads them, so the participants don't need to refresh the screen.
+ *
+ * Runs while the wallet is loaded, and restarts when the service changes.
+ */
+export function* listenForProposalUpdates() {
+    const useAtomicSwap = yield select((state) => state.useAtomicSwap);
+    if (!useAtomicSwap) {
+        return;
+    }
+
+    let connection;
+    try {
+        connection = new AtomicSwapServiceConnection({ wsURL: getSwapServiceWsUrl() });
+    } catch (e) {
+        // There is no service configured for this network
+        console.error('Error connecting to the Atomic Swap Service websocket', e);
+        return;
+    }
+
+    const updatesChannel = eventChannel((emitter) => {
+        const l1 = (data) => emitter({ type: 'update', data });
+        connection.on('update-atomic-swap-proposal', l1);
+
+        const l2 = (state) => emitter({ type: 'state', data: state });
+        connection.on('state', l2);
+
+        connection.start();
+
+        return () => {
+            connection.removeListener('update-atomic-swap-proposal', l1);
+            connection.removeListener('state', l2);
+            connection.websocket.close();
+        };
+    });
+
+    // Proposals exchanged offline are not on the service
+    const getServiceProposals = (proposals) => Object.values(proposals).filter((proposal) => !proposal.offline);
+
+    try {
+        while (true) {
+            const { message, imported, removed, stopped } = yield race({
+                message: take(updatesChannel),
+                imported: take(types.PROPOSAL_IMPORTED),
+                removed: take(types.PROPOSAL_REMOVED),
+                stopped: take([types.START_WALLET_REQUESTED, types.WALLET_RESET, 'clean_data']),
+            });
+            if (stopped) {
+                return;
+            }
+
+            if (imported && !imported.offline) {
+                connection.subscribeProposal([imported.proposalId]);
+            } else if (removed) {
+                connection.unsubscribeProposal(removed.proposalId);
+            } else if (message && message.type === 'state' && message.data === ConnectionState.CONNECTED) {
+                // The subscriptions are lost when the connection drops, so we subscribe again on every connection
+                const proposals = yield select((state) => state.proposals);
+                connection.subscribeProposal(getServiceProposals(proposals).map((proposal) => proposal.id));
+            } else if (message && message.type === 'update') {
+                // The lib emits the whole websocket message: { type: 'proposal_updated', data: { proposalId, ... } }
+                const proposalId = get(message.data, 'data.proposalId');
+                const proposal = yield select((state) => get(state.proposals, proposalId));
+                if (proposal && !proposal.offline) {
+                    // The pushed data is encrypted, so we fetch it through the same flow used to load the proposals
+                    yield put(proposalFetchRequested(proposalId, proposal.password, true));
+                }
+            }
+        }
+    } finally {
+        // When we close the channel, it will close the connection
+        updatesChannel.close();
+    }
+}
+
+/**
+ * Makes the request to the backend to create a proposal and returns its results via saga events.
+ * Proposals exchanged offline get a local identifier instead.
  * @param {string} action.partialTx
  * @param {string} action.password
+ * @param {boolean} action.offline
  */
 function* createProposalOnBackend(action) {
-    const { password, partialTx } = action;
+    const { password, partialTx, offline } = action;
 
     try {
         // Cleaning up the error handling redux object
         yield put(lastFailedRequest(undefined))
 
         // Request an identifier from the service backend
-        const { success, id: proposalId } = yield swapService.create(partialTx, password);
+        const { success, id: proposalId } = offline
+            ? { success: true, id: createOfflineProposal(partialTx).id }
+            : yield swapService.create(partialTx, password);
 
         // Error handling
         if (!success) {
@@ -146,7 +346,7 @@ function* createProposalOnBackend(action) {
         }
 
         // Generate a minimal redux object on the application state
-        yield(put(importProposal(proposalId, password)));
+        yield(put(importProposal(proposalId, password, offline)));
 
         // Enrich the PartialTx with exhibition metadata
         const wallet = getGlobalWallet();
@@ -161,6 +361,12 @@ function* createProposalOnBackend(action) {
         // Insert generated data into state as a fetch saga results
         yield put(proposalFetchSuccess(proposalId, newProposalReduxObj.data));
 
+        // Proposals created as offers already have inputs, which should not be used by other transactions
+        const createdPartialTx = yield call(deserializePartialTx, partialTx, wallet);
+        for (const input of createdPartialTx.inputs) {
+            yield call([wallet, wallet.markUtxoSelected], input.hash, input.index, true);
+        }
+
         // Update the persistent storage with the new addition
         const allProposals = yield select((state) => state.proposals);
         updatePersistentStorage(allProposals);
@@ -172,11 +378,58 @@ function* createProposalOnBackend(action) {
     }
 }
 
+/**
+ * Keeps the history of the proposal up to date with its changes
+ * @param {string} action.proposalId
+ * @param {ProposalData} action.data
+ */
+function* recordHistory(action) {
+    const { proposalId, data } = action;
 
+    try {
+        const proposal = yield select((state) => get(state.proposals, proposalId));
+        const tokensCache = yield select((state) => state.tokensCache);
+        const wallet = getGlobalWallet();
+        yield call(recordProposalHistory, proposalId, data, proposal && proposal.offline, tokensCache, wallet);
+    } catch (e) {
+        // The history is only informative, so it should not break the proposal screens
+        console.error('Error recording the proposal history', e);
+    }
+}
+
+/**
+ * Keeps the proposal removed from the list on the history, as cancelled unless another status is informed
+ * @param {string} action.proposalId
+ * @param {string|null} action.historyStatus
+ */
+function* cancelHistory(action) {
+    yield call(closeProposalHistory, action.proposalId, action.historyStatus || PROPOSAL_HISTORY_STATUS.CANCELLED);
+}
+
+/**
+ * Finishes the proposal after its transaction is sent, removing it from the list
+ * @param {string} action.proposalId
+ * @param {string} action.txId
+ */
+function* finishProposal(action) {
+    const { proposalId, txId } = action;
+
+    // Closing the history first, so it's not marked as cancelled when removed from the list
+    yield call(closeProposalHistory, proposalId, PROPOSAL_HISTORY_STATUS.FINISHED, txId);
+    yield put(proposalRemoved(proposalId));
+    removeOfflineProposal(proposalId);
+    const allProposals = yield select((state) => state.proposals);
+    updatePersistentStorage(allProposals);
+}
 
 export function* saga() {
     yield all([
         fork(fetchProposalDataQueue),
-        takeEvery(types.PROPOSAL_CREATE_REQUESTED, createProposalOnBackend)
+        takeEvery(types.PROPOSAL_CREATE_REQUESTED, createProposalOnBackend),
+        takeEvery(types.PROPOSAL_UPDATED, recordHistory),
+        takeEvery(types.PROPOSAL_REMOVED, cancelHistory),
+        takeEvery(types.PROPOSAL_SENT, finishProposal),
+        takeEvery('WALLET_NEW_TX', checkProposalsSpentByTx),
+        takeLatest(['load_wallet_success', types.SWAP_SERVICE_CHANGED], listenForProposalUpdates),
     ]);
 }
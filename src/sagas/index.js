@@ -3,6 +3,8 @@ import { saga as walletSagas } from './wallet';
 import { saga as tokensSagas } from './tokens';
 import { saga as proposalsSagas } from './atomicSwap';
 import { saga as featureToggleSagas } from './featureToggle';
+import { saga as scheduledPaymentsSagas } from './scheduledPayments';
+import { saga as lockedFundsSagas } from './lockedFunds';
 
 function* defaultSaga() {
   yield all([
@@ -10,6 +12,8 @@ function* defaultSaga() {
     fork(tokensSagas),
     fork(proposalsSagas),
     fork(featureToggleSagas),
+    fork(scheduledPaymentsSagas),
+    fork(lockedFundsSagas),
   ]);
 }
 
@@ -0,0 +1,105 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { all, call, delay, put, race, select, take, takeLatest } from 'redux-saga/effects';
+import { t } from 'ttag';
+import { types, tokenFetchBalanceRequested } from '../actions';
+import utxosUtils from '../utils/utxos';
+import walletUtils from '../utils/wallet';
+import helpers from '../utils/helpers';
+import { getGlobalWallet } from '../modules/wallet';
+
+/**
+ * Interval in milliseconds to check if a locked utxo became spendable
+ */
+const CHECK_INTERVAL = 30 * 1000;
+
+/**
+ * Get the utxos of all registered tokens, split between locked and spendable
+ *
+ * @return {{locked: Map<string, WalletUtxo>, spendable: Set<string>}} Locked utxos indexed by `txId:index` and the ids of the spendable ones
+ */
+export function* getUtxosLocks() {
+  const tokens = yield select((state) => state.tokens);
+  const wallet = getGlobalWallet();
+
+  const locked = new Map();
+  const spendable = new Set();
+  for (const token of tokens) {
+    const list = yield call([utxosUtils, utxosUtils.getUtxos], wallet, token.uid);
+    for (const utxo of list) {
+      const id = `${utxo.txId}:${utxo.index}`;
+      if (utxosUtils.isSpendable(utxo)) {
+        spendable.add(id);
+      } else if (utxo.authorities === 0) {
+        locked.set(id, utxo);
+      }
+    }
+  }
+  return { locked, spendable };
+}
+
+/**
+ * Notify the user when the locks of the wallet utxos expire, until another wallet is started.
+ * The utxos are read from the wallet storage, so it does not run on the wallet service facade.
+ */
+export function* watchLockedFunds() {
+  const useWalletService = yield select((state) => state.useWalletService);
+  if (useWalletService) {
+    return;
+  }
+
+  let locked = new Map();
+  try {
+    ({ locked } = yield call(getUtxosLocks));
+  } catch (e) {
+    // The utxos locked now will only be known on the next check
+    console.error('Error reading the locked funds', e);
+  }
+
+  while (true) {
+    const { stopped } = yield race({
+      tick: delay(CHECK_INTERVAL),
+      stopped: take([types.START_WALLET_REQUESTED, types.WALLET_RESET, 'clean_data']),
+    });
+    if (stopped) {
+      return;
+    }
+
+    try {
+      const current = yield call(getUtxosLocks);
+      const unlockedPerToken = {};
+      for (const [id, utxo] of locked) {
+        // A locked utxo may also disappear if its transaction is voided
+        if (current.spendable.has(id)) {
+          unlockedPerToken[utxo.token] = (unlockedPerToken[utxo.token] || 0) + utxo.value;
+        }
+      }
+      locked = current.locked;
+
+      const tokens = yield select((state) => state.tokens);
+      const tokenMetadata = yield select((state) => state.tokenMetadata);
+      for (const [tokenUid, total] of Object.entries(unlockedPerToken)) {
+        const token = tokens.find((token) => token.uid === tokenUid);
+        const symbol = token ? token.symbol : '';
+        const amount = helpers.renderValue(total, helpers.isTokenNFT(tokenUid, tokenMetadata));
+        walletUtils.sendNotification(t`${amount} ${symbol} became spendable.`);
+        // The available balance changed without a new transaction
+        yield put(tokenFetchBalanceRequested(tokenUid, true));
+      }
+    } catch (e) {
+      // The storage may be reloading, the locks are checked again on the next interval
+      console.error('Error checking the locked funds', e);
+    }
+  }
+}
+
+export function* saga() {
+  yield all([
+    takeLatest('load_wallet_success', watchLockedFunds),
+  ]);
+}
@@ -0,0 +1,122 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { all, call, delay, fork, put, race, take, takeEvery } from 'redux-saga/effects';
+import { t } from 'ttag';
+import {
+  types,
+  scheduledPaymentsUpdated,
+  scheduledPaymentDue,
+} from '../actions';
+import { specificTypeAndPayload } from './helpers';
+import scheduledPaymentsUtils from '../utils/scheduledPayments';
+import walletUtils from '../utils/wallet';
+import LOCAL_STORE from '../storage';
+import { SCHEDULED_PAYMENT_STATUS } from '../constants';
+import { getGlobalWallet } from '../modules/wallet';
+
+/**
+ * Interval in milliseconds to check if a scheduled payment is due
+ */
+const CHECK_INTERVAL = 30 * 1000;
+
+/**
+ * Get the current timestamp in seconds
+ */
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Load the scheduled payments of the wallet to redux after it is loaded
+ */
+export function* loadScheduledPayments() {
+  yield put(scheduledPaymentsUpdated(scheduledPaymentsUtils.getAll()));
+}
+
+/**
+ * Check periodically for due payments, for as long as the app is running
+ */
+export function* schedulerLoop() {
+  while (true) {
+    yield delay(CHECK_INTERVAL);
+    yield call(processDuePayments);
+  }
+}
+
+/**
+ * Send the due payments, one at a time. They are only sent while a software
+ * wallet is unlocked, since the user must write the PIN to sign them.
+ */
+export function* processDuePayments() {
+  const wallet = getGlobalWallet();
+  if (!wallet || !wallet.isReady() || LOCAL_STORE.isLocked() || LOCAL_STORE.isHardwareWallet()
+    || LOCAL_STORE.isWatchOnlyWallet() || LOCAL_STORE.isMultisigWallet()) {
+    return;
+  }
+
+  for (const payment of scheduledPaymentsUtils.listDue(now())) {
+    const { stopped } = yield call(sendDuePayment, payment);
+    if (stopped) {
+      return;
+    }
+  }
+}
+
+/**
+ * Ask the user for the PIN to send a due payment, then send it and record the outcome
+ *
+ * @param {ScheduledPayment} payment
+ *
+ * @return {{stopped: boolean}} If the wallet was stopped while waiting for the user
+ */
+export function* sendDuePayment(payment) {
+  // The PIN modal is shown by the App component when a payment is due
+  yield put(scheduledPaymentDue(payment.id));
+
+  const { confirmed, stopped } = yield race({
+    confirmed: take(specificTypeAndPayload(types.SCHEDULED_PAYMENT_CONFIRMED, { paymentId: payment.id })),
+    postponed: take(specificTypeAndPayload(types.SCHEDULED_PAYMENT_POSTPONED, { paymentId: payment.id })),
+    stopped: take([types.START_WALLET_REQUESTED, types.WALLET_RESET, 'clean_data']),
+  });
+
+  if (stopped) {
+    // Nobody is waiting for the PIN anymore
+    yield put(scheduledPaymentDue(null));
+    return { stopped: true };
+  }
+
+  const name = payment.name;
+  let outcome;
+  let message;
+  if (confirmed) {
+    try {
+      const wallet = getGlobalWallet();
+      const tx = yield call([wallet, wallet.sendManyOutputsTransaction], payment.outputs, { pin: confirmed.pin });
+      outcome = { status: SCHEDULED_PAYMENT_STATUS.SENT, txId: tx.hash };
+      message = t`The scheduled payment ${name} was sent.`;
+    } catch (e) {
+      const error = e.message;
+      outcome = { status: SCHEDULED_PAYMENT_STATUS.FAILED, error };
+      message = t`The scheduled payment ${name} failed: ${error}`;
+    }
+  } else {
+    outcome = { status: SCHEDULED_PAYMENT_STATUS.POSTPONED };
+    message = t`The scheduled payment ${name} was postponed.`;
+  }
+
+  const payments = scheduledPaymentsUtils.recordOutcome(payment.id, outcome, now());
+  yield put(scheduledPaymentsUpdated(payments));
+  walletUtils.sendNotification(message);
+
+  return { stopped: false };
+}
+
+export function* saga() {
+  yield all([
+    takeEvery('load_wallet_success', loadScheduledPayments),
+    fork(schedulerLoop),
+  ]);
+}
@@ -22,6 +22,8 @@ import {
   tokenFetchHistoryRequested,
   tokenFetchHistorySuccess,
   tokenFetchHistoryFailed,
+  tokenHistoryFullyLoaded,
+  updateTokenHistory,
   proposalTokenFetchSuccess,
   proposalTokenFetchFailed,
 } from '../actions';
@@ -30,6 +32,10 @@ import { getGlobalWallet } from "../modules/wallet";
 
 const CONCURRENT_FETCH_REQUESTS = 5;
 const METADATA_MAX_RETRIES = 3;
+// Number of transactions requested on each page when loading the full history of a token
+const FULL_HISTORY_PAGE_SIZE = 100;
+// Tokens with the full history being loaded, so we don't load the same pages twice
+const loadingFullHistory = new Set();
 
 export const TOKEN_DOWNLOAD_STATUS = {
   READY: 'ready',
@@ -211,6 +217,54 @@ function* fetchTokenHistory(action) {
   }
 }
 
+/**
+ * A filtered history must search on all transactions, not only on the pages that were
+ * already downloaded, so we load the remaining pages of the token history when a
+ * filter is active.
+ */
+function* loadFullTokenHistory(action) {
+  const { tokenId } = action;
+  const wallet = getGlobalWallet();
+
+  if (loadingFullHistory.has(tokenId)) {
+    // The filter is read on each page, so the running load already handles the new filter
+    return;
+  }
+
+  loadingFullHistory.add(tokenId);
+  try {
+    while (true) {
+      const tokenHistory = yield select((state) => get(state.tokensHistory, tokenId));
+      if (!tokenHistory
+        || tokenHistory.status !== TOKEN_DOWNLOAD_STATUS.READY
+        || tokenHistory.fullyLoaded
+        || !helpers.isHistoryFilterActive(tokenHistory.filter)) {
+        return;
+      }
+
+      const response = yield call([wallet, wallet.getTxHistory], {
+        token_id: tokenId,
+        skip: tokenHistory.data.length,
+        count: FULL_HISTORY_PAGE_SIZE,
+      });
+      const data = yield call([helpers, helpers.mapTokenHistory], wallet, response, tokenId);
+      if (data.length) {
+        yield put(updateTokenHistory(tokenId, data));
+      }
+      if (data.length < FULL_HISTORY_PAGE_SIZE) {
+        yield put(tokenHistoryFullyLoaded(tokenId));
+        return;
+      }
+    }
+  } catch (e) {
+    // The filter will be applied only on the transactions already loaded
+    // eslint-disable-next-line
+    console.log('Error loading the full history of token', tokenId, e);
+  } finally {
+    loadingFullHistory.delete(tokenId);
+  }
+}
+
 /**
  * This saga will monitor the `new_tokens` actions to detect new tokens being registered
  * on the wallet and dispatch the TOKEN_FETCH_BALANCE_REQUESTED action so the balance
@@ -370,6 +424,10 @@ export function* saga() {
     fork(monitorSelectedToken),
     fork(fetchProposalTokenDataQueue),
     takeEvery(types.TOKEN_FETCH_HISTORY_REQUESTED, fetchTokenHistory),
+    takeEvery([
+      types.TOKEN_HISTORY_FILTER_UPDATED,
+      types.TOKEN_FETCH_HISTORY_SUCCESS,
+    ], loadFullTokenHistory),
     takeEvery('new_tokens', routeTokenChange),
   ]);
 }
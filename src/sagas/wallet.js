@@ -24,6 +24,8 @@ import {
   spawn,
 } from 'redux-saga/effects';
 import { eventChannel } from 'redux-saga';
+// Not on the public exports of the lib, it's the same reload done by the wallet when the connection is lost
+import { reloadStorage } from '@hathor/wallet-lib/lib/utils/storage';
 import LOCAL_STORE from '../storage';
 import {
   WALLET_SERVICE_MAINNET_BASE_WS_URL,
@@ -62,6 +64,11 @@ import {
   updateTxHistory,
   setMiningServer,
   setNativeTokenData,
+  profileListUpdated,
+  cleanData,
+  txNotesUpdated,
+  addressLabelsUpdated,
+  multisigTxsUpdated,
 } from '../actions';
 import {
   specificTypeAndPayload,
@@ -72,8 +79,12 @@ import {
 import { fetchTokenData } from './tokens';
 import walletUtils from '../utils/wallet';
 import tokensUtils from '../utils/tokens';
+import helpersUtils from '../utils/helpers';
+import txNotesUtils from '../utils/txNotes';
+import addressLabelsUtils from '../utils/addressLabels';
+import multisigUtils from '../utils/multisig';
 import { initializeSwapServiceBaseUrlForWallet } from "../utils/atomicSwap";
-import { getGlobalWallet, setGlobalWallet } from "../modules/wallet";
+import { getGlobalWallet, setGlobalWallet, stopWallet } from "../modules/wallet";
 
 export const WALLET_STATUS = {
   READY: 'ready',
@@ -108,30 +119,53 @@ export function* startWallet(action) {
     passphrase,
     pin,
     password,
-    xpub,
     hardware,
+    watchOnly,
+    multisig,
+    profileId,
   } = action.payload;
+  let { xpub } = action.payload;
   let xpriv = null;
 
+  // The wallet data is read from the requested profile, or from the one in use if not informed
+  if (profileId && profileId !== LOCAL_STORE.getCurrentProfileId()) {
+    LOCAL_STORE.setCurrentProfile(profileId);
+    helpersUtils.loadStorageState();
+  }
+  yield put(profileListUpdated(LOCAL_STORE.getProfiles(), LOCAL_STORE.getCurrentProfileId()));
+
   yield put(loadingAddresses(true));
 
   if (hardware) {
     // We need to ensure that the hardware wallet storage is always generated here since we may be
     // starting the wallet with a second device and so we cannot trust the xpub saved on storage.
     yield LOCAL_STORE.initHWStorage(xpub);
+  } else if (watchOnly) {
+    if (!LOCAL_STORE.isLoadedSync(true)) {
+      yield LOCAL_STORE.initWatchOnlyStorage(xpub);
+    }
   } else {
     if (!LOCAL_STORE.isLoadedSync(true)) {
-      yield LOCAL_STORE.initStorage(words, password, pin, passphrase);
+      yield LOCAL_STORE.initStorage(words, password, pin, passphrase, multisig || undefined);
     }
   }
 
   const storage = LOCAL_STORE.getStorage();
 
+  if (watchOnly && !xpub) {
+    // Reopening a watch-only wallet, the xpub is the only data we have to start it
+    const accessData = yield storage.getAccessData();
+    xpub = accessData.xpubkey;
+  }
+
   // We are offline, the connection object is yet to be created
   yield put(isOnlineUpdate({ isOnline: false }));
 
-  // For now, the wallet service does not support hardware wallet, so default to the old facade
-  const useWalletService = hardware ? false : yield call(isWalletServiceEnabled);
+  // For now, the wallet service does not support hardware, watch-only and multisig wallets, nor a custom
+  // gap limit or account index, so default to the old facade
+  const useWalletService = (hardware || watchOnly || LOCAL_STORE.isMultisigWallet() || LOCAL_STORE.hasCustomDerivation())
+    ? false
+    : yield call(isWalletServiceEnabled);
   const enableAtomicSwap = yield call(isAtomicSwapEnabled);
 
   yield put(setUseWalletService(useWalletService));
@@ -230,6 +264,7 @@ export function* startWallet(action) {
     };
 
     wallet = new HathorWallet(walletConfig);
+    yield call([wallet, wallet.setGapLimit], LOCAL_STORE.getDerivationSettings().gapLimit);
   }
 
   setGlobalWallet(wallet);
@@ -328,7 +363,7 @@ export function* startWallet(action) {
 
   try {
     const { allTokens, registeredTokens } = yield call(loadTokens);
-    const currentAddress = yield call([wallet, wallet.getCurrentAddress]);
+    const currentAddress = yield call([addressLabelsUtils, addressLabelsUtils.getSharedAddress], wallet);
 
     // Convert tokens to an object map before storing on Redux
     const allTokensMap = {};
@@ -338,6 +373,9 @@ export function* startWallet(action) {
 
     // Store all tokens on redux
     yield put(loadWalletSuccess(allTokensMap, registeredTokens, currentAddress));
+    yield put(txNotesUpdated(txNotesUtils.getAll()));
+    yield put(addressLabelsUpdated(addressLabelsUtils.getAll()));
+    yield put(multisigTxsUpdated(multisigUtils.getAll()));
   } catch(e) {
     yield put(startWalletFailed());
     return;
@@ -345,7 +383,9 @@ export function* startWallet(action) {
 
   LOCAL_STORE.unlock();
 
-  yield put(setNavigateTo('/wallet/', true));
+  // A payment request opened while the wallet was locked is shown after it's unlocked
+  const paymentRequest = yield select((state) => state.paymentRequest);
+  yield put(setNavigateTo(paymentRequest ? '/wallet/send_tokens/' : '/wallet/', true));
 
   yield put(loadingAddresses(false));
 
@@ -500,7 +540,7 @@ export function* handleTx(wallet, tx) {
   // Since we have already received the transaction at this point, the wallet
   // instance will already have updated its current address, we should just
   // fetch it and update the redux-store
-  const newAddress = yield call([wallet, wallet.getCurrentAddress]);
+  const newAddress = yield call([addressLabelsUtils, addressLabelsUtils.getSharedAddress], wallet);
 
   yield put(sharedAddressUpdate({
     lastSharedAddress: newAddress.address,
@@ -705,7 +745,7 @@ export function* walletReloading() {
     // time
     yield put(walletRefreshSharedAddress());
 
-    const currentAddress = yield call([wallet, wallet.getCurrentAddress]);
+    const currentAddress = yield call([addressLabelsUtils, addressLabelsUtils.getSharedAddress], wallet);
 
     // Convert tokens to an object map before storing on Redux
     const allTokensMap = {};
@@ -715,6 +755,10 @@ export function* walletReloading() {
 
     // Load success, we can send the user back to the wallet screen
     yield put(loadWalletSuccess(allTokensMap, registeredTokens, currentAddress));
+    // The histories were invalidated, but the notes, address labels and multisig transactions are kept on localStorage so we restore them
+    yield put(txNotesUpdated(txNotesUtils.getAll()));
+    yield put(addressLabelsUpdated(addressLabelsUtils.getAll()));
+    yield put(multisigTxsUpdated(multisigUtils.getAll()));
     yield put(setNavigateTo('/wallet/', true));
     yield put(loadingAddresses(false));
   } catch (e) {
@@ -723,10 +767,39 @@ export function* walletReloading() {
   }
 }
 
+/**
+ * Load the addresses and history of the wallet again, using the gap limit saved on localStorage.
+ * It runs the same reload done when the connection is lost, so `walletReloading` updates redux when it's ready.
+ */
+export function* walletRescan() {
+  const wallet = getGlobalWallet();
+  const useWalletService = yield select((state) => state.useWalletService);
+  if (useWalletService) {
+    // The wallet service does not support a custom gap limit, so we start the wallet again with the old facade
+    yield put(reloadWalletRequested());
+    return;
+  }
+
+  const { gapLimit } = LOCAL_STORE.getDerivationSettings();
+
+  yield call([wallet, wallet.setGapLimit], gapLimit);
+  yield put(reloadingWallet());
+
+  wallet.setState(HathorWallet.SYNCING);
+  try {
+    yield call(reloadStorage, wallet.storage, wallet.conn);
+    // Processing the history sets the wallet as ready
+    wallet.setState(HathorWallet.PROCESSING);
+  } catch (e) {
+    wallet.setState(HathorWallet.ERROR);
+    yield put(startWalletFailed());
+  }
+}
+
 export function* refreshSharedAddress() {
   const wallet = getGlobalWallet();
 
-  const { address, index } = yield call([wallet, wallet.getCurrentAddress]);
+  const { address, index } = yield call([addressLabelsUtils, addressLabelsUtils.getSharedAddress], wallet);
 
   yield put(sharedAddressUpdate({
     lastSharedAddress: address,
@@ -742,6 +815,7 @@ export function* onWalletReset() {
   if (wallet) {
     yield call([wallet.storage, wallet.storage.cleanStorage], true, true);
   }
+  yield put(profileListUpdated(LOCAL_STORE.getProfiles(), LOCAL_STORE.getCurrentProfileId()));
 
   yield put(setNavigateTo('/welcome'));
 }
@@ -791,11 +865,33 @@ export function* onUpdateMiningServer({ payload }) {
   }
 }
 
+/**
+ * Stops the loaded wallet and selects another profile. The user is taken to the
+ * locked screen if the profile has a wallet or to the wallet creation otherwise.
+ *
+ * @param {Object} action
+ * @param {string} action.profileId Id of the profile to select
+ */
+export function* onProfileSwitchRequested({ profileId }) {
+  stopWallet();
+  yield put(cleanData());
+
+  LOCAL_STORE.setCurrentProfile(profileId);
+  LOCAL_STORE.lock();
+  // Load the network and servers of the selected profile
+  helpersUtils.loadStorageState();
+  yield put(profileListUpdated(LOCAL_STORE.getProfiles(), profileId));
+
+  const route = LOCAL_STORE.isLoadedSync() ? '/locked/' : '/wallet_type/';
+  yield put(setNavigateTo(route, true));
+}
+
 export function* saga() {
   yield all([
     takeLatest(types.START_WALLET_REQUESTED, errorHandler(startWallet, startWalletFailed())),
     takeLatest('WALLET_CONN_STATE_UPDATE', onWalletConnStateUpdate),
     takeLatest('WALLET_RELOADING', walletReloading),
+    takeLatest(types.WALLET_RESCAN_REQUESTED, walletRescan),
     takeLatest('WALLET_RESET', onWalletReset),
     takeEvery('WALLET_NEW_TX', handleNewTx),
     takeEvery('WALLET_UPDATE_TX', handleUpdateTx),
@@ -804,5 +900,6 @@ export function* saga() {
     takeEvery('WALLET_RELOAD_DATA', walletReloading),
     takeEvery('WALLET_REFRESH_SHARED_ADDRESS', refreshSharedAddress),
     takeEvery('UPDATE_MINING_SERVER', onUpdateMiningServer),
+    takeLatest(types.PROFILE_SWITCH_REQUESTED, onProfileSwitchRequested),
   ]);
 }
@@ -0,0 +1,167 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useContext, useRef } from 'react';
+import { t } from 'ttag';
+import { useSelector } from 'react-redux';
+import BackButton from '../components/BackButton';
+import { GlobalModalContext, MODAL_TYPES } from '../components/GlobalModal';
+import addressBook from '../utils/addressBook';
+import helpers from '../utils/helpers';
+
+/**
+ * Screen to manage the address book, with the contacts used as recipients when sending tokens
+ *
+ * @memberof Screens
+ */
+function AddressBook() {
+  const context = useContext(GlobalModalContext);
+  const tokens = useSelector(state => state.tokens);
+  /** contacts {Contact[]} Contacts of the address book, sorted by name */
+  const [contacts, setContacts] = useState(addressBook.listContacts());
+  /** importResult {{ imported: number, errors: string[] }|null} Result of the last CSV import */
+  const [importResult, setImportResult] = useState(null);
+  const fileInputRef = useRef();
+
+  /**
+   * Reload the contacts from the storage after a change
+   */
+  const refresh = () => {
+    setContacts(addressBook.listContacts());
+  }
+
+  /**
+   * Open the modal to add a contact or edit an existing one
+   *
+   * @param {string} [address] Address of the contact being edited
+   */
+  const openContactModal = (address) => {
+    context.showModal(MODAL_TYPES.SAVE_CONTACT, {
+      address,
+      onSave: refresh,
+    });
+  }
+
+  /**
+   * Ask for confirmation, then remove the contact
+   *
+   * @param {Contact} contact
+   */
+  const removeClicked = (contact) => {
+    context.showModal(MODAL_TYPES.CONFIRM, {
+      title: t`Remove contact`,
+      body: t`Are you sure you want to remove ${contact.name} from your address book?`,
+      handleYes: () => {
+        addressBook.removeContact(contact.address);
+        context.hideModal();
+        refresh();
+      },
+    });
+  }
+
+  /**
+   * Download the address book as a CSV file
+   */
+  const exportClicked = () => {
+    helpers.downloadFile(addressBook.exportCsv(), 'Hathor Wallet - Address book.csv', 'text/csv');
+  }
+
+  /**
+   * Import the contacts of the CSV file selected by the user
+   *
+   * @param {Object} e Event emitted when the file input changes
+   */
+  const importFileSelected = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    const text = await file.text();
+    setImportResult(addressBook.importCsv(text));
+    refresh();
+    // Allow the same file to be selected again
+    fileInputRef.current.value = '';
+  }
+
+  const renderTokenRestriction = (contact) => {
+    if (!contact.tokenUid) {
+      return t`Any token`;
+    }
+    const token = tokens.find((token) => token.uid === contact.tokenUid);
+    return token ? token.symbol : contact.tokenUid;
+  }
+
+  const renderImportResult = () => {
+    if (!importResult) {
+      return null;
+    }
+
+    const { imported, errors } = importResult;
+    return (
+      <div className="mt-3">
+        <p>{t`${imported} contacts imported.`}</p>
+        {errors.map((error) => <p key={error} className="text-danger mb-1">{error}</p>)}
+      </div>
+    );
+  }
+
+  const renderContacts = () => {
+    return contacts.map((contact) => (
+      <tr key={contact.address}>
+        <td>{contact.name}</td>
+        <td className="text-monospace">{contact.address}</td>
+        <td>{contact.network}</td>
+        <td>{renderTokenRestriction(contact)}</td>
+        <td>{contact.notes}</td>
+        <td className="text-nowrap">
+          <button type="button" className="btn btn-link p-0 mr-3" onClick={() => openContactModal(contact.address)}>{t`Edit`}</button>
+          <button type="button" className="btn btn-link p-0 text-danger" onClick={() => removeClicked(contact)}>{t`Remove`}</button>
+        </td>
+      </tr>
+    ));
+  }
+
+  return (
+    <div className="content-wrapper">
+      <BackButton />
+      <div className="d-flex flex-row justify-content-between align-items-center mt-4">
+        <h3>{t`Address book`}</h3>
+        <div>
+          <button type="button" className="btn btn-hathor mr-3" onClick={() => openContactModal()}>{t`Add contact`}</button>
+          <button type="button" className="btn btn-hathor mr-3" onClick={() => fileInputRef.current.click()}>{t`Import CSV`}</button>
+          <button type="button" className="btn btn-hathor" onClick={exportClicked} disabled={contacts.length === 0}>{t`Export CSV`}</button>
+          <input type="file" accept=".csv,text/csv" className="d-none" ref={fileInputRef} onChange={importFileSelected} />
+        </div>
+      </div>
+      {renderImportResult()}
+      {contacts.length === 0
+        ? <p className="mt-4">{t`You don't have any contacts yet. Add one here or from the addresses of a transaction.`}</p>
+        : (
+          <div className="table-responsive">
+            <table className="mt-3 table table-striped">
+              <thead>
+                <tr>
+                  <th>{t`Name`}</th>
+                  <th>{t`Address`}</th>
+                  <th>{t`Network`}</th>
+                  <th>{t`Token`}</th>
+                  <th>{t`Notes`}</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {renderContacts()}
+              </tbody>
+            </table>
+          </div>
+        )
+      }
+    </div>
+  );
+}
+
+export default AddressBook;
@@ -0,0 +1,80 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useContext, useState } from 'react';
+import { t } from 'ttag';
+import { useDispatch } from 'react-redux';
+import BackButton from '../components/BackButton';
+import DerivationSettings from '../components/DerivationSettings';
+import { GlobalModalContext, MODAL_TYPES } from '../components/GlobalModal';
+import { walletRescanRequested } from '../actions';
+import derivation, { DerivationSettingsError } from '../utils/derivation';
+import LOCAL_STORE from '../storage';
+
+/**
+ * Screen to change the gap limit of the wallet and load its addresses again.
+ *
+ * The account index is chosen when the wallet is loaded from its words, since the keys of the account
+ * are derived from them, so here it's only shown.
+ *
+ * @memberof Screens
+ */
+function AddressDerivation() {
+  const context = useContext(GlobalModalContext);
+  const dispatch = useDispatch();
+  const saved = LOCAL_STORE.getDerivationSettings();
+  /** gapLimit {string} Text of gap limit input */
+  const [gapLimit, setGapLimit] = useState(String(saved.gapLimit));
+  const [errorMessage, setErrorMessage] = useState('');
+
+  /**
+   * Save the gap limit and rescan the wallet, after the user confirms
+   */
+  const rescanClicked = () => {
+    let settings;
+    try {
+      settings = derivation.parse(gapLimit, saved.accountIndex);
+    } catch (e) {
+      if (e instanceof DerivationSettingsError) {
+        setErrorMessage(e.message);
+        return;
+      }
+      throw e;
+    }
+
+    setErrorMessage('');
+    context.showModal(MODAL_TYPES.CONFIRM, {
+      title: t`Rescan wallet`,
+      body: t`The addresses and transactions of the wallet will be loaded again from the server. It may take a while for wallets with many transactions.`,
+      handleYes: () => {
+        context.hideModal();
+        LOCAL_STORE.setDerivationSettings(settings);
+        dispatch(walletRescanRequested());
+      },
+    });
+  }
+
+  return (
+    <div className="content-wrapper">
+      <BackButton />
+      <h3 className="mt-4 mb-4">{t`Address derivation`}</h3>
+      <p>{t`The wallet looks for transactions on its addresses until it finds a sequence of unused addresses as long as the gap limit. If a wallet was used with many addresses beyond the gap, its balance may be wrong until the gap limit is increased.`}</p>
+      <DerivationSettings
+        gapLimit={gapLimit}
+        accountIndex={String(saved.accountIndex)}
+        onGapLimitChange={setGapLimit}
+        onAccountIndexChange={() => {}}
+        accountIndexDisabled
+      />
+      <p className="text-muted">{t`To use another account index, load the wallet again from its words with the advanced settings.`}</p>
+      {errorMessage && <p className="text-danger">{errorMessage}</p>}
+      <button type="button" className="btn btn-hathor" onClick={rescanClicked}>{t`Save and rescan`}</button>
+    </div>
+  );
+}
+
+export default AddressDerivation;
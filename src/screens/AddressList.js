@@ -5,75 +5,110 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useContext } from 'react';
 import { t } from 'ttag'
+import { useSelector } from 'react-redux';
+import hathorLib from '@hathor/wallet-lib';
 import HathorPaginate from '../components/HathorPaginate';
-import HathorAlert from '../components/HathorAlert';
-import { WALLET_HISTORY_COUNT } from '../constants';
+import { GlobalModalContext, MODAL_TYPES } from '../components/GlobalModal';
+import { IPC_RENDERER, WALLET_HISTORY_COUNT } from '../constants';
 import helpers from '../utils/helpers';
-import walletUtils from '../utils/wallet';
+import addressesUtils, { ADDRESS_FILTER } from '../utils/addresses';
+import ledger from '../utils/ledger';
+import LOCAL_STORE from '../storage';
 import path from 'path';
 import { getGlobalWallet } from '../modules/wallet';
 
+/**
+ * Fields the address list can be sorted by
+ */
+const SORT_FIELDS = {
+  INDEX: 'index',
+  TRANSACTIONS: 'transactions',
+  BALANCE: 'balance',
+  LAST_USED: 'lastUsed',
+};
+
 /**
  * Screen that has a list of addresses of the wallet
  *
  * @memberof Screens
  */
 function AddressList() {
+  const context = useContext(GlobalModalContext);
   const wallet = getGlobalWallet();
+  const { tokens, tokenMetadata, selectedToken, addressLabels } = useSelector((state) => ({
+    tokens: state.tokens,
+    tokenMetadata: state.tokenMetadata,
+    selectedToken: state.selectedToken,
+    addressLabels: state.addressLabels,
+  }));
 
-  const alertErrorRef = useRef(null);
   const txSearchRef = useRef(null);
 
-  /* addresses {Array} All wallet addresses data {'address', 'index', 'numberOfTransactions'} */
+  /* addresses {AddressDetails[]} All wallet addresses with balance and usage */
   const [addresses, setAddresses] = useState([]);
-  /* filteredAddresses {Array} addresses state after search */
-  const [filteredAddresses, setFilteredAddresses] = useState([]);
+  /* loading {Boolean} If the addresses are being loaded */
+  const [loading, setLoading] = useState(true);
   /* page: {Number} Current page of the list */
   const [page, setPage] = useState(1);
-  /* totalPages: {Number} Total number of pages of the list */
-  const [totalPages, setTotalPages] = useState(0);
-  /* filtered: {Boolean} If the list is filtered */
-  const [filtered, setFiltered] = useState(false);
+  /* search {String} Prefix of the addresses shown, or part of their labels */
+  const [search, setSearch] = useState('');
+  /* filter {String} One of ADDRESS_FILTER */
+  const [filter, setFilter] = useState(ADDRESS_FILTER.ALL);
+  /* sort {Object} Field and direction of the sorting {field, asc} */
+  const [sort, setSort] = useState({ field: SORT_FIELDS.INDEX, asc: true });
+  /* errorMessage {String} Error loading the addresses or verifying them on the hardware wallet */
+  const [errorMessage, setErrorMessage] = useState('');
 
-  /**
-   * Return total number of pages of the list
-   *
-   * @param {Array} array Array of addresses of the list
-   *
-   * @return {Number} Total number of pages of the list
-   */
-  const getTotalPages = (array) => {
-    return Math.ceil(array.length / WALLET_HISTORY_COUNT);
-  }
+  const isHardwareWallet = LOCAL_STORE.isHardwareWallet();
 
   useEffect(() => {
-    /* useEffect callback cannot be async, so we create a function to do the asynchronous work inside it
-     * @see https://devtrium.com/posts/async-functions-useeffect#write-the-asynchronous-function-inside-the-useeffect
-     */
-    const fetchAddresses = async () => {
-      const fetchedAddresses = [];
-      const iterator = wallet.getAllAddresses();
-      for (;;) {
-        const addressObj = await iterator.next();
-        const { value, done } = addressObj;
-
-        if (done) {
-          break;
-        }
-
-        fetchedAddresses.push(value);
-      }
+    addressesUtils.getAddressesDetails(wallet).then((details) => {
+      setAddresses(details);
+    }).catch((e) => {
+      setErrorMessage(t`Error loading the addresses: ${e.message}`);
+    }).finally(() => {
+      setLoading(false);
+    });
 
-      setAddresses(fetchedAddresses);
-      setFilteredAddresses(fetchedAddresses);
-      setTotalPages(getTotalPages(fetchedAddresses));
+    if (IPC_RENDERER) {
+      IPC_RENDERER.on('ledger:address', (_event, arg) => {
+        context.hideModal();
+        setErrorMessage(arg.success ? '' : t`The address could not be verified on your Ledger.`);
+      });
     }
 
-    fetchAddresses();
+    return () => {
+      if (IPC_RENDERER) {
+        IPC_RENDERER.removeAllListeners('ledger:address');
+      }
+    };
   }, []);
 
+  /**
+   * Get the addresses after the search, filter and sorting
+   *
+   * @return {AddressDetails[]}
+   */
+  const getFilteredAddresses = () => {
+    const getValue = (details) => {
+      if (sort.field === SORT_FIELDS.BALANCE) {
+        return details.balance[selectedToken] || 0;
+      }
+      if (sort.field === SORT_FIELDS.LAST_USED) {
+        return details.lastUsed || 0;
+      }
+      return details[sort.field];
+    };
+
+    const filtered = addresses
+      .filter((details) => details.address.startsWith(search) || (addressLabels[details.address] || '').toLowerCase().includes(search.toLowerCase()))
+      .filter((details) => addressesUtils.matchesFilter(details, filter))
+      .sort((a, b) => (getValue(a) - getValue(b)) || (a.index - b.index));
+    return sort.asc ? filtered : filtered.reverse();
+  }
+
   /**
    * Event received from pagination component after a page button in clicked
    *
@@ -85,49 +120,74 @@ function AddressList() {
   }
 
   /**
-   * Called to execute search when user typed 'Enter' or clicked the icon
+   * Called when user types something, searching the addresses that start with the text typed
    */
-  const search = () => {
-    const text = txSearchRef.current.value;
-    if (text) {
-      if (walletUtils.validateAddress(text)) {
-        for (const addr of addresses) {
-          if (addr.address === text) {
-            setFiltered(true);
-            setFilteredAddresses([addr]);
-            setTotalPages(1);
-            setPage(1);
-            return;
-          }
-        }
-        setFiltered(true);
-        setFilteredAddresses([]);
-        setTotalPages(1);
-        setPage(1);
-      } else {
-        // Invalid address
-        alertErrorRef.current.show(3000);
-      }
-    } else {
-      if (filtered) {
-        // Was filtered, so now we need to reset data
-        setFiltered(false);
-        setFilteredAddresses(addresses);
-        setTotalPages(getTotalPages(addresses));
-        setPage(1);
-      }
-    }
+  const handleSearchChange = () => {
+    setSearch(txSearchRef.current.value.trim());
+    setPage(1);
   }
 
   /**
-   * Called when user types something, so we can capture the 'Enter' and execute search
+   * Called when the filter of the list is changed
    *
-   * @param {Object} e Event emitted when typing
+   * @param {Object} e Event emitted when the select is changed
    */
-  const handleKeyUp = (e) => {
-    if (e.key === 'Enter') {
-      search();
-    }
+  const handleFilterChange = (e) => {
+    setFilter(e.target.value);
+    setPage(1);
+  }
+
+  /**
+   * Sort by a field, or invert the order if it's the current one
+   *
+   * @param {string} field One of `SORT_FIELDS`
+   */
+  const sortBy = (field) => {
+    setSort({ field, asc: sort.field === field ? !sort.asc : true });
+    setPage(1);
+  }
+
+  /**
+   * Download the addresses shown, after the search and filter, as a CSV file
+   */
+  const exportCsv = () => {
+    const csv = addressesUtils.toCsv(getFilteredAddresses(), tokens, tokenMetadata, addressLabels);
+    helpers.downloadFile(csv, 'Hathor Wallet - Addresses.csv', 'text/csv');
+  }
+
+  /**
+   * Open the modal to edit the label of an address
+   *
+   * @param {Object} e Event for the click
+   * @param {String} address Address to be labeled
+   */
+  const editLabel = (e, address) => {
+    e.preventDefault();
+    context.showModal(MODAL_TYPES.ADDRESS_LABEL, { address });
+  }
+
+  /**
+   * Show the address on the hardware wallet, so the user can check it's the same
+   *
+   * @param {Object} e Event for the click
+   * @param {AddressDetails} details Address to be verified
+   */
+  const verifyOnDevice = (e, details) => {
+    e.preventDefault();
+    setErrorMessage('');
+    context.showModal(MODAL_TYPES.ALERT, {
+      title: t`Validate address on Ledger`,
+      id: 'ledgerAlert',
+      showFooter: false,
+      body: (
+        <div>
+          <p>{t`Validate that the address below is the same presented on the Ledger screen.`}</p>
+          <p>{t`Press both buttons on your Ledger in case the address is valid.`}</p>
+          <p><strong>{details.address}</strong></p>
+        </div>
+      ),
+    });
+    ledger.checkAddress(details.index);
   }
 
   /**
@@ -143,12 +203,13 @@ function AddressList() {
     helpers.openExternalURL(url);
   }
 
-  const loadPagination = () => {
-    if (addresses.length === 0 || totalPages === 1) {
+  const loadPagination = (totalPages) => {
+    if (totalPages <= 1) {
       return null;
     } else {
+      // Recreated when the list changes, so it goes back to the first page
       return (
-        <HathorPaginate pageCount={totalPages}
+        <HathorPaginate key={`${search}-${filter}-${sort.field}-${sort.asc}`} pageCount={totalPages}
           onPageChange={handlePageClick} />
       );
     }
@@ -157,13 +218,41 @@ function AddressList() {
   const renderSearch = () => {
     return (
       <div className="d-flex flex-row align-items-center col-12 col-md-6">
-        <input className="form-control mr-2" type="search" placeholder={t`Search address`} aria-label="Search" ref={txSearchRef} onKeyUp={handleKeyUp} />
-        <i className="fa fa-search pointer" onClick={search}></i>
+        <input className="form-control mr-2" type="search" placeholder={t`Search address or label`} aria-label="Search" ref={txSearchRef} onChange={handleSearchChange} />
+        <select className="form-control mr-2" value={filter} onChange={handleFilterChange}>
+          <option value={ADDRESS_FILTER.ALL}>{t`All`}</option>
+          <option value={ADDRESS_FILTER.USED}>{t`Used`}</option>
+          <option value={ADDRESS_FILTER.UNUSED}>{t`Unused`}</option>
+          <option value={ADDRESS_FILTER.WITH_BALANCE}>{t`With balance`}</option>
+        </select>
+        <button type="button" className="btn btn-secondary text-nowrap" onClick={exportCsv}>{t`Export CSV`}</button>
       </div>
     );
   }
 
-  const renderData = () => {
+  const renderHeader = (field, label, className = '') => {
+    const arrow = sort.asc ? 'fa-sort-asc' : 'fa-sort-desc';
+    return (
+      <th className={`pointer ${className}`} onClick={() => sortBy(field)}>
+        {label}
+        {sort.field === field && <i className={`fa ${arrow} ml-1`}></i>}
+      </th>
+    );
+  }
+
+  const renderBalance = (balance) => {
+    const entries = Object.entries(balance).filter(([, value]) => value > 0);
+    if (entries.length === 0) {
+      return '-';
+    }
+    return entries.map(([uid, value]) => {
+      const token = tokens.find((token) => token.uid === uid);
+      const symbol = token ? token.symbol : hathorLib.helpersUtils.getShortHash(uid);
+      return <div key={uid}>{helpers.renderValue(value, helpers.isTokenNFT(uid, tokenMetadata))} {symbol}</div>;
+    });
+  }
+
+  const renderData = (filteredAddresses) => {
     const startIndex = (page - 1) * WALLET_HISTORY_COUNT;
     const endIndex = startIndex + WALLET_HISTORY_COUNT;
     return filteredAddresses.slice(startIndex, endIndex).map((addressObj) => {
@@ -171,12 +260,23 @@ function AddressList() {
         <tr key={addressObj.address}>
           <td><a href="true" onClick={(e) => goToAddressSearch(e, addressObj.address)}>{addressObj.address}</a></td>
           <td>{addressObj.index}</td>
+          <td>
+            {addressLabels[addressObj.address] && <span className="mr-1">{addressLabels[addressObj.address]}</span>}
+            <a href="true" onClick={(e) => editLabel(e, addressObj.address)} title={t`Edit label`}>
+              <i className="fa fa-pencil"></i>
+            </a>
+          </td>
           <td className="number">{addressObj.transactions}</td>
+          <td className="number">{renderBalance(addressObj.balance)}</td>
+          <td>{addressObj.lastUsed ? hathorLib.dateFormatter.parseTimestamp(addressObj.lastUsed) : '-'}</td>
+          {isHardwareWallet && <td><a href="true" onClick={(e) => verifyOnDevice(e, addressObj)}>{t`Verify on device`}</a></td>}
         </tr>
       )
     });
   }
 
+  const filteredAddresses = getFilteredAddresses();
+
   return (
     <div className="content-wrapper">
       <div className="d-flex flex-column">
@@ -184,23 +284,28 @@ function AddressList() {
           <h2>{t`Addresses`}</h2>
           {renderSearch()}
         </div>
+        <p className="text-danger mt-3">{errorMessage}</p>
         <div className="table-responsive">
           <table className="mt-3 table table-striped" id="address-list">
             <thead>
               <tr>
                 <th>{t`Address`}</th>
-                <th>{t`Index`}</th>
-                <th className="number">{t`Number of transactions`}</th>
+                {renderHeader(SORT_FIELDS.INDEX, t`Index`)}
+                <th>{t`Label`}</th>
+                {renderHeader(SORT_FIELDS.TRANSACTIONS, t`Number of transactions`, 'number')}
+                {renderHeader(SORT_FIELDS.BALANCE, t`Balance`, 'number')}
+                {renderHeader(SORT_FIELDS.LAST_USED, t`Last used`)}
+                {isHardwareWallet && <th></th>}
               </tr>
             </thead>
             <tbody>
-              {renderData()}
+              {renderData(filteredAddresses)}
             </tbody>
           </table>
         </div>
-        {loadPagination()}
+        {loading && <p>{t`Loading...`}</p>}
+        {loadPagination(Math.ceil(filteredAddresses.length / WALLET_HISTORY_COUNT))}
       </div>
-      <HathorAlert ref={alertErrorRef} text="Invalid address" type="danger" />
     </div>
   );
 };
@@ -53,7 +53,7 @@ function CustomTokens() {
    * Triggered when user clicks to create a new token, then redirects to the screen
    */
   const createTokenClicked = () => {
-    if (LOCAL_STORE.isHardwareWallet()) {
+    if (LOCAL_STORE.isHardwareWallet() || LOCAL_STORE.isWatchOnlyWallet() || LOCAL_STORE.isMultisigWallet()) {
       context.showModal(MODAL_TYPES.ALERT_NOT_SUPPORTED);
     } else {
       navigate('/create_token/');
@@ -64,7 +64,7 @@ function CustomTokens() {
    * Triggered when user clicks on the Create NFT button
    */
   const createNFTClicked = () => {
-    if (LOCAL_STORE.isHardwareWallet()) {
+    if (LOCAL_STORE.isHardwareWallet() || LOCAL_STORE.isWatchOnlyWallet() || LOCAL_STORE.isMultisigWallet()) {
       context.showModal(MODAL_TYPES.ALERT_NOT_SUPPORTED);
     } else {
       navigate('/create_nft/');
@@ -9,6 +9,8 @@ import React, { useRef, useState } from 'react';
 import { t } from 'ttag'
 
 import wallet from '../utils/wallet';
+import derivation from '../utils/derivation';
+import DerivationSettings from '../components/DerivationSettings';
 import ChoosePassword from '../components/ChoosePassword';
 import ChoosePin from '../components/ChoosePin';
 import logo from '../assets/images/hathor-logo.png';
@@ -39,6 +41,14 @@ function LoadWallet() {
   const [askPIN, setAskPIN] = useState(false);
   /** wordsCount {number} Number of words written on words input */
   const [wordsCount, setWordsCount] = useState(0);
+  /** showAdvanced {boolean} If should show the derivation settings */
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  /** gapLimit {string} Text of gap limit input */
+  const [gapLimit, setGapLimit] = useState(String(hathorLib.constants.GAP_LIMIT));
+  /** accountIndex {string} Text of account index input */
+  const [accountIndex, setAccountIndex] = useState('0');
+  /** derivationSettings {{gapLimit: number, accountIndex: number}|null} Derivation settings, after they are validated */
+  const [derivationSettings, setDerivationSettings] = useState(null);
   const wordsInputRef = useRef();
   const navigate = useNavigate();
 
@@ -50,10 +60,12 @@ function LoadWallet() {
     const words = wordsInputRef.current.value.trim();
     try {
       const ret = hathorLib.walletUtils.wordsValid(words);
+      const settings = derivation.parse(gapLimit, accountIndex);
 
       // Using ret.words because this method returns a string with all words
       // separated by a single space, after removing duplicate spaces and possible break lines
       setWords(ret.words);
+      setDerivationSettings(settings);
       setErrorMessage('');
       setAskPassword(true);
       setWordsCount(0);
@@ -78,6 +90,8 @@ function LoadWallet() {
    */
   const pinSuccess = (newPin) => {
     LOCAL_STORE.unlock();
+    // The storage is initialized with the keys of the chosen account, so the settings must be saved first
+    LOCAL_STORE.setDerivationSettings(derivationSettings);
     // First we clean what can still be there of a last wallet
     wallet.generateWallet(words, '', newPin, password);
 
@@ -142,6 +156,17 @@ function LoadWallet() {
         <p className="mt-4 mb-4">{t`Write the 24 words of your wallet (separated by space).`}</p>
         <textarea className="form-control one-word-input mb-4" placeholder={t`Words separated by single space`} ref={wordsInputRef} rows={5} onChange={onWordsChange} />
         <p className={`mb-4 ${getWordsCountClassName()}`}>{`${wordsCount}/24 words`}</p>
+        <button onClick={() => setShowAdvanced(!showAdvanced)} type="button" className="btn btn-link pl-0 mb-2">
+          {showAdvanced ? t`Hide advanced settings` : t`Advanced settings`}
+        </button>
+        {showAdvanced && (
+          <DerivationSettings
+            gapLimit={gapLimit}
+            accountIndex={accountIndex}
+            onGapLimitChange={setGapLimit}
+            onAccountIndexChange={setAccountIndex}
+          />
+        )}
         {errorMessage && <p className="mb-4 text-danger">{errorMessage}</p>}
         <div className="d-flex justify-content-between flex-row w-100">
           <button onClick={() => navigate(-1)} type="button" className="btn btn-secondary">{t`Back`}</button>
@@ -6,14 +6,14 @@
  */
 
 import React, { useState, useEffect, useRef, useContext } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { t } from 'ttag';
 import { useSelector, useDispatch } from "react-redux";
 import wallet from '../utils/wallet';
 import RequestErrorModal from '../components/RequestError';
 import ReactLoading from 'react-loading';
 import { GlobalModalContext, MODAL_TYPES } from '../components/GlobalModal';
-import { resolveLockWalletPromise, startWalletRequested, walletReset } from '../actions';
+import { profileSwitchRequested, resolveLockWalletPromise, startWalletRequested, walletReset } from '../actions';
 import { colors } from '../constants';
 import LOCAL_STORE from '../storage';
 
@@ -33,11 +33,17 @@ function LockedWallet() {
   const formRef = useRef(null);
   const context = useContext(GlobalModalContext);
   const lockWalletPromise = useSelector(state => state.lockWalletPromise);
+  const walletProfiles = useSelector(state => state.walletProfiles);
+  const currentProfileId = useSelector(state => state.currentProfileId);
   const dispatch = useDispatch();
   const navigate = useNavigate();
+  // Watch-only wallets have no PIN, they are opened right away
+  const isWatchOnly = LOCAL_STORE.isWatchOnlyWallet();
 
   useEffect(() => {
-    pinRef.current.focus();
+    if (pinRef.current) {
+      pinRef.current.focus();
+    }
     window.scrollTo(0, 0); // Ensures the user interface is correct when loading this screen
     wallet.updateSentryState(); // Update Sentry when user started wallet now
   }, []);
@@ -55,6 +61,13 @@ function LockedWallet() {
       return;
     }
 
+    if (isWatchOnly) {
+      LOCAL_STORE.open();
+      setLoading(true);
+      dispatch(startWalletRequested({ watchOnly: true, profileId: currentProfileId }));
+      return;
+    }
+
     const isValid = formRef.current.checkValidity();
     if (!isValid) {
       formRef.current.classList.add('was-validated')
@@ -84,7 +97,36 @@ function LockedWallet() {
 
     setLoading(true);
 
-    dispatch(startWalletRequested({ pin }));
+    dispatch(startWalletRequested({ pin, profileId: currentProfileId }));
+  }
+
+  /**
+   * When user selects another wallet profile we switch to it, the PIN must be the one of the selected profile
+   *
+   * @param {Object} e Event of when the select changes
+   */
+  const profileChanged = (e) => {
+    setErrorMessage('');
+    dispatch(profileSwitchRequested(e.target.value));
+  }
+
+  /**
+   * The profile picker is not shown when the lock screen was called for a result,
+   * since the PIN is requested by the wallet already loaded.
+   */
+  const renderProfilePicker = () => {
+    const profiles = wallet.sortProfiles(walletProfiles);
+    if (profiles.length < 2 || lockWalletPromise) {
+      return null;
+    }
+
+    return (
+      <select className="form-control mb-3" value={currentProfileId} onChange={profileChanged} disabled={loading}>
+        {profiles.map((profile) => (
+          <option key={profile.id} value={profile.id}>{wallet.getProfileName(profile)}</option>
+        ))}
+      </select>
+    );
   }
 
   /**
@@ -112,10 +154,19 @@ function LockedWallet() {
     <div className="content-wrapper flex align-items-center">
       <div className="col-sm-12 col-md-8 offset-md-2 col-lg-6 offset-lg-3">
         <div className="d-flex align-items-start flex-column">
-          <p>{t`Your wallet is locked. Please write down your PIN to unlock it.`}</p>
-          <form ref={formRef} className="w-100" onSubmit={unlockClicked}>
-            <input required ref={pinRef} type="password" pattern='[0-9]{6}' inputMode='numeric' autoComplete="off" placeholder={t`PIN`} className="form-control" />
-          </form>
+          {isWatchOnly
+            ? <p>{t`This is a watch-only wallet. It shows the balance and history of your public key, but can't sign transactions.`}</p>
+            : <p>{t`Your wallet is locked. Please write down your PIN to unlock it.`}</p>
+          }
+          {renderProfilePicker()}
+          {!isWatchOnly && (
+            <form ref={formRef} className="w-100" onSubmit={unlockClicked}>
+              <input required ref={pinRef} type="password" pattern='[0-9]{6}' inputMode='numeric' autoComplete="off" placeholder={t`PIN`} className="form-control" />
+            </form>
+          )}
+          {!isWatchOnly && !lockWalletPromise && (
+            <Link className="mt-3" to="/offline_signing/">{t`Sign a transaction offline`}</Link>
+          )}
           {errorMessage && <p className="mt-4 text-danger">{errorMessage}</p>}
           <div className="d-flex align-items-center justify-content-between flex-row w-100 mt-4">
             <a className="mt-4" onClick={(e) => resetClicked(e)} href="true">{t`Reset all data`}</a>
@@ -128,7 +179,7 @@ function LockedWallet() {
                 type="button"
                 className="btn btn-hathor"
                 disabled={loading}>
-                {t`Unlock`}
+                {isWatchOnly ? t`Open wallet` : t`Unlock`}
               </button>
             </div>
           </div>
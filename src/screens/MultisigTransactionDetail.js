@@ -0,0 +1,220 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useContext, useEffect, useState } from 'react';
+import ReactLoading from 'react-loading';
+import { t } from 'ttag';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate, useParams } from 'react-router-dom';
+import hathorLib from '@hathor/wallet-lib';
+import BackButton from '../components/BackButton';
+import TxData from '../components/TxData';
+import OfflineTxExport from '../components/OfflineTxExport';
+import { GlobalModalContext, MODAL_TYPES } from '../components/GlobalModal';
+import { multisigTxsUpdated } from '../actions';
+import { colors } from '../constants';
+import multisig from '../utils/multisig';
+import LOCAL_STORE from '../storage';
+import { getGlobalWallet } from '../modules/wallet';
+
+/**
+ * Shows a transaction of a multisig wallet waiting for signatures, with its inputs and outputs
+ * and the participants that already signed it, so this participant can sign or reject it.
+ *
+ * @memberof Screens
+ */
+function MultisigTransactionDetail() {
+  const context = useContext(GlobalModalContext);
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { txId } = useParams();
+  const tx = useSelector((state) => state.multisigTxs[txId]);
+  /** transaction {Object|null} Transaction decoded to the format of the full node api */
+  const [transaction, setTransaction] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  /** signers {string[]} Pubkey of the participants with a valid signature */
+  const [signers, setSigners] = useState([]);
+
+  const wallet = getGlobalWallet();
+  const { pubkey, pubkeys, numSignatures } = LOCAL_STORE.getMultisigData();
+
+  useEffect(() => {
+    if (!tx) {
+      return;
+    }
+
+    multisig.decodeTx(wallet, txId, tx.txHex)
+      .then(setTransaction)
+      .catch((e) => setErrorMessage(e.message));
+  }, [txId, tx && tx.txHex]);
+
+  useEffect(() => {
+    if (!tx) {
+      return;
+    }
+
+    multisig.getSigners(wallet, tx.txHex, tx.signatures)
+      .then(setSigners)
+      .catch((e) => setErrorMessage(e.message));
+  }, [tx]);
+
+  /**
+   * Add the signature of this participant, after the PIN is written
+   */
+  const signClicked = () => {
+    context.showModal(MODAL_TYPES.PIN, {
+      onSuccess: async ({ pin }) => {
+        try {
+          const signature = await wallet.getAllSignatures(tx.txHex, pin);
+          dispatch(multisigTxsUpdated(multisig.save(txId, {
+            ...tx,
+            signatures: await multisig.mergeSignatures(wallet, tx.txHex, tx.signatures, [signature]),
+          })));
+          setErrorMessage('');
+        } catch (e) {
+          setErrorMessage(e.message);
+        }
+      },
+    });
+  }
+
+  /**
+   * Mark the transaction as rejected by this participant, after the user confirms
+   */
+  const rejectClicked = () => {
+    context.showModal(MODAL_TYPES.CONFIRM, {
+      title: t`Reject multisig transaction`,
+      body: t`Are you sure you don't want to sign this transaction? It can still be sent if the other participants sign it.`,
+      handleYes: () => {
+        context.hideModal();
+        dispatch(multisigTxsUpdated(multisig.save(txId, { ...tx, rejectedAt: Math.floor(Date.now() / 1000) })));
+      },
+    });
+  }
+
+  /**
+   * Show the transaction with its signatures, to be sent to the other participants
+   */
+  const shareClicked = () => {
+    context.showModal(MODAL_TYPES.ALERT, {
+      title: t`Share multisig transaction`,
+      body: (
+        <OfflineTxExport
+          description={t`Send it to the other participants, so they can import and sign it.`}
+          serialized={multisig.serialize(tx.txHex, tx.signatures)}
+          fileName="Hathor Wallet - Multisig transaction.txt"
+        />
+      ),
+      buttonName: t`Close`,
+    });
+  }
+
+  /**
+   * Assemble the transaction with the collected signatures, then mine and push it
+   */
+  const sendClicked = async () => {
+    let assembled;
+    try {
+      assembled = await multisig.assemble(wallet, tx.txHex, tx.signatures, numSignatures);
+    } catch (e) {
+      setErrorMessage(e.message);
+      return;
+    }
+
+    setErrorMessage('');
+    context.showModal(MODAL_TYPES.SEND_TX, {
+      pin: null,
+      // The transaction is already signed, so it only has to be mined and pushed
+      prepareSendTransaction: async () => new hathorLib.SendTransaction({ transaction: assembled, storage: wallet.storage }),
+      review: false,
+      title: t`Sending transaction`,
+      onSendSuccess: () => {
+        dispatch(multisigTxsUpdated(multisig.remove(txId)));
+        navigate('/wallet/multisig/', { replace: true });
+      },
+      onSendError: (message) => setErrorMessage(message),
+    });
+  }
+
+  /**
+   * Remove the transaction from the inbox, after the user confirms
+   */
+  const removeClicked = () => {
+    context.showModal(MODAL_TYPES.CONFIRM, {
+      title: t`Remove multisig transaction`,
+      body: t`Are you sure you want to remove this transaction? It can still be sent by the other participants.`,
+      handleYes: () => {
+        context.hideModal();
+        dispatch(multisigTxsUpdated(multisig.remove(txId)));
+        navigate('/wallet/multisig/', { replace: true });
+      },
+    });
+  }
+
+  if (!tx) {
+    return (
+      <div className="content-wrapper">
+        <BackButton />
+        <p className="mt-4 text-danger">{t`This transaction is not waiting for signatures.`}</p>
+      </div>
+    );
+  }
+
+  const signaturesCount = signers.length;
+  const signedByMe = signers.includes(pubkey);
+  const canSend = signaturesCount >= numSignatures;
+
+  const renderParticipant = (xpub) => {
+    const participantPubkey = multisig.getParticipantPubkey(xpub);
+    const signed = signers.includes(participantPubkey);
+    return (
+      <li key={xpub}>
+        <span className={participantPubkey === pubkey ? '' : 'text-monospace'}>
+          {participantPubkey === pubkey ? t`You` : hathorLib.helpersUtils.getShortHash(xpub)}
+        </span>
+        {signed
+          ? <span className="text-success ml-2"><i className="fa fa-check mr-1" />{t`Signed`}</span>
+          : <span className="text-muted ml-2">{t`Waiting`}</span>}
+      </li>
+    );
+  }
+
+  return (
+    <div className="content-wrapper">
+      <BackButton />
+      <h3 className="mt-4 mb-4">{t`Multisig transaction`}</h3>
+      <div className="mb-4">
+        <p className="mb-2">
+          <strong>{t`Signatures:`}</strong> {t`${signaturesCount} of ${numSignatures}`}
+          {tx.rejectedAt && <span className="badge badge-secondary ml-2">{t`Rejected by you`}</span>}
+        </p>
+        <ul className="list-unstyled">
+          {pubkeys.map(renderParticipant)}
+        </ul>
+      </div>
+      <div className="mb-4">
+        {!signedByMe && !tx.rejectedAt && (
+          <button type="button" className="btn btn-hathor mr-2" onClick={signClicked}>{t`Sign`}</button>
+        )}
+        {!signedByMe && !tx.rejectedAt && (
+          <button type="button" className="btn btn-secondary mr-2" onClick={rejectClicked}>{t`Reject`}</button>
+        )}
+        <button type="button" className="btn btn-secondary mr-2" onClick={shareClicked}>{t`Share`}</button>
+        {canSend && (
+          <button type="button" className="btn btn-hathor mr-2" onClick={sendClicked}>{t`Send`}</button>
+        )}
+        <button type="button" className="btn btn-secondary" onClick={removeClicked}>{t`Remove`}</button>
+      </div>
+      <p className="text-danger">{errorMessage}</p>
+      {transaction
+        ? <TxData key={txId} transaction={transaction} spentOutputs={{}} showRaw={false} showConflicts={false} showGraphs={false} pending />
+        : !errorMessage && <ReactLoading type='spin' color={colors.purpleHathor} delay={500} />}
+    </div>
+  );
+}
+
+export default MultisigTransactionDetail;
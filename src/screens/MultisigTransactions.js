@@ -0,0 +1,177 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useContext, useEffect, useState } from 'react';
+import { t } from 'ttag';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import hathorLib from '@hathor/wallet-lib';
+import BackButton from '../components/BackButton';
+import { GlobalModalContext, MODAL_TYPES } from '../components/GlobalModal';
+import { multisigTxsUpdated } from '../actions';
+import multisig, { MultisigError } from '../utils/multisig';
+import LOCAL_STORE from '../storage';
+import { getGlobalWallet } from '../modules/wallet';
+
+/**
+ * Inbox with the transactions of a multisig wallet waiting for the signatures of its participants.
+ * A transaction is shared between the participants as a string, each one signs it and shares it again,
+ * until it has the signatures required to be sent.
+ *
+ * @memberof Screens
+ */
+function MultisigTransactions() {
+  const context = useContext(GlobalModalContext);
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const multisigTxs = useSelector((state) => state.multisigTxs);
+  /** imported {string} Text of the import input */
+  const [imported, setImported] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  /** signersByTx {Record<string, string[]>} Pubkey of the participants with a valid signature, by transaction id */
+  const [signersByTx, setSignersByTx] = useState({});
+
+  const wallet = getGlobalWallet();
+  const { pubkey, pubkeys, numSignatures } = LOCAL_STORE.getMultisigData();
+  const participantsCount = pubkeys.length;
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadSigners = async () => {
+      const signers = {};
+      for (const [txId, tx] of Object.entries(multisigTxs)) {
+        signers[txId] = await multisig.getSigners(wallet, tx.txHex, tx.signatures);
+      }
+      if (!cancelled) {
+        setSignersByTx(signers);
+      }
+    };
+    loadSigners();
+    return () => {
+      cancelled = true;
+    };
+  }, [multisigTxs]);
+
+  /**
+   * Add a transaction shared by another participant, or the new signatures of one already in the list
+   */
+  const importClicked = async () => {
+    let parsed;
+    let txId;
+    let signatures;
+    try {
+      parsed = multisig.deserialize(imported, wallet.getNetworkObject());
+      txId = multisig.getTxId(parsed.txHex, wallet.getNetworkObject());
+      const currentSignatures = multisigTxs[txId] ? multisigTxs[txId].signatures : [];
+      signatures = await multisig.mergeSignatures(wallet, parsed.txHex, currentSignatures, parsed.signatures);
+    } catch (e) {
+      if (e instanceof MultisigError) {
+        setErrorMessage(e.message);
+        return;
+      }
+      throw e;
+    }
+
+    const current = multisigTxs[txId];
+    dispatch(multisigTxsUpdated(multisig.save(txId, {
+      ...current,
+      txHex: parsed.txHex,
+      signatures,
+      createdAt: current ? current.createdAt : Math.floor(Date.now() / 1000),
+    })));
+    setImported('');
+    setErrorMessage('');
+    navigate(`/wallet/multisig/${txId}`);
+  }
+
+  /**
+   * Remove a transaction from the list, after the user confirms
+   *
+   * @param {Event} e React synthetic onClick event
+   * @param {string} txId
+   */
+  const removeClicked = (e, txId) => {
+    e.stopPropagation();
+    context.showModal(MODAL_TYPES.CONFIRM, {
+      title: t`Remove multisig transaction`,
+      body: t`Are you sure you want to remove this transaction? It can still be sent by the other participants.`,
+      handleYes: () => {
+        context.hideModal();
+        dispatch(multisigTxsUpdated(multisig.remove(txId)));
+      },
+    });
+  }
+
+  const renderStatus = (tx, signers) => {
+    if (tx.rejectedAt) {
+      return <span className="badge badge-secondary">{t`Rejected`}</span>;
+    }
+    if (signers.length >= numSignatures) {
+      return <span className="badge badge-success">{t`Ready to send`}</span>;
+    }
+    if (!signers.includes(pubkey)) {
+      return <span className="badge badge-warning">{t`Waiting for your signature`}</span>;
+    }
+    return <span className="badge badge-light">{t`Waiting for signatures`}</span>;
+  }
+
+  const renderTx = ([txId, tx]) => {
+    const signers = signersByTx[txId] || [];
+    const signaturesCount = signers.length;
+    return (
+      <tr key={txId} role="button" onClick={() => navigate(`/wallet/multisig/${txId}`)}>
+        <td>{hathorLib.dateFormatter.parseTimestamp(tx.createdAt)}</td>
+        <td className="text-monospace">{hathorLib.helpersUtils.getShortHash(txId)}</td>
+        <td className="text-center">{t`${signaturesCount} of ${numSignatures}`}</td>
+        <td className="text-center">{renderStatus(tx, signers)}</td>
+        <td className="text-center">
+          <i className="fa fa-remove pointer ml-1" title={t`Remove`} onClick={(e) => removeClicked(e, txId)}></i>
+        </td>
+      </tr>
+    );
+  }
+
+  const renderTxs = () => {
+    const txs = Object.entries(multisigTxs).sort(([, a], [, b]) => b.createdAt - a.createdAt);
+    if (txs.length === 0) {
+      return <p>{t`There are no transactions waiting for signatures.`}</p>;
+    }
+
+    return (
+      <div className="table-responsive">
+        <table className="table table-hover">
+          <thead>
+            <tr>
+              <th>{t`Created at`}</th>
+              <th>{t`Id`}</th>
+              <th className="text-center">{t`Signatures`}</th>
+              <th className="text-center" colSpan="2">{t`Status`}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {txs.map(renderTx)}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  return (
+    <div className="content-wrapper">
+      <BackButton />
+      <h3 className="mt-4 mb-4">{t`Multisig transactions`}</h3>
+      <p>{t`This wallet requires ${numSignatures} of its ${participantsCount} participants to sign a transaction before it's sent. Create a transaction on "Send tokens", then share it with the other participants.`}</p>
+      <p>{t`Paste a transaction shared by another participant.`}</p>
+      <textarea className="form-control text-monospace mb-2" rows={3} value={imported} onChange={(e) => setImported(e.target.value)} />
+      <button type="button" className="btn btn-hathor mb-4" onClick={importClicked} disabled={!imported.trim()}>{t`Import`}</button>
+      <p className="text-danger">{errorMessage}</p>
+      {renderTxs()}
+    </div>
+  );
+}
+
+export default MultisigTransactions;
@@ -0,0 +1,197 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useRef, useState } from 'react';
+import { t } from 'ttag'
+import { useNavigate } from 'react-router-dom';
+import { CopyToClipboard } from 'react-copy-to-clipboard';
+import hathorLib from '@hathor/wallet-lib';
+
+import wallet from '../utils/wallet';
+import multisig, { MultisigError } from '../utils/multisig';
+import ChoosePassword from '../components/ChoosePassword';
+import ChoosePin from '../components/ChoosePin';
+import logo from '../assets/images/hathor-logo.png';
+import InitialImages from '../components/InitialImages';
+import LOCAL_STORE from '../storage';
+
+/**
+ * Screen used to create or load a multisig (P2SH) wallet, in which a transaction is only sent
+ * after it's signed by a minimum number of its participants.
+ * Depending on the state can show:
+ * - Write words component
+ * - Participants component
+ * - Choose password component
+ * - Choose pin component
+ *
+ * @memberof Screens
+ */
+function MultisigWallet() {
+  /** errorMessage {string} Message to be shown in case of error */
+  const [errorMessage, setErrorMessage] = useState('');
+  /** words {string} Words of this participant, after they are validated */
+  const [words, setWords] = useState('');
+  /** generated {boolean} If the words were generated now, so they were not backed up yet */
+  const [generated, setGenerated] = useState(false);
+  /** ownXpub {string} Multisig xpub of this participant, to be shared with the others */
+  const [ownXpub, setOwnXpub] = useState('');
+  /** config {{pubkeys: string[], numSignatures: number}|null} Participants of the wallet, after they are validated */
+  const [config, setConfig] = useState(null);
+  /** password {string} New password being created by the user */
+  const [password, setPassword] = useState('');
+  /** askPassword {boolean} If should show password component */
+  const [askPassword, setAskPassword] = useState(false);
+  /** askPIN {boolean} If should show PIN component */
+  const [askPIN, setAskPIN] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const wordsInputRef = useRef();
+  const pubkeysInputRef = useRef();
+  const numSignaturesInputRef = useRef();
+  const navigate = useNavigate();
+
+  /**
+   * Fill the words input with new words
+   */
+  const generateWords = () => {
+    wordsInputRef.current.value = hathorLib.walletUtils.generateWalletWords(hathorLib.constants.HD_WALLET_ENTROPY);
+    setGenerated(true);
+  }
+
+  /**
+   * Method called when user clicks the 'Next' button of the words step
+   * Checks if words are valid and, if true, shows the xpub to be shared with the other participants
+   */
+  const wordsNextClicked = () => {
+    try {
+      const ret = hathorLib.walletUtils.wordsValid(wordsInputRef.current.value.trim());
+      setWords(ret.words);
+      setOwnXpub(multisig.getParticipantXpub(ret.words, hathorLib.config.getNetwork().name));
+      setErrorMessage('');
+    } catch(e) {
+      setErrorMessage(e.message);
+    }
+  }
+
+  /**
+   * Method called when user clicks the 'Next' button of the participants step
+   * Checks if the participants are valid and, if true, show component to choose password
+   */
+  const participantsNextClicked = () => {
+    const otherPubkeys = pubkeysInputRef.current.value.split(/\s+/).filter((pubkey) => pubkey);
+    const pubkeys = [ownXpub, ...otherPubkeys];
+    const numSignatures = parseInt(numSignaturesInputRef.current.value, 10);
+    try {
+      multisig.validateConfig(pubkeys, numSignatures, ownXpub);
+    } catch (e) {
+      if (e instanceof MultisigError) {
+        setErrorMessage(e.message);
+        return;
+      }
+      throw e;
+    }
+
+    setErrorMessage('');
+    setConfig({ pubkeys, numSignatures });
+    setAskPassword(true);
+  }
+
+  /**
+   * Method called when user selects the password with success, so show component to choose pin
+   * @param {string} newPassword New password, already validated
+   */
+  const passwordSuccess = (newPassword) => {
+    setPassword(newPassword);
+    setAskPIN(true);
+  }
+
+  /**
+   * This method is called after the ChoosePin component has a valid PIN and succeeds
+   * @param {string} newPin New Pin, already validated
+   */
+  const pinSuccess = (newPin) => {
+    LOCAL_STORE.unlock();
+    wallet.generateWallet(words, '', newPin, password, config);
+
+    // Being extra cautious with sensitive information
+    setWords('');
+    setPassword('');
+
+    if (generated) {
+      LOCAL_STORE.markBackupAsNotDone();
+    } else {
+      LOCAL_STORE.markBackupDone();
+    }
+    LOCAL_STORE.open(); // Mark this wallet as open, so that it does not appear locked after loading
+  }
+
+  const renderWords = () => {
+    return (
+      <div className="w-100">
+        <p className="mt-4">{t`In a multisig wallet each participant has its own words, and a transaction is only sent after it's signed by a minimum number of participants.`}</p>
+        <p className="mb-4">{t`Write the 24 words of your participant wallet (separated by space), or generate new ones. If you generate them, save them in a non-digital media before continuing.`}</p>
+        <textarea className="form-control one-word-input mb-2" placeholder={t`Words separated by single space`} ref={wordsInputRef} rows={5} defaultValue={words} />
+        <button onClick={generateWords} type="button" className="btn btn-link pl-0 mb-4">{t`Generate new words`}</button>
+        {errorMessage && <p className="mb-4 text-danger">{errorMessage}</p>}
+        <div className="d-flex justify-content-between flex-row w-100">
+          <button onClick={() => navigate(-1)} type="button" className="btn btn-secondary">{t`Back`}</button>
+          <button onClick={wordsNextClicked} type="button" className="btn btn-hathor">{t`Next`}</button>
+        </div>
+      </div>
+    );
+  }
+
+  const renderParticipants = () => {
+    return (
+      <div className="w-100">
+        <p className="mt-4">{t`Share your xpub with the other participants:`}</p>
+        <p className="text-monospace text-break">{ownXpub}</p>
+        <CopyToClipboard text={ownXpub} onCopy={() => setCopied(true)}>
+          <button type="button" className="btn btn-secondary mb-4">{copied ? t`Copied!` : t`Copy to clipboard`}</button>
+        </CopyToClipboard>
+        <p>{t`Paste the xpub of the other participants, one per line.`}</p>
+        <textarea className="form-control text-monospace mb-4" ref={pubkeysInputRef} rows={4} defaultValue={config ? config.pubkeys.slice(1).join('\n') : ''} />
+        <div className="form-group">
+          <label>{t`Signatures required to send a transaction`}</label>
+          <input type="number" className="form-control" ref={numSignaturesInputRef} min={1} step={1} defaultValue={config ? config.numSignatures : 2} style={{ maxWidth: 120 }} />
+        </div>
+        {errorMessage && <p className="mb-4 text-danger">{errorMessage}</p>}
+        <div className="d-flex justify-content-between flex-row w-100">
+          <button onClick={() => setOwnXpub('')} type="button" className="btn btn-secondary">{t`Back`}</button>
+          <button onClick={participantsNextClicked} type="button" className="btn btn-hathor">{t`Next`}</button>
+        </div>
+      </div>
+    );
+  }
+
+  const renderMainData = () => {
+    if (askPIN) {
+      return <ChoosePin back={() => setAskPIN(false)} success={pinSuccess} />;
+    } else if (askPassword) {
+      return <ChoosePassword back={() => setAskPassword(false)} success={passwordSuccess} />;
+    } else if (ownXpub) {
+      return renderParticipants();
+    } else {
+      return renderWords();
+    }
+  }
+
+  return (
+    <div className="outside-content-wrapper">
+      <div className="inside-white-wrapper col-sm-12 col-md-8">
+        <div className="d-flex align-items-center flex-column inside-div">
+          <img className="hathor-logo" src={logo} alt="" />
+          <div className="d-flex align-items-start flex-column w-100">
+            {renderMainData()}
+          </div>
+        </div>
+        <InitialImages />
+      </div>
+    </div>
+  )
+}
+
+export default MultisigWallet;
@@ -0,0 +1,225 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useContext, useRef, useState } from 'react';
+import { t } from 'ttag';
+import { useSelector } from 'react-redux';
+import hathorLib from '@hathor/wallet-lib';
+import BackButton from '../components/BackButton';
+import TxPreview from '../components/TxPreview';
+import OfflineTxExport from '../components/OfflineTxExport';
+import { GlobalModalContext, MODAL_TYPES } from '../components/GlobalModal';
+import offlineSigning from '../utils/offlineSigning';
+import LOCAL_STORE from '../storage';
+import { getGlobalWallet } from '../modules/wallet';
+
+/**
+ * Screen to sign a transaction built by a watch-only wallet and to send it after it's signed.
+ *
+ * The signing part works without starting the wallet, so it can be used on a computer without internet access,
+ * while sending requires the wallet to be started and connected.
+ *
+ * @memberof Screens
+ */
+function OfflineSigning() {
+  const context = useContext(GlobalModalContext);
+  /** unsignedTx {string} Serialized unsigned transaction pasted or loaded from a file */
+  const [unsignedTx, setUnsignedTx] = useState('');
+  /** partialTx {PartialTx|null} Transaction being reviewed, after it's parsed */
+  const [partialTx, setPartialTx] = useState(null);
+  /** addressIndexes {Map<string, number>} Addresses of the transaction that are from this wallet */
+  const [addressIndexes, setAddressIndexes] = useState(new Map());
+  /** preview {TxPreview|null} Review of the transaction */
+  const [preview, setPreview] = useState(null);
+  /** signatures {string} Serialized signatures, pasted by the online wallet or created by the offline one */
+  const [signatures, setSignatures] = useState('');
+  /** signed {boolean} If the signatures were created by this wallet */
+  const [signed, setSigned] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+  const unsignedFileRef = useRef();
+  const signaturesFileRef = useRef();
+  const pinRef = useRef();
+
+  const network = new hathorLib.Network(LOCAL_STORE.getNetwork());
+  const storage = LOCAL_STORE.getStorage();
+  // Watch-only and hardware wallets don't have the keys in the storage, and multisig wallets sign their own way
+  const canSign = !LOCAL_STORE.isWatchOnlyWallet() && !LOCAL_STORE.isHardwareWallet() && !LOCAL_STORE.isMultisigWallet();
+  const wallet = getGlobalWallet();
+  const useWalletService = useSelector((state) => state.useWalletService);
+  // The wallet service facade has no storage to send the transaction from and asks the PIN to renew its auth token
+  const canSend = !useWalletService && !!wallet && wallet.isReady();
+
+  /**
+   * Read the contents of the selected file to a text input
+   *
+   * @param {Object} e Event emitted when the file is selected
+   * @param {function} setter Method to set the text of the input
+   */
+  const loadFile = async (e, setter) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    setter((await file.text()).trim());
+    // Allow the same file to be selected again
+    e.target.value = '';
+  }
+
+  /**
+   * Parse the unsigned transaction and show its review
+   */
+  const reviewClicked = async () => {
+    setErrorMessage('');
+    setSigned(false);
+    let parsed;
+    try {
+      parsed = offlineSigning.parseUnsignedTx(unsignedTx, network);
+    } catch (e) {
+      setPartialTx(null);
+      setErrorMessage(t`Invalid unsigned transaction.`);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const addresses = offlineSigning.getAddresses(parsed);
+      const indexes = await offlineSigning.getAddressIndexes(storage, addresses, network);
+      setAddressIndexes(indexes);
+      setPreview(await offlineSigning.buildPreview(parsed, indexes));
+      setPartialTx(parsed);
+    } catch (e) {
+      setPartialTx(null);
+      setErrorMessage(e.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /**
+   * Check the PIN and sign the inputs of the transaction that are from this wallet
+   */
+  const signClicked = async (e) => {
+    e.preventDefault();
+    const pin = pinRef.current.value;
+    if (!await LOCAL_STORE.checkPin(pin)) {
+      setErrorMessage(t`Invalid PIN`);
+      return;
+    }
+
+    const ownInputs = partialTx.inputs.filter((input) => addressIndexes.has(input.address));
+    if (ownInputs.length === 0) {
+      setErrorMessage(t`None of the inputs of this transaction are from this wallet.`);
+      return;
+    }
+
+    setErrorMessage('');
+    setLoading(true);
+    try {
+      setSignatures(await offlineSigning.signUnsignedTx(partialTx, storage, pin, addressIndexes));
+      setSigned(true);
+      pinRef.current.value = '';
+    } catch (e) {
+      setErrorMessage(e.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /**
+   * Add the imported signatures to the transaction, then mine and push it
+   */
+  const sendClicked = () => {
+    let tx;
+    try {
+      tx = offlineSigning.assembleSignedTx(partialTx, signatures);
+    } catch (e) {
+      setErrorMessage(e instanceof SyntaxError ? t`Invalid signatures.` : e.message);
+      return;
+    }
+
+    setErrorMessage('');
+    context.showModal(MODAL_TYPES.SEND_TX, {
+      pin: null,
+      // The transaction is already signed, so it only has to be mined and pushed
+      prepareSendTransaction: async () => new hathorLib.SendTransaction({ transaction: tx, storage: wallet.storage }),
+      review: false,
+      title: t`Sending transaction`,
+      onSendSuccess: () => {
+        setUnsignedTx('');
+        setPartialTx(null);
+        setSignatures('');
+      },
+      onSendError: (message) => setErrorMessage(message),
+    });
+  }
+
+  const renderSign = () => {
+    if (signed) {
+      return (
+        <OfflineTxExport
+          description={t`Take these signatures to the watch-only wallet to send the transaction.`}
+          serialized={signatures}
+          fileName="Hathor Wallet - Signatures.txt"
+        />
+      );
+    }
+
+    return (
+      <form className="w-100" onSubmit={signClicked}>
+        <p>{t`Check the transaction above and write down your PIN to sign it.`}</p>
+        <div className="d-flex flex-row align-items-center">
+          <input required ref={pinRef} type="password" pattern='[0-9]{6}' inputMode='numeric' autoComplete="off" placeholder={t`PIN`} className="form-control mr-3" style={{ maxWidth: 200 }} />
+          <button type="submit" className="btn btn-hathor" disabled={loading}>{t`Sign transaction`}</button>
+        </div>
+      </form>
+    );
+  }
+
+  const renderSend = () => {
+    return (
+      <div className="w-100">
+        <p>{t`Paste the signatures created by the offline wallet.`}</p>
+        <textarea className="form-control text-monospace mb-2" rows={4} value={signatures} onChange={(e) => setSignatures(e.target.value)} />
+        <input type="file" accept=".txt,text/plain" className="d-none" ref={signaturesFileRef} onChange={(e) => loadFile(e, setSignatures)} />
+        <div className="d-flex flex-row align-items-center">
+          <button type="button" className="btn btn-secondary mr-2" onClick={() => signaturesFileRef.current.click()}>{t`Load file`}</button>
+          <button type="button" className="btn btn-hathor" onClick={sendClicked} disabled={!signatures.trim()}>{t`Send transaction`}</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="content-wrapper">
+      <BackButton />
+      <h3 className="mt-4 mb-4">{t`Offline signing`}</h3>
+      <p>{t`Transactions built by a watch-only wallet are signed by the wallet that holds the keys, which may be on a computer without internet access. The signatures are then sent back to the watch-only wallet, that sends the transaction.`}</p>
+      <p>{t`Paste the unsigned transaction.`}</p>
+      <textarea className="form-control text-monospace mb-2" rows={4} value={unsignedTx} onChange={(e) => setUnsignedTx(e.target.value)} />
+      <input type="file" accept=".txt,text/plain" className="d-none" ref={unsignedFileRef} onChange={(e) => loadFile(e, setUnsignedTx)} />
+      <div className="d-flex flex-row align-items-center mb-4">
+        <button type="button" className="btn btn-secondary mr-2" onClick={() => unsignedFileRef.current.click()}>{t`Load file`}</button>
+        <button type="button" className="btn btn-hathor" onClick={reviewClicked} disabled={loading || !unsignedTx.trim()}>{t`Review transaction`}</button>
+      </div>
+      {partialTx && (
+        <div className="mb-4">
+          <TxPreview preview={preview} />
+          <div className="mt-4">
+            {canSign && renderSign()}
+            {canSend && renderSend()}
+            {!canSign && !canSend && !useWalletService && <p>{t`Start the wallet connected to the network to send this transaction.`}</p>}
+            {!canSign && useWalletService && <p>{t`Signed transactions can't be sent by wallets using the wallet service.`}</p>}
+          </div>
+        </div>
+      )}
+      <p className="text-danger">{errorMessage}</p>
+    </div>
+  );
+}
+
+export default OfflineSigning;
@@ -0,0 +1,91 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useRef, useState } from 'react';
+import { t } from 'ttag'
+
+import logo from '../assets/images/hathor-logo.png';
+import InitialImages from '../components/InitialImages';
+import { useNavigate } from 'react-router-dom';
+import backup, { BackupError } from '../utils/backup';
+
+/**
+ * Screen used to restore a wallet from an encrypted backup file
+ * After the restore the wallet is locked, so the user unlocks it with the PIN of the backed up wallet
+ *
+ * @memberof Screens
+ */
+function RestoreBackup() {
+  /** errorMessage {string} Message to be shown in case of error on the form */
+  const [errorMessage, setErrorMessage] = useState('');
+  /** loading {boolean} If the backup is being decrypted */
+  const [loading, setLoading] = useState(false);
+  const fileInputRef = useRef();
+  const passwordRef = useRef();
+  const navigate = useNavigate();
+
+  /**
+   * Method called when user clicks the 'Restore' button
+   * Reads and decrypts the selected file, then saves the wallet and go to the locked screen
+   */
+  const restoreClick = async () => {
+    const file = fileInputRef.current.files[0];
+    if (!file) {
+      setErrorMessage(t`Select the backup file`);
+      return;
+    }
+
+    const password = passwordRef.current.value;
+    if (!password) {
+      setErrorMessage(t`Write the password of the backup`);
+      return;
+    }
+
+    setErrorMessage('');
+    setLoading(true);
+    try {
+      const contents = await file.text();
+      const backupData = backup.readBackup(contents, password);
+      backup.restoreBackup(backupData);
+    } catch (e) {
+      setLoading(false);
+      if (e instanceof BackupError) {
+        setErrorMessage(e.message);
+      } else {
+        setErrorMessage(t`Unable to restore the backup. Please try again.`);
+      }
+      return;
+    }
+
+    navigate('/locked/');
+  }
+
+  return (
+    <div className="outside-content-wrapper">
+      <div className="inside-white-wrapper col-sm-12 col-md-8">
+        <div className="d-flex align-items-center flex-column inside-div">
+          <img className="hathor-logo" src={logo} alt="" />
+          <div className="d-flex align-items-start flex-column w-100">
+            <p className="mt-4 mb-4">{t`Select a backup file exported from the wallet settings and write the password used to encrypt it.`}</p>
+            <input type="file" className="form-control-file mb-4" accept=".json,application/json" ref={fileInputRef} />
+            <input type="password" className="form-control mb-4" placeholder={t`Backup password`} ref={passwordRef} />
+            <p className="mb-4">{t`After the restore you will unlock the wallet with the PIN it had when the backup was created.`}</p>
+            {loading && <p className="mb-4">{t`Decrypting backup...`}</p>}
+            {errorMessage && <p className="mb-4 text-danger">{errorMessage}</p>}
+            <div className="d-flex justify-content-between flex-row w-100">
+              <button onClick={() => navigate(-1)} type="button" className="btn btn-secondary">{t`Back`}</button>
+              <button onClick={restoreClick} type="button" className="btn btn-hathor" disabled={loading}>{t`Restore`}</button>
+            </div>
+          </div>
+        </div>
+        <InitialImages />
+      </div>
+    </div>
+  )
+}
+
+export default RestoreBackup;
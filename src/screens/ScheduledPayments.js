@@ -0,0 +1,273 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useContext } from 'react';
+import { t } from 'ttag';
+import { useDispatch, useSelector } from 'react-redux';
+import hathorLib from '@hathor/wallet-lib';
+import BackButton from '../components/BackButton';
+import ScheduledPaymentOutputs from '../components/ScheduledPaymentOutputs';
+import { GlobalModalContext, MODAL_TYPES } from '../components/GlobalModal';
+import { scheduledPaymentsUpdated } from '../actions';
+import scheduledPaymentsUtils from '../utils/scheduledPayments';
+import batchPayments from '../utils/batchPayments';
+import walletUtils from '../utils/wallet';
+import helpers from '../utils/helpers';
+import { SCHEDULE_FREQUENCY, SCHEDULED_PAYMENT_STATUS } from '../constants';
+
+/**
+ * Recipient row of the form, before being validated
+ */
+const EMPTY_RECIPIENT = { address: '', amount: '', token: hathorLib.constants.NATIVE_TOKEN_UID };
+
+/**
+ * Screen to schedule payments sent once at a set time, weekly or monthly.
+ * They are sent by the scheduler saga, that asks for the PIN when a payment is due.
+ *
+ * @memberof Screens
+ */
+function ScheduledPayments() {
+  const context = useContext(GlobalModalContext);
+  const dispatch = useDispatch();
+  const { payments, tokens, tokenMetadata } = useSelector((state) => ({
+    payments: state.scheduledPayments.payments,
+    tokens: state.tokens,
+    tokenMetadata: state.tokenMetadata,
+  }));
+
+  const [name, setName] = useState('');
+  const [frequency, setFrequency] = useState(SCHEDULE_FREQUENCY.MONTHLY);
+  const [startDate, setStartDate] = useState('');
+  const [recipients, setRecipients] = useState([{ ...EMPTY_RECIPIENT }]);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const frequencyLabels = {
+    [SCHEDULE_FREQUENCY.ONCE]: t`Once`,
+    [SCHEDULE_FREQUENCY.WEEKLY]: t`Weekly`,
+    [SCHEDULE_FREQUENCY.MONTHLY]: t`Monthly`,
+  };
+
+  const statusLabels = {
+    [SCHEDULED_PAYMENT_STATUS.SENT]: t`Sent`,
+    [SCHEDULED_PAYMENT_STATUS.FAILED]: t`Failed`,
+    [SCHEDULED_PAYMENT_STATUS.POSTPONED]: t`Postponed`,
+  };
+
+  /**
+   * Change one field of a recipient row
+   *
+   * @param {number} index Index of the recipient
+   * @param {string} field Field name
+   * @param {string} value New value
+   */
+  const updateRecipient = (index, field, value) => {
+    const newRecipients = [...recipients];
+    newRecipients[index] = { ...newRecipients[index], [field]: value };
+    setRecipients(newRecipients);
+  }
+
+  /**
+   * Remove a recipient row
+   *
+   * @param {number} index Index of the recipient
+   */
+  const removeRecipient = (index) => {
+    setRecipients(recipients.filter((_, i) => i !== index));
+  }
+
+  /**
+   * Validate the form and add the scheduled payment
+   *
+   * @param {Object} e Event emitted when the form is submitted
+   */
+  const handleAdd = (e) => {
+    e.preventDefault();
+
+    if (!name.trim()) {
+      setErrorMessage(t`Must provide a name for the payment`);
+      return;
+    }
+    if (!startDate) {
+      setErrorMessage(t`Must provide the date of the first payment`);
+      return;
+    }
+
+    const outputs = [];
+    for (const [index, recipient] of recipients.entries()) {
+      const number = index + 1;
+      const address = recipient.address.trim();
+      if (!walletUtils.validateAddress(address)) {
+        setErrorMessage(t`Recipient ${number}: invalid address`);
+        return;
+      }
+      const isNFT = helpers.isTokenNFT(recipient.token, tokenMetadata);
+      const value = batchPayments.parseAmount(recipient.amount.replace(/,/g, '').trim(), isNFT);
+      if (value === null) {
+        setErrorMessage(t`Recipient ${number}: invalid amount`);
+        return;
+      }
+      outputs.push({ address, value, token: recipient.token });
+    }
+
+    const startTimestamp = hathorLib.dateFormatter.dateToTimestamp(new Date(startDate));
+    dispatch(scheduledPaymentsUpdated(scheduledPaymentsUtils.addPayment({ name, outputs, frequency, startTimestamp })));
+
+    setName('');
+    setStartDate('');
+    setRecipients([{ ...EMPTY_RECIPIENT }]);
+    setErrorMessage('');
+  }
+
+  /**
+   * Pause or resume a scheduled payment
+   *
+   * @param {ScheduledPayment} payment
+   */
+  const toggleEnabled = (payment) => {
+    dispatch(scheduledPaymentsUpdated(scheduledPaymentsUtils.setEnabled(payment.id, !payment.enabled)));
+  }
+
+  /**
+   * Ask for confirmation, then remove the scheduled payment
+   *
+   * @param {ScheduledPayment} payment
+   */
+  const removeClicked = (payment) => {
+    const paymentName = payment.name;
+    context.showModal(MODAL_TYPES.CONFIRM, {
+      title: t`Remove scheduled payment`,
+      body: t`Are you sure you want to remove the scheduled payment ${paymentName}?`,
+      handleYes: () => {
+        dispatch(scheduledPaymentsUpdated(scheduledPaymentsUtils.removePayment(payment.id)));
+        context.hideModal();
+      },
+    });
+  }
+
+  const renderLastOutcome = (payment) => {
+    if (payment.outcomes.length === 0) {
+      return '-';
+    }
+
+    const outcome = payment.outcomes[0];
+    return (
+      <div>
+        <span className={outcome.status === SCHEDULED_PAYMENT_STATUS.FAILED ? 'text-danger' : ''}>
+          {statusLabels[outcome.status]}
+        </span>
+        <div className="small">{hathorLib.dateFormatter.parseTimestamp(outcome.timestamp)}</div>
+        {outcome.txId && <div className="small text-monospace">{hathorLib.helpersUtils.getShortHash(outcome.txId)}</div>}
+        {outcome.error && <div className="small text-danger">{outcome.error}</div>}
+      </div>
+    );
+  }
+
+  const renderPayments = () => {
+    const list = Object.values(payments).sort((a, b) => (a.nextTimestamp || Infinity) - (b.nextTimestamp || Infinity));
+    if (list.length === 0) {
+      return <p className="mt-4">{t`You don't have any scheduled payments.`}</p>;
+    }
+
+    return (
+      <div className="table-responsive">
+        <table className="mt-3 table table-striped">
+          <thead>
+            <tr>
+              <th>{t`Name`}</th>
+              <th>{t`Recipients`}</th>
+              <th>{t`Frequency`}</th>
+              <th>{t`Next payment`}</th>
+              <th>{t`Last attempt`}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {list.map((payment) => (
+              <tr key={payment.id}>
+                <td>{payment.name}</td>
+                <td><ScheduledPaymentOutputs outputs={payment.outputs} /></td>
+                <td>{frequencyLabels[payment.frequency]}</td>
+                <td>
+                  {payment.nextTimestamp ? hathorLib.dateFormatter.parseTimestamp(payment.nextTimestamp) : '-'}
+                  {!payment.enabled && payment.nextTimestamp && <div className="small">{t`Paused`}</div>}
+                </td>
+                <td>{renderLastOutcome(payment)}</td>
+                <td className="text-nowrap">
+                  {payment.nextTimestamp && (
+                    <button type="button" className="btn btn-link p-0 mr-3" onClick={() => toggleEnabled(payment)}>
+                      {payment.enabled ? t`Pause` : t`Resume`}
+                    </button>
+                  )}
+                  <button type="button" className="btn btn-link p-0 text-danger" onClick={() => removeClicked(payment)}>{t`Remove`}</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  const renderForm = () => {
+    return (
+      <form className="mt-4" onSubmit={handleAdd}>
+        <h5>{t`New scheduled payment`}</h5>
+        <div className="form-row">
+          <div className="form-group col-4">
+            <label>{t`Name`}</label>
+            <input type="text" className="form-control" placeholder={t`Payroll`} value={name} onChange={(e) => setName(e.target.value)} />
+          </div>
+          <div className="form-group col-3">
+            <label>{t`Frequency`}</label>
+            <select className="form-control" value={frequency} onChange={(e) => setFrequency(e.target.value)}>
+              {Object.values(SCHEDULE_FREQUENCY).map((value) => <option key={value} value={value}>{frequencyLabels[value]}</option>)}
+            </select>
+          </div>
+          <div className="form-group col-4">
+            <label>{t`First payment`}</label>
+            <input type="datetime-local" className="form-control" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+          </div>
+        </div>
+        {recipients.map((recipient, index) => (
+          <div className="form-row" key={index}>
+            <div className="form-group col-6">
+              <input type="text" className="form-control" placeholder={t`Address`} value={recipient.address} onChange={(e) => updateRecipient(index, 'address', e.target.value)} />
+            </div>
+            <div className="form-group col-2">
+              <input type="text" className="form-control" placeholder={t`Amount`} value={recipient.amount} onChange={(e) => updateRecipient(index, 'amount', e.target.value)} />
+            </div>
+            <div className="form-group col-2">
+              <select className="form-control" value={recipient.token} onChange={(e) => updateRecipient(index, 'token', e.target.value)}>
+                {tokens.map((token) => <option key={token.uid} value={token.uid}>{token.symbol}</option>)}
+              </select>
+            </div>
+            {recipients.length > 1 && (
+              <div className="form-group col-1">
+                <button type="button" className="btn btn-link text-danger" onClick={() => removeRecipient(index)}>{t`Remove`}</button>
+              </div>
+            )}
+          </div>
+        ))}
+        <button type="button" className="btn btn-secondary mr-3" onClick={() => setRecipients([...recipients, { ...EMPTY_RECIPIENT }])}>{t`Add recipient`}</button>
+        <button type="submit" className="btn btn-hathor">{t`Schedule payment`}</button>
+        <p className="text-danger mt-3">{errorMessage}</p>
+      </form>
+    );
+  }
+
+  return (
+    <div className="content-wrapper">
+      <BackButton />
+      <h3 className="mt-4">{t`Scheduled payments`}</h3>
+      <p className="mt-3">{t`While the wallet is unlocked, you will be asked for your PIN when a payment is due. Payments that are due while the wallet is closed are sent the next time it is unlocked.`}</p>
+      {renderPayments()}
+      {renderForm()}
+    </div>
+  );
+}
+
+export default ScheduledPayments;
@@ -8,19 +8,28 @@
 import React, { useContext, useEffect, useRef, useState } from 'react';
 import { t } from 'ttag';
 import SendTokensOne from '../components/SendTokensOne';
+import BatchPaymentsPreview from '../components/BatchPaymentsPreview';
 import { useDispatch, useSelector } from 'react-redux';
 import BackButton from '../components/BackButton';
 import hathorLib from '@hathor/wallet-lib';
-import { walletRefreshSharedAddress } from '../actions';
+import { multisigTxsUpdated, paymentRequestOpened, txNotesUpdated, walletRefreshSharedAddress } from '../actions';
 import SendTxHandler from '../components/SendTxHandler';
+import TxPreview from '../components/TxPreview';
+import OfflineTxExport from '../components/OfflineTxExport';
 import ledger, { LedgerError } from '../utils/ledger';
 import tokensUtils from '../utils/tokens';
+import batchPayments from '../utils/batchPayments';
+import helpers from '../utils/helpers';
+import multisig from '../utils/multisig';
+import offlineSigning from '../utils/offlineSigning';
+import txNotes from '../utils/txNotes';
+import txPreview from '../utils/txPreview';
 import versionUtils from '../utils/version';
 import { IPC_RENDERER, LEDGER_TX_CUSTOM_TOKEN_LIMIT, colors } from '../constants';
 import ReactLoading from 'react-loading';
 import { GlobalModalContext, MODAL_TYPES } from '../components/GlobalModal';
 import LOCAL_STORE from '../storage';
-import { useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { getGlobalWallet } from "../modules/wallet";
 
 /** @typedef {0|1} LEDGER_MODAL_STATE */
@@ -40,15 +49,18 @@ function SendTokens() {
 
   const dispatch = useDispatch();
   const navigate = useNavigate();
+  const location = useLocation();
 
   // Redux state
-  const { selectedToken, tokens, metadataLoaded, useWalletService } = useSelector(
+  const { selectedToken, tokens, tokenMetadata, metadataLoaded, useWalletService, paymentRequest } = useSelector(
     (state) => {
       return {
         selectedToken: state.selectedToken,
         tokens: state.tokens,
+        tokenMetadata: state.tokenMetadata,
         metadataLoaded: state.metadataLoaded,
         useWalletService: state.useWalletService,
+        paymentRequest: state.paymentRequest,
       };
     });
   const wallet = getGlobalWallet();
@@ -61,20 +73,45 @@ function SendTokens() {
     return tokens.filter(t => t.uid === selectedToken)
   }
 
+  /**
+   * Inputs chosen on the utxo list, spent with its token
+   * @type {{tokenUid: string, inputs: {txId: string, index: number}[]}|null}
+   */
+  const chosenInputs = location.state && location.state.inputs ? location.state : null;
+
   // State
   /** errorMessage {string} Message to be shown in case of error in form */
   const [errorMessage, setErrorMessage] = useState('');
   /** txTokens {Array} Array of tokens configs already added by the user (start with only hathor) */
-  const [txTokens, setTxTokens] = useState([...getSelectedToken()]);
+  const [txTokens, setTxTokens] = useState(() => (
+    chosenInputs ? tokens.filter(t => t.uid === chosenInputs.tokenUid) : [...getSelectedToken()]
+  ));
+  /** batch {Object|null} Payments imported from a CSV file {fileName, errors, transactions}, replacing the form */
+  const [batch, setBatch] = useState(null);
+  /** request {Object|null} Payment request that filled the form {address, value, memo} */
+  const [request, setRequest] = useState(null);
+  /** formKey {number} Changed to recreate the form when it's filled by a payment request */
+  const [formKey, setFormKey] = useState(0);
 
   // Create refs
   const formSendTokensRef = useRef();
+  const csvFileRef = useRef();
   const references = useRef([React.createRef()]);
   /**
    * Instance of SendTransaction containing tx data specifically for Ledger signing
    * @type MutableRefObject<SendTransaction>
    */
   const sendTransactionRef = useRef(null);
+  /**
+   * Progress of the imported batch being sent, one transaction at a time
+   * @type MutableRefObject<{transactions: BatchTransaction[], index: number, pin: string|null}|null>
+   */
+  const batchSendRef = useRef(null);
+  /**
+   * Payment request that filled the form, the same as the `request` state
+   * @type MutableRefObject<{address: string, value: number|null, memo: string}|null>
+   */
+  const requestRef = useRef(null);
 
   // Convert componentDidMount and componentWillUnmount
   useEffect(() => {
@@ -94,6 +131,46 @@ function SendTokens() {
     };
   }, []);
 
+  // Fill the form with a payment request opened from an URI.
+  // We wait for the metadata to know if the amount of the token has decimal places.
+  useEffect(() => {
+    if (!paymentRequest || !metadataLoaded) {
+      return;
+    }
+    applyPaymentRequest(paymentRequest);
+    dispatch(paymentRequestOpened(null));
+  }, [paymentRequest, metadataLoaded]);
+
+  /**
+   * Recreate the form with one output of the payment request, selecting its token
+   *
+   * @param {Object} paymentRequest Payment request {address, tokenUid, amount, memo}
+   */
+  const applyPaymentRequest = (paymentRequest) => {
+    const { address, tokenUid, amount, memo } = paymentRequest;
+    const token = tokens.find((token) => token.uid === tokenUid);
+    let value = null;
+    let error = '';
+    if (!token) {
+      error = t`The payment request is for a token that is not registered in your wallet: ${tokenUid}`;
+    } else if (amount) {
+      value = batchPayments.parseAmount(amount, helpers.isTokenNFT(tokenUid, tokenMetadata));
+      if (value === null) {
+        error = t`The amount of the payment request is invalid: ${amount}`;
+      }
+    }
+
+    references.current = [React.createRef()];
+    setTxTokens(token ? [token] : [...getSelectedToken()]);
+    const newRequest = { address, value: token ? value : null, memo };
+    // Ledger event handlers are registered on mount, so they read the request from a ref
+    requestRef.current = newRequest;
+    setRequest(newRequest);
+    setFormKey(formKey + 1);
+    setBatch(null);
+    setErrorMessage(error);
+  }
+
   /**
    * Handle the response of a send tx call to Ledger.
    *
@@ -140,7 +217,7 @@ function SendTokens() {
         return;
       }
       // some token was invalid, it will be on arg, which ones
-      const tokenList = txTokens.filter(t => arg.data.includes(t.uid));
+      const tokenList = getTxTokens().filter(t => arg.data.includes(t.uid));
       globalModalContext.showModal(MODAL_TYPES.ALERT, {
         id: 'ledgerAlertModal',
         title: t`Invalid custom tokens`,
@@ -185,6 +262,34 @@ function SendTokens() {
     return data;
   }
 
+  /**
+   * Get inputs and outputs of the transaction being sent,
+   * from the form or from the current transaction of the imported batch
+   *
+   * @return {Object} Object holding all inputs and outputs {'inputs': [...], 'outputs': [...]}
+   */
+  const getTxData = () => {
+    const batchSend = batchSendRef.current;
+    if (batchSend) {
+      return { 'inputs': [], 'outputs': batchSend.transactions[batchSend.index].outputs };
+    }
+    return getFormData();
+  }
+
+  /**
+   * Get the config of the tokens of the transaction being sent
+   *
+   * @return {Object[]} Array of tokens configs {'name', 'symbol', 'uid'}
+   */
+  const getTxTokens = () => {
+    const batchSend = batchSendRef.current;
+    if (batchSend) {
+      const uids = batchSend.transactions[batchSend.index].tokens;
+      return tokens.filter(t => uids.includes(t.uid));
+    }
+    return txTokens;
+  }
+
   /**
    * Add signature to each input and execute send transaction
    * @param {String[]} signatures Array of serialized signatures to be injected on the tx
@@ -228,6 +333,21 @@ function SendTokens() {
    * @param {Object} tx Transaction sent data
    */
   const onSendSuccess = (tx) => {
+    const batchSend = batchSendRef.current;
+    if (batchSend && batchSend.index < batchSend.transactions.length - 1) {
+      // Send the next transaction of the imported batch
+      batchSend.index += 1;
+      sendBatchTransaction();
+      return;
+    }
+    batchSendRef.current = null;
+
+    // The memo of the payment request is kept as the note of the transaction
+    const sentRequest = requestRef.current;
+    if (sentRequest && sentRequest.memo && tx && tx.hash) {
+      dispatch(txNotesUpdated(txNotes.setTxNote(tx.hash, sentRequest.memo, [])));
+    }
+
     globalModalContext.hideModal();
 
     // Must update the shared address, in case we have used one for the change
@@ -242,6 +362,27 @@ function SendTokens() {
    */
   const onSendError = (message) => {
     globalModalContext.hideModal();
+    showSendError(message);
+  }
+
+  /**
+   * Show an error that interrupted the send.
+   * If some transactions of the imported batch were already sent, they are removed from the batch,
+   * so the user can send the remaining ones again.
+   *
+   * @param {String} message Error message
+   */
+  const showSendError = (message) => {
+    const batchSend = batchSendRef.current;
+    batchSendRef.current = null;
+    if (batchSend && batchSend.index > 0) {
+      const sentCount = batchSend.index;
+      const total = batchSend.transactions.length;
+      setBatch((current) => ({ ...current, transactions: batchSend.transactions.slice(sentCount) }));
+      const sentMessage = t`${sentCount} of ${total} transactions were sent, only the remaining ones are kept to be sent again.`;
+      setErrorMessage(`${sentMessage}\n${message}`);
+      return;
+    }
     setErrorMessage(message);
   }
 
@@ -254,7 +395,7 @@ function SendTokens() {
    */
   const beforeSendLedger = () => {
     // remove HTR if present
-    const _txTokens = txTokens.filter(t => !hathorLib.tokensUtils.isHathorToken(t.uid));
+    const _txTokens = getTxTokens().filter(t => !hathorLib.tokensUtils.isHathorToken(t.uid));
 
     if (_txTokens.length === 0) {
       // no custom tokens, just send
@@ -293,7 +434,7 @@ function SendTokens() {
    * It opens the ledger modal to wait for user action on the device
    */
   const executeSendLedger = async () => {
-    let txData = getFormData();
+    let txData = getTxData();
     // Wallet Service currently does not support Ledger, so we default to the regular SendTransaction
     const sendTransactionObj = new hathorLib.SendTransaction({
       outputs: txData.outputs,
@@ -306,10 +447,27 @@ function SendTokens() {
       txData = await sendTransactionObj.prepareTxData();
     }
     catch (e) {
-      setErrorMessage(e.message);
+      globalModalContext.hideModal();
+      showSendError(e.message);
       return;
     }
 
+    // The user reviews the inputs and change chosen before the device is asked to sign them
+    const preview = await txPreview.buildPreview(txData, (address) => wallet.isAddressMine(address));
+    globalModalContext.showModal(MODAL_TYPES.CONFIRM, {
+      title: t`Review transaction`,
+      body: <TxPreview preview={preview} />,
+      handleYes: () => sendTxToLedger(sendTransactionObj, txData),
+    });
+  }
+
+  /**
+   * Send the reviewed transaction to be validated and signed on ledger
+   *
+   * @param {SendTransaction} sendTransactionObj Instance with the tx data already prepared
+   * @param {Object} txData Full tx data, with the inputs and change outputs chosen
+   */
+  const sendTxToLedger = async (sendTransactionObj, txData) => {
     const changeInfo = [];
     for (const [outputIndex, output] of txData.outputs.entries()) {
       if (output.isChange) {
@@ -334,6 +492,71 @@ function SendTokens() {
     });
   }
 
+  /**
+   * Build the transaction without signing it and show it to be exported,
+   * since a watch-only wallet has no keys to sign it
+   */
+  const exportUnsignedTransaction = async () => {
+    const { outputs, inputs } = getTxData();
+    const sendTransactionObj = new hathorLib.SendTransaction({ outputs, inputs, storage: wallet.storage });
+
+    let txData;
+    try {
+      // Errors may happen in this step ( ex.: insufficient amount of tokens )
+      txData = await sendTransactionObj.prepareTxData();
+    } catch (e) {
+      showSendError(e.message);
+      return;
+    }
+
+    const serialized = offlineSigning.serializeUnsignedTx(txData, wallet.getNetworkObject());
+    const preview = await txPreview.buildPreview(txData, (address) => wallet.isAddressMine(address));
+    globalModalContext.showModal(MODAL_TYPES.ALERT, {
+      title: t`Unsigned transaction`,
+      body: (
+        <OfflineTxExport
+          preview={preview}
+          description={t`This transaction is not signed. Sign it on the offline wallet that holds the keys of this xpub, then import the signatures on "Offline signing" to send it.`}
+          serialized={serialized}
+          fileName="Hathor Wallet - Unsigned transaction.txt"
+        />
+      ),
+      buttonName: t`Close`,
+    });
+  }
+
+  /**
+   * Build the transaction of a multisig wallet and add the signature of this participant,
+   * then it waits for the signatures of the others on the multisig screen
+   *
+   * @param {string} pin PIN written by the user
+   */
+  const createMultisigTransaction = async (pin) => {
+    const { outputs, inputs } = getTxData();
+    const sendTransactionObj = new hathorLib.SendTransaction({ outputs, inputs, storage: wallet.storage });
+
+    let txHex;
+    let signature;
+    try {
+      // Errors may happen in this step ( ex.: insufficient amount of tokens )
+      const txData = await sendTransactionObj.prepareTxData();
+      const tx = await hathorLib.transactionUtils.prepareTransaction(txData, null, wallet.storage, { signTx: false });
+      txHex = tx.toHex();
+      signature = await wallet.getAllSignatures(txHex, pin);
+    } catch (e) {
+      showSendError(e.message);
+      return;
+    }
+
+    const txId = multisig.getTxId(txHex, wallet.getNetworkObject());
+    dispatch(multisigTxsUpdated(multisig.save(txId, {
+      txHex,
+      signatures: [signature],
+      createdAt: Math.floor(Date.now() / 1000),
+    })));
+    navigate(`/wallet/multisig/${txId}`);
+  }
+
   /**
    * Method executed when user validates its PIN on the modal
    * Checks if the form is valid, get data from child components, complete the transaction and execute API request
@@ -350,12 +573,19 @@ function SendTokens() {
     // All inputs validated: proceed with the send process
     setErrorMessage('');
     try {
-      if (!LOCAL_STORE.isHardwareWallet()) {
+      if (LOCAL_STORE.isWatchOnlyWallet()) {
+        exportUnsignedTransaction();
+      } else if (LOCAL_STORE.isMultisigWallet()) {
+        globalModalContext.showModal(MODAL_TYPES.PIN, {
+          onSuccess: ({pin}) => createMultisigTransaction(pin),
+        });
+      } else if (!LOCAL_STORE.isHardwareWallet()) {
         globalModalContext.showModal(MODAL_TYPES.PIN, {
           onSuccess: ({pin}) => {
             globalModalContext.showModal(MODAL_TYPES.SEND_TX, {
               pin,
               prepareSendTransaction: prepareSendTransaction,
+              review: true,
               onSendSuccess: onSendSuccess,
               onSendError: onSendError,
               title: t`Sending transaction`,
@@ -378,7 +608,7 @@ function SendTokens() {
    * @return {SendTransaction} SendTransaction object, in case of success, null otherwise
    */
   const prepareSendTransaction = async (pin) => {
-    const txData = getFormData();
+    const txData = getTxData();
     if (useWalletService) {
       return new hathorLib.SendTransactionWalletService(wallet, {
         outputs: txData.outputs,
@@ -401,7 +631,7 @@ function SendTokens() {
         e instanceof hathorLib.errors.MaximumNumberInputsError ||
         e instanceof LedgerError) {
       globalModalContext.hideModal();
-      setErrorMessage(e.message);
+      showSendError(e.message);
     } else {
       // Unhandled error
       throw e;
@@ -491,6 +721,91 @@ function SendTokens() {
     references.current.splice(index, 1);
   }
 
+  /**
+   * Called when user clicks to import the payments from a CSV file
+   */
+  const importCsvClicked = () => {
+    csvFileRef.current.click();
+  }
+
+  /**
+   * Parse the selected CSV file and show the preview of the payments
+   *
+   * @param {Object} e Event emitted when the file is selected
+   */
+  const handleCsvFile = async (e) => {
+    const file = e.target.files[0];
+    // Clear the input, so the same file can be selected again after being fixed
+    e.target.value = '';
+    if (!file) return;
+
+    const text = await file.text();
+    const isHardwareWallet = LOCAL_STORE.isHardwareWallet();
+    const { payments, errors } = batchPayments.parseCsv(text, {
+      tokens,
+      tokenMetadata,
+      allowTimelock: !isHardwareWallet,
+      allowCustomTokens: !isHardwareWallet || versionUtils.isLedgerCustomTokenAllowed(),
+    });
+    const transactions = batchPayments.splitTransactions(payments, {
+      maxCustomTokens: isHardwareWallet ? LEDGER_TX_CUSTOM_TOKEN_LIMIT : null,
+    });
+    setErrorMessage('');
+    setBatch({ fileName: file.name, errors, transactions });
+  }
+
+  /**
+   * Called when user confirms the imported payments
+   * Open pin modal if software wallet and send the transactions one at a time
+   */
+  const onSendBatchClicked = () => {
+    setErrorMessage('');
+    if (LOCAL_STORE.isWatchOnlyWallet() || LOCAL_STORE.isMultisigWallet()) {
+      globalModalContext.showModal(MODAL_TYPES.ALERT_NOT_SUPPORTED);
+    } else if (!LOCAL_STORE.isHardwareWallet()) {
+      globalModalContext.showModal(MODAL_TYPES.PIN, {
+        onSuccess: ({pin}) => {
+          batchSendRef.current = { transactions: batch.transactions, index: 0, pin };
+          sendBatchTransaction();
+        }
+      });
+    } else {
+      batchSendRef.current = { transactions: batch.transactions, index: 0, pin: null };
+      sendBatchTransaction();
+    }
+  }
+
+  /**
+   * Send the current transaction of the imported batch
+   */
+  const sendBatchTransaction = () => {
+    if (LOCAL_STORE.isHardwareWallet()) {
+      beforeSendLedger();
+      return;
+    }
+
+    const { transactions, index, pin } = batchSendRef.current;
+    const number = index + 1;
+    const total = transactions.length;
+    globalModalContext.showModal(MODAL_TYPES.SEND_TX, {
+      pin,
+      prepareSendTransaction: prepareSendTransaction,
+      review: true,
+      onSendSuccess: onSendSuccess,
+      onSendError: onSendError,
+      title: total > 1 ? t`Sending transaction ${number} of ${total}` : t`Sending transaction`,
+    });
+  }
+
+  /**
+   * Called when user discards the imported payments and goes back to the form
+   */
+  const onCancelBatchClicked = () => {
+    batchSendRef.current = null;
+    setErrorMessage('');
+    setBatch(null);
+  }
+
   /**
    * Called when user clicks on send tokens button
    * Open pin modal if software wallet and execute send otherwise
@@ -532,9 +847,19 @@ function SendTokens() {
     }
   }
 
+  const renderSendButtonLabel = () => {
+    if (LOCAL_STORE.isWatchOnlyWallet()) {
+      return t`Export unsigned transaction`;
+    }
+    if (LOCAL_STORE.isMultisigWallet()) {
+      return t`Create multisig transaction`;
+    }
+    return t`Send Tokens`;
+  }
+
   const renderOnePage = () => {
     return txTokens.map((token, index) => {
-      return <SendTokensOne key={`${token.uid}-${index}`}
+      return <SendTokensOne key={`${formKey}-${token.uid}-${index}`}
                             ref={references.current[index]}
                             config={token}
                             index={index}
@@ -543,6 +868,8 @@ function SendTokens() {
                             tokenSelectChange={tokenSelectChange}
                             removeToken={removeToken}
                             updateState={updateState}
+                            defaultOutput={index === 0 && request ? request : null}
+                            defaultInputs={chosenInputs && token.uid === chosenInputs.tokenUid ? chosenInputs.inputs : null}
       />
     });
   }
@@ -552,14 +879,37 @@ function SendTokens() {
       return <p>{t`Loading metadata...`}</p>
     }
 
+    if (batch) {
+      return (
+        <div>
+          <BatchPaymentsPreview
+            fileName={batch.fileName}
+            errors={batch.errors}
+            transactions={batch.transactions}
+            onSend={onSendBatchClicked}
+            onCancel={onCancelBatchClicked}
+          />
+          <p className="text-danger mt-3 white-space-pre-wrap">{errorMessage}</p>
+        </div>
+      );
+    }
+
     return (
       <div>
+        {request && request.memo && (
+          <p>{t`Payment request:`} {request.memo}</p>
+        )}
         <form ref={formSendTokensRef} id="formSendTokens">
           {renderOnePage()}
           <div className="mt-5">
             <button type="button" className="btn btn-secondary mr-4" onClick={addAnotherToken}>{t`Add another token`}</button>
-            <button type="button" className="btn btn-hathor" onClick={onSendTokensClicked}>{t`Send Tokens`}</button>
+            <button type="button" className="btn btn-secondary mr-4" onClick={importCsvClicked}>{t`Import CSV`}</button>
+            <button type="button" className="btn btn-hathor" onClick={onSendTokensClicked}>
+              {renderSendButtonLabel()}
+            </button>
           </div>
+          <p className="text-muted mt-2">{t`The CSV file must have the columns address, amount, token (uid or symbol, empty for HTR) and an optional timelock.`}</p>
+          <input type="file" accept=".csv,text/csv" className="d-none" ref={csvFileRef} onChange={handleCsvFile} />
         </form>
         <p className="text-danger mt-3 white-space-pre-wrap">{errorMessage}</p>
       </div>
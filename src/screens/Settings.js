@@ -43,8 +43,9 @@ function Settings() {
   /** showTimestamp {boolean} If should show timestamp or full date in date and time */
   const [showTimestamp, setShowTimestamp] = useState(false);
 
-  const { useWalletService, registeredTokens } = useSelector(state => ({
+  const { useWalletService, useAtomicSwap, registeredTokens } = useSelector(state => ({
     useWalletService: state.useWalletService,
+    useAtomicSwap: state.useAtomicSwap,
     registeredTokens: state.tokens,
   }))
 
@@ -84,7 +85,9 @@ function Settings() {
    * When user clicks Add Passphrase button we redirect to Passphrase screen
    */
   const addPassphrase = () => {
-    if (LOCAL_STORE.isHardwareWallet()) {
+    if (LOCAL_STORE.isWatchOnlyWallet() || LOCAL_STORE.isMultisigWallet()) {
+      context.showModal(MODAL_TYPES.ALERT_NOT_SUPPORTED);
+    } else if (LOCAL_STORE.isHardwareWallet()) {
       context.showModal(MODAL_TYPES.ALERT_NOT_SUPPORTED, {
         title: t`Complete action on your hardware wallet`,
         children: (
@@ -131,6 +134,28 @@ function Settings() {
     element.remove();
   }
 
+  /**
+   * When user clicks Export Wallet Backup button we open a modal to encrypt and download the backup file
+   */
+  const exportBackup = () => {
+    if (LOCAL_STORE.isHardwareWallet() || LOCAL_STORE.isWatchOnlyWallet()) {
+      context.showModal(MODAL_TYPES.ALERT_NOT_SUPPORTED);
+    } else {
+      context.showModal(MODAL_TYPES.EXPORT_BACKUP);
+    }
+  }
+
+  /**
+   * Scheduled payments are signed with the PIN, so they are not available for hardware, watch-only and multisig wallets
+   */
+  const scheduledPaymentsClicked = () => {
+    if (LOCAL_STORE.isHardwareWallet() || LOCAL_STORE.isWatchOnlyWallet() || LOCAL_STORE.isMultisigWallet()) {
+      context.showModal(MODAL_TYPES.ALERT_NOT_SUPPORTED);
+    } else {
+      navigate('/scheduled_payments/');
+    }
+  }
+
   /**
    * When user clicks Change Server button we redirect to Change Server screen
    */
@@ -320,7 +345,13 @@ function Settings() {
             </span>
           </CopyToClipboard>
           <button className="btn btn-hathor mt-4" onClick={changeMiningServer}>{t`Change mining server`}</button>
+          {useAtomicSwap && <button className="btn btn-hathor mt-4" onClick={() => navigate('/swap_service/')}>{t`Change atomic swap service`}</button>}
+          <button className="btn btn-hathor mt-4" onClick={() => navigate('/address_derivation/')}>{t`Address derivation`}</button>
           <button className="btn btn-hathor mt-4" onClick={exportTokens}>{t`Export Registered Tokens`}</button>
+          <button className="btn btn-hathor mt-4" onClick={exportBackup}>{t`Export wallet backup`}</button>
+          <button className="btn btn-hathor mt-4" onClick={() => navigate('/address_book/')}>{t`Address book`}</button>
+          <button className="btn btn-hathor mt-4" onClick={scheduledPaymentsClicked}>{t`Scheduled payments`}</button>
+          {!LOCAL_STORE.isHardwareWallet() && <button className="btn btn-hathor mt-4" onClick={() => navigate('/offline_signing/')}>{t`Offline signing`}</button>}
           <button className="btn btn-hathor mt-4" onClick={addPassphrase}>{t`Set a passphrase`}</button>
           {ledgerCustomTokens && <button className="btn btn-hathor mt-4" onClick={untrustClicked}>{t`Untrust all tokens on Ledger`}</button> }
           <button className="btn btn-hathor mt-4" onClick={resetClicked}>{t`Reset all data`}</button>
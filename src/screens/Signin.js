@@ -5,12 +5,16 @@
  * LICENSE file in the root directory of this source tree.
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { t } from 'ttag'
 
 import logo from '../assets/images/hathor-logo.png';
 import InitialImages from '../components/InitialImages';
 import { useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { profileSwitchRequested } from '../actions';
+import walletUtils from '../utils/wallet';
+import LOCAL_STORE from '../storage';
 
 
 /**
@@ -20,6 +24,16 @@ import { useNavigate } from 'react-router-dom';
  */
 function Signin() {
   const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const walletProfiles = useSelector(state => state.walletProfiles);
+  const currentProfileId = useSelector(state => state.currentProfileId);
+
+  // Other profiles that already have a wallet can be opened instead of creating a new one
+  const existingProfiles = walletUtils.sortProfiles(walletProfiles).filter((profile) => (
+    profile.id !== currentProfileId && LOCAL_STORE.isProfileLoaded(profile.id)
+  ));
+  /** selectedProfileId {string} Profile chosen on the existing wallets picker */
+  const [selectedProfileId, setSelectedProfileId] = useState(existingProfiles[0]?.id);
 
   /**
    * Go to the new wallet screen
@@ -35,6 +49,44 @@ function Signin() {
     navigate('/load_wallet/');
   }
 
+  /**
+   * Go to the restore backup screen
+   */
+  const goToRestoreBackup = () => {
+    navigate('/restore_backup/');
+  }
+
+  /**
+   * Go to the multisig wallet screen
+   */
+  const goToMultisigWallet = () => {
+    navigate('/multisig_wallet/');
+  }
+
+  /**
+   * Switch to the wallet profile selected on the picker
+   */
+  const openExistingWallet = () => {
+    dispatch(profileSwitchRequested(selectedProfileId));
+  }
+
+  const renderProfilePicker = () => {
+    if (existingProfiles.length === 0) {
+      return null;
+    }
+
+    return (
+      <div className="d-flex align-items-center flex-row w-100 mt-4">
+        <select className="form-control mr-3" value={selectedProfileId} onChange={(e) => setSelectedProfileId(e.target.value)}>
+          {existingProfiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>{walletUtils.getProfileName(profile)}</option>
+          ))}
+        </select>
+        <button onClick={openExistingWallet} type="button" className="btn btn-hathor text-nowrap">{t`Open wallet`}</button>
+      </div>
+    );
+  }
+
   return (
     <div className="outside-content-wrapper">
       <div className="inside-white-wrapper col-sm-12 col-md-8">
@@ -46,6 +98,10 @@ function Signin() {
             <button onClick={goToNewWallet} type="button" className="btn btn-hathor mr-3">{t`New wallet`}</button>
             <button onClick={goToLoadWallet} type="button" className="btn btn-hathor">{t`Import wallet`}</button>
           </div>
+          <button onClick={goToRestoreBackup} type="button" className="btn btn-link mt-3">{t`Restore from a backup file`}</button>
+          <button onClick={goToMultisigWallet} type="button" className="btn btn-link">{t`Create or import a multisig wallet`}</button>
+          {existingProfiles.length > 0 && <p className="mt-4 mb-0 w-100">{t`Or open one of your other wallets:`}</p>}
+          {renderProfilePicker()}
         </div>
         <InitialImages />
       </div>
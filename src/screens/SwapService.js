@@ -0,0 +1,235 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { t } from 'ttag';
+import { useDispatch } from 'react-redux';
+import ReactLoading from 'react-loading';
+import hathorLib from '@hathor/wallet-lib';
+import { colors } from '../constants';
+import LOCAL_STORE from '../storage';
+import BackButton from '../components/BackButton';
+import HathorAlert from '../components/HathorAlert';
+import { swapServiceChanged } from '../actions';
+import {
+  checkSwapServiceConnectivity,
+  getSwapRelaySettings,
+  getSwapServiceUrl,
+  initializeSwapServiceBaseUrlForWallet,
+  setSwapRelaySettings,
+  setSwapServiceUrl,
+  startSwapRelay,
+  stopSwapRelay,
+} from '../utils/atomicSwap';
+
+/**
+ * Screen to change the Atomic Swap Service used to exchange proposals, or to use a relay
+ * running on this app instead, so wallets on the same machine or network don't need the hosted service.
+ *
+ * @memberof Screens
+ */
+function SwapService() {
+  /* errorMessage {string} Message to be shown in case of error in form */
+  const [errorMessage, setErrorMessage] = useState('');
+  /* loading {boolean} If should show spinner while waiting for the service response */
+  const [loading, setLoading] = useState(false);
+  /* customUrl {string|null} Url chosen by the user, null when using the default one */
+  const [customUrl, setCustomUrl] = useState(getSwapServiceUrl());
+  /* relaySettings {{enabled: boolean, port: number, lan: boolean}} Saved settings of the local relay */
+  const [relaySettings, setRelaySettings] = useState(getSwapRelaySettings());
+  /* relayAddresses {string[]} Urls the other machines of the network can use to reach the relay */
+  const [relayAddresses, setRelayAddresses] = useState([]);
+  /* currentUrl {string} Url the wallet is using */
+  const [currentUrl, setCurrentUrl] = useState('');
+  /* successMessage {string} Text of the success alert */
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const newServerRef = useRef(null);
+  const relayEnabledRef = useRef(null);
+  const relayPortRef = useRef(null);
+  const relayLanRef = useRef(null);
+  const alertSuccessRef = useRef();
+  const dispatch = useDispatch();
+
+  /**
+   * Apply the saved settings to the lib and show the url in use
+   */
+  const applySettings = () => {
+    try {
+      initializeSwapServiceBaseUrlForWallet(LOCAL_STORE.getNetwork());
+      setCurrentUrl(hathorLib.config.getSwapServiceBaseUrl());
+    } catch (e) {
+      // There is no default url for this network
+      setCurrentUrl('');
+    }
+  }
+
+  /**
+   * Apply the settings changed by the user, connecting to the new service to receive the proposal updates
+   */
+  const applyChangedSettings = () => {
+    applySettings();
+    dispatch(swapServiceChanged());
+  }
+
+  useEffect(() => {
+    applySettings();
+
+    // Get the urls of the relay to show them to the user, it's already running if enabled
+    if (relaySettings.enabled) {
+      startSwapRelay(relaySettings.port, relaySettings.lan)
+        .then((info) => setRelayAddresses(info.addresses))
+        .catch((e) => setErrorMessage(e.message));
+    }
+  }, []);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    alertSuccessRef.current.show(3000);
+  }
+
+  /**
+   * Called after user click the button to change the server
+   *
+   * @param {boolean} reset If should go back to the default server
+   */
+  const changeServer = async (reset) => {
+    let newServer = null;
+
+    if (!reset) {
+      newServer = newServerRef.current.value.trim();
+      if (newServer === '') {
+        setErrorMessage(t`New server cannot be empty`);
+        return;
+      }
+
+      try {
+        const url = new URL(newServer);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          throw new Error();
+        }
+      } catch (err) {
+        setErrorMessage(t`New server is not valid`);
+        return;
+      }
+
+      setLoading(true);
+      const reachable = await checkSwapServiceConnectivity(newServer);
+      setLoading(false);
+      if (!reachable) {
+        setErrorMessage(t`Could not connect to an Atomic Swap Service on this server.`);
+        return;
+      }
+    }
+
+    setErrorMessage('');
+    newServerRef.current.value = '';
+    setSwapServiceUrl(newServer);
+    setCustomUrl(newServer);
+    applyChangedSettings();
+    showSuccess(t`Atomic swap service changed`);
+  }
+
+  /**
+   * Called after user click the button to save the relay settings, starting or stopping it
+   */
+  const saveRelay = async () => {
+    const enabled = relayEnabledRef.current.checked;
+    const lan = relayLanRef.current.checked;
+    const port = Number(relayPortRef.current.value);
+    if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+      setErrorMessage(t`The port must be a number from 1024 to 65535.`);
+      return;
+    }
+
+    setErrorMessage('');
+    if (enabled) {
+      setLoading(true);
+      try {
+        const info = await startSwapRelay(port, lan);
+        setRelayAddresses(info.addresses);
+      } catch (e) {
+        setErrorMessage(t`Could not start the local relay: ${e.message}`);
+        return;
+      } finally {
+        setLoading(false);
+      }
+    } else {
+      stopSwapRelay();
+      setRelayAddresses([]);
+    }
+
+    const settings = { enabled, port, lan };
+    setSwapRelaySettings(settings);
+    setRelaySettings(settings);
+    applyChangedSettings();
+    showSuccess(enabled ? t`Local relay started` : t`Local relay stopped`);
+  }
+
+  const renderRelayAddresses = () => {
+    if (!relaySettings.enabled || !relaySettings.lan) {
+      return null;
+    }
+
+    return (
+      <div className="mt-3">
+        <p className="input-label">{t`Other wallets of the network can use this relay as their atomic swap service with one of these urls:`}</p>
+        <ul>
+          {relayAddresses.map((address) => <li key={address} className="text-monospace">{address}</li>)}
+        </ul>
+      </div>
+    );
+  }
+
+  return (
+    <div className="content-wrapper">
+      <BackButton />
+      <p><strong>{t`Change the atomic swap service`}</strong></p>
+      <p className="input-label">{t`Current server`}: {currentUrl || '-'}</p>
+      {relaySettings.enabled
+        && <p className="input-label">{t`You are using the local relay.`}</p>
+        || (customUrl === null
+          ? <p className="input-label">{t`You are currently using the default atomic swap service.`}</p>
+          : <p className="input-label">{t`You are not using the default atomic swap service.`}</p>)
+      }
+      <form onSubmit={e => { e.preventDefault(); }}>
+        <div className="mt-3">
+          <input type="text" placeholder={t`New atomic swap service`} ref={newServerRef} className="form-control col-4" />
+        </div>
+      </form>
+      <div className="d-flex flex-row align-items-center mt-3">
+        <button onClick={() => changeServer(false)} type="button" className="btn btn-hathor mr-3" disabled={loading}>{t`Set server`}</button>
+        {customUrl !== null && <button onClick={() => changeServer(true)} type="button" className="btn btn-hathor mr-3" disabled={loading}>{t`Reset server`}</button>}
+      </div>
+      {relaySettings.enabled && customUrl !== null && <p className="text-muted mt-3">{t`This server is only used when the local relay is disabled.`}</p>}
+      <hr />
+
+      <p><strong>{t`Local relay`}</strong></p>
+      <p>{t`The wallet can relay the proposals itself, so wallets on this computer or on your local network can exchange them without the hosted service. The proposals are kept only while the app is open.`}</p>
+      <form onSubmit={e => { e.preventDefault(); }}>
+        <div className="form-check">
+          <input type="checkbox" className="form-check-input" id="relayEnabled" ref={relayEnabledRef} defaultChecked={relaySettings.enabled} />
+          <label className="form-check-label" htmlFor="relayEnabled">{t`Use the local relay`}</label>
+        </div>
+        <div className="form-check">
+          <input type="checkbox" className="form-check-input" id="relayLan" ref={relayLanRef} defaultChecked={relaySettings.lan} />
+          <label className="form-check-label" htmlFor="relayLan">{t`Accept connections from other computers of the network`}</label>
+        </div>
+        <div className="mt-3">
+          <input type="number" placeholder={t`Port`} ref={relayPortRef} className="form-control col-2" min={1024} max={65535} step={1} defaultValue={relaySettings.port} />
+        </div>
+      </form>
+      <button onClick={saveRelay} type="button" className="btn btn-hathor mt-3" disabled={loading}>{t`Save relay settings`}</button>
+      {renderRelayAddresses()}
+      {loading && <ReactLoading type='spin' color={colors.purpleHathor} width={24} height={24} delay={200} />}
+      <p className="text-danger mt-3">{errorMessage}</p>
+      <HathorAlert ref={alertSuccessRef} text={successMessage} type="success" extraClasses="hathor-floating-alert" />
+    </div>
+  )
+}
+
+export default SwapService;
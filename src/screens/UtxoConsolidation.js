@@ -0,0 +1,271 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useContext } from 'react';
+import { t } from 'ttag';
+import { useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import hathorLib from '@hathor/wallet-lib';
+import BackButton from '../components/BackButton';
+import { GlobalModalContext, MODAL_TYPES } from '../components/GlobalModal';
+import utxosUtils from '../utils/utxos';
+import batchPayments from '../utils/batchPayments';
+import helpers from '../utils/helpers';
+import LOCAL_STORE from '../storage';
+import { getGlobalWallet } from '../modules/wallet';
+
+/**
+ * Status of each consolidation transaction while they are sent
+ */
+const TX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+};
+
+/**
+ * Screen to merge many small utxos of a token into a few outputs of an address of the wallet.
+ * The transactions are previewed, then sent one at a time after the user writes the PIN.
+ *
+ * @memberof Screens
+ */
+function UtxoConsolidation() {
+  const context = useContext(GlobalModalContext);
+  const { tokens, tokenMetadata, selectedToken, lastSharedAddress, useWalletService } = useSelector((state) => ({
+    tokens: state.tokens,
+    tokenMetadata: state.tokenMetadata,
+    selectedToken: state.selectedToken,
+    lastSharedAddress: state.lastSharedAddress,
+    useWalletService: state.useWalletService,
+  }));
+  const wallet = getGlobalWallet();
+  const maxNumberInputs = (wallet.storage.version && wallet.storage.version.max_number_inputs) || hathorLib.constants.MAX_INPUTS;
+
+  const [tokenUid, setTokenUid] = useState(selectedToken);
+  const [address, setAddress] = useState(lastSharedAddress || '');
+  const [maxInputs, setMaxInputs] = useState(String(maxNumberInputs));
+  const [threshold, setThreshold] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+  /** plan {Object[]|null} Transactions to be sent {inputs, outputs, total, status, txId, error} */
+  const [plan, setPlan] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  const isNFT = helpers.isTokenNFT(tokenUid, tokenMetadata);
+  const token = tokens.find((token) => token.uid === tokenUid);
+  const symbol = token ? token.symbol : '';
+
+  /**
+   * Validate the form and build the consolidation transactions to be previewed
+   *
+   * @param {Object} e Event emitted when the form is submitted
+   */
+  const handlePreview = async (e) => {
+    e.preventDefault();
+
+    const inputsCount = parseInt(maxInputs, 10);
+    if (!(inputsCount >= 2 && inputsCount <= maxNumberInputs)) {
+      setErrorMessage(t`The maximum number of inputs must be between 2 and ${maxNumberInputs}`);
+      return;
+    }
+
+    let amountSmallerThan;
+    if (threshold.trim()) {
+      amountSmallerThan = batchPayments.parseAmount(threshold.replace(/,/g, '').trim(), isNFT);
+      if (amountSmallerThan === null) {
+        setErrorMessage(t`Invalid amount threshold`);
+        return;
+      }
+    }
+
+    setLoading(true);
+    try {
+      const destination = address.trim();
+      if (!(await wallet.isAddressMine(destination))) {
+        setErrorMessage(t`The address must be from your wallet`);
+        return;
+      }
+
+      const transactions = await utxosUtils.getConsolidationPlan(wallet, {
+        token: tokenUid,
+        address: destination,
+        maxInputs: inputsCount,
+        amountSmallerThan,
+      });
+      if (transactions.length === 0) {
+        setErrorMessage(t`There are not enough available unspent outputs to consolidate.`);
+        return;
+      }
+
+      setErrorMessage('');
+      setPlan(transactions.map((tx) => ({ ...tx, status: TX_STATUS.PENDING, txId: null, error: null })));
+    } catch (err) {
+      setErrorMessage(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /**
+   * Ask for the PIN, then send the planned transactions
+   */
+  const handleConsolidate = () => {
+    context.showModal(MODAL_TYPES.PIN, {
+      onSuccess: ({ pin }) => sendAll(pin),
+    });
+  }
+
+  /**
+   * Send the planned transactions in sequence, stopping at the first failure
+   *
+   * @param {string} pin
+   */
+  const sendAll = async (pin) => {
+    setSending(true);
+    const updated = [...plan];
+    const updateTx = (index, data) => {
+      updated[index] = { ...updated[index], ...data };
+      setPlan([...updated]);
+    };
+
+    for (const [index, tx] of updated.entries()) {
+      if (tx.status === TX_STATUS.SENT) {
+        // Already sent on a previous attempt
+        continue;
+      }
+      updateTx(index, { status: TX_STATUS.SENDING, error: null });
+      try {
+        const sentTx = await wallet.sendManyOutputsTransaction(tx.outputs, { inputs: tx.inputs, pin });
+        updateTx(index, { status: TX_STATUS.SENT, txId: sentTx.hash });
+      } catch (err) {
+        updateTx(index, { status: TX_STATUS.FAILED, error: err.message });
+        break;
+      }
+    }
+    setSending(false);
+  }
+
+  const renderStatus = (tx) => {
+    switch (tx.status) {
+      case TX_STATUS.SENDING:
+        return t`Sending...`;
+      case TX_STATUS.SENT:
+        return <Link to={`/transaction/${tx.txId}`}>{hathorLib.helpersUtils.getShortHash(tx.txId)}</Link>;
+      case TX_STATUS.FAILED:
+        return <span className="text-danger">{tx.error}</span>;
+      default:
+        return t`Pending`;
+    }
+  }
+
+  const renderPlan = () => {
+    const sentCount = plan.filter((tx) => tx.status === TX_STATUS.SENT).length;
+    const total = plan.length;
+    const utxosCount = plan.reduce((acc, tx) => acc + tx.inputs.length, 0);
+    const amount = helpers.renderValue(plan.reduce((acc, tx) => acc + tx.total, 0), isNFT);
+    const finished = sentCount === total;
+    const failed = plan.some((tx) => tx.status === TX_STATUS.FAILED);
+
+    return (
+      <div className="mt-4">
+        <p>{t`${utxosCount} unspent outputs with ${amount} ${symbol} will be consolidated in ${total} transactions to the address ${address}.`}</p>
+        <div className="table-responsive">
+          <table className="table table-striped">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>{t`Inputs`}</th>
+                <th>{t`Amount`}</th>
+                <th>{t`Status`}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.map((tx, index) => (
+                <tr key={index}>
+                  <td>{index + 1}</td>
+                  <td>{tx.inputs.length}</td>
+                  <td>{helpers.renderValue(tx.total, isNFT)} {symbol}</td>
+                  <td>{renderStatus(tx)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p>{t`${sentCount} of ${total} transactions sent.`}</p>
+        {!finished && (
+          <div>
+            <button type="button" className="btn btn-secondary mr-3" onClick={() => setPlan(null)} disabled={sending || sentCount > 0}>{t`Back`}</button>
+            <button type="button" className="btn btn-hathor" onClick={handleConsolidate} disabled={sending}>
+              {failed ? t`Retry` : t`Consolidate`}
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const renderForm = () => {
+    return (
+      <form className="mt-4" onSubmit={handlePreview}>
+        <div className="form-row">
+          <div className="form-group col-2">
+            <label>{t`Token`}</label>
+            <select className="form-control" value={tokenUid} onChange={(e) => setTokenUid(e.target.value)}>
+              {tokens.map((token) => <option key={token.uid} value={token.uid}>{token.symbol}</option>)}
+            </select>
+          </div>
+          <div className="form-group col-6">
+            <label>{t`Destination address`}</label>
+            <input type="text" className="form-control" value={address} onChange={(e) => setAddress(e.target.value)} />
+          </div>
+        </div>
+        <div className="form-row">
+          <div className="form-group col-4">
+            <label>{t`Maximum inputs per transaction`}</label>
+            <input type="number" className="form-control" min="2" max={maxNumberInputs} value={maxInputs} onChange={(e) => setMaxInputs(e.target.value)} />
+          </div>
+          <div className="form-group col-4">
+            <label>{t`Only outputs smaller than (optional)`}</label>
+            <input type="text" className="form-control" placeholder={helpers.renderValue(0, isNFT)} value={threshold} onChange={(e) => setThreshold(e.target.value)} />
+          </div>
+        </div>
+        <button type="submit" className="btn btn-hathor" disabled={loading}>{t`Preview`}</button>
+      </form>
+    );
+  }
+
+  // The transactions are signed with the PIN, the route may be opened directly for wallets that can't sign this way
+  let unavailableMessage = null;
+  if (useWalletService) {
+    unavailableMessage = t`This feature is not available for wallets using the wallet service.`;
+  } else if (LOCAL_STORE.isHardwareWallet() || LOCAL_STORE.isWatchOnlyWallet() || LOCAL_STORE.isMultisigWallet()) {
+    unavailableMessage = t`This feature is not available for hardware, watch-only and multisig wallets.`;
+  }
+
+  if (unavailableMessage) {
+    return (
+      <div className="content-wrapper">
+        <BackButton />
+        <h3 className="mt-4">{t`Consolidate unspent outputs`}</h3>
+        <p className="mt-3">{unavailableMessage}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="content-wrapper">
+      <BackButton />
+      <h3 className="mt-4">{t`Consolidate unspent outputs`}</h3>
+      <p className="mt-3">{t`Merge many small unspent outputs of a token into a few larger ones, so your next transactions need fewer inputs.`}</p>
+      {plan ? renderPlan() : renderForm()}
+      <p className="text-danger mt-3">{errorMessage}</p>
+    </div>
+  );
+}
+
+export default UtxoConsolidation;
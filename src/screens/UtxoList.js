@@ -0,0 +1,252 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState, useEffect, useContext } from 'react';
+import { t } from 'ttag';
+import { useSelector } from 'react-redux';
+import { Link, useNavigate } from 'react-router-dom';
+import hathorLib from '@hathor/wallet-lib';
+import { TOKEN_MINT_MASK, TOKEN_MELT_MASK } from '@hathor/wallet-lib/lib/constants';
+import BackButton from '../components/BackButton';
+import { GlobalModalContext, MODAL_TYPES } from '../components/GlobalModal';
+import utxosUtils from '../utils/utxos';
+import helpers from '../utils/helpers';
+import { getGlobalWallet } from '../modules/wallet';
+import LOCAL_STORE from '../storage';
+
+/**
+ * Fields the utxo list can be sorted by
+ */
+const SORT_FIELDS = {
+  TX_ID: 'txId',
+  VALUE: 'value',
+  ADDRESS: 'address',
+  STATUS: 'status',
+};
+
+/**
+ * Screen that lists the unspent outputs of a token, so the user can choose the inputs of a transaction
+ *
+ * @memberof Screens
+ */
+function UtxoList() {
+  const context = useContext(GlobalModalContext);
+  const navigate = useNavigate();
+  const { tokens, tokenMetadata, selectedToken, useWalletService, height } = useSelector((state) => ({
+    tokens: state.tokens,
+    tokenMetadata: state.tokenMetadata,
+    selectedToken: state.selectedToken,
+    useWalletService: state.useWalletService,
+    // The locks are checked again when the network height changes
+    height: state.height,
+  }));
+
+  const [tokenUid, setTokenUid] = useState(selectedToken);
+  const [utxos, setUtxos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [sort, setSort] = useState({ field: SORT_FIELDS.VALUE, asc: false });
+
+  useEffect(() => {
+    if (useWalletService) {
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    utxosUtils.getUtxos(getGlobalWallet(), tokenUid).then((list) => {
+      if (cancelled) return;
+      setUtxos(list);
+      setErrorMessage('');
+    }, (e) => {
+      if (cancelled) return;
+      setErrorMessage(e.message);
+    }).finally(() => {
+      if (!cancelled) setLoading(false);
+    });
+
+    return () => { cancelled = true; };
+  }, [tokenUid, height]);
+
+  const utxoId = (utxo) => `${utxo.txId}:${utxo.index}`;
+
+  /**
+   * Change the token of the list, clearing the selection
+   *
+   * @param {Object} e Event emitted when the select is changed
+   */
+  const changeToken = (e) => {
+    setTokenUid(e.target.value);
+    setSelected([]);
+  }
+
+  /**
+   * Sort by a field, or invert the order if it's the current one
+   *
+   * @param {string} field One of `SORT_FIELDS`
+   */
+  const sortBy = (field) => {
+    setSort({ field, asc: sort.field === field ? !sort.asc : true });
+  }
+
+  /**
+   * Select or unselect one utxo
+   *
+   * @param {WalletUtxo} utxo
+   */
+  const toggleSelected = (utxo) => {
+    const id = utxoId(utxo);
+    setSelected(selected.includes(id) ? selected.filter((item) => item !== id) : [...selected, id]);
+  }
+
+  /**
+   * Select all spendable utxos, or clear the selection if all are already selected
+   */
+  const toggleAll = () => {
+    const spendable = utxos.filter(utxosUtils.isSpendable).map(utxoId);
+    setSelected(selected.length === spendable.length ? [] : spendable);
+  }
+
+  /**
+   * Open the send tokens screen with the selected utxos as inputs
+   */
+  const spendSelected = () => {
+    const inputs = utxos
+      .filter((utxo) => selected.includes(utxoId(utxo)))
+      .map((utxo) => ({ txId: utxo.txId, index: utxo.index }));
+    navigate('/wallet/send_tokens/', { state: { tokenUid, inputs } });
+  }
+
+  /**
+   * Consolidation transactions are signed with the PIN, so they are not available for hardware, watch-only and multisig wallets
+   */
+  const consolidateClicked = () => {
+    if (LOCAL_STORE.isHardwareWallet() || LOCAL_STORE.isWatchOnlyWallet() || LOCAL_STORE.isMultisigWallet()) {
+      context.showModal(MODAL_TYPES.ALERT_NOT_SUPPORTED);
+    } else {
+      navigate('/utxos/consolidate/');
+    }
+  }
+
+  const getStatus = (utxo) => {
+    if (utxo.authorities) {
+      const labels = [];
+      if (utxo.authorities & TOKEN_MINT_MASK) {
+        labels.push(t`Mint authority`);
+      }
+      if (utxo.authorities & TOKEN_MELT_MASK) {
+        labels.push(t`Melt authority`);
+      }
+      return labels.join(', ');
+    }
+    if (utxo.isHeightlocked) {
+      return t`Locked reward`;
+    }
+    if (utxo.isTimelocked) {
+      const date = hathorLib.dateFormatter.parseTimestamp(utxo.timelock);
+      return t`Locked until ${date}`;
+    }
+    return t`Available`;
+  }
+
+  const getSortedUtxos = () => {
+    const getValue = (utxo) => (sort.field === SORT_FIELDS.STATUS ? getStatus(utxo) : utxo[sort.field]);
+    const sorted = [...utxos].sort((a, b) => {
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+      if (valueA === valueB) return a.index - b.index;
+      return valueA < valueB ? -1 : 1;
+    });
+    return sort.asc ? sorted : sorted.reverse();
+  }
+
+  const renderHeader = (field, label) => {
+    const arrow = sort.asc ? 'fa-sort-asc' : 'fa-sort-desc';
+    return (
+      <th className="pointer" onClick={() => sortBy(field)}>
+        {label}
+        {sort.field === field && <i className={`fa ${arrow} ml-1`}></i>}
+      </th>
+    );
+  }
+
+  const renderUtxos = () => {
+    if (loading) {
+      return <p>{t`Loading...`}</p>;
+    }
+    if (utxos.length === 0) {
+      return <p>{t`There are no unspent outputs of this token.`}</p>;
+    }
+
+    const isNFT = helpers.isTokenNFT(tokenUid, tokenMetadata);
+    return (
+      <div className="table-responsive">
+        <table className="table table-striped">
+          <thead>
+            <tr>
+              <th><input type="checkbox" title={t`Select all`} onChange={toggleAll}
+                checked={selected.length > 0 && selected.length === utxos.filter(utxosUtils.isSpendable).length} /></th>
+              {renderHeader(SORT_FIELDS.TX_ID, t`Tx id`)}
+              <th>{t`Index`}</th>
+              {renderHeader(SORT_FIELDS.VALUE, t`Amount`)}
+              {renderHeader(SORT_FIELDS.ADDRESS, t`Address`)}
+              {renderHeader(SORT_FIELDS.STATUS, t`Status`)}
+            </tr>
+          </thead>
+          <tbody>
+            {getSortedUtxos().map((utxo) => (
+              <tr key={utxoId(utxo)}>
+                <td>
+                  <input type="checkbox" checked={selected.includes(utxoId(utxo))} onChange={() => toggleSelected(utxo)}
+                    disabled={!utxosUtils.isSpendable(utxo)} />
+                </td>
+                <td><Link to={`/transaction/${utxo.txId}`}>{hathorLib.helpersUtils.getShortHash(utxo.txId)}</Link></td>
+                <td>{utxo.index}</td>
+                <td>{utxo.authorities ? '-' : helpers.renderValue(utxo.value, isNFT)}</td>
+                <td className="text-monospace">{utxo.address}</td>
+                <td>{getStatus(utxo)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  if (useWalletService) {
+    return (
+      <div className="content-wrapper">
+        <BackButton />
+        <h3 className="mt-4">{t`Unspent outputs`}</h3>
+        <p className="mt-3">{t`This feature is not available for wallets using the wallet service.`}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="content-wrapper">
+      <BackButton />
+      <h3 className="mt-4">{t`Unspent outputs`}</h3>
+      <p className="mt-3">{t`Select the unspent outputs you want to use as inputs of a new transaction. Locked outputs and authorities can't be spent in a regular transaction.`}</p>
+      <div className="d-flex flex-row align-items-center mb-3">
+        <label className="mb-0"><strong>{t`Token:`}</strong></label>
+        <select className="ml-3" value={tokenUid} onChange={changeToken}>
+          {tokens.map((token) => <option key={token.uid} value={token.uid}>{token.symbol}</option>)}
+        </select>
+        <button type="button" className="btn btn-secondary ml-auto mr-3" onClick={consolidateClicked}>{t`Consolidate`}</button>
+        <button type="button" className="btn btn-hathor" onClick={spendSelected} disabled={selected.length === 0}>
+          {t`Spend selected`}
+        </button>
+      </div>
+      {renderUtxos()}
+      <p className="text-danger mt-3">{errorMessage}</p>
+    </div>
+  );
+}
+
+export default UtxoList;
@@ -16,6 +16,7 @@ import SpanFmt from '../components/SpanFmt';
 import WalletHistory from '../components/WalletHistory';
 import WalletBalance from '../components/WalletBalance';
 import WalletAddress from '../components/WalletAddress';
+import LockedFunds from '../components/LockedFunds';
 import TokenGeneralInfo from '../components/TokenGeneralInfo';
 import TokenAdministrative from '../components/TokenAdministrative';
 import HathorAlert from '../components/HathorAlert';
@@ -66,6 +67,7 @@ function Wallet() {
     tokenMetadata,
     tokens,
     walletState,
+    useWalletService,
   } = useSelector((state) => {
     return {
       selectedToken: state.selectedToken,
@@ -74,6 +76,7 @@ function Wallet() {
       tokenMetadata: state.tokenMetadata || {},
       tokens: state.tokens,
       walletState: state.walletState,
+      useWalletService: state.useWalletService,
     };
   });
   const wallet = getGlobalWallet();
@@ -346,6 +349,8 @@ function Wallet() {
           </div>
           <WalletAddress goToAllAddresses={goToAllAddresses} />
         </div>
+        {/* The locked utxos are read from the wallet storage, which the wallet service facade does not have */}
+        {!useWalletService && tokenBalance.data.locked > 0 && <LockedFunds key={selectedToken} tokenUid={selectedToken} />}
         <WalletHistory
           key={selectedToken}
           selectedToken={selectedToken} />
@@ -55,6 +55,13 @@ function WalletType() {
     navigate('/hardware_wallet/');
   }
 
+  /**
+   * Go to the screen to start a watch-only wallet from an xpub
+   */
+  const goToWatchOnlyWallet = () => {
+    navigate('/watch_only_wallet/');
+  }
+
   /**
    * Method called to open ledger guide
    *
@@ -83,9 +90,11 @@ function WalletType() {
                 )}
               </p>
               <p className="mt-4 mb-4"><SpanFmt>{t`**Software wallets**, on the other hand, store the information on your computer.`}</SpanFmt></p>
+              <p className="mt-4 mb-4"><SpanFmt>{t`You can also monitor a wallet with a **watch-only wallet**, started from its xpub. It can't send transactions, only export them unsigned.`}</SpanFmt></p>
               <div className="d-flex align-items-center flex-row justify-content-between w-100 mt-4">
                 <button onClick={goToHardwareWallet} type="button" className="btn btn-hathor mr-3">{t`Hardware wallet`}</button>
-                <button onClick={goToSoftwareWallet} type="button" className="btn btn-hathor">{t`Software wallet`}</button>
+                <button onClick={goToSoftwareWallet} type="button" className="btn btn-hathor mr-3">{t`Software wallet`}</button>
+                <button onClick={goToWatchOnlyWallet} type="button" className="btn btn-hathor">{t`Watch-only wallet`}</button>
               </div>
             </div>
           </div>
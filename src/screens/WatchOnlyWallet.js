@@ -0,0 +1,82 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React, { useState } from 'react';
+import { t } from 'ttag'
+import { useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import hathorLib from '@hathor/wallet-lib';
+
+import logo from '../assets/images/hathor-logo.png';
+import InitialImages from '../components/InitialImages';
+import { startWalletRequested } from '../actions';
+import LOCAL_STORE from '../storage';
+
+/**
+ * Screen used to start a watch-only wallet from an xpub
+ * The wallet shows the balance, history and addresses of the xpub, but can't sign transactions
+ *
+ * @memberof Screens
+ */
+function WatchOnlyWallet() {
+  /** errorMessage {string} Message to be shown in case of error */
+  const [errorMessage, setErrorMessage] = useState('');
+  /** xpub {string} Text of the xpub input */
+  const [xpub, setXpub] = useState('');
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  /**
+   * Method called when user clicks the 'Start wallet' button
+   * Checks if the xpub is valid and, if true, starts the wallet
+   */
+  const startClicked = () => {
+    const xpubkey = xpub.trim();
+    try {
+      // Only account path and change path xpubs can be used to derive the addresses
+      hathorLib.walletUtils.generateAccessDataFromXpub(xpubkey);
+    } catch (e) {
+      setErrorMessage(t`Invalid xpub. It must be the xpub of the account or change derivation path.`);
+      return;
+    }
+
+    setErrorMessage('');
+    // There are no words to back up on a watch-only wallet
+    LOCAL_STORE.markBackupDone();
+    LOCAL_STORE.open(); // Mark this wallet as open, so that it does not appear locked after loading
+    dispatch(startWalletRequested({
+      words: null,
+      passphrase: '',
+      pin: null,
+      password: '',
+      xpub: xpubkey,
+      watchOnly: true,
+    }));
+  }
+
+  return (
+    <div className="outside-content-wrapper">
+      <div className="inside-white-wrapper col-sm-12 col-md-8">
+        <div className="d-flex align-items-center flex-column inside-div">
+          <img className="hathor-logo" src={logo} alt="" />
+          <div className="d-flex align-items-start flex-column w-100">
+            <p className="mt-4 mb-4">{t`Paste the account xpub of the wallet you want to monitor. A watch-only wallet shows the balance, history and addresses, but it has no private keys and can't sign transactions.`}</p>
+            <textarea className="form-control mb-4" placeholder={t`xpub`} value={xpub} rows={3} onChange={(e) => setXpub(e.target.value)} />
+            {errorMessage && <p className="mb-4 text-danger">{errorMessage}</p>}
+            <div className="d-flex justify-content-between flex-row w-100">
+              <button onClick={() => navigate(-1)} type="button" className="btn btn-secondary">{t`Back`}</button>
+              <button onClick={startClicked} type="button" className="btn btn-hathor">{t`Start wallet`}</button>
+            </div>
+          </div>
+        </div>
+        <InitialImages />
+      </div>
+    </div>
+  )
+}
+
+export default WatchOnlyWallet;
@@ -9,25 +9,40 @@ import { useDispatch, useSelector } from "react-redux";
 import BackButton from "../../components/BackButton";
 import { t } from "ttag";
 import React, { useContext, useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
 import HathorAlert from "../../components/HathorAlert";
 import { CopyToClipboard } from "react-copy-to-clipboard";
 import {
+    acceptOfferProposal,
     assembleProposal,
     calculateExhibitionData,
+    calculateOfferTerms,
     calculateSignaturesObject,
     canISign,
+    deserializeOfflineProposal,
     deserializePartialTx,
-    enrichTxData
+    enrichTxData,
+    generateReduxObjFromProposal,
+    mergeOfflineProposal,
+    OFFLINE_MERGE_STATUS,
+    OfflineProposalError,
+    resolveOfflineProposalConflict,
+    saveOfflineProposalChanges,
+    serializeOfflineProposal,
+    setOfflineProposal,
 } from "../../utils/atomicSwap";
 import { ProposalBalanceTable } from "../../components/atomic-swap/ProposalBalanceTable";
 import helpers from "../../utils/helpers";
 import { GlobalModalContext, MODAL_TYPES } from '../../components/GlobalModal';
-import { PartialTxProposal, PartialTx } from "@hathor/wallet-lib";
+import { PartialTxProposal, PartialTx, SendTransaction, helpersUtils } from "@hathor/wallet-lib";
 import { cloneDeep, get } from 'lodash';
 import { TOKEN_DOWNLOAD_STATUS } from "../../sagas/tokens";
 import Loading from "../../components/Loading";
-import { proposalTokenFetchRequested } from "../../actions";
+import { proposalSending, proposalSent, proposalTokenFetchRequested, proposalUpdated } from "../../actions";
 import { getGlobalWallet } from "../../modules/wallet";
+import LOCAL_STORE from "../../storage";
+import OfflineTxExport from "../../components/OfflineTxExport";
+import walletUtil from "../../utils/wallet";
 
 /**
  * @param {string} props.match.params.proposalId Proposal identifier
@@ -41,6 +56,11 @@ export default function EditSwap(props) {
 
     /** @type ReduxProposalData */
     const proposal = useSelector(state => state.proposals[proposalId]);
+    /** Proposals exchanged offline are saved locally and merged with the ones received from the other participants */
+    const isOffline = !!(proposal && proposal.offline);
+    /** The proposal data loaded by the sagas, which is updated when other participants change it */
+    const loadedPartialTx = proposal && proposal.data && proposal.data.partialTx;
+    const loadedSignatures = proposal && proposal.data && proposal.data.signatures;
     /** @type HathorWallet */
     const wallet = getGlobalWallet();
     /** @type {Record<string, {status:string, data: {available:number, locked:number}}>} */
@@ -48,6 +68,7 @@ export default function EditSwap(props) {
     /** @type {Record<string, { uid: string, symbol: string, name: string }>} */
     const registeredTokens = useSelector(state => state.tokens);
     const tokensCache = useSelector(state => state.tokensCache);
+    const tokenMetadata = useSelector(state => state.tokenMetadata);
     const [hidePassword, setHidePassword] = useState(true);
     const [showDetails, setShowDetails] = useState(false);
     const clipboardModalRef = useRef();
@@ -55,6 +76,12 @@ export default function EditSwap(props) {
     const [hasTxChange, setHasTxChange] = useState(false);
     const [hasSigChange, setHasSigChange] = useState(false);
     const [hasWalletInteraction, setHasWalletInteraction] = useState(false);
+    /** mergeText {string} Proposal received offline, pasted or loaded from a file */
+    const [mergeText, setMergeText] = useState('');
+    const [mergeErrorMessage, setMergeErrorMessage] = useState('');
+    const [sendTxErrorMessage, setSendTxErrorMessage] = useState('');
+    const mergeFileRef = useRef();
+    const mergedAlertRef = useRef();
 
     /*
      * The proposal editing will happen entirely on a local state, without interfering on the global
@@ -65,6 +92,7 @@ export default function EditSwap(props) {
     const [signaturesObj, setSignaturesObj] = useState(null);
     const [hasAtLeastOneSig, setHasAtLeastOneSig] = useState(false);
     const dispatch = useDispatch();
+    const navigate = useNavigate();
 
     const discardSignaturesAlertMessage = t`All existing signatures will be discarded.`;
 
@@ -93,7 +121,11 @@ export default function EditSwap(props) {
                     </CopyToClipboard>
                 </td>
             </tr>
-            <tr>
+            {isOffline
+                ? <tr>
+                    <td colSpan="2">{t`This proposal is exchanged offline, as a file or text.`}</td>
+                </tr>
+                : <tr>
                 <td><b>Password:</b></td>
                 <td>{hidePassword
                     ? "••••••••••••"
@@ -111,7 +143,7 @@ export default function EditSwap(props) {
                     : <i className="fa fa-eye-slash pointer ml-1" title={t`Hide password`}></i>}
                     </span>
                 </td>
-            </tr>
+            </tr>}
             </tbody>
         </table>
     }
@@ -233,6 +265,8 @@ export default function EditSwap(props) {
 
     const [showSignButton, setShowSignButton] = useState(false);
     const [showSendTxButton, setShowSendTxButton] = useState(false);
+    /** Terms to accept the proposal as an offer, when another participant created it with only their side */
+    const [offerTerms, setOfferTerms] = useState(null);
 
     //-------------------------------------------------------
     // Handlers
@@ -366,32 +400,98 @@ export default function EditSwap(props) {
         setPartialTx(newProposal.partialTx);
     }
 
+    /**
+     * Adds the matching side of the offer on the proposal: the inputs for what is asked and the outputs for what is given
+     */
+    const handleAcceptOfferClick = async () => {
+        let acceptedPartialTx;
+        try {
+            acceptedPartialTx = await acceptOfferProposal(partialTx.serialize(), wallet);
+        } catch (e) {
+            modalContext.showModal(MODAL_TYPES.ALERT, {
+                title: t`Unable to accept the offer`,
+                body: e.message,
+                buttonName: t`Close`,
+            });
+            return;
+        }
+
+        await enrichTxData(acceptedPartialTx, wallet);
+        setPartialTx(acceptedPartialTx);
+        setSignaturesObj(null);
+        setHasTxChange(true);
+        setHasSigChange(true);
+        setTxBalances(await calculateExhibitionData(acceptedPartialTx, tokensCache, wallet));
+    }
+
     const handleSignButton = () => {
+        if (LOCAL_STORE.isWatchOnlyWallet() || LOCAL_STORE.isMultisigWallet()) {
+            modalContext.showModal(MODAL_TYPES.ALERT_NOT_SUPPORTED);
+            return;
+        }
         modalContext.showModal(MODAL_TYPES.PIN, {
             onSuccess: signOperationHandler,
         });
     }
 
+    /**
+     * Updates the selection mark of the utxos of this wallet when the inputs of the proposal change
+     * @param {string} oldSerializedPartialTx
+     * @param {PartialTx} newPartialTx Enriched partial tx
+     */
+    const updateSelectedUtxos = async (oldSerializedPartialTx, newPartialTx) => {
+        // Update the selection mark on all old inputs
+        const oldPartialTx = await deserializePartialTx(oldSerializedPartialTx, wallet);
+        for (const old of oldPartialTx.inputs) {
+          const updatedInput = newPartialTx.inputs.find(updated => updated.hash === old.hash);
+
+          if (!updatedInput) {
+              // This input was removed: unmark it
+              await wallet.markUtxoSelected(old.hash, old.index, false);
+          }
+         }
+
+        // Mark all the current inputs as selected
+        for (const i of newPartialTx.inputs) {
+            if (i.isMine) {
+                await wallet.markUtxoSelected(i.hash, i.index, true);
+            }
+        }
+    }
+
+    /**
+     * Loads a proposal on the local state of the screen
+     * @param {string} serializedPartialTx
+     * @param {string|null} serializedSignatures
+     */
+    const loadProposal = async (serializedPartialTx, serializedSignatures) => {
+        const enrichedPartialTx = await deserializePartialTx(serializedPartialTx, wallet);
+        setPartialTx(enrichedPartialTx);
+        setTxBalances(await calculateExhibitionData(enrichedPartialTx, tokensCache, wallet));
+        setSignaturesObj(serializedSignatures && serializedSignatures.length
+          ? calculateSignaturesObject(enrichedPartialTx, serializedSignatures)
+          : null);
+    }
+
+    /**
+     * Updates the global redux state with the data of a proposal exchanged offline
+     * @param {ProposalData} data
+     */
+    const updateOfflineReduxProposal = (data) => {
+        const reduxObj = generateReduxObjFromProposal(
+            proposalId,
+            proposal.password,
+            data.partialTx,
+            wallet,
+            { signatures: data.signatures },
+        );
+        dispatch(proposalUpdated(proposalId, { ...reduxObj.data, ...data }));
+    }
+
     const handleSaveClick = async () => {
         // Save to local redux
         if (hasTxChange) {
-            // Update the selection mark on all old inputs
-            const oldPartialTx = deserializePartialTx(proposal.data.partialTx, wallet);
-            for (const old of oldPartialTx.inputs) {
-              const updatedInput = partialTx.inputs.find(updated => updated.hash === old.hash);
-
-              if (!updatedInput) {
-                  // This input was removed: unmark it
-                  await wallet.markUtxoSelected(old.hash, old.index, false);
-              }
-             }
-
-            // Mark all the current inputs as selected
-            for (const i of partialTx.inputs) {
-                if (i.isMine) {
-                    await wallet.markUtxoSelected(i.hash, i.index, true);
-                }
-            }
+            await updateSelectedUtxos(proposal.data.partialTx, partialTx);
 
             // Update the global redux state
             proposal.data.partialTx = partialTx.serialize();
@@ -405,9 +505,148 @@ export default function EditSwap(props) {
             setHasSigChange(false);
         }
 
+        if (isOffline) {
+            const data = saveOfflineProposalChanges(
+                proposalId,
+                partialTx.serialize(),
+                signaturesObj && signaturesObj.serialize(),
+            );
+            updateOfflineReduxProposal(data);
+            return;
+        }
+
         // TODO: Call upload saga
     }
 
+    const handleExportClick = () => {
+        modalContext.showModal(MODAL_TYPES.ALERT, {
+            title: t`Export proposal`,
+            body: (
+                <OfflineTxExport
+                    description={t`Send it to the other participants, so they can merge it with their version of the proposal.`}
+                    serialized={serializeOfflineProposal(walletUtil.getOfflineProposals()[proposalId])}
+                    fileName="Hathor Wallet - Atomic swap proposal.txt"
+                />
+            ),
+            buttonName: t`Close`,
+        });
+    }
+
+    /**
+     * Read the contents of the selected file to the merge input
+     *
+     * @param {Object} e Event emitted when the file is selected
+     */
+    const loadMergeFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) {
+            return;
+        }
+        setMergeText((await file.text()).trim());
+        // Allow the same file to be selected again
+        e.target.value = '';
+    }
+
+    /**
+     * Saves the merged proposal and shows it
+     * @param {ProposalData} local The proposal before the merge
+     * @param {ProposalData} data The merged proposal
+     */
+    const applyMergedProposal = async (local, data) => {
+        setOfflineProposal(data);
+        if (data.partialTx !== local.partialTx) {
+            await updateSelectedUtxos(local.partialTx, await deserializePartialTx(data.partialTx, wallet));
+        }
+        updateOfflineReduxProposal(data);
+        await loadProposal(data.partialTx, data.signatures);
+        setMergeText('');
+        mergedAlertRef.current.show(3000);
+    }
+
+    const handleMergeClick = async () => {
+        if (hasTxChange || hasSigChange) {
+            setMergeErrorMessage(t`Save your changes before merging the proposal of another participant.`);
+            return;
+        }
+
+        let received;
+        try {
+            received = await deserializeOfflineProposal(mergeText.trim(), wallet);
+        } catch (e) {
+            if (e instanceof OfflineProposalError) {
+                setMergeErrorMessage(e.message);
+                return;
+            }
+            throw e;
+        }
+
+        if (received.id !== proposalId) {
+            setMergeErrorMessage(t`This is not the same proposal, import it on the atomic swap screen instead.`);
+            return;
+        }
+
+        setMergeErrorMessage('');
+        const local = walletUtil.getOfflineProposals()[proposalId];
+        const { status, data } = await mergeOfflineProposal(local, received, wallet);
+        switch (status) {
+            case OFFLINE_MERGE_STATUS.UNCHANGED:
+                setMergeErrorMessage(t`There is nothing new on this proposal.`);
+                break;
+            case OFFLINE_MERGE_STATUS.OUTDATED:
+                setMergeErrorMessage(t`This is an older version of the proposal. Export yours and send it to the other participant.`);
+                break;
+            case OFFLINE_MERGE_STATUS.UPDATED:
+                await applyMergedProposal(local, data);
+                break;
+            case OFFLINE_MERGE_STATUS.CONFLICT:
+                modalContext.showModal(MODAL_TYPES.CONFIRM, {
+                    title: t`Conflicting changes`,
+                    body: t`Both you and the other participant changed the proposal since you last exchanged it. Do you want to discard your changes and use theirs? If not, export yours so they can choose between them.`,
+                    handleYes: async () => {
+                        modalContext.hideModal();
+                        await applyMergedProposal(local, resolveOfflineProposalConflict(local, received));
+                    },
+                });
+                break;
+        }
+    }
+
+    const handleSendTxClick = () => {
+        setSendTxErrorMessage('');
+        modalContext.showModal(MODAL_TYPES.SEND_TX, {
+            // All the inputs are already signed, so the transaction only has to be mined and pushed
+            prepareSendTransaction: async () => {
+                let transaction;
+                try {
+                    const fullProposal = assembleProposal(
+                        partialTx.serialize(),
+                        signaturesObj.serialize(),
+                        wallet.storage
+                    );
+                    transaction = fullProposal.prepareTx();
+                } catch (e) {
+                    // Returning null closes the modal, and the error is shown on the proposal
+                    setSendTxErrorMessage(e.message);
+                    return null;
+                }
+
+                // The inputs are spent by this wallet, so the proposal should not be taken as sent by another participant
+                dispatch(proposalSending(proposalId, true));
+                return new SendTransaction({ transaction, storage: wallet.storage });
+            },
+            review: false,
+            title: t`Sending atomic swap transaction`,
+            onSendSuccess: (tx) => {
+                dispatch(proposalSent(proposalId, tx.hash));
+                navigate('/wallet/atomic_swap/history', { replace: true });
+            },
+            onSendError: (message) => {
+                dispatch(proposalSending(proposalId, false));
+                setSendTxErrorMessage(message);
+            },
+        });
+    }
+
     const handleShowDetails = (e) => {
         e.preventDefault();
         setShowDetails(!showDetails);
@@ -456,21 +695,17 @@ export default function EditSwap(props) {
     // Effects
     //-------------------------------------------------------
 
+    // Loading the proposal, and loading it again when the other participants update it
     useEffect(() => {
-      // We define the async method and call it so we do not use an async method on useEffect
-      // The effect return should be the cleanup method, but any async will return
-      // a promise and a Promise<void> would be interpreted as a cleanup funcion, which would
-      // break when trying to be called.
-      async function internalEffect() {
-        const enrichedPartialTx = await deserializePartialTx(proposal.data.partialTx, wallet);
-        setPartialTx(enrichedPartialTx);
-        setTxBalances(await calculateExhibitionData(enrichedPartialTx, tokensCache, wallet));
-        setSignaturesObj(proposal.data.signatures && proposal.data.signatures.length
-          ? calculateSignaturesObject(enrichedPartialTx, proposal.data.signatures)
-          : null);
-      };
-      internalEffect();
-    }, []);
+      // Local changes not saved yet are kept, the user can discard them by leaving the screen
+      if (!loadedPartialTx || hasTxChange || hasSigChange) {
+        return;
+      }
+      // We call the async method without returning its promise, so we do not use an async method on useEffect
+      // The effect return should be the cleanup method, and a Promise<void> would be interpreted as a
+      // cleanup funcion, which would break when trying to be called.
+      loadProposal(loadedPartialTx, loadedSignatures);
+    }, [loadedPartialTx, loadedSignatures]);
 
     // Re-fetching all the tokens involved in every proposal change and calculating ability to sign
     useEffect(() => {
@@ -483,6 +718,10 @@ export default function EditSwap(props) {
         // If there is any balance, it means we have at least one input/output for this wallet
         setHasWalletInteraction(txBalances.length > 0);
 
+        // Only the participants without inputs and outputs on the proposal can accept it as an offer
+        const hasMyInputsOrOutputs = partialTx.inputs.some(i => i.isMine) || partialTx.outputs.some(o => o.isMine);
+        setOfferTerms(hasMyInputsOrOutputs ? null : calculateOfferTerms(partialTx));
+
         // Finding out if there is at least one signed input on the proposal
         setHasAtLeastOneSig(
             signaturesObj
@@ -515,6 +754,14 @@ export default function EditSwap(props) {
       internalEffect();
     }, [tokensCache])
 
+    // The proposal was removed from the list, like when another participant sends it
+    if (!proposal) {
+        return <div className="content-wrapper flex align-items-center">
+            <BackButton />
+            <p className="mt-4">{t`This proposal is not on your list anymore. You can find it on the atomic swap history.`}</p>
+        </div>
+    }
+
     // Main screen render
     return <div className="content-wrapper flex align-items-center">
         <BackButton />
@@ -522,6 +769,25 @@ export default function EditSwap(props) {
 
         {renderCopiableHeader()}
 
+        {proposal.invalidatedReason && <div className="alert alert-warning col-9">{proposal.invalidatedReason}</div>}
+
+        { offerTerms && <div className="alert alert-info col-9">
+            <p>{t`This proposal is an offer. Accepting it adds your side of the swap:`}</p>
+            <ul>
+                {offerTerms.sending.map(({ tokenUid, amount }) => <li key={`s${tokenUid}`}>
+                    {t`You give`} {helpers.renderValue(amount, helpers.isTokenNFT(tokenUid, tokenMetadata))} {get(tokensCache, `${tokenUid}.symbol`, helpersUtils.getShortHash(tokenUid))}
+                </li>)}
+                {offerTerms.receiving.map(({ tokenUid, amount }) => <li key={`r${tokenUid}`}>
+                    {t`You receive`} {helpers.renderValue(amount, helpers.isTokenNFT(tokenUid, tokenMetadata))} {get(tokensCache, `${tokenUid}.symbol`, helpersUtils.getShortHash(tokenUid))}
+                </li>)}
+            </ul>
+            <button type="button"
+                    onClick={handleAcceptOfferClick}
+                    className="btn btn-hathor">
+                {t`Accept offer`}
+            </button>
+        </div> }
+
         <h4 className="col-3 text-center">{t`Summary`}</h4>
         <ProposalBalanceTable partialTx={partialTx} wallet={wallet} balance={txBalances} />
 
@@ -532,7 +798,14 @@ export default function EditSwap(props) {
                 <button type="button"
                     onClick={handleSaveClick}
                     className="btn btn-secondary col-2 mr-3">
-                {t`Save and Upload`}
+                {isOffline ? t`Save` : t`Save and Upload`}
+            </button>}
+            { isOffline && <button type="button"
+                    onClick={handleExportClick}
+                    disabled={hasTxChange || hasSigChange}
+                    title={hasTxChange || hasSigChange ? t`Save your changes before exporting the proposal` : ''}
+                    className="btn btn-secondary col-2 mr-3">
+                {t`Export`}
             </button>}
             <button type="button"
                     onClick={handleSendClick}
@@ -557,10 +830,36 @@ export default function EditSwap(props) {
             </button> }
             { showSendTxButton &&
             <button type="button"
+                    onClick={handleSendTxClick}
                     className="btn btn-hathor col-2">
                 {t`Send Transaction`}
             </button> }
         </div>
+        {sendTxErrorMessage && <p className="text-danger mb-4">{sendTxErrorMessage}</p>}
+        { isOffline && <div className="mb-4">
+            <h4>{t`Merge a proposal received offline`}</h4>
+            <p className="text-muted">{t`Paste or load the proposal exported by another participant to add their changes and signatures to yours.`}</p>
+            <textarea
+                className="form-control text-monospace col-9 mb-2"
+                rows={3}
+                value={mergeText}
+                onChange={e => setMergeText(e.target.value)}
+            />
+            <input type="file" accept=".txt,text/plain" className="d-none" ref={mergeFileRef} onChange={loadMergeFile} />
+            <button type="button"
+                    onClick={() => mergeFileRef.current.click()}
+                    className="btn btn-secondary mr-3">
+                {t`Load file`}
+            </button>
+            <button type="button"
+                    onClick={handleMergeClick}
+                    disabled={!mergeText.trim()}
+                    className="btn btn-hathor">
+                {t`Merge`}
+            </button>
+            {mergeErrorMessage && <p className="text-danger mt-3">{mergeErrorMessage}</p>}
+        </div> }
+
         { showDetails
             ? <a href='' onClick={handleShowDetails}>Hide details</a>
             : <a href='' onClick={handleShowDetails}>Show details</a>
@@ -588,5 +887,6 @@ export default function EditSwap(props) {
         <pre>{signaturesObj && signaturesObj.serialize()}</pre>
 
         <HathorAlert ref={clipboardModalRef} text={t`Copied to clipboard!`} type="success"/>
+        <HathorAlert ref={mergedAlertRef} text={t`Proposal merged`} type="success"/>
     </div>
 }
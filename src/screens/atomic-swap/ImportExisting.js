@@ -7,14 +7,18 @@
 import BackButton from "../../components/BackButton";
 import { t } from "ttag";
 import Loading from "../../components/Loading";
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import { importProposal, proposalFetchRequested } from "../../actions";
 import {
+    deserializeOfflineProposal,
+    OfflineProposalError,
     PROPOSAL_DOWNLOAD_STATUS,
+    setOfflineProposal,
     updatePersistentStorage
 } from "../../utils/atomicSwap";
+import { getGlobalWallet } from "../../modules/wallet";
 
 export default function ImportExisting(props) {
     // Internal state
@@ -22,6 +26,9 @@ export default function ImportExisting(props) {
     const [proposalId, setProposalId] = useState('');
     const [password, setPassword] = useState('');
     const [errorMessage, setErrorMessage] = useState('');
+    /** offlineText {string} Proposal received offline, pasted or loaded from a file */
+    const [offlineText, setOfflineText] = useState('');
+    const fileInputRef = useRef(null);
 
     // Global interactions
     const allProposals = useSelector(state => state.proposals);
@@ -38,6 +45,46 @@ export default function ImportExisting(props) {
         dispatch(proposalFetchRequested(proposalId, password, true));
     }
 
+    /**
+     * Read the contents of the selected file to the proposal input
+     *
+     * @param {Object} e Event emitted when the file is selected
+     */
+    const loadFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) {
+            return;
+        }
+        setOfflineText((await file.text()).trim());
+        // Allow the same file to be selected again
+        e.target.value = '';
+    }
+
+    const importOfflineClickHandler = async () => {
+        let data;
+        try {
+            data = await deserializeOfflineProposal(offlineText, getGlobalWallet());
+        } catch (e) {
+            if (e instanceof OfflineProposalError) {
+                setErrorMessage(e.message);
+                return;
+            }
+            throw e;
+        }
+
+        if (allProposals[data.id]) {
+            setErrorMessage(t`This proposal is already on your list. Open it to merge the changes of the other participants.`);
+            return;
+        }
+
+        setErrorMessage('');
+        setProposalId(data.id);
+        setIsLoading(true);
+        setOfflineProposal(data);
+        dispatch(importProposal(data.id, '', true));
+        dispatch(proposalFetchRequested(data.id, '', true));
+    }
+
     useEffect(() => {
         /*
          * This effect will constantly check if the imported proposal is existent and is ready to be viewed.
@@ -121,6 +168,35 @@ export default function ImportExisting(props) {
             </div>
         </form>
 
+        <h4 className="mt-5">{t`Import a proposal exchanged offline`}</h4>
+        <div className="form-group col-9">
+            <textarea
+                className="form-control text-monospace"
+                rows={4}
+                placeholder={t`Paste the proposal shared by the other participant`}
+                disabled={isLoading}
+                value={offlineText}
+                onChange={e => setOfflineText(e.target.value)}
+            />
+            <input type="file" accept=".txt,text/plain" className="d-none" ref={fileInputRef} onChange={loadFile} />
+        </div>
+        <div className="row align-items-center pl-3">
+            <button
+                type="button"
+                className="btn btn-secondary col-2 ml-3 mr-3"
+                disabled={isLoading}
+                onClick={() => fileInputRef.current.click()}>
+                {t`Load file`}
+            </button>
+            <button
+                type="button"
+                className="btn btn-hathor col-2"
+                disabled={isLoading || !offlineText.trim()}
+                onClick={importOfflineClickHandler}>
+                {t`Import`}
+            </button>
+        </div>
+
         <div className="mt-3">
             <p className="text-danger mt-3 white-space-pre-wrap">{errorMessage}</p>
         </div>
@@ -0,0 +1,209 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+import BackButton from "../../components/BackButton";
+import React, { useEffect, useState } from "react";
+import { t } from "ttag";
+import { get } from 'lodash';
+import hathorLib from "@hathor/wallet-lib";
+import Loading from "../../components/Loading";
+import InputNumber from "../../components/InputNumber";
+import { createOfferProposal } from "../../utils/atomicSwap";
+import { useDispatch, useSelector } from "react-redux";
+import { proposalCreateRequested } from "../../actions";
+import { getGlobalWallet } from '../../modules/wallet';
+import { TOKEN_DOWNLOAD_STATUS } from "../../sagas/tokens";
+import helpers from "../../utils/helpers";
+import walletUtils from '../../utils/wallet';
+
+/**
+ * Quick builder of an atomic swap offer: "I give X of token A for Y of token B".
+ * The inputs, change and receive address are chosen automatically, and the counterparty accepts it on the proposal screen.
+ */
+export default function NewOffer() {
+    /** @type {{ uid: string, symbol: string, name: string }[]} */
+    const registeredTokens = useSelector(state => state.tokens);
+    const tokensBalance = useSelector(state => state.tokensBalance);
+    const [sendingToken, setSendingToken] = useState(registeredTokens.length ? registeredTokens[0].uid : '');
+    const [sendingAmount, setSendingAmount] = useState(0);
+    const [receivingToken, setReceivingToken] = useState(registeredTokens.length > 1 ? registeredTokens[1].uid : '');
+    const [receivingAmount, setReceivingAmount] = useState(0);
+    const [password, setPassword] = useState('');
+    const [offline, setOffline] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+    const wallet = getGlobalWallet();
+
+    // Global interactions
+    const lastFailedRequest = useSelector(state => state.lastFailedRequest);
+    const dispatch = useDispatch();
+
+    const [errorMessage, setErrorMessage] = useState('');
+
+    const sendingBalance = get(tokensBalance, sendingToken, {
+        status: TOKEN_DOWNLOAD_STATUS.LOADING,
+        data: { available: 0, locked: 0 },
+    });
+
+    /**
+     * Validates form fields and returns an error message for the first invalid one, if any
+     * @returns {string|null}
+     */
+    const validateForm = () => {
+        if (sendingToken === receivingToken) {
+            return t`The offer must exchange different tokens`;
+        }
+
+        if (!sendingAmount || !receivingAmount) {
+            return t`Must offer and ask for positive amounts of tokens`;
+        }
+
+        if (walletUtils.decimalToInteger(sendingAmount) > sendingBalance.data.available) {
+            return t`Insufficient balance`;
+        }
+
+        // Proposals exchanged offline are not stored on the service, so they don't need a password
+        if (!offline && password.length < 3) {
+            return t`Please insert a password more than 3 characters long`;
+        }
+
+        return null;
+    }
+
+    const createClickHandler = async () => {
+        const validationError = validateForm();
+        if (validationError) {
+            setErrorMessage(validationError);
+            return;
+        }
+
+        setErrorMessage('');
+        setIsLoading(true);
+        try {
+            const newPartialTx = await createOfferProposal(
+                { tokenUid: sendingToken, amount: walletUtils.decimalToInteger(sendingAmount) },
+                { tokenUid: receivingToken, amount: walletUtils.decimalToInteger(receivingAmount) },
+                wallet,
+            );
+            dispatch(proposalCreateRequested(newPartialTx, offline ? '' : password, offline));
+        } catch (e) {
+            setErrorMessage(e.message);
+            setIsLoading(false);
+        }
+    }
+
+    useEffect(() => {
+        // Shows the error message if it happens
+        if (lastFailedRequest && lastFailedRequest.message) {
+            setErrorMessage(lastFailedRequest.message);
+            setIsLoading(false);
+        }
+    }, [lastFailedRequest]);
+
+    const renderTokenOptions = () => {
+        return registeredTokens.map((token) => {
+            return <option value={token.uid} key={token.uid}>{token.symbol}</option>;
+        });
+    }
+
+    return <div className="content-wrapper flex align-items-center">
+        <BackButton />
+        <h3 className="mt-4 mb-3">{t`Create Atomic Swap Offer`}</h3>
+        <p className="text-muted">
+            {t`The inputs, change and receive address of the offer are chosen automatically. Share the proposal identifier and password so the other participant can accept it.`}
+        </p>
+
+        <form>
+            <div className="form-group col-9">
+                <label>{t`I give`}</label>
+                <div className="d-flex flex-row align-items-center">
+                    <InputNumber
+                        name="sendingAmount"
+                        defaultValue={hathorLib.numberUtils.prettyValue(0)}
+                        onValueChange={value => setSendingAmount(value)}
+                        className="form-control output-value col-3 mr-2"
+                    />
+                    <select
+                        className="form-control col-3"
+                        name="sendingToken"
+                        value={sendingToken}
+                        onChange={e => setSendingToken(e.target.value)}>
+                        {renderTokenOptions()}
+                    </select>
+                    <span className="ml-2">
+                        ({sendingBalance.status === TOKEN_DOWNLOAD_STATUS.READY
+                            ? helpers.renderValue(sendingBalance.data.available, false)
+                            : <Loading className="mt-auto" height={24} width={24} delay={10} />}
+                        &nbsp;{t`available`})
+                    </span>
+                </div>
+            </div>
+
+            <div className="form-group col-9">
+                <label>{t`For`}</label>
+                <div className="d-flex flex-row align-items-center">
+                    <InputNumber
+                        name="receivingAmount"
+                        defaultValue={hathorLib.numberUtils.prettyValue(0)}
+                        onValueChange={value => setReceivingAmount(value)}
+                        className="form-control output-value col-3 mr-2"
+                    />
+                    <select
+                        className="form-control col-3"
+                        name="receivingToken"
+                        value={receivingToken}
+                        onChange={e => setReceivingToken(e.target.value)}>
+                        {renderTokenOptions()}
+                    </select>
+                </div>
+            </div>
+
+            <div className="form-group col-9">
+                <div className="form-check">
+                    <input
+                        type="checkbox"
+                        className="form-check-input"
+                        id="offlineOfferField"
+                        checked={offline}
+                        onChange={e => setOffline(e.target.checked)}
+                    />
+                    <label className="form-check-label" htmlFor="offlineOfferField">
+                        {t`Exchange the proposal offline`}
+                    </label>
+                </div>
+            </div>
+
+            { !offline && <div className="form-group col-9">
+                <label>{t`Proposal Password`}</label>
+                <input
+                    type="password"
+                    name="offerPasswordField"
+                    placeholder={t`Proposal password`}
+                    value={password}
+                    onChange={e => setPassword(e.target.value)}
+                    className="form-control col-7"
+                    required={true}
+                />
+            </div> }
+
+            <div className="align-items-center mt-4 pl-3">
+                <button
+                    type="button"
+                    className="btn btn-hathor col-2"
+                    disabled={isLoading || registeredTokens.length < 2}
+                    onClick={createClickHandler}>
+                    {t`Create offer`}
+                </button>
+                { isLoading && <Loading className="ml-3 mb-2" delay={10} /> }
+            </div>
+        </form>
+
+        <div className="mt-3">
+            { registeredTokens.length < 2 && <p className="text-muted">{t`Register at least two tokens to create an offer.`}</p> }
+            <p className="text-danger mt-3 white-space-pre-wrap">{errorMessage}</p>
+        </div>
+
+    </div>
+}
@@ -17,6 +17,7 @@ import { getGlobalWallet } from '../../modules/wallet';
 
 export default function NewSwap (props) {
     const [password, setPassword] = useState('');
+    const [offline, setOffline] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
     const wallet = getGlobalWallet();
 
@@ -27,7 +28,8 @@ export default function NewSwap (props) {
     const [errorMessage, setErrorMessage] = useState('');
 
     const createClickHandler = () => {
-        if (password.length < 3) {
+        // Proposals exchanged offline are not stored on the service, so they don't need a password
+        if (!offline && password.length < 3) {
             setErrorMessage(t`Please insert a password more than 3 characters long`);
             return;
         }
@@ -35,7 +37,7 @@ export default function NewSwap (props) {
         setErrorMessage('');
         setIsLoading(true);
         const newPartialTx = generateEmptyProposal(wallet);
-        dispatch(proposalCreateRequested(newPartialTx, password));
+        dispatch(proposalCreateRequested(newPartialTx, offline ? '' : password, offline));
     }
 
     useEffect(() => {
@@ -67,6 +69,24 @@ export default function NewSwap (props) {
             </div>
 
             <div className="form-group col-9">
+                <div className="form-check">
+                    <input
+                        type="checkbox"
+                        className="form-check-input"
+                        id="offlineProposalField"
+                        checked={offline}
+                        onChange={e => setOffline(e.target.checked)}
+                    />
+                    <label className="form-check-label" htmlFor="offlineProposalField">
+                        {t`Exchange the proposal offline`}
+                    </label>
+                </div>
+                <small className="form-text text-muted">
+                    {t`The proposal will not be uploaded to the atomic swap service. You will exchange it with the other participants as a file or text, merging their changes on the proposal screen.`}
+                </small>
+            </div>
+
+            { !offline && <div className="form-group col-9">
                 <label>{t`Proposal Password`}</label>
                 <input
                     type="password"
@@ -81,7 +101,7 @@ export default function NewSwap (props) {
                     Please insert a password above, so that this proposal's contents are protected. You will need to share this
                     password with the other participants too.
                 </small>
-            </div>
+            </div> }
 
             <div className="align-items-center mt-4 pl-3">
                 <button
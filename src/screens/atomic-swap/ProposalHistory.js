@@ -0,0 +1,168 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import BackButton from "../../components/BackButton";
+import { t } from "ttag";
+import React, { useState } from 'react';
+import { useSelector } from "react-redux";
+import { Link } from 'react-router-dom';
+import hathorLib from '@hathor/wallet-lib';
+import helpers from "../../utils/helpers";
+import walletUtil from "../../utils/wallet";
+import { PROPOSAL_HISTORY_STATUS } from "../../utils/atomicSwap";
+
+/**
+ * Screen with the finished, cancelled and expired proposals this wallet participated in,
+ * with the final balances and the inputs and outputs added on each change, to audit the trades afterwards.
+ */
+export default function ProposalHistory() {
+    /** @type {Record<string, { uid: string, symbol: string, name: string }>} */
+    const registeredTokens = useSelector(state => state.tokens);
+    const tokensCache = useSelector(state => state.tokensCache);
+    const [expandedId, setExpandedId] = useState(null);
+
+    /** @type {ProposalHistoryEntry[]} */
+    const entries = Object.values(walletUtil.getProposalsHistory())
+        .filter(entry => entry.status !== PROPOSAL_HISTORY_STATUS.OPEN)
+        .sort((a, b) => b.closedAt - a.closedAt);
+
+    const statusLabels = {
+        [PROPOSAL_HISTORY_STATUS.FINISHED]: t`Finished`,
+        [PROPOSAL_HISTORY_STATUS.CANCELLED]: t`Cancelled`,
+        [PROPOSAL_HISTORY_STATUS.EXPIRED]: t`Expired`,
+    };
+
+    /**
+     * @param {ProposalHistoryEntry} entry
+     * @param {string} tokenUid
+     */
+    const getSymbol = (entry, tokenUid) => {
+        const registered = registeredTokens.find(token => token.uid === tokenUid);
+        if (registered) {
+            return registered.symbol;
+        }
+        const balance = entry.balances.find(b => b.tokenUid === tokenUid);
+        const symbol = (balance && balance.symbol) || (tokensCache[tokenUid] && tokensCache[tokenUid].symbol);
+        return symbol || hathorLib.helpersUtils.getShortHash(tokenUid);
+    }
+
+    const renderBalances = (entry) => {
+        if (!entry.balances.length) {
+            return '-';
+        }
+
+        return entry.balances.map(balance => {
+            const symbol = getSymbol(entry, balance.tokenUid);
+            return <div key={balance.tokenUid}>
+                {balance.sending > 0 && <span className="text-danger mr-2">-{helpers.renderValue(balance.sending, false)} {symbol}</span>}
+                {balance.receiving > 0 && <span className="text-success">+{helpers.renderValue(balance.receiving, false)} {symbol}</span>}
+            </div>
+        });
+    }
+
+    /**
+     * @param {ProposalHistoryEntry} entry
+     * @param {ProposalHistoryItem} item
+     * @param {boolean} isInput
+     * @param {boolean} isAdded
+     * @param {string} key
+     */
+    const renderChangeItem = (entry, item, isInput, isAdded, key) => {
+        const who = item.isMine ? t`This wallet` : t`Other participant`;
+        let action;
+        if (isInput) {
+            action = isAdded ? t`added the input` : t`removed the input`;
+        } else {
+            action = isAdded ? t`added the output` : t`removed the output`;
+        }
+
+        return <li key={key}>
+            <b>{who}</b> {action} {helpers.renderValue(item.value, false)} {getSymbol(entry, item.tokenUid)}
+            {isInput
+                ? <span className="text-monospace ml-1">({hathorLib.helpersUtils.getShortHash(item.txId)}:{item.index})</span>
+                : <span className="text-monospace ml-1">({item.address})</span>}
+        </li>
+    }
+
+    const renderChanges = (entry) => {
+        if (!entry.changes.length) {
+            return <span>{t`No inputs or outputs were added to this proposal.`}</span>
+        }
+
+        return entry.changes.map((change, changeIndex) => <div key={changeIndex} className="mb-2">
+            <b>{hathorLib.dateFormatter.parseTimestamp(change.timestamp)}</b>
+            <ul className="mb-0">
+                {change.inputs.added.map((item, i) => renderChangeItem(entry, item, true, true, `ia${i}`))}
+                {change.inputs.removed.map((item, i) => renderChangeItem(entry, item, true, false, `ir${i}`))}
+                {change.outputs.added.map((item, i) => renderChangeItem(entry, item, false, true, `oa${i}`))}
+                {change.outputs.removed.map((item, i) => renderChangeItem(entry, item, false, false, `or${i}`))}
+            </ul>
+        </div>);
+    }
+
+    const generateHistoryList = () => {
+        const elems = [];
+        for (const entry of entries) {
+            const isExpanded = expandedId === entry.id;
+
+            elems.push(<tr
+                onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                role="button"
+                key={entry.id}>
+                <td>
+                    {entry.id}
+                    {entry.offline && <span className="badge badge-secondary ml-2">{t`Offline`}</span>}
+                </td>
+                <td className="text-center">{statusLabels[entry.status]}</td>
+                <td className="text-nowrap">{hathorLib.dateFormatter.parseTimestamp(entry.closedAt)}</td>
+                <td className="text-nowrap">{renderBalances(entry)}</td>
+                <td>
+                    {entry.txId
+                        ? <Link to={`/transaction/${entry.txId}`} onClick={e => e.stopPropagation()}>{hathorLib.helpersUtils.getShortHash(entry.txId)}</Link>
+                        : '-'}
+                </td>
+            </tr>);
+
+            if (isExpanded) {
+                elems.push(<tr key={`${entry.id}-changes`}>
+                    <td colSpan="5">
+                        <p className="mb-2">
+                            {t`Participating since`} {hathorLib.dateFormatter.parseTimestamp(entry.createdAt)}
+                        </p>
+                        {renderChanges(entry)}
+                    </td>
+                </tr>);
+            }
+        }
+
+        return elems;
+    }
+
+    return (
+        <div className="content-wrapper flex align-items-center">
+            <BackButton />
+            <h3 className="mt-4">{t`Atomic Swap History`}</h3>
+            <p className="text-muted">{t`Click a proposal to see the inputs and outputs each participant added to it.`}</p>
+            { !entries.length
+                ? <span>{t`No finished proposals yet.`}</span>
+                : <table className="table table-hover">
+                <thead>
+                    <tr>
+                        <th scope="col" className="align-middle">{t`Proposal Id`}</th>
+                        <th scope="col" className="align-middle text-center">{t`Status`}</th>
+                        <th scope="col" className="align-middle">{t`Date`}</th>
+                        <th scope="col" className="align-middle">{t`Your balance`}</th>
+                        <th scope="col" className="align-middle">{t`Transaction`}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {generateHistoryList()}
+                </tbody>
+            </table> }
+        </div>
+    );
+}
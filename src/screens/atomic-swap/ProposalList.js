@@ -14,6 +14,8 @@ import Loading from "../../components/Loading";
 import { proposalFetchRequested, proposalRemoved } from "../../actions";
 import {
     PROPOSAL_DOWNLOAD_STATUS,
+    PROPOSAL_HISTORY_STATUS,
+    removeOfflineProposal,
     updatePersistentStorage
 } from "../../utils/atomicSwap";
 import walletUtil from "../../utils/wallet";
@@ -35,25 +37,38 @@ export default function ProposalList (props) {
         navigate(`/wallet/atomic_swap/proposal/create`)
     }
 
+    const navigateToNewOffer = () => {
+        navigate(`/wallet/atomic_swap/offer`)
+    }
+
     const importExistingProposal = () => {
         navigate(`/wallet/atomic_swap/proposal/import`)
     }
 
+    const navigateToHistory = () => {
+        navigate(`/wallet/atomic_swap/history`)
+    }
+
     /**
      * @param {Event} e React synthetic onClick event
      * @param {string} pId Proposal identifier to remove from list
      */
     const removeProposalClickHandler = (e, pId) => {
         e.stopPropagation();
+        // Proposals not found on the service have expired, unless they are stored on another service
+        const notFound = !!proposals[pId].notFound;
         modalContext.showModal(MODAL_TYPES.CONFIRM, {
             title: 'Remove proposal from list',
-            body: 'Do you want to remove this proposal from the list? You will not be informed of its updates anymore.',
+            body: notFound
+                ? t`Do you want to remove this proposal from the list? It was not found on the atomic swap service in use, and will be kept on the history as expired.`
+                : t`Do you want to remove this proposal from the list? You will not be informed of its updates anymore. It will be kept on the history as cancelled.`,
             handleYes: () => {
-                dispatch(proposalRemoved(pId));
+                dispatch(proposalRemoved(pId, notFound ? PROPOSAL_HISTORY_STATUS.EXPIRED : PROPOSAL_HISTORY_STATUS.CANCELLED));
 
                 const newList = { ...proposals };
                 delete newList[pId];
                 updatePersistentStorage(newList);
+                removeOfflineProposal(pId);
 
                 modalContext.hideModal();
             },
@@ -70,11 +85,14 @@ export default function ProposalList (props) {
               ? proposal.data.amountTokens || 0
               : undefined;
             const pStatus = proposal.data?.signatureStatus;
-            const isLoading = proposal.status === PROPOSAL_DOWNLOAD_STATUS.LOADING || proposal.status === PROPOSAL_DOWNLOAD_STATUS.INVALIDATED;
+            // Proposals are invalidated before being loaded, or when their inputs are spent elsewhere
+            const isSpent = proposal.status === PROPOSAL_DOWNLOAD_STATUS.INVALIDATED && !!proposal.invalidatedReason;
+            const isLoading = proposal.status === PROPOSAL_DOWNLOAD_STATUS.LOADING
+                || (proposal.status === PROPOSAL_DOWNLOAD_STATUS.INVALIDATED && !isSpent);
             const isLoaded = proposal.status === PROPOSAL_DOWNLOAD_STATUS.READY;
             const isFailed = proposal.status === PROPOSAL_DOWNLOAD_STATUS.FAILED;
 
-            const rowClass = isFailed ? 'table-warning' : '';
+            const rowClass = isFailed || isSpent ? 'table-warning' : '';
 
 
             const handleRowClick = () => {
@@ -98,9 +116,15 @@ export default function ProposalList (props) {
                 onClick={handleRowClick}
                 role="button"
                 key={pId}>
-                <td>{pId}</td>
+                <td>
+                    {pId}
+                    {proposal.offline && <span className="badge badge-secondary ml-2">{t`Offline`}</span>}
+                </td>
                 { isLoading && <td colSpan="2"><Loading className='mt-auto' height={24} width={24} delay={10} /></td> }
-                { isFailed && <td colSpan="2">Failed to load proposal. Click to retry.</td> }
+                { isFailed && <td colSpan="2">
+                    {proposal.notFound ? proposal.errorMessage : t`Failed to load proposal.`} {t`Click to retry.`}
+                </td> }
+                { isSpent && <td colSpan="2">{t`Inputs spent by another transaction`}</td> }
                 { isLoaded && <td className="text-center">{pAmountTokens}</td> }
                 { isLoaded && <td className="text-center">{pStatus}</td> }
                 <td className="text-center">
@@ -141,10 +165,22 @@ export default function ProposalList (props) {
                 </button>
                 <button
                     type="button"
-                    className="btn btn-secondary"
+                    className="btn btn-secondary mr-3"
                     onClick={navigateToNewProposal}>
                     {t`Create New Proposal`}
                 </button>
+                <button
+                    type="button"
+                    className="btn btn-secondary mr-3"
+                    onClick={navigateToNewOffer}>
+                    {t`Create Offer`}
+                </button>
+                <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={navigateToHistory}>
+                    {t`History`}
+                </button>
             </div>
 
             <h4 className="mt-4">{t`Currently participating in:`}</h4>
@@ -6,7 +6,7 @@
  */
 
 import CryptoJS from 'crypto-js';
-import { MemoryStore, Storage, walletUtils, config, network, cryptoUtils, WalletType } from "@hathor/wallet-lib";
+import { MemoryStore, Storage, walletUtils, config, network, cryptoUtils, WalletType, constants } from "@hathor/wallet-lib";
 import { VERSION } from "./constants";
 
 export const WALLET_VERSION_KEY = 'localstorage:version';
@@ -21,15 +21,28 @@ export const CLOSED_KEY = 'localstorage:closed';
 export const STARTED_KEY = 'localstorage:started';
 export const NETWORK_KEY = 'localstorage:network';
 export const IS_HARDWARE_KEY = 'localstorage:ishardware';
+// This key marks the wallet as started from an xpub, without any private key
+export const IS_WATCH_ONLY_KEY = 'localstorage:iswatchonly';
 export const TOKEN_SIGNATURES_KEY = 'localstorage:token:signatures';
 export const IS_BACKUP_DONE_KEY = 'localstorage:backup';
 export const SERVER_KEY = 'localstorage:server';
 export const WS_SERVER_KEY = 'localstorage:wsserver';
 export const MINING_SERVER_KEY = 'localstorage:mining:server';
+// This key holds the gap limit and the account index used to derive the addresses of the wallet
+export const DERIVATION_SETTINGS_KEY = 'localstorage:derivation';
 
 export const ACCESS_DATA_KEY = 'localstorage:accessdata';
 export const REGISTERED_TOKENS_KEY = 'localstorage:registeredTokens';
 
+// This key holds the registry of wallet profiles
+export const PROFILES_KEY = 'localstorage:profiles';
+// This key holds the id of the profile in use
+export const CURRENT_PROFILE_KEY = 'localstorage:profile:current';
+// The default profile uses the keys without prefix, so a wallet created before
+// profiles existed is loaded as the default profile without any migration.
+export const DEFAULT_PROFILE_ID = 'default';
+const PROFILE_KEY_PREFIX = 'localstorage:profile:';
+
 export const storageKeys = [
   WALLET_VERSION_KEY,
   STORE_VERSION_KEY,
@@ -38,16 +51,46 @@ export const storageKeys = [
   STARTED_KEY,
   NETWORK_KEY,
   IS_HARDWARE_KEY,
+  IS_WATCH_ONLY_KEY,
   TOKEN_SIGNATURES_KEY,
   IS_BACKUP_DONE_KEY,
   SERVER_KEY,
   WS_SERVER_KEY,
   MINING_SERVER_KEY,
+  DERIVATION_SETTINGS_KEY,
   // Wallet keys
   ACCESS_DATA_KEY,
   REGISTERED_TOKENS_KEY,
 ];
 
+/**
+ * Keys holding data of a single wallet, each profile has its own copy of them.
+ * The `wallet:` keys are managed by the wallet utils.
+ */
+export const profileKeys = [
+  STORE_VERSION_KEY,
+  NETWORK_KEY,
+  IS_HARDWARE_KEY,
+  IS_WATCH_ONLY_KEY,
+  TOKEN_SIGNATURES_KEY,
+  IS_BACKUP_DONE_KEY,
+  SERVER_KEY,
+  WS_SERVER_KEY,
+  MINING_SERVER_KEY,
+  DERIVATION_SETTINGS_KEY,
+  ACCESS_DATA_KEY,
+  REGISTERED_TOKENS_KEY,
+  'wallet:always_show_tokens',
+  'wallet:atomic_swap_proposals',
+  'wallet:atomic_swap_offline_proposals',
+  'wallet:atomic_swap_history',
+  'wallet:address_book',
+  'wallet:tx_notes',
+  'wallet:address_labels',
+  'wallet:scheduled_payments',
+  'wallet:multisig_txs',
+];
+
 class HybridStore extends MemoryStore {
   /**
    * Save access data on our localStorage.
@@ -147,10 +190,29 @@ export class LocalStorageStore {
 
   version = 1;
 
+  /**
+   * Get the localStorage key used to store `key` on a profile.
+   * Keys that are not in `profileKeys` are shared by all profiles.
+   *
+   * @param {string} key
+   * @param {string} [profileId] Defaults to the current profile
+   * @returns {string}
+   */
+  _profileKey(key, profileId) {
+    if (!profileKeys.includes(key)) {
+      return key;
+    }
+    const id = profileId || this.getCurrentProfileId();
+    if (id === DEFAULT_PROFILE_ID) {
+      return key;
+    }
+    return `${PROFILE_KEY_PREFIX}${id}:${key}`;
+  }
+
   getItem(key) {
     let item;
     try {
-      item = localStorage.getItem(key);
+      item = localStorage.getItem(this._profileKey(key));
       return JSON.parse(item);
     } catch (e) {
       // old versions of the wallet would save strings without converting
@@ -168,11 +230,11 @@ export class LocalStorageStore {
   }
 
   setItem(key, value) {
-    localStorage.setItem(key, JSON.stringify(value));
+    localStorage.setItem(this._profileKey(key), JSON.stringify(value));
   }
 
   removeItem(key) {
-    localStorage.removeItem(key);
+    localStorage.removeItem(this._profileKey(key));
   }
 
   clear() {
@@ -191,7 +253,8 @@ export class LocalStorageStore {
    */
   isLoadedSync(strict = false) {
     const isLoaded = !!this.getItem(ACCESS_DATA_KEY);
-    if (strict) {
+    // Only the default profile may hold data from old versions
+    if (strict || this.getCurrentProfileId() !== DEFAULT_PROFILE_ID) {
       return isLoaded;
     } else {
       // In non strict mode we also check the 'wallet:accessData' key for backward compatibility
@@ -205,6 +268,7 @@ export class LocalStorageStore {
    */
   cleanWallet() {
     this.removeItem(IS_HARDWARE_KEY);
+    this.removeItem(IS_WATCH_ONLY_KEY);
     this.removeItem(CLOSED_KEY);
     this.removeItem(ACCESS_DATA_KEY);
     delete this._storage;
@@ -213,25 +277,110 @@ export class LocalStorageStore {
 
   /**
    * Reset the storage, removing all managed keys from localStorage
+   * Only the data of the current profile is removed, the wallets of the other profiles are kept.
    */
   resetStorage() {
     for (const key of storageKeys) {
       this.removeItem(key);
     }
+    this._storage = null;
   }
 
-  async initStorage(seed, password, pin, passphrase='') {
+  /**
+   * Get all wallet profiles. The default profile is always present.
+   *
+   * @returns {Record<string, {id: string, name: string|null}>}
+   */
+  getProfiles() {
+    const profiles = JSON.parse(localStorage.getItem(PROFILES_KEY)) || {};
+    return {
+      [DEFAULT_PROFILE_ID]: { id: DEFAULT_PROFILE_ID, name: null },
+      ...profiles,
+    };
+  }
+
+  /**
+   * Create a new wallet profile, the current profile is not changed.
+   *
+   * @param {string} name Name chosen by the user
+   * @returns {string} The id of the new profile
+   */
+  addProfile(name) {
+    const profiles = this.getProfiles();
+    const id = Date.now().toString(36) + Math.random().toString(36).substring(2);
+    profiles[id] = { id, name };
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    return id;
+  }
+
+  /**
+   * @returns {string} Id of the profile in use
+   */
+  getCurrentProfileId() {
+    return JSON.parse(localStorage.getItem(CURRENT_PROFILE_KEY)) || DEFAULT_PROFILE_ID;
+  }
+
+  /**
+   * Select the profile whose data will be used by this store.
+   * The storage instance of the previous profile is discarded.
+   *
+   * @param {string} profileId
+   */
+  setCurrentProfile(profileId) {
+    if (!(profileId in this.getProfiles())) {
+      throw new Error(`Unknown wallet profile: ${profileId}`);
+    }
+    localStorage.setItem(CURRENT_PROFILE_KEY, JSON.stringify(profileId));
+    this._storage = null;
+  }
+
+  /**
+   * Check if a profile has a wallet, without selecting it.
+   *
+   * @param {string} profileId
+   * @returns {boolean}
+   */
+  isProfileLoaded(profileId) {
+    return !!localStorage.getItem(this._profileKey(ACCESS_DATA_KEY, profileId));
+  }
+
+  /**
+   * Initialize the storage of a software wallet from its words.
+   * The keys are derived on the account index of the derivation settings, so they must be saved before.
+   *
+   * @param {string} seed Words of the wallet
+   * @param {string} password
+   * @param {string} pin
+   * @param {string} [passphrase='']
+   * @param {{pubkeys: string[], numSignatures: number}} [multisig] Participants of a multisig wallet
+   * @returns {Promise<Storage>}
+   */
+  async initStorage(seed, password, pin, passphrase='', multisig=undefined) {
     this._storage = null;
     this.setHardwareWallet(false);
+    this.setWatchOnlyWallet(false);
     const accessData = walletUtils.generateAccessDataFromSeed(
       seed,
       {
+        multisig,
         pin,
         passphrase,
         password,
         networkName: config.getNetwork().name,
       }
     );
+
+    const { accountIndex } = this.getDerivationSettings();
+    if (accountIndex !== 0 && !multisig) {
+      // The lib always derives the default account, so we replace the keys with the ones of the chosen account
+      const rootXpriv = walletUtils.getXPrivKeyFromSeed(seed, { passphrase, networkName: config.getNetwork().name });
+      const acctXpriv = walletUtils.deriveXpriv(rootXpriv, `${accountIndex}'`);
+      const xpriv = acctXpriv.deriveNonCompliantChild(0);
+      accessData.xpubkey = xpriv.xpubkey;
+      accessData.mainKey = cryptoUtils.encryptData(xpriv.xprivkey, pin);
+      accessData.acctPathKey = cryptoUtils.encryptData(acctXpriv.xprivkey, pin);
+    }
+
     this.setItem(ACCESS_DATA_KEY, accessData);
     const storage = this.getStorage();
     await storage.saveAccessData(accessData);
@@ -243,6 +392,7 @@ export class LocalStorageStore {
   async initHWStorage(xpub) {
     this._storage = null;
     this.setHardwareWallet(true);
+    this.setWatchOnlyWallet(false);
     const accessData = walletUtils.generateAccessDataFromXpub(
       xpub,
       { hardware: true }
@@ -255,6 +405,26 @@ export class LocalStorageStore {
     return storage;
   }
 
+  /**
+   * Initialize the storage of a watch-only wallet, which can see the balance and history
+   * of the xpub but has no private key to sign transactions.
+   *
+   * @param {string} xpub Account or change path xpub of the wallet
+   * @returns {Promise<Storage>}
+   */
+  async initWatchOnlyStorage(xpub) {
+    this._storage = null;
+    this.setHardwareWallet(false);
+    this.setWatchOnlyWallet(true);
+    const accessData = walletUtils.generateAccessDataFromXpub(xpub);
+    this.setItem(ACCESS_DATA_KEY, accessData);
+    const storage = this.getStorage();
+    await storage.saveAccessData(accessData);
+    this._storage = storage;
+    this.updateStorageVersion();
+    return storage;
+  }
+
   /**
    * Get a Storage instance for the loaded wallet.
    * @returns {Storage|null} Storage instance if the wallet is loaded.
@@ -297,7 +467,10 @@ export class LocalStorageStore {
    */
   async getAvailableAccessData() {
    // First we try to fetch the old access data (if we haven't migrated yet)
-   let accessData = this.getItem('wallet:accessData');
+   // Only the default profile may hold data from old versions
+   let accessData = this.getCurrentProfileId() === DEFAULT_PROFILE_ID
+     ? this.getItem('wallet:accessData')
+     : null;
    if (!accessData) {
      // If we don't have the old access data, we try to fetch the new one
      accessData = await this._getAccessData();
@@ -540,6 +713,59 @@ export class LocalStorageStore {
     return this.getItem(IS_HARDWARE_KEY) || false;
   }
 
+  setWatchOnlyWallet(value) {
+    this.setItem(IS_WATCH_ONLY_KEY, value);
+  }
+
+  isWatchOnlyWallet() {
+    return this.getItem(IS_WATCH_ONLY_KEY) || false;
+  }
+
+  /**
+   * Get the multisig configuration of the loaded wallet, with the pubkey that identifies this participant.
+   *
+   * @returns {{pubkey: string, pubkeys: string[], numSignatures: number}|null} Null if it's not a multisig wallet
+   */
+  getMultisigData() {
+    const accessData = this.getItem(ACCESS_DATA_KEY);
+    return (accessData && accessData.multisigData) || null;
+  }
+
+  isMultisigWallet() {
+    return !!this.getMultisigData();
+  }
+
+  /**
+   * Get the settings used to derive the addresses of the wallet.
+   * The account index is only used by wallets loaded from words, since the others don't have the root key.
+   *
+   * @returns {{gapLimit: number, accountIndex: number}}
+   */
+  getDerivationSettings() {
+    return {
+      gapLimit: constants.GAP_LIMIT,
+      accountIndex: 0,
+      ...this.getItem(DERIVATION_SETTINGS_KEY),
+    };
+  }
+
+  /**
+   * @param {{gapLimit: number, accountIndex: number}} settings
+   */
+  setDerivationSettings(settings) {
+    this.setItem(DERIVATION_SETTINGS_KEY, settings);
+  }
+
+  /**
+   * If the addresses are derived with settings other than the default ones of the lib
+   *
+   * @returns {boolean}
+   */
+  hasCustomDerivation() {
+    const { gapLimit, accountIndex } = this.getDerivationSettings();
+    return gapLimit !== constants.GAP_LIMIT || accountIndex !== 0;
+  }
+
   getTokenSignatures() {
     return this.getItem(TOKEN_SIGNATURES_KEY) || {};
   }
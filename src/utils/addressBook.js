@@ -0,0 +1,230 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { t } from 'ttag';
+import LOCAL_STORE from '../storage';
+import helpers from './helpers';
+import walletUtils from './wallet';
+
+/**
+ * localStorage key of the address book, each wallet profile has its own
+ */
+export const ADDRESS_BOOK_KEY = 'wallet:address_book';
+
+/**
+ * Columns of the address book CSV file, in order
+ */
+const CSV_HEADER = ['name', 'address', 'network', 'notes', 'token'];
+
+/**
+ * @typedef {Object} Contact
+ * @property {string} address Address of the contact in base58
+ * @property {string} name Name shown instead of the address
+ * @property {string} network Network of the address
+ * @property {string} notes Free text notes about the contact
+ * @property {string|null} tokenUid When set, the contact should only receive this token
+ */
+
+/**
+ * Methods to manage the address book, a list of named recipients saved in localStorage.
+ * Contacts are indexed by address, so an address belongs to a single contact.
+ *
+ * @namespace AddressBook
+ */
+const addressBook = {
+  /**
+   * Get all contacts, indexed by address
+   *
+   * @return {Record<string, Contact>}
+   *
+   * @memberof AddressBook
+   * @inner
+   */
+  getContactsMap() {
+    return LOCAL_STORE.getItem(ADDRESS_BOOK_KEY) || {};
+  },
+
+  /**
+   * Get the contacts sorted by name
+   *
+   * @param {string} [network] If informed, return only the contacts of this network
+   *
+   * @return {Contact[]}
+   *
+   * @memberof AddressBook
+   * @inner
+   */
+  listContacts(network) {
+    return Object.values(this.getContactsMap())
+      .filter((contact) => !network || contact.network === network)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  /**
+   * Get the contact that owns an address
+   *
+   * @param {string} address Address in base58
+   *
+   * @return {Contact|null}
+   *
+   * @memberof AddressBook
+   * @inner
+   */
+  getContact(address) {
+    return this.getContactsMap()[address] || null;
+  },
+
+  /**
+   * Validate the contact fields.
+   * The address is validated against the network the wallet is connected to.
+   *
+   * @param {{ name: string, address: string }} contact
+   *
+   * @return {string|null} Error message to be shown to the user or null if the contact is valid
+   *
+   * @memberof AddressBook
+   * @inner
+   */
+  validateContact({ name, address }) {
+    if (!name || !name.trim()) {
+      return t`Must provide a name for the contact`;
+    }
+    if (!walletUtils.validateAddress(address)) {
+      const network = LOCAL_STORE.getNetwork();
+      return t`Invalid address for the ${network} network: ${address}`;
+    }
+    return null;
+  },
+
+  /**
+   * Add a contact or update the one that has the same address.
+   * The network is always the one the wallet is connected to, since the address was validated on it.
+   *
+   * @param {{ name: string, address: string, notes?: string, tokenUid?: string|null }} contact
+   * @param {string} [previousAddress] Address of the contact being edited, if it was changed
+   *
+   * @return {string|null} Error message if the contact is invalid, null if it was saved
+   *
+   * @memberof AddressBook
+   * @inner
+   */
+  saveContact(contact, previousAddress) {
+    const address = contact.address.trim();
+    const error = this.validateContact({ ...contact, address });
+    if (error) {
+      return error;
+    }
+
+    const contactsMap = this.getContactsMap();
+    if (previousAddress && previousAddress !== address) {
+      delete contactsMap[previousAddress];
+    }
+    contactsMap[address] = {
+      address,
+      name: contact.name.trim(),
+      network: LOCAL_STORE.getNetwork(),
+      notes: contact.notes || '',
+      tokenUid: contact.tokenUid || null,
+    };
+    LOCAL_STORE.setItem(ADDRESS_BOOK_KEY, contactsMap);
+    return null;
+  },
+
+  /**
+   * Remove a contact from the address book
+   *
+   * @param {string} address Address of the contact
+   *
+   * @memberof AddressBook
+   * @inner
+   */
+  removeContact(address) {
+    const contactsMap = this.getContactsMap();
+    delete contactsMap[address];
+    LOCAL_STORE.setItem(ADDRESS_BOOK_KEY, contactsMap);
+  },
+
+  /**
+   * Check if a token can be sent to an address, based on the token restriction of its contact
+   *
+   * @param {string} address Address in base58
+   * @param {string} tokenUid Token being sent
+   *
+   * @return {boolean}
+   *
+   * @memberof AddressBook
+   * @inner
+   */
+  isTokenAllowed(address, tokenUid) {
+    const contact = this.getContact(address);
+    return !contact || !contact.tokenUid || contact.tokenUid === tokenUid;
+  },
+
+  /**
+   * Export all contacts as a CSV text
+   *
+   * @return {string}
+   *
+   * @memberof AddressBook
+   * @inner
+   */
+  exportCsv() {
+    const rows = this.listContacts().map((contact) => [
+      contact.name,
+      contact.address,
+      contact.network,
+      contact.notes,
+      contact.tokenUid,
+    ]);
+    return helpers.toCsv([CSV_HEADER, ...rows]);
+  },
+
+  /**
+   * Import contacts from a CSV text with the same columns of the exported file.
+   * Contacts of other networks are skipped, since we can't validate their addresses.
+   * Existing contacts with the same address are replaced.
+   *
+   * @param {string} text CSV text
+   *
+   * @return {{ imported: number, errors: string[] }} Number of saved contacts and the errors of each invalid line
+   *
+   * @memberof AddressBook
+   * @inner
+   */
+  importCsv(text) {
+    const rows = helpers.parseCsv(text);
+    const errors = [];
+    let imported = 0;
+
+    // The header is optional, it's used only to number the lines on the errors
+    const hasHeader = rows.length > 0 && rows[0][0].trim().toLowerCase() === CSV_HEADER[0];
+    if (hasHeader) {
+      rows.shift();
+    }
+
+    const network = LOCAL_STORE.getNetwork();
+    rows.forEach((row, index) => {
+      const [name = '', address = '', rowNetwork = '', notes = '', tokenUid = ''] = row.map((value) => value.trim());
+      const line = index + (hasHeader ? 2 : 1);
+      if (rowNetwork && rowNetwork !== network) {
+        errors.push(t`Line ${line}: contact of the ${rowNetwork} network, the wallet is on ${network}`);
+        return;
+      }
+
+      const error = this.saveContact({ name, address, notes, tokenUid: tokenUid || null });
+      if (error) {
+        errors.push(t`Line ${line}: ${error}`);
+        return;
+      }
+      imported++;
+    });
+
+    return { imported, errors };
+  },
+};
+
+export default addressBook;
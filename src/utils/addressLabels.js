@@ -0,0 +1,84 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import LOCAL_STORE from '../storage';
+
+/**
+ * localStorage key of the address labels, each wallet profile has its own
+ */
+export const ADDRESS_LABELS_KEY = 'wallet:address_labels';
+
+/**
+ * Methods to manage the labels of the wallet addresses, telling what each address was given out for,
+ * like "invoice #123" or "exchange deposit".
+ *
+ * @namespace AddressLabels
+ */
+const addressLabels = {
+  /**
+   * Get the labels of all addresses, indexed by address
+   *
+   * @return {Record<string, string>}
+   *
+   * @memberof AddressLabels
+   * @inner
+   */
+  getAll() {
+    return LOCAL_STORE.getItem(ADDRESS_LABELS_KEY) || {};
+  },
+
+  /**
+   * Save the label of an address, removing it when empty
+   *
+   * @param {string} address
+   * @param {string} label
+   *
+   * @return {Record<string, string>} The labels of all addresses, after the change
+   *
+   * @memberof AddressLabels
+   * @inner
+   */
+  setLabel(address, label) {
+    const labelsMap = this.getAll();
+    const cleanLabel = (label || '').trim();
+    if (cleanLabel) {
+      labelsMap[address] = cleanLabel;
+    } else {
+      delete labelsMap[address];
+    }
+    LOCAL_STORE.setItem(ADDRESS_LABELS_KEY, labelsMap);
+    return labelsMap;
+  },
+
+  /**
+   * Get the address to be shared, skipping the unused addresses reserved with a label.
+   * The current address of the wallet is calculated again from its history when it's loaded,
+   * so a reserved address would be given out again otherwise.
+   *
+   * @param {HathorWallet} wallet
+   *
+   * @return {Promise<{address: string, index: number}>} The reserved address is kept if the gap limit is reached
+   *
+   * @memberof AddressLabels
+   * @inner
+   */
+  async getSharedAddress(wallet) {
+    const labelsMap = this.getAll();
+    let current = await wallet.getCurrentAddress();
+    while (labelsMap[current.address]) {
+      const next = await wallet.getNextAddress();
+      if (next.address === current.address) {
+        // The gap limit was reached, so there is no other address to share
+        break;
+      }
+      current = next;
+    }
+    return current;
+  },
+};
+
+export default addressLabels;
@@ -0,0 +1,127 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import helpers from './helpers';
+import historyExport from './historyExport';
+
+/**
+ * Filters of the address list
+ */
+export const ADDRESS_FILTER = {
+  ALL: 'all',
+  USED: 'used',
+  UNUSED: 'unused',
+  WITH_BALANCE: 'with_balance',
+};
+
+/**
+ * @typedef {Object} AddressDetails
+ * @property {string} address
+ * @property {number} index
+ * @property {number} transactions Number of transactions of the address
+ * @property {Record<string, number>} balance Balance of the address per token uid, including locked amounts
+ * @property {number|null} lastUsed Timestamp of the newest transaction of the address
+ */
+
+/**
+ * Methods to build the list of addresses of the wallet with their balances and usage
+ *
+ * @namespace Addresses
+ */
+const addresses = {
+  /**
+   * Get all addresses of the wallet, with the balance of each token and the last time they were used.
+   * The balances come from the unspent outputs and the usage from the transaction history, both on the wallet storage.
+   *
+   * @param {HathorWallet} wallet
+   *
+   * @return {Promise<AddressDetails[]>} Addresses ordered by index
+   *
+   * @memberof Addresses
+   * @inner
+   */
+  async getAddressesDetails(wallet) {
+    const detailsMap = new Map();
+    for await (const { address, index, transactions } of wallet.getAllAddresses()) {
+      detailsMap.set(address, { address, index, transactions, balance: {}, lastUsed: null });
+    }
+
+    for await (const utxo of wallet.storage.getAllUtxos()) {
+      const details = detailsMap.get(utxo.address);
+      if (!details || utxo.authorities) {
+        continue;
+      }
+      details.balance[utxo.token] = (details.balance[utxo.token] || 0) + utxo.value;
+    }
+
+    for await (const tx of wallet.storage.txHistory()) {
+      for (const item of [...tx.inputs, ...tx.outputs]) {
+        const details = item.decoded && detailsMap.get(item.decoded.address);
+        if (details && (details.lastUsed === null || details.lastUsed < tx.timestamp)) {
+          details.lastUsed = tx.timestamp;
+        }
+      }
+    }
+
+    return Array.from(detailsMap.values()).sort((a, b) => a.index - b.index);
+  },
+
+  /**
+   * Check if an address matches a filter of the list
+   *
+   * @param {AddressDetails} details
+   * @param {string} filter One of `ADDRESS_FILTER`
+   *
+   * @return {boolean}
+   *
+   * @memberof Addresses
+   * @inner
+   */
+  matchesFilter(details, filter) {
+    switch (filter) {
+      case ADDRESS_FILTER.USED:
+        return details.transactions > 0;
+      case ADDRESS_FILTER.UNUSED:
+        return details.transactions === 0;
+      case ADDRESS_FILTER.WITH_BALANCE:
+        return Object.values(details.balance).some((value) => value > 0);
+      default:
+        return true;
+    }
+  },
+
+  /**
+   * Convert the addresses to a CSV text, with one balance column per token
+   *
+   * @param {AddressDetails[]} addressesList
+   * @param {{uid: string, symbol: string}[]} tokens Registered tokens, the balance of other tokens is not exported
+   * @param {Object} tokenMetadata Metadata of the tokens, used to identify NFTs
+   * @param {Record<string, string>} labels Labels of the addresses
+   *
+   * @return {string}
+   *
+   * @memberof Addresses
+   * @inner
+   */
+  toCsv(addressesList, tokens, tokenMetadata, labels) {
+    const header = ['address', 'index', 'label', 'transactions', 'last_used', ...tokens.map((token) => `balance_${token.symbol}`)];
+    const rows = addressesList.map((details) => [
+      details.address,
+      details.index,
+      labels[details.address] || '',
+      details.transactions,
+      details.lastUsed ? new Date(details.lastUsed * 1000).toISOString() : '',
+      ...tokens.map((token) => historyExport.formatAmount(
+        details.balance[token.uid] || 0,
+        helpers.isTokenNFT(token.uid, tokenMetadata),
+      )),
+    ]);
+    return helpers.toCsv([header, ...rows]);
+  },
+};
+
+export default addresses;
@@ -14,8 +14,39 @@ import {
   config as hathorLibConfig,
 } from "@hathor/wallet-lib";
 import { TOKEN_MINT_MASK, TOKEN_MELT_MASK, NATIVE_TOKEN_UID } from "@hathor/wallet-lib/lib/constants";
-import { get } from 'lodash';
+import { SWAP_SERVICE_MAINNET_BASE_URL, SWAP_SERVICE_TESTNET_BASE_URL } from "@hathor/wallet-lib/lib/config";
+import { cloneDeep, get } from 'lodash';
+import { t } from 'ttag';
 import walletUtil from "./wallet";
+import {
+    ATOMIC_SWAP_SERVICE_MAINNET_BASE_WS_URL,
+    ATOMIC_SWAP_SERVICE_TESTNET_BASE_WS_URL,
+    IPC_RENDERER,
+} from "../constants";
+
+/**
+ * localStorage keys of the Atomic Swap Service settings, shared by all wallets of the app
+ */
+export const SWAP_SERVICE_URL_KEY = 'wallet:atomic_swap_service:base_server';
+export const SWAP_RELAY_KEY = 'wallet:atomic_swap_service:local_relay';
+
+/**
+ * Port of the local swap relay, when the user doesn't choose another one
+ */
+export const DEFAULT_SWAP_RELAY_PORT = 8765;
+
+/**
+ * How long to wait for the Atomic Swap Service when checking if it's reachable, in milliseconds
+ */
+const SWAP_SERVICE_CHECK_TIMEOUT = 10000;
+
+/**
+ * Websocket urls of the hosted Atomic Swap Services, by the url of their api
+ */
+const SWAP_SERVICE_WS_URLS = {
+    [SWAP_SERVICE_MAINNET_BASE_URL]: ATOMIC_SWAP_SERVICE_MAINNET_BASE_WS_URL,
+    [SWAP_SERVICE_TESTNET_BASE_URL]: ATOMIC_SWAP_SERVICE_TESTNET_BASE_WS_URL,
+};
 
 /**
  * @typedef ProposalData
@@ -25,6 +56,7 @@ import walletUtil from "./wallet";
  * @property {boolean} [canISign] Derived from proposal data, simplified for calculations
  * @property {string} partialTx Serialized unencrypted proposal data
  * @property {string} [signatures] Merged serialized signatures from all participants
+ * @property {number} [version] Incremented on every update
  * @property {number} [timestamp] Last update timestamp
  * @property {{partialTx: string, timestamp: number}[]} history History objects array
  */
@@ -33,8 +65,10 @@ import walletUtil from "./wallet";
  * @typedef ReduxProposalData
  * @property {string} id Proposal identifier
  * @property {string} password Proposal password, stored locally
+ * @property {boolean} [offline] If the proposal is exchanged through files or the clipboard, without the service
  * @property {string} status Saga loading status, from PROPOSAL_DOWNLOAD_STATUS
  * @property {string} [errorMessage] Error message, present when status is failed
+ * @property {string} [invalidatedReason] Why the proposal can't be sent anymore, present when status is invalidated
  * @property {string} [oldStatus] Saga-related information, from PROPOSAL_DOWNLOAD_STATUS
  * @property {number} [updatedAt] Saga-related last update timestamp
  * @property {ProposalData} [data] Full decrypted proposal data
@@ -73,6 +107,67 @@ export const ATOMIC_SWAP_SERVICE_ERRORS = {
     UnknownError: 'UNKNOWN_ERROR',
 }
 
+/**
+ * Type of the serialized proposals exchanged offline, through files or the clipboard
+ */
+export const OFFLINE_PROPOSAL_TYPE = 'hathor-atomic-swap-proposal';
+
+/**
+ * Results of merging a proposal received offline with the local one
+ */
+export const OFFLINE_MERGE_STATUS = {
+    UNCHANGED: 'unchanged', // Nothing new on the received proposal
+    UPDATED: 'updated', // The received proposal has new changes or signatures
+    OUTDATED: 'outdated', // The received proposal is an older version of the local one
+    CONFLICT: 'conflict', // Both sides changed the proposal since they last exchanged it
+}
+
+/**
+ * Error thrown when a proposal received offline is not valid, the message can be shown to the user
+ */
+export class OfflineProposalError extends Error {}
+
+/**
+ * Status of the proposals on the history. Only the open ones are on the list of proposals being edited.
+ */
+export const PROPOSAL_HISTORY_STATUS = {
+    OPEN: 'open',
+    FINISHED: 'finished', // The transaction was sent by this wallet
+    CANCELLED: 'cancelled', // The proposal was removed from the list
+    EXPIRED: 'expired', // The proposal is not on the Atomic Swap Service anymore
+}
+
+/**
+ * @typedef ProposalHistoryItem
+ * @property {string} tokenUid
+ * @property {number} value
+ * @property {string} address
+ * @property {boolean} isMine If it was added by this wallet, otherwise it was added by another participant
+ * @property {string} [txId] Only for inputs
+ * @property {number} [index] Only for inputs
+ */
+
+/**
+ * @typedef ProposalHistoryChange
+ * @property {number} timestamp When the change was saved, in seconds
+ * @property {{added: ProposalHistoryItem[], removed: ProposalHistoryItem[]}} inputs
+ * @property {{added: ProposalHistoryItem[], removed: ProposalHistoryItem[]}} outputs
+ */
+
+/**
+ * @typedef ProposalHistoryEntry
+ * @property {string} id Proposal identifier
+ * @property {string} status From PROPOSAL_HISTORY_STATUS
+ * @property {boolean} offline If the proposal was exchanged offline
+ * @property {number} createdAt When this wallet started participating, in seconds
+ * @property {number} updatedAt When the proposal last changed, in seconds
+ * @property {number|null} closedAt When the proposal was finished, cancelled or expired, in seconds
+ * @property {string|null} txId Transaction sent by this wallet, when finished
+ * @property {{tokenUid: string, symbol: string, sending: number, receiving: number}[]} balances
+ *           Balance of this wallet on the last version of the proposal
+ * @property {ProposalHistoryChange[]} changes Inputs and outputs added and removed on each version
+ */
+
 /**
  * Generates the serialized string of an empty proposal for the current wallet
  * @param {HathorWallet} wallet Current wallet in use
@@ -335,6 +430,9 @@ export const updatePersistentStorage = (proposalList) => {
             id: p.id,
             password: p.password,
         };
+        if (p.offline) {
+            simplifiedStorage[pId].offline = true;
+        }
     }
 
     walletUtil.setListenedProposals(simplifiedStorage);
@@ -397,20 +495,606 @@ export const generateReduxObjFromProposal = (proposalId, password, partialTx, wa
 }
 
 /**
- * Returns the Atomic Swap Service base URL,
+ * Generates the data of a new proposal exchanged offline and saves it, so it can be loaded like the others
+ * @param {string} partialTx Serialized partial tx of the new proposal
+ * @returns {ProposalData}
+ */
+export function createOfflineProposal(partialTx) {
+    /** @type ProposalData */
+    const data = {
+        id: crypto.randomUUID(),
+        partialTx,
+        signatures: null,
+        version: 0,
+        timestamp: new Date().valueOf(),
+        history: [],
+    };
+    setOfflineProposal(data);
+    return data;
+}
+
+/**
+ * Saves the data of a proposal exchanged offline
+ * @param {ProposalData} data
+ */
+export function setOfflineProposal(data) {
+    walletUtil.setOfflineProposals({ ...walletUtil.getOfflineProposals(), [data.id]: data });
+}
+
+/**
+ * Removes the data of a proposal exchanged offline, if it exists
+ * @param {string} proposalId
+ */
+export function removeOfflineProposal(proposalId) {
+    const proposals = walletUtil.getOfflineProposals();
+    if (proposals[proposalId]) {
+        delete proposals[proposalId];
+        walletUtil.setOfflineProposals(proposals);
+    }
+}
+
+/**
+ * Saves the changes made by this wallet on a proposal exchanged offline.
+ * The previous partial tx is kept on the history, so the other participants can detect their
+ * version is older than this one when merging it.
+ * @param {string} proposalId
+ * @param {string} partialTx Serialized partial tx
+ * @param {string|null} signatures Serialized signatures
+ * @returns {ProposalData} The saved data
+ */
+export function saveOfflineProposalChanges(proposalId, partialTx, signatures) {
+    const old = walletUtil.getOfflineProposals()[proposalId];
+    const history = old.partialTx === partialTx
+        ? old.history
+        : [...old.history, { partialTx: old.partialTx, timestamp: old.timestamp }];
+
+    /** @type ProposalData */
+    const data = {
+        id: proposalId,
+        partialTx,
+        signatures,
+        version: old.version + 1,
+        timestamp: new Date().valueOf(),
+        history,
+    };
+    setOfflineProposal(data);
+    return data;
+}
+
+/**
+ * Serializes a proposal to be sent to the other participants as a file or through the clipboard
+ * @param {ProposalData} data
+ * @returns {string}
+ */
+export function serializeOfflineProposal(data) {
+    const { id, partialTx, signatures, version, timestamp, history } = data;
+    return JSON.stringify({ type: OFFLINE_PROPOSAL_TYPE, id, partialTx, signatures, version, timestamp, history });
+}
+
+/**
+ * Parses a proposal received from another participant, validating its partial tx and signatures
+ * @param {string} serialized
+ * @param {HathorWallet} wallet
+ * @returns {Promise<ProposalData>}
+ * @throws {OfflineProposalError} If it's not a valid proposal for the network of this wallet
+ */
+export async function deserializeOfflineProposal(serialized, wallet) {
+    let data;
+    try {
+        data = JSON.parse(serialized);
+    } catch (e) {
+        throw new OfflineProposalError(t`Invalid atomic swap proposal.`);
+    }
+
+    const isValid = data
+        && data.type === OFFLINE_PROPOSAL_TYPE
+        && typeof data.id === 'string'
+        && typeof data.partialTx === 'string'
+        && (data.signatures === null || typeof data.signatures === 'string')
+        && Number.isInteger(data.version)
+        && Array.isArray(data.history)
+        && data.history.every((item) => item && typeof item.partialTx === 'string');
+    if (!isValid) {
+        throw new OfflineProposalError(t`Invalid atomic swap proposal.`);
+    }
+
+    try {
+        await deserializePartialTx(data.partialTx, wallet);
+        if (data.signatures) {
+            // Throws if the signatures are not from this partial tx
+            assembleProposal(data.partialTx, data.signatures, wallet.storage);
+        }
+    } catch (e) {
+        throw new OfflineProposalError(t`This proposal is not valid for this wallet: ${e.message}`);
+    }
+
+    const { id, partialTx, signatures, version, history } = data;
+    return { id, partialTx, signatures, version, timestamp: data.timestamp || new Date().valueOf(), history };
+}
+
+/**
+ * Merges a proposal received from another participant with the local one.
+ *
+ * The signatures of the same partial tx are joined. When the partial tx is different, the history of
+ * each side tells if one of them is based on the other. If neither is, both sides changed the proposal
+ * and the user must choose one of them with `resolveOfflineProposalConflict`.
+ * @param {ProposalData} local
+ * @param {ProposalData} received
+ * @param {HathorWallet} wallet
+ * @returns {Promise<{status: string, data: ProposalData|null}>} Status from OFFLINE_MERGE_STATUS and the merged
+ *                                                              data, which is null if there is nothing to save
+ */
+export async function mergeOfflineProposal(local, received, wallet) {
+    const isInHistory = (data, partialTx) => data.history.some((item) => item.partialTx === partialTx);
+
+    if (received.partialTx === local.partialTx) {
+        if (!received.signatures) {
+            return { status: OFFLINE_MERGE_STATUS.UNCHANGED, data: null };
+        }
+
+        const partialTx = await deserializePartialTx(local.partialTx, wallet);
+        const signaturesObj = calculateSignaturesObject(partialTx, local.signatures);
+        signaturesObj.addSignatures(received.signatures);
+        const signatures = signaturesObj.serialize();
+        if (signatures === local.signatures) {
+            return { status: OFFLINE_MERGE_STATUS.UNCHANGED, data: null };
+        }
+
+        return {
+            status: OFFLINE_MERGE_STATUS.UPDATED,
+            data: {
+                ...local,
+                signatures,
+                version: Math.max(local.version, received.version) + 1,
+                timestamp: new Date().valueOf(),
+            },
+        };
+    }
+
+    if (isInHistory(received, local.partialTx)) {
+        // The other participant changed the version we have, so theirs replaces it
+        return {
+            status: OFFLINE_MERGE_STATUS.UPDATED,
+            data: { ...received, id: local.id },
+        };
+    }
+
+    if (isInHistory(local, received.partialTx)) {
+        return { status: OFFLINE_MERGE_STATUS.OUTDATED, data: null };
+    }
+
+    return { status: OFFLINE_MERGE_STATUS.CONFLICT, data: null };
+}
+
+/**
+ * Replaces the local proposal with the one received when both sides changed it.
+ * The local partial tx goes to the history, so when the other participants merge this version
+ * they will see it's based on theirs.
+ * @param {ProposalData} local
+ * @param {ProposalData} received
+ * @returns {ProposalData}
+ */
+export function resolveOfflineProposalConflict(local, received) {
+    const history = [...received.history];
+    for (const item of [...local.history, { partialTx: local.partialTx, timestamp: local.timestamp }]) {
+        if (!history.some((existing) => existing.partialTx === item.partialTx)) {
+            history.push(item);
+        }
+    }
+
+    return {
+        ...received,
+        id: local.id,
+        version: Math.max(local.version, received.version) + 1,
+        timestamp: new Date().valueOf(),
+        history,
+    };
+}
+
+/**
+ * Compares the items of two versions of a proposal, including repeated ones
+ * @param {ProposalHistoryItem[]} oldItems
+ * @param {ProposalHistoryItem[]} newItems
+ * @param {function(ProposalHistoryItem): string} getKey Identifies equal items
+ * @returns {{added: ProposalHistoryItem[], removed: ProposalHistoryItem[]}}
+ */
+function diffProposalItems(oldItems, newItems, getKey) {
+    const remaining = [...oldItems];
+    const added = [];
+    for (const item of newItems) {
+        const oldIndex = remaining.findIndex((old) => getKey(old) === getKey(item));
+        if (oldIndex === -1) {
+            added.push(item);
+        } else {
+            remaining.splice(oldIndex, 1);
+        }
+    }
+    return { added, removed: remaining };
+}
+
+/**
+ * Calculates the inputs and outputs added and removed on each version of a proposal,
+ * identifying the ones that belong to this wallet
+ * @param {ProposalData} data
+ * @param {HathorWallet} wallet
+ * @returns {Promise<ProposalHistoryChange[]>}
+ */
+export async function calculateProposalChanges(data, wallet) {
+    const versions = [
+        ...(data.history || []),
+        { partialTx: data.partialTx, timestamp: data.timestamp || new Date().valueOf() },
+    ];
+
+    const changes = [];
+    let oldInputs = [];
+    let oldOutputs = [];
+    for (const version of versions) {
+        const partialTx = await deserializePartialTx(version.partialTx, wallet);
+        const inputs = partialTx.inputs.map((input) => ({
+            txId: input.hash,
+            index: input.index,
+            tokenUid: input.token,
+            value: input.value,
+            address: input.address,
+            isMine: !!input.isMine,
+        }));
+        const outputs = partialTx.outputs.map((output) => ({
+            tokenUid: output.token,
+            value: output.value,
+            address: output.address,
+            isMine: !!output.isMine,
+        }));
+
+        const inputsDiff = diffProposalItems(oldInputs, inputs, (input) => `${input.txId}:${input.index}`);
+        const outputsDiff = diffProposalItems(
+            oldOutputs,
+            outputs,
+            (output) => `${output.address}:${output.tokenUid}:${output.value}`,
+        );
+        const hasChange = [inputsDiff, outputsDiff].some((diff) => diff.added.length || diff.removed.length);
+        if (hasChange) {
+            changes.push({
+                timestamp: Math.floor(version.timestamp / 1000),
+                inputs: inputsDiff,
+                outputs: outputsDiff,
+            });
+        }
+
+        oldInputs = inputs;
+        oldOutputs = outputs;
+    }
+
+    return changes;
+}
+
+/**
+ * Updates the history of a proposal with its current balances and changes, reopening it if it
+ * was cancelled or expired
+ * @param {string} proposalId
+ * @param {ProposalData} data
+ * @param {boolean} offline If the proposal is exchanged offline
+ * @param {Record<string, {symbol: string, name: string, tokenUid: string}>} tokensCache
+ * @param {HathorWallet} wallet
+ * @returns {Promise<void>}
+ */
+export async function recordProposalHistory(proposalId, data, offline, tokensCache, wallet) {
+    const partialTx = await deserializePartialTx(data.partialTx, wallet);
+    // The exhibition data is added to the cached tokens, so it can't change the redux state
+    const exhibitionData = await calculateExhibitionData(partialTx, cloneDeep(tokensCache), wallet);
+    const balances = exhibitionData.map((balance) => ({
+        tokenUid: balance.tokenUid,
+        symbol: balance.symbol,
+        sending: balance.sending || 0,
+        receiving: balance.receiving || 0,
+    }));
+    const changes = await calculateProposalChanges(data, wallet);
+
+    const historyMap = walletUtil.getProposalsHistory();
+    const old = historyMap[proposalId];
+    if (old && old.status === PROPOSAL_HISTORY_STATUS.FINISHED) {
+        return;
+    }
+
+    const now = Math.floor(new Date().valueOf() / 1000);
+    historyMap[proposalId] = {
+        id: proposalId,
+        status: PROPOSAL_HISTORY_STATUS.OPEN,
+        offline: !!offline,
+        createdAt: old ? old.createdAt : now,
+        updatedAt: changes.length ? changes[changes.length - 1].timestamp : now,
+        closedAt: null,
+        txId: null,
+        balances,
+        changes,
+    };
+    walletUtil.setProposalsHistory(historyMap);
+}
+
+/**
+ * Marks a proposal as finished, cancelled or expired on the history.
+ * Proposals never loaded have nothing to keep, and the ones already closed are kept as they are.
+ * @param {string} proposalId
+ * @param {string} status From PROPOSAL_HISTORY_STATUS
+ * @param {string|null} [txId=null] Transaction sent, when finished
+ * @returns {boolean} If the proposal was closed
+ */
+export function closeProposalHistory(proposalId, status, txId = null) {
+    const historyMap = walletUtil.getProposalsHistory();
+    const old = historyMap[proposalId];
+    if (!old || old.status !== PROPOSAL_HISTORY_STATUS.OPEN) {
+        return false;
+    }
+
+    historyMap[proposalId] = { ...old, status, closedAt: Math.floor(new Date().valueOf() / 1000), txId };
+    walletUtil.setProposalsHistory(historyMap);
+    return true;
+}
+
+/**
+ * Checks on the full node if the inputs of the proposal were spent.
+ * When all of them were spent by the same transaction with no other inputs, the proposal itself was sent.
+ * @param {PartialTx} partialTx
+ * @param {HathorWallet} wallet
+ * @returns {Promise<{spent: boolean, sentTxId: string|null}>}
+ */
+export async function checkProposalInputsSpent(partialTx, wallet) {
+    const spendingTxsPerInput = [];
+    for (const input of partialTx.inputs) {
+        const { meta } = await wallet.getFullTxById(input.hash);
+        const spentOutput = (meta.spent_outputs || []).find(([index]) => index === input.index);
+        spendingTxsPerInput.push(spentOutput ? spentOutput[1] : []);
+    }
+
+    if (spendingTxsPerInput.every((txIds) => txIds.length === 0)) {
+        return { spent: false, sentTxId: null };
+    }
+
+    for (const txId of spendingTxsPerInput[0]) {
+        if (!spendingTxsPerInput.every((txIds) => txIds.includes(txId))) {
+            continue;
+        }
+        const { tx } = await wallet.getFullTxById(txId);
+        if (tx.inputs.length === partialTx.inputs.length) {
+            return { spent: true, sentTxId: txId };
+        }
+    }
+
+    return { spent: true, sentTxId: null };
+}
+
+/**
+ * Finds the inputs of other participants that were signed since the last version of the proposal
+ * @param {string} serializedPartialTx
+ * @param {string|null} oldSignatures
+ * @param {string|null} newSignatures
+ * @param {HathorWallet} wallet
+ * @returns {Promise<number[]>} Indexes of the newly signed inputs
+ */
+export async function getInputsSignedByOthers(serializedPartialTx, oldSignatures, newSignatures, wallet) {
+    if (!newSignatures || newSignatures === oldSignatures) {
+        return [];
+    }
+
+    const partialTx = await deserializePartialTx(serializedPartialTx, wallet);
+    const oldSignaturesObj = calculateSignaturesObject(partialTx, oldSignatures);
+    const newSignaturesObj = calculateSignaturesObject(partialTx, newSignatures);
+    const signedIndexes = [];
+    partialTx.inputs.forEach((input, index) => {
+        if (!input.isMine && newSignaturesObj.data[index] && !oldSignaturesObj.data[index]) {
+            signedIndexes.push(index);
+        }
+    });
+    return signedIndexes;
+}
+
+/**
+ * @typedef OfferSide
+ * @property {string} tokenUid
+ * @property {number} amount
+ */
+
+/**
+ * Creates the proposal of an offer, sending an amount of a token to receive an amount of another one.
+ * The inputs are chosen automatically, with a change output and a receive address generated by the wallet.
+ * @param {OfferSide} sending What this wallet gives on the offer
+ * @param {OfferSide} receiving What this wallet wants in return
+ * @param {HathorWallet} wallet
+ * @returns {Promise<string>} Serialized partial tx of the offer
+ */
+export async function createOfferProposal(sending, receiving, wallet) {
+    if (sending.tokenUid === receiving.tokenUid) {
+        throw new Error(t`The offer must exchange different tokens`);
+    }
+
+    const txProposal = new PartialTxProposal(wallet.storage);
+    // The utxos are only marked as selected once the proposal is created
+    await txProposal.addSend(sending.tokenUid, sending.amount, { markAsSelected: false });
+    const { address } = await wallet.getCurrentAddress({ markAsUsed: true });
+    await txProposal.addReceive(receiving.tokenUid, receiving.amount, { address });
+    return txProposal.partialTx.serialize();
+}
+
+/**
+ * Calculates the terms to accept a proposal as an offer: what is missing on each token to balance it.
+ * A proposal is an offer while it has tokens being given with nothing sent in return, and the other way around.
+ * @param {PartialTx} partialTx
+ * @returns {{ sending: OfferSide[], receiving: OfferSide[] }|null} What the counterparty must send and
+ *   will receive, or null if there is nothing to accept on the proposal
+ */
+export function calculateOfferTerms(partialTx) {
+    const sending = [];
+    const receiving = [];
+    for (const [tokenUid, { inputs, outputs }] of Object.entries(partialTx.calculateTokenBalance())) {
+        if (inputs > outputs) {
+            receiving.push({ tokenUid, amount: inputs - outputs });
+        } else if (outputs > inputs) {
+            sending.push({ tokenUid, amount: outputs - inputs });
+        }
+    }
+
+    if (!sending.length || !receiving.length) {
+        return null;
+    }
+    return { sending, receiving };
+}
+
+/**
+ * Adds the matching side of an offer to its proposal, balancing it with the inputs and outputs of this wallet
+ * @param {string} serializedPartialTx
+ * @param {HathorWallet} wallet
+ * @returns {Promise<PartialTx>} The balanced partial tx, with utxos not yet marked as selected
+ */
+export async function acceptOfferProposal(serializedPartialTx, wallet) {
+    const txProposal = PartialTxProposal.fromPartialTx(serializedPartialTx, wallet.storage);
+    const terms = calculateOfferTerms(txProposal.partialTx);
+    if (!terms) {
+        throw new Error(t`This proposal is not an offer to be accepted`);
+    }
+
+    for (const { tokenUid, amount } of terms.sending) {
+        await txProposal.addSend(tokenUid, amount, { markAsSelected: false });
+    }
+    const { address } = await wallet.getCurrentAddress({ markAsUsed: true });
+    for (const { tokenUid, amount } of terms.receiving) {
+        await txProposal.addReceive(tokenUid, amount, { address });
+    }
+    return txProposal.partialTx;
+}
+
+/**
+ * Get the Atomic Swap Service url chosen by the user
+ * @returns {string|null} Null if the default url of the network is used
+ */
+export function getSwapServiceUrl() {
+    return localStorage.getItem(SWAP_SERVICE_URL_KEY);
+}
+
+/**
+ * Save the Atomic Swap Service url chosen by the user
+ * @param {string|null} url Null to use the default url of the network
+ */
+export function setSwapServiceUrl(url) {
+    if (url) {
+        localStorage.setItem(SWAP_SERVICE_URL_KEY, url);
+    } else {
+        localStorage.removeItem(SWAP_SERVICE_URL_KEY);
+    }
+}
+
+/**
+ * Get the settings of the local swap relay
+ * @returns {{enabled: boolean, port: number, lan: boolean}}
+ */
+export function getSwapRelaySettings() {
+    return {
+        enabled: false,
+        port: DEFAULT_SWAP_RELAY_PORT,
+        lan: false,
+        ...JSON.parse(localStorage.getItem(SWAP_RELAY_KEY)),
+    };
+}
+
+/**
+ * Save the settings of the local swap relay
+ * @param {{enabled: boolean, port: number, lan: boolean}} settings
+ */
+export function setSwapRelaySettings(settings) {
+    localStorage.setItem(SWAP_RELAY_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Get the url this wallet uses to reach the local swap relay
+ * @param {number} port
+ * @returns {string}
+ */
+export function getSwapRelayUrl(port) {
+    return `http://127.0.0.1:${port}`;
+}
+
+/**
+ * Start the local swap relay on the electron main process, or restart it if the settings changed
+ * @param {number} port
+ * @param {boolean} lan If the relay accepts connections from other machines of the network
+ * @returns {Promise<{port: number, addresses: string[]}>} Urls the other machines of the network can use
+ * @throws {Error} If the relay could not be started, like when the port is in use
+ */
+export function startSwapRelay(port, lan) {
+    if (!IPC_RENDERER) {
+        return Promise.reject(new Error('The local swap relay is only available on the desktop app.'));
+    }
+
+    return new Promise((resolve, reject) => {
+        IPC_RENDERER.once('swap_relay:started', (event, response) => {
+            if (response.success) {
+                resolve(response.data);
+            } else {
+                reject(new Error(response.error));
+            }
+        });
+        IPC_RENDERER.send('swap_relay:start', { port, lan });
+    });
+}
+
+/**
+ * Stop the local swap relay, if it's running
+ */
+export function stopSwapRelay() {
+    if (IPC_RENDERER) {
+        IPC_RENDERER.send('swap_relay:stop');
+    }
+}
+
+/**
+ * Check if there is an Atomic Swap Service answering on the url, by requesting a proposal that doesn't exist
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ */
+export async function checkSwapServiceConnectivity(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SWAP_SERVICE_CHECK_TIMEOUT);
+    try {
+        const response = await fetch(`${url.replace(/\/+$/, '')}/${crypto.randomUUID()}`, {
+            headers: { 'X-Auth-Password': 'connectivity-check' },
+            signal: controller.signal,
+        });
+        const data = await response.json();
+        // The service answers with one of its known error codes, while other servers won't
+        return Object.values(ATOMIC_SWAP_SERVICE_ERRORS).includes(data.code);
+    } catch (e) {
+        return false;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Get the url of the websocket of the Atomic Swap Service in use, which pushes the updates of the proposals
+ * @returns {string}
+ */
+export function getSwapServiceWsUrl() {
+    const baseUrl = hathorLibConfig.getSwapServiceBaseUrl();
+    return SWAP_SERVICE_WS_URLS[baseUrl] || baseUrl.replace(/^http/, 'ws');
+}
+
+/**
+ * Configures the Atomic Swap Service base URL.
+ * The local relay has preference, then the url chosen by the user and then the default url of the network.
  * @param {string} network Network name for fetching the default base server url
  * @returns {void}
  */
 export function initializeSwapServiceBaseUrlForWallet(network) {
-    // XXX: This storage item is currently unchangeable via the wallet UI, and is available
-    //      only for debugging purposes on networks other than mainnet and testnet
-    const configUrl = localStorage.getItem('wallet:atomic_swap_service:base_server')
-    // Configures Atomic Swap Service url. Prefers explicit config input, then network-based
-    if (configUrl) {
-        hathorLibConfig.setSwapServiceBaseUrl(configUrl);
-    } else {
-        hathorLibConfig.setSwapServiceBaseUrl(
-          hathorLibConfig.getSwapServiceBaseUrl(network)
-        );
+    const relaySettings = getSwapRelaySettings();
+    if (relaySettings.enabled) {
+        hathorLibConfig.setSwapServiceBaseUrl(getSwapRelayUrl(relaySettings.port));
+        startSwapRelay(relaySettings.port, relaySettings.lan)
+          .catch((e) => console.error('Error starting the local swap relay', e));
+        return;
     }
+
+    const configUrl = getSwapServiceUrl();
+    // Clear any url set before, so the lib returns the default url of the network
+    hathorLibConfig.setSwapServiceBaseUrl(null);
+    hathorLibConfig.setSwapServiceBaseUrl(
+      configUrl || hathorLibConfig.getSwapServiceBaseUrl(network)
+    );
 }
@@ -0,0 +1,207 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { cryptoUtils, errors as hathorErrors } from '@hathor/wallet-lib';
+import { t } from 'ttag';
+import LOCAL_STORE, { ACCESS_DATA_KEY, DERIVATION_SETTINGS_KEY, REGISTERED_TOKENS_KEY, STORE_VERSION_KEY } from '../storage';
+import walletUtils from './wallet';
+import addressBook, { ADDRESS_BOOK_KEY } from './addressBook';
+import txNotes, { TX_NOTES_KEY } from './txNotes';
+import addressLabels, { ADDRESS_LABELS_KEY } from './addressLabels';
+import scheduledPayments, { SCHEDULED_PAYMENTS_KEY } from './scheduledPayments';
+import multisig, { MULTISIG_TXS_KEY } from './multisig';
+import { VERSION } from '../constants';
+
+/**
+ * Identifies a file as a wallet backup
+ */
+export const BACKUP_FILE_TYPE = 'hathor-wallet-backup';
+
+/**
+ * Version of the backup file layout, increased whenever the header changes
+ */
+export const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Error thrown when a backup file cannot be restored, the message can be shown to the user
+ */
+export class BackupError extends Error {}
+
+/**
+ * Methods to create and restore encrypted wallet backups
+ *
+ * A backup is a JSON file with a plain header and the wallet data encrypted with a password chosen
+ * by the user. The header keeps the storage version of the wallet that created it, so we can refuse
+ * backups we don't know how to restore.
+ *
+ * @namespace Backup
+ */
+const backup = {
+  /**
+   * Collect the data of the loaded wallet that is kept on the backup.
+   * The access data is copied as stored, so its keys remain encrypted with the wallet PIN.
+   *
+   * @return {Object}
+   *
+   * @memberof Backup
+   * @inner
+   */
+  collectWalletData() {
+    return {
+      accessData: LOCAL_STORE.getItem(ACCESS_DATA_KEY),
+      registeredTokens: LOCAL_STORE.getItem(REGISTERED_TOKENS_KEY) || {},
+      tokenSignatures: LOCAL_STORE.getTokenSignatures(),
+      alwaysShowTokens: walletUtils.listTokensAlwaysShow(),
+      network: LOCAL_STORE.getNetwork(),
+      server: LOCAL_STORE.getServer(),
+      wsServer: LOCAL_STORE.getWsServer(),
+      miningServer: LOCAL_STORE.getMiningServer(),
+      derivationSettings: LOCAL_STORE.getDerivationSettings(),
+      atomicProposals: walletUtils.getListenedProposals(),
+      atomicOfflineProposals: walletUtils.getOfflineProposals(),
+      atomicProposalsHistory: walletUtils.getProposalsHistory(),
+      multisigTxs: multisig.getAll(),
+      addressBook: addressBook.getContactsMap(),
+      txNotes: txNotes.getAll(),
+      addressLabels: addressLabels.getAll(),
+      scheduledPayments: scheduledPayments.getAll(),
+      isBackupDone: LOCAL_STORE.isBackupDone(),
+      isHardware: LOCAL_STORE.isHardwareWallet(),
+      isWatchOnly: LOCAL_STORE.isWatchOnlyWallet(),
+    };
+  },
+
+  /**
+   * Create the backup file contents of the loaded wallet
+   *
+   * @param {string} password Password used to encrypt the backup
+   *
+   * @return {string} The backup file contents
+   *
+   * @memberof Backup
+   * @inner
+   */
+  createBackup(password) {
+    const walletData = this.collectWalletData();
+    const file = {
+      type: BACKUP_FILE_TYPE,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      storeVersion: LOCAL_STORE.getStorageVersion(),
+      walletVersion: VERSION,
+      createdAt: Math.floor(Date.now() / 1000),
+      data: cryptoUtils.encryptData(JSON.stringify(walletData), password),
+    };
+    return JSON.stringify(file);
+  },
+
+  /**
+   * Parse and decrypt the contents of a backup file
+   *
+   * @param {string} contents Backup file contents
+   * @param {string} password Password used to encrypt the backup
+   *
+   * @return {{ storeVersion: number, walletData: Object }}
+   * @throws {BackupError} When the file is not a valid backup or the password is wrong
+   *
+   * @memberof Backup
+   * @inner
+   */
+  readBackup(contents, password) {
+    let file;
+    try {
+      file = JSON.parse(contents);
+    } catch (e) {
+      throw new BackupError(t`This file is not a wallet backup.`);
+    }
+
+    if (!file || file.type !== BACKUP_FILE_TYPE || !file.data) {
+      throw new BackupError(t`This file is not a wallet backup.`);
+    }
+
+    if (file.formatVersion > BACKUP_FORMAT_VERSION) {
+      throw new BackupError(t`This backup was created by a newer version of the wallet (${file.walletVersion}). Please update your wallet to restore it.`);
+    }
+
+    if (!file.storeVersion || file.storeVersion > LOCAL_STORE.version) {
+      throw new BackupError(t`This backup was created by a newer version of the wallet (${file.walletVersion}). Please update your wallet to restore it.`);
+    }
+
+    let walletData;
+    try {
+      walletData = JSON.parse(cryptoUtils.decryptData(file.data, password));
+    } catch (e) {
+      if (e instanceof hathorErrors.InvalidPasswdError) {
+        throw new BackupError(t`Invalid password`);
+      }
+      throw new BackupError(t`Unable to decrypt the backup, the file may be corrupted.`);
+    }
+
+    if (!walletData.accessData) {
+      throw new BackupError(t`This backup has no wallet data.`);
+    }
+
+    return { storeVersion: file.storeVersion, walletData };
+  },
+
+  /**
+   * Save the backup data as the wallet of the current profile.
+   * The wallet is left locked, it will be started when the user unlocks it with the PIN.
+   *
+   * @param {{ storeVersion: number, walletData: Object }} backupData Data from `readBackup`
+   *
+   * @memberof Backup
+   * @inner
+   */
+  restoreBackup({ storeVersion, walletData }) {
+    LOCAL_STORE.setItem(ACCESS_DATA_KEY, walletData.accessData);
+    LOCAL_STORE.setItem(STORE_VERSION_KEY, storeVersion);
+    LOCAL_STORE.setHardwareWallet(!!walletData.isHardware);
+    LOCAL_STORE.setWatchOnlyWallet(!!walletData.isWatchOnly);
+    LOCAL_STORE.setItem(REGISTERED_TOKENS_KEY, walletData.registeredTokens || {});
+    LOCAL_STORE.setTokenSignatures(walletData.tokenSignatures || {});
+    // Replaces the tokens of the wallet that was on this profile before
+    for (const tokenUid of walletUtils.listTokensAlwaysShow()) {
+      walletUtils.setTokenAlwaysShow(tokenUid, false);
+    }
+    for (const tokenUid of walletData.alwaysShowTokens || []) {
+      walletUtils.setTokenAlwaysShow(tokenUid, true);
+    }
+    walletUtils.setListenedProposals(walletData.atomicProposals || {});
+    walletUtils.setOfflineProposals(walletData.atomicOfflineProposals || {});
+    walletUtils.setProposalsHistory(walletData.atomicProposalsHistory || {});
+    LOCAL_STORE.setItem(ADDRESS_BOOK_KEY, walletData.addressBook || {});
+    LOCAL_STORE.setItem(TX_NOTES_KEY, walletData.txNotes || {});
+    LOCAL_STORE.setItem(ADDRESS_LABELS_KEY, walletData.addressLabels || {});
+    LOCAL_STORE.setItem(SCHEDULED_PAYMENTS_KEY, walletData.scheduledPayments || {});
+    LOCAL_STORE.setItem(MULTISIG_TXS_KEY, walletData.multisigTxs || {});
+
+    if (walletData.network) {
+      LOCAL_STORE.setNetwork(walletData.network);
+    }
+    if (walletData.server) {
+      LOCAL_STORE.setServers(walletData.server, walletData.wsServer);
+    }
+    if (walletData.miningServer) {
+      LOCAL_STORE.setMiningServer(walletData.miningServer);
+    } else {
+      LOCAL_STORE.resetMiningServer();
+    }
+    // Backups without the settings were created with the defaults of the lib
+    if (walletData.derivationSettings) {
+      LOCAL_STORE.setDerivationSettings(walletData.derivationSettings);
+    } else {
+      LOCAL_STORE.removeItem(DERIVATION_SETTINGS_KEY);
+    }
+    if (walletData.isBackupDone) {
+      LOCAL_STORE.markBackupDone();
+    }
+
+    LOCAL_STORE.lock();
+  },
+};
+
+export default backup;
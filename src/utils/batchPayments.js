@@ -0,0 +1,264 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import { t } from 'ttag';
+import helpers from './helpers';
+import walletUtils from './wallet';
+import addressBook from './addressBook';
+
+/**
+ * Columns of the batch payments CSV, in order. The timelock is optional.
+ */
+export const BATCH_CSV_HEADER = ['address', 'amount', 'token', 'timelock'];
+
+/**
+ * @typedef {Object} BatchPayment
+ * @property {number} line Line of the CSV file, used on the errors and the preview
+ * @property {string} address Destination address
+ * @property {number} value Amount as an integer
+ * @property {string} token Token uid
+ * @property {number} [timelock] Timestamp in seconds until the output is locked
+ */
+
+/**
+ * @typedef {Object} BatchTransaction
+ * @property {{address: string, value: number, token: string, timelock?: number}[]} outputs
+ * @property {string[]} tokens Uids of the tokens of the transaction, in order of appearance
+ * @property {number[]} lines CSV lines paid by this transaction
+ */
+
+/**
+ * Methods to pay many outputs imported from a CSV file
+ *
+ * @namespace BatchPayments
+ */
+const batchPayments = {
+  /**
+   * Find the registered token of a CSV row, by uid or by symbol
+   *
+   * @param {string} value Token uid or symbol, empty for HTR
+   * @param {{uid: string, symbol: string}[]} tokens Registered tokens
+   *
+   * @return {{token: Object|null, error: string|null}}
+   *
+   * @memberof BatchPayments
+   * @inner
+   */
+  findToken(value, tokens) {
+    if (!value) {
+      return { token: tokens.find((token) => hathorLib.tokensUtils.isHathorToken(token.uid)), error: null };
+    }
+
+    const byUid = tokens.find((token) => token.uid === value);
+    if (byUid) {
+      return { token: byUid, error: null };
+    }
+
+    const bySymbol = tokens.filter((token) => token.symbol.toLowerCase() === value.toLowerCase());
+    if (bySymbol.length > 1) {
+      return { token: null, error: t`More than one registered token with symbol ${value}, use the token uid` };
+    }
+    if (bySymbol.length === 0) {
+      return { token: null, error: t`Token ${value} is not registered in the wallet` };
+    }
+    return { token: bySymbol[0], error: null };
+  },
+
+  /**
+   * Convert the amount of a CSV row to an integer, validating the decimal places of the token
+   *
+   * @param {string} value Amount with a dot as decimal separator
+   * @param {boolean} isNFT NFTs have no decimal places
+   *
+   * @return {number|null} The integer amount or null if invalid
+   *
+   * @memberof BatchPayments
+   * @inner
+   */
+  parseAmount(value, isNFT) {
+    const decimalPlaces = isNFT ? 0 : hathorLib.constants.DECIMAL_PLACES;
+    const pattern = decimalPlaces === 0 ? /^\d+$/ : new RegExp(`^\\d+(\\.\\d{1,${decimalPlaces}})?$`);
+    if (!pattern.test(value)) {
+      return null;
+    }
+    const amount = isNFT ? parseInt(value, 10) : walletUtils.decimalToInteger(value);
+    if (amount <= 0 || amount > hathorLib.constants.MAX_OUTPUT_VALUE) {
+      return null;
+    }
+    return amount;
+  },
+
+  /**
+   * Convert the timelock of a CSV row to a timestamp.
+   * It may be a timestamp in seconds or a date, like 2024-12-31T23:59.
+   *
+   * @param {string} value
+   *
+   * @return {number|null} Timestamp in seconds or null if invalid
+   *
+   * @memberof BatchPayments
+   * @inner
+   */
+  parseTimelock(value) {
+    if (/^\d+$/.test(value)) {
+      return parseInt(value, 10);
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return null;
+    }
+    return hathorLib.dateFormatter.dateToTimestamp(date);
+  },
+
+  /**
+   * Parse and validate the rows of a batch payments CSV.
+   * The header line is optional. Each invalid row gets its own error message.
+   *
+   * @param {string} text CSV text with the columns address,amount,token[,timelock]
+   * @param {Object} options
+   * @param {{uid: string, symbol: string}[]} options.tokens Registered tokens
+   * @param {Object} options.tokenMetadata Metadata of the tokens, used to identify NFTs
+   * @param {boolean} options.allowTimelock If outputs may have a timelock
+   * @param {boolean} options.allowCustomTokens If tokens other than HTR may be sent
+   *
+   * @return {{payments: BatchPayment[], errors: {line: number, message: string}[]}}
+   *
+   * @memberof BatchPayments
+   * @inner
+   */
+  parseCsv(text, { tokens, tokenMetadata, allowTimelock, allowCustomTokens }) {
+    const rows = helpers.parseCsv(text);
+    const payments = [];
+    const errors = [];
+
+    const hasHeader = rows.length > 0 && rows[0][0].trim().toLowerCase() === BATCH_CSV_HEADER[0];
+    if (hasHeader) {
+      rows.shift();
+    }
+
+    rows.forEach((row, index) => {
+      const line = index + (hasHeader ? 2 : 1);
+      const addError = (message) => errors.push({ line, message });
+      const [address = '', amount = '', tokenValue = '', timelockValue = ''] = row.map((value) => value.trim());
+
+      if (!walletUtils.validateAddress(address)) {
+        addError(t`Invalid address: ${address}`);
+        return;
+      }
+
+      const { token, error } = this.findToken(tokenValue, tokens);
+      if (error) {
+        addError(error);
+        return;
+      }
+      if (!allowCustomTokens && !hathorLib.tokensUtils.isHathorToken(token.uid)) {
+        addError(t`Custom tokens are not supported by the Hathor app version on your Ledger device`);
+        return;
+      }
+
+      const isNFT = helpers.isTokenNFT(token.uid, tokenMetadata);
+      const value = this.parseAmount(amount.replace(/,/g, ''), isNFT);
+      if (value === null) {
+        const maxValue = helpers.renderValue(hathorLib.constants.MAX_OUTPUT_VALUE, isNFT);
+        addError(isNFT
+          ? t`Invalid amount ${amount}, ${token.symbol} is an NFT and must be an integer up to ${maxValue}`
+          : t`Invalid amount ${amount}, it must be greater than zero and up to ${maxValue}`);
+        return;
+      }
+
+      if (!addressBook.isTokenAllowed(address, token.uid)) {
+        const contact = addressBook.getContact(address);
+        addError(t`The contact ${contact.name} only receives another token`);
+        return;
+      }
+
+      const payment = { line, address, value, token: token.uid };
+      if (timelockValue) {
+        if (!allowTimelock) {
+          addError(t`Timelock is not supported on hardware wallets`);
+          return;
+        }
+        const timelock = this.parseTimelock(timelockValue);
+        if (timelock === null) {
+          addError(t`Invalid timelock: ${timelockValue}`);
+          return;
+        }
+        payment.timelock = timelock;
+      }
+      payments.push(payment);
+    });
+
+    if (rows.length === 0) {
+      errors.push({ line: 1, message: t`The file has no payments` });
+    }
+
+    return { payments, errors };
+  },
+
+  /**
+   * Group the payments in as few transactions as possible.
+   * Each transaction must have room for one change output per token
+   * and, on Ledger, a limited number of custom tokens.
+   *
+   * @param {BatchPayment[]} payments
+   * @param {Object} [options]
+   * @param {number|null} [options.maxCustomTokens] Maximum custom tokens per transaction, null for no limit
+   *
+   * @return {BatchTransaction[]}
+   *
+   * @memberof BatchPayments
+   * @inner
+   */
+  splitTransactions(payments, { maxCustomTokens = null } = {}) {
+    const transactions = [];
+    let current = null;
+
+    for (const payment of payments) {
+      const tokens = current && current.tokens.includes(payment.token)
+        ? current.tokens
+        : [...(current ? current.tokens : []), payment.token];
+      const customTokens = tokens.filter((uid) => !hathorLib.tokensUtils.isHathorToken(uid));
+      const fits = current !== null
+        && current.outputs.length + 1 + tokens.length <= hathorLib.constants.MAX_OUTPUTS
+        && (maxCustomTokens === null || customTokens.length <= maxCustomTokens);
+
+      if (!fits) {
+        current = { outputs: [], tokens: [payment.token], lines: [] };
+        transactions.push(current);
+      } else {
+        current.tokens = tokens;
+      }
+
+      const { line, ...output } = payment;
+      current.outputs.push(output);
+      current.lines.push(line);
+    }
+
+    return transactions;
+  },
+
+  /**
+   * Sum the amounts of a transaction per token
+   *
+   * @param {BatchTransaction} transaction
+   *
+   * @return {Record<string, number>} Total amount indexed by token uid
+   *
+   * @memberof BatchPayments
+   * @inner
+   */
+  getTotals(transaction) {
+    const totals = {};
+    for (const output of transaction.outputs) {
+      totals[output.token] = (totals[output.token] || 0) + output.value;
+    }
+    return totals;
+  },
+};
+
+export default batchPayments;
@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { t } from 'ttag';
+
+/**
+ * Limits of the derivation settings. Each address in the gap is fetched from the full node when the wallet loads,
+ * so a bigger gap limit makes it slower. The account index is hardened, so it must be below 2^31.
+ */
+export const MAX_GAP_LIMIT = 1000;
+export const MAX_ACCOUNT_INDEX = 2 ** 31 - 1;
+
+/**
+ * Error thrown when the derivation settings are invalid, the message can be shown to the user
+ */
+export class DerivationSettingsError extends Error {}
+
+/**
+ * Methods to handle the settings used to derive the addresses of the wallet, which are
+ * saved on localStorage by `LOCAL_STORE.setDerivationSettings`.
+ *
+ * @namespace Derivation
+ */
+const derivation = {
+  /**
+   * Parse the settings written by the user
+   *
+   * @param {string} gapLimit
+   * @param {string} accountIndex
+   *
+   * @return {{gapLimit: number, accountIndex: number}}
+   *
+   * @throws {DerivationSettingsError} If any of them is not valid
+   *
+   * @memberof Derivation
+   * @inner
+   */
+  parse(gapLimit, accountIndex) {
+    const parsedGapLimit = Number(gapLimit);
+    if (!Number.isInteger(parsedGapLimit) || parsedGapLimit < 1 || parsedGapLimit > MAX_GAP_LIMIT) {
+      throw new DerivationSettingsError(t`The gap limit must be a number from 1 to ${MAX_GAP_LIMIT}.`);
+    }
+
+    const parsedAccountIndex = Number(accountIndex);
+    if (!Number.isInteger(parsedAccountIndex) || parsedAccountIndex < 0 || parsedAccountIndex > MAX_ACCOUNT_INDEX) {
+      throw new DerivationSettingsError(t`Invalid account index.`);
+    }
+
+    return { gapLimit: parsedGapLimit, accountIndex: parsedAccountIndex };
+  },
+};
+
+export default derivation;
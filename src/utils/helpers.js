@@ -10,7 +10,7 @@ import hathorLib from '@hathor/wallet-lib';
 import { get } from 'lodash';
 import store from '../store/index';
 import { networkUpdate, setMiningServer } from '../actions/index';
-import { EXPLORER_BASE_URL, TESTNET_EXPLORER_BASE_URL } from '../constants';
+import { EXPLORER_BASE_URL, TESTNET_EXPLORER_BASE_URL, TX_DIRECTION } from '../constants';
 import LOCAL_STORE from '../storage';
 
 let shell = null;
@@ -231,6 +231,8 @@ const helpers = {
    * @property {boolean} is_voided
    * @property {number} version
    * @property {boolean} isAllAuthority
+   * @property {string|null} first_block
+   * @property {string[]} outputAddresses Addresses that received the token on the tx
    */
 
   /**
@@ -240,6 +242,7 @@ const helpers = {
    * @property {number} timestamp
    * @property {boolean} voided
    * @property {number} version
+   * @property {string} [firstBlock]
    */
 
   /**
@@ -276,11 +279,13 @@ const helpers = {
   async mapTxHistoryToRedux(wallet, tx, tokenUid) {
 
     let isAllAuthority = false;
+    let outputAddresses = [];
     try {
       // tx comes from getTxHistory and does not have token_data
       // We need the actual history tx to access if it is an authority tx
       const histTx = await wallet.getTx(tx.txId);
       const isAllAuthority = this.isAllAuthority(histTx);
+      outputAddresses = this.getOutputAddresses(histTx, tokenUid);
     } catch (err) {
       // wallet-service facade does not implement getTx yet
       // This will create a way to safely ignore the isAllAuthority if we cannot get the tx
@@ -299,9 +304,29 @@ const helpers = {
       is_voided: Boolean(tx.voided),
       version: tx.version,
       isAllAuthority,
+      first_block: tx.firstBlock || null,
+      outputAddresses,
     };
   },
 
+  /**
+   * Get the addresses that received a token on a transaction
+   *
+   * @param {Object} tx Transaction with decoded outputs
+   * @param {string} tokenUid Token uid
+   *
+   * @return {string[]} Addresses without repetition
+   *
+   * @memberof helpers
+   * @inner
+   */
+  getOutputAddresses(tx, tokenUid) {
+    const addresses = tx.outputs
+      .filter((output) => output.token === tokenUid && output.decoded && output.decoded.address)
+      .map((output) => output.decoded.address);
+    return [...new Set(addresses)];
+  },
+
   /**
    * Map token history to a list of the expected format in the wallet redux
    *
@@ -318,6 +343,116 @@ const helpers = {
     return mappedHistory;
   },
 
+  /**
+   * Get the direction of a transaction on the history of a token
+   *
+   * @param {ReduxTxHistory} tx Transaction on the token history
+   *
+   * @return {string|null} One of `TX_DIRECTION` or null if the tx doesn't change the token balance
+   *
+   * @memberof helpers
+   * @inner
+   */
+  getTxDirection(tx) {
+    const isCreateToken = tx.version === hathorLib.constants.CREATE_TOKEN_TX_VERSION;
+    if (tx.balance > 0) {
+      return isCreateToken ? TX_DIRECTION.TOKEN_CREATION : TX_DIRECTION.RECEIVED;
+    }
+    if (tx.balance < 0) {
+      return isCreateToken ? TX_DIRECTION.TOKEN_DEPOSIT : TX_DIRECTION.SENT;
+    }
+    return tx.isAllAuthority ? TX_DIRECTION.AUTHORITY : null;
+  },
+
+  /**
+   * @typedef {Object} TokenHistoryFilter
+   * @property {number|null} startTimestamp Only txs at or after this timestamp
+   * @property {number|null} endTimestamp Only txs before this timestamp
+   * @property {string|null} direction One of `TX_DIRECTION`
+   * @property {number|null} minAmount Minimum absolute balance of the tx, as an integer
+   * @property {number|null} maxAmount Maximum absolute balance of the tx, as an integer
+   * @property {string} voided 'all', 'valid' or 'voided'
+   * @property {string} txIdPrefix Only txs with an id starting with this text
+   * @property {string} tag Only txs with this tag on their notes
+   */
+
+  /**
+   * Check if the filter of a token history would hide any transaction
+   *
+   * @param {TokenHistoryFilter|null} filter
+   *
+   * @return {boolean}
+   *
+   * @memberof helpers
+   * @inner
+   */
+  isHistoryFilterActive(filter) {
+    if (!filter) {
+      return false;
+    }
+    return Boolean(
+      filter.startTimestamp
+      || filter.endTimestamp
+      || filter.direction
+      || filter.minAmount !== null
+      || filter.maxAmount !== null
+      || filter.voided !== 'all'
+      || filter.txIdPrefix
+      || filter.tag
+    );
+  },
+
+  /**
+   * Get the transactions of a token history that match the filter
+   *
+   * @param {ReduxTxHistory[]} history Token history
+   * @param {TokenHistoryFilter|null} filter
+   * @param {Record<string, {note: string, tags: string[]}>} txNotes Notes of the transactions, to filter by tag
+   *
+   * @return {ReduxTxHistory[]}
+   *
+   * @memberof helpers
+   * @inner
+   */
+  filterTokenHistory(history, filter, txNotes) {
+    if (!this.isHistoryFilterActive(filter)) {
+      return history;
+    }
+
+    const txIdPrefix = filter.txIdPrefix.trim().toLowerCase();
+    return history.filter((tx) => {
+      if (filter.startTimestamp && tx.timestamp < filter.startTimestamp) {
+        return false;
+      }
+      if (filter.endTimestamp && tx.timestamp >= filter.endTimestamp) {
+        return false;
+      }
+      if (filter.direction && this.getTxDirection(tx) !== filter.direction) {
+        return false;
+      }
+      const amount = Math.abs(tx.balance);
+      if (filter.minAmount !== null && amount < filter.minAmount) {
+        return false;
+      }
+      if (filter.maxAmount !== null && amount > filter.maxAmount) {
+        return false;
+      }
+      if (filter.voided === 'valid' && tx.is_voided) {
+        return false;
+      }
+      if (filter.voided === 'voided' && !tx.is_voided) {
+        return false;
+      }
+      if (txIdPrefix && !tx.tx_id.startsWith(txIdPrefix)) {
+        return false;
+      }
+      if (filter.tag && !get(txNotes, `${tx.tx_id}.tags`, []).includes(filter.tag)) {
+        return false;
+      }
+      return true;
+    });
+  },
+
   /**
    * Returns the current OS
    *
@@ -381,6 +516,120 @@ const helpers = {
   plural(qty, singleWord, pluralWord) {
     return qty === 1 ? singleWord : pluralWord;
   },
+
+  /**
+   * Convert the value of a date input to a timestamp, at the start of the day in the local time
+   *
+   * @param {string} value Date in the yyyy-mm-dd format
+   * @param {number} [addDays=0] Days to add to the date
+   *
+   * @return {number|null} Timestamp in seconds or null if the date is empty
+   *
+   * @memberof helpers
+   * @inner
+   */
+  dateInputToTimestamp(value, addDays = 0) {
+    if (!value) {
+      return null;
+    }
+    const [year, month, day] = value.split('-').map((part) => parseInt(part, 10));
+    return Math.floor(new Date(year, month - 1, day + addDays).getTime() / 1000);
+  },
+
+  /**
+   * Save a text on a file chosen by the user, triggering the download with a hidden link.
+   *
+   * @param {string} contents File contents
+   * @param {string} fileName Suggested name of the file
+   * @param {string} [type='text/plain'] Mime type of the file
+   *
+   * @memberof helpers
+   * @inner
+   */
+  downloadFile(contents, fileName, type = 'text/plain') {
+    const element = document.createElement('a');
+    const file = new Blob([contents], { type });
+    element.href = URL.createObjectURL(file);
+    element.download = fileName;
+    document.body.appendChild(element);
+    element.click();
+    element.remove();
+  },
+
+  /**
+   * Convert rows of values to a CSV text, quoting the values when needed.
+   *
+   * @param {Array<Array<string|number|null|undefined>>} rows Rows of the CSV, the header included
+   *
+   * @return {string}
+   *
+   * @memberof helpers
+   * @inner
+   */
+  toCsv(rows) {
+    const escape = (value) => {
+      const str = value === null || value === undefined ? '' : String(value);
+      if (/[",\r\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+      }
+      return str;
+    };
+    return rows.map((row) => row.map(escape).join(',')).join('\n');
+  },
+
+  /**
+   * Parse a CSV text, accepting quoted values with commas, quotes and line breaks.
+   * Empty lines are ignored.
+   *
+   * @param {string} text CSV text
+   *
+   * @return {string[][]} Rows of the CSV, the header included
+   *
+   * @memberof helpers
+   * @inner
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    const endRow = () => {
+      row.push(value);
+      // A line with a single empty value is an empty line
+      if (row.length > 1 || row[0] !== '') {
+        rows.push(row);
+      }
+      row = [];
+      value = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(value);
+        value = '';
+      } else if (char === '\n') {
+        endRow();
+      } else if (char !== '\r') {
+        value += char;
+      }
+    }
+    endRow();
+
+    return rows;
+  },
 }
 
 export default helpers;
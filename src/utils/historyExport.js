@@ -0,0 +1,218 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import helpers from './helpers';
+
+/**
+ * Number of transactions requested to the wallet on each history page
+ */
+const EXPORT_PAGE_SIZE = 100;
+
+/**
+ * Columns of the exported history, in order
+ */
+const EXPORT_COLUMNS = [
+  'timestamp',
+  'date',
+  'tx_id',
+  'token_uid',
+  'token_symbol',
+  'direction',
+  'amount',
+  'deposit',
+  'voided',
+  'first_block',
+  'note',
+  'tags',
+];
+
+/**
+ * @typedef {Object} HistoryExportRow
+ * @property {number} timestamp
+ * @property {string} date Date of the transaction in ISO 8601, UTC
+ * @property {string} tx_id
+ * @property {string} token_uid
+ * @property {string} token_symbol
+ * @property {string|null} direction One of `TX_DIRECTION`
+ * @property {string} amount Balance of the token on the tx without the deposit, with the token decimal places
+ * @property {string} deposit HTR deposited by the wallet to create or mint tokens, with the decimal places
+ * @property {boolean} voided
+ * @property {string|null} first_block
+ * @property {string} note
+ * @property {string[]} tags
+ */
+
+/**
+ * Methods to export the transaction history of the wallet for accounting
+ *
+ * @namespace HistoryExport
+ */
+const historyExport = {
+  /**
+   * Fetch the complete history of a token, not only the pages already loaded on redux
+   *
+   * @param {HathorWallet} wallet Wallet instance
+   * @param {string} tokenUid Token uid
+   *
+   * @return {Promise<ReduxTxHistory[]>} History from the newest to the oldest transaction
+   *
+   * @memberof HistoryExport
+   * @inner
+   */
+  async fetchFullHistory(wallet, tokenUid) {
+    const history = [];
+    while (true) {
+      const page = await wallet.getTxHistory({ token_id: tokenUid, skip: history.length, count: EXPORT_PAGE_SIZE });
+      history.push(...await helpers.mapTokenHistory(wallet, page, tokenUid));
+      if (page.length < EXPORT_PAGE_SIZE) {
+        return history;
+      }
+    }
+  },
+
+  /**
+   * Render an amount with the decimal places of the token, without thousands separator
+   *
+   * @param {number} value Amount as an integer
+   * @param {boolean} isNFT NFTs have no decimal places
+   *
+   * @return {string}
+   *
+   * @memberof HistoryExport
+   * @inner
+   */
+  formatAmount(value, isNFT) {
+    const decimalPlaces = isNFT ? 0 : hathorLib.constants.DECIMAL_PLACES;
+    return (value / (10 ** decimalPlaces)).toFixed(decimalPlaces);
+  },
+
+  /**
+   * Get the HTR deposited by a transaction to create or mint tokens,
+   * i.e. the HTR spent by its inputs and not returned on its outputs
+   *
+   * @param {HathorWallet} wallet Wallet instance
+   * @param {ReduxTxHistory} tx Transaction on the HTR history
+   *
+   * @return {Promise<number>}
+   *
+   * @memberof HistoryExport
+   * @inner
+   */
+  async getDeposit(wallet, tx) {
+    let fullTx = null;
+    try {
+      fullTx = await wallet.getTx(tx.tx_id);
+    } catch (err) {
+      // wallet-service facade does not implement getTx yet
+      if (err.message.toLowerCase() !== 'not implemented.') {
+        throw err;
+      }
+    }
+
+    if (!fullTx) {
+      // Without the inputs and outputs only the deposit of a token creation is known
+      const isCreateToken = tx.version === hathorLib.constants.CREATE_TOKEN_TX_VERSION;
+      return isCreateToken ? Math.max(-tx.balance, 0) : 0;
+    }
+
+    const sumHtr = (list) => list
+      .filter((item) => item.token === hathorLib.constants.NATIVE_TOKEN_UID
+        && !hathorLib.transactionUtils.isAuthorityOutput(item))
+      .reduce((acc, item) => acc + item.value, 0);
+    return Math.max(sumHtr(fullTx.inputs) - sumHtr(fullTx.outputs), 0);
+  },
+
+  /**
+   * Build the rows of the export, sorted from the newest to the oldest transaction
+   *
+   * @param {HathorWallet} wallet Wallet instance
+   * @param {{uid: string, symbol: string}[]} tokens Tokens to export
+   * @param {Object} options
+   * @param {number|null} options.startTimestamp Only txs at or after this timestamp
+   * @param {number|null} options.endTimestamp Only txs before this timestamp
+   * @param {Object} options.tokenMetadata Metadata of the tokens, used to identify NFTs
+   * @param {Record<string, {note: string, tags: string[]}>} options.txNotes Notes of the transactions
+   *
+   * @return {Promise<HistoryExportRow[]>}
+   *
+   * @memberof HistoryExport
+   * @inner
+   */
+  async buildRows(wallet, tokens, { startTimestamp, endTimestamp, tokenMetadata, txNotes }) {
+    const rows = [];
+    for (const token of tokens) {
+      const isNFT = helpers.isTokenNFT(token.uid, tokenMetadata);
+      const history = await this.fetchFullHistory(wallet, token.uid);
+      for (const tx of history) {
+        if (startTimestamp && tx.timestamp < startTimestamp) {
+          continue;
+        }
+        if (endTimestamp && tx.timestamp >= endTimestamp) {
+          continue;
+        }
+
+        // Only the deposit paid by the wallet, the HTR it spent on the tx
+        let deposit = 0;
+        if (token.uid === hathorLib.constants.NATIVE_TOKEN_UID && tx.balance < 0) {
+          deposit = Math.min(await this.getDeposit(wallet, tx), -tx.balance);
+        }
+
+        const txNote = txNotes[tx.tx_id];
+        rows.push({
+          timestamp: tx.timestamp,
+          date: new Date(tx.timestamp * 1000).toISOString(),
+          tx_id: tx.tx_id,
+          token_uid: token.uid,
+          token_symbol: token.symbol,
+          direction: helpers.getTxDirection(tx),
+          amount: this.formatAmount(tx.balance + deposit, isNFT),
+          deposit: this.formatAmount(deposit, false),
+          voided: tx.is_voided,
+          first_block: tx.first_block,
+          note: txNote ? txNote.note : '',
+          tags: txNote ? txNote.tags : [],
+        });
+      }
+    }
+
+    return rows.sort((a, b) => b.timestamp - a.timestamp);
+  },
+
+  /**
+   * Convert the rows to a CSV text, the tags are separated by semicolon
+   *
+   * @param {HistoryExportRow[]} rows
+   *
+   * @return {string}
+   *
+   * @memberof HistoryExport
+   * @inner
+   */
+  toCsv(rows) {
+    const values = rows.map((row) => EXPORT_COLUMNS.map((column) => (
+      column === 'tags' ? row.tags.join(';') : row[column]
+    )));
+    return helpers.toCsv([EXPORT_COLUMNS, ...values]);
+  },
+
+  /**
+   * Convert the rows to a JSON text
+   *
+   * @param {HistoryExportRow[]} rows
+   *
+   * @return {string}
+   *
+   * @memberof HistoryExport
+   * @inner
+   */
+  toJson(rows) {
+    return JSON.stringify(rows, null, 2);
+  },
+};
+
+export default historyExport;
@@ -0,0 +1,438 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { t } from 'ttag';
+import { get } from 'lodash';
+import { crypto, HDPublicKey } from 'bitcore-lib';
+import hathorLib, { P2SHSignature } from '@hathor/wallet-lib';
+import LOCAL_STORE from '../storage';
+
+/**
+ * localStorage key of the transactions waiting for signatures, each wallet profile has its own
+ */
+export const MULTISIG_TXS_KEY = 'wallet:multisig_txs';
+
+/**
+ * Limits of a multisig redeem script accepted by the full node
+ */
+export const MAX_MULTISIG_PUBKEYS = 20;
+export const MAX_MULTISIG_SIGNATURES = 15;
+
+/**
+ * Prefix of the serialized multisig transactions, so they are not mistaken by an atomic swap proposal
+ */
+const PROPOSAL_PREFIX = 'MultisigTx';
+
+/**
+ * Error thrown when the multisig data is invalid, the message can be shown to the user
+ */
+export class MultisigError extends Error {}
+
+/**
+ * @typedef {Object} MultisigTx
+ * @property {string} txHex Unsigned transaction hex
+ * @property {string[]} signatures Serialized `P2SHSignature` of each participant that signed
+ * @property {number} createdAt Timestamp of when it was created or first imported, in seconds
+ * @property {number|null} [rejectedAt] Timestamp of when this participant refused to sign it, in seconds
+ */
+
+/**
+ * Methods to create a multisig (P2SH) wallet and to collect the signatures of its participants.
+ *
+ * A transaction of the multisig wallet is exchanged between the participants as a string with
+ * the unsigned transaction hex and the signatures collected so far, each one a serialized `P2SHSignature`.
+ * The transactions waiting for signatures are kept on localStorage, so they survive a restart.
+ *
+ * @namespace Multisig
+ */
+const multisig = {
+  /**
+   * Get the xpub that a participant shares with the others to create the multisig wallet
+   *
+   * @param {string} words Words of the participant wallet
+   * @param {string} networkName
+   *
+   * @return {string} The xpub on the multisig account path
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  getParticipantXpub(words, networkName) {
+    return hathorLib.walletUtils.getMultiSigXPubFromWords(words, { networkName });
+  },
+
+  /**
+   * Get the pubkey that identifies a participant on its signatures
+   *
+   * @param {string} xpub Multisig xpub of the participant
+   *
+   * @return {string}
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  getParticipantPubkey(xpub) {
+    return hathorLib.walletUtils.getPublicKeyFromXpub(xpub).toString();
+  },
+
+  /**
+   * Validate the participants of a multisig wallet
+   *
+   * @param {string[]} pubkeys Multisig xpubs of all participants, this wallet included
+   * @param {number} numSignatures Signatures required to send a transaction
+   * @param {string} ownXpub Multisig xpub of this wallet
+   *
+   * @throws {MultisigError} If the configuration is not valid
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  validateConfig(pubkeys, numSignatures, ownXpub) {
+    for (const pubkey of pubkeys) {
+      if (!hathorLib.walletUtils.isXpubKeyValid(pubkey)) {
+        throw new MultisigError(t`Invalid xpub: ${pubkey}`);
+      }
+    }
+    if (new Set(pubkeys).size !== pubkeys.length) {
+      throw new MultisigError(t`The same xpub was added more than once.`);
+    }
+    if (!pubkeys.includes(ownXpub)) {
+      throw new MultisigError(t`The xpub of this wallet must be one of the participants.`);
+    }
+    if (pubkeys.length < 2 || pubkeys.length > MAX_MULTISIG_PUBKEYS) {
+      throw new MultisigError(t`A multisig wallet must have from 2 to ${MAX_MULTISIG_PUBKEYS} participants.`);
+    }
+    if (!Number.isInteger(numSignatures) || numSignatures < 1
+      || numSignatures > pubkeys.length || numSignatures > MAX_MULTISIG_SIGNATURES) {
+      throw new MultisigError(t`Invalid number of required signatures.`);
+    }
+  },
+
+  /**
+   * Get the id of a multisig transaction, which does not change as the signatures are added
+   *
+   * @param {string} txHex Unsigned transaction hex
+   * @param {Network} network
+   *
+   * @return {string}
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  getTxId(txHex, network) {
+    const tx = hathorLib.helpersUtils.createTxFromHex(txHex, network);
+    return tx.getDataToSignHash().toString('hex');
+  },
+
+  /**
+   * Serialize a multisig transaction to be shared with the other participants
+   *
+   * @param {string} txHex Unsigned transaction hex
+   * @param {string[]} signatures Serialized `P2SHSignature` of each participant that signed
+   *
+   * @return {string}
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  serialize(txHex, signatures) {
+    return [PROPOSAL_PREFIX, txHex, ...signatures].join(';');
+  },
+
+  /**
+   * Parse a multisig transaction shared by another participant
+   *
+   * @param {string} serialized
+   * @param {Network} network
+   *
+   * @return {{txHex: string, signatures: string[]}}
+   *
+   * @throws {MultisigError} If it's not a valid multisig transaction
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  deserialize(serialized, network) {
+    const [prefix, txHex, ...signatures] = serialized.trim().split(';');
+    if (prefix !== PROPOSAL_PREFIX || !txHex) {
+      throw new MultisigError(t`Invalid multisig transaction.`);
+    }
+
+    try {
+      hathorLib.helpersUtils.createTxFromHex(txHex, network);
+      signatures.forEach((signature) => P2SHSignature.deserialize(signature));
+    } catch (e) {
+      throw new MultisigError(t`Invalid multisig transaction.`);
+    }
+    return { txHex, signatures };
+  },
+
+  /**
+   * Get the signatures of the wallet participants that are valid for the transaction,
+   * i.e. each input of this wallet has a signature of the participant key for the input address
+   *
+   * @param {HathorWallet} wallet
+   * @param {string} txHex Unsigned transaction hex
+   * @param {string[]} signatures Serialized `P2SHSignature`
+   *
+   * @return {Promise<string[]>}
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  async getValidSignatures(wallet, txHex, signatures) {
+    const { multisigData } = await wallet.storage.getAccessData();
+    const tx = hathorLib.helpersUtils.createTxFromHex(txHex, wallet.getNetworkObject());
+    const hash = tx.getDataToSignHash();
+
+    // Address index of each input spending an output of this wallet
+    const addressIndexes = new Map();
+    for (const [index, input] of tx.inputs.entries()) {
+      const spentTx = await wallet.getTx(input.hash);
+      const address = get(spentTx, ['outputs', input.index, 'decoded', 'address']);
+      const addressIndex = address ? await wallet.getAddressIndex(address) : null;
+      if (addressIndex !== null && addressIndex !== undefined) {
+        addressIndexes.set(index, addressIndex);
+      }
+    }
+
+    const isValid = (serialized) => {
+      const { pubkey, signatures: inputSignatures } = P2SHSignature.deserialize(serialized);
+      const xpub = multisigData.pubkeys.find((participant) => this.getParticipantPubkey(participant) === pubkey);
+      if (!xpub || addressIndexes.size === 0) {
+        return false;
+      }
+      for (const [index, addressIndex] of addressIndexes) {
+        // Same derivation of the redeem script, from m/45'/280'/0' to m/45'/280'/0'/0/index
+        const inputKey = new HDPublicKey(xpub).deriveChild(0).deriveChild(addressIndex).publicKey;
+        const signature = crypto.Signature.fromDER(Buffer.from(inputSignatures[index], 'hex'));
+        if (!crypto.ECDSA.verify(hash, signature, inputKey)) {
+          return false;
+        }
+      }
+      return true;
+    };
+
+    return signatures.filter((signature) => {
+      try {
+        return isValid(signature);
+      } catch (e) {
+        // Malformed or missing signature of an input
+        return false;
+      }
+    });
+  },
+
+  /**
+   * Get the pubkey of the participants with a valid signature for the transaction
+   *
+   * @param {HathorWallet} wallet
+   * @param {string} txHex Unsigned transaction hex
+   * @param {string[]} signatures Serialized `P2SHSignature`
+   *
+   * @return {Promise<string[]>}
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  async getSigners(wallet, txHex, signatures) {
+    const valid = await this.getValidSignatures(wallet, txHex, signatures);
+    return [...new Set(valid.map((signature) => P2SHSignature.deserialize(signature).pubkey))];
+  },
+
+  /**
+   * Add new signatures to the ones already collected, keeping one valid signature for each participant
+   *
+   * @param {HathorWallet} wallet
+   * @param {string} txHex Unsigned transaction hex
+   * @param {string[]} current
+   * @param {string[]} added
+   *
+   * @return {Promise<string[]>}
+   *
+   * @throws {MultisigError} If an added signature is not valid or not from a participant
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  async mergeSignatures(wallet, txHex, current, added) {
+    const validAdded = await this.getValidSignatures(wallet, txHex, added);
+    if (validAdded.length !== added.length) {
+      throw new MultisigError(t`The transaction has signatures that are not valid or not from a participant of this wallet.`);
+    }
+
+    const signers = new Set();
+    const merged = [];
+    for (const signature of [...await this.getValidSignatures(wallet, txHex, current), ...validAdded]) {
+      const { pubkey } = P2SHSignature.deserialize(signature);
+      if (!signers.has(pubkey)) {
+        signers.add(pubkey);
+        merged.push(signature);
+      }
+    }
+    return merged;
+  },
+
+  /**
+   * Get the transactions waiting for signatures, indexed by id
+   *
+   * @return {Record<string, MultisigTx>}
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  getAll() {
+    return LOCAL_STORE.getItem(MULTISIG_TXS_KEY) || {};
+  },
+
+  /**
+   * Save a transaction waiting for signatures
+   *
+   * @param {string} txId
+   * @param {MultisigTx} data
+   *
+   * @return {Record<string, MultisigTx>} All transactions, after the change
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  save(txId, data) {
+    const txs = this.getAll();
+    txs[txId] = data;
+    LOCAL_STORE.setItem(MULTISIG_TXS_KEY, txs);
+    return txs;
+  },
+
+  /**
+   * Remove a transaction, after it's sent or when the user gives up on it
+   *
+   * @param {string} txId
+   *
+   * @return {Record<string, MultisigTx>} All transactions, after the change
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  remove(txId) {
+    const txs = this.getAll();
+    delete txs[txId];
+    LOCAL_STORE.setItem(MULTISIG_TXS_KEY, txs);
+    return txs;
+  },
+
+  /**
+   * Decode a transaction waiting for signatures to the format of the full node api,
+   * so it can be shown by the `TxData` component
+   *
+   * @param {HathorWallet} wallet
+   * @param {string} txId
+   * @param {string} txHex
+   *
+   * @return {Promise<Object>}
+   *
+   * @throws {MultisigError} If an input is not from this wallet
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  async decodeTx(wallet, txId, txHex) {
+    const network = wallet.getNetworkObject();
+    const tx = hathorLib.helpersUtils.createTxFromHex(txHex, network);
+
+    const tokens = [];
+    for (const uid of tx.tokens) {
+      const token = await wallet.storage.getToken(uid);
+      tokens.push(token || { uid, name: uid, symbol: hathorLib.helpersUtils.getShortHash(uid) });
+    }
+
+    // The token data of the spent outputs refers to the tokens of their own transaction
+    const getTokenData = (token, authorities) => {
+      const index = token === hathorLib.constants.NATIVE_TOKEN_UID ? 0 : tx.tokens.indexOf(token) + 1;
+      return authorities ? index | hathorLib.constants.TOKEN_AUTHORITY_MASK : index;
+    };
+
+    const inputs = [];
+    for (const input of tx.inputs) {
+      const spentTx = await wallet.getTx(input.hash);
+      if (!spentTx) {
+        throw new MultisigError(t`The transaction spends outputs that are not from this wallet.`);
+      }
+      const spent = spentTx.outputs[input.index];
+      const tokenData = getTokenData(spent.token, hathorLib.transactionUtils.isAuthorityOutput(spent));
+      inputs.push({
+        tx_id: input.hash,
+        index: input.index,
+        value: spent.value,
+        token: spent.token,
+        token_data: tokenData,
+        script: spent.script,
+        decoded: { ...spent.decoded, token_data: tokenData },
+      });
+    }
+
+    const outputs = tx.outputs.map((output) => {
+      const script = output.parseScript(network);
+      const decoded = { token_data: output.tokenData };
+      if (script && script.address) {
+        decoded.type = script.getType() === 'p2sh' ? 'MultiSig' : 'P2PKH';
+        decoded.address = script.address.base58;
+        decoded.timelock = script.timelock;
+      }
+      const tokenIndex = hathorLib.tokensUtils.getTokenIndexFromData(output.tokenData);
+      return {
+        value: output.value,
+        token: tokenIndex === 0 ? hathorLib.constants.NATIVE_TOKEN_UID : tx.tokens[tokenIndex - 1],
+        token_data: output.tokenData,
+        script: output.script.toString('base64'),
+        decoded,
+        spent_by: null,
+      };
+    });
+
+    return {
+      hash: txId,
+      version: tx.version,
+      timestamp: tx.timestamp,
+      nonce: tx.nonce,
+      weight: tx.weight,
+      parents: [],
+      tokens,
+      inputs,
+      outputs,
+    };
+  },
+
+  /**
+   * Add the collected signatures to the transaction, so it's ready to be mined and pushed
+   *
+   * @param {HathorWallet} wallet
+   * @param {string} txHex Unsigned transaction hex
+   * @param {string[]} signatures Serialized `P2SHSignature`, at least the number of required signatures
+   * @param {number} numSignatures Signatures required by the wallet
+   *
+   * @return {Promise<Transaction>}
+   *
+   * @throws {MultisigError} If there are not enough valid signatures
+   *
+   * @memberof Multisig
+   * @inner
+   */
+  async assemble(wallet, txHex, signatures, numSignatures) {
+    // The input data must have exactly the number of required signatures, in the order of the pubkeys.
+    // The serialized signatures start with the pubkey, so sorting them keeps this order for any subset.
+    const valid = await this.getValidSignatures(wallet, txHex, signatures);
+    if (valid.length < numSignatures) {
+      throw new MultisigError(t`The transaction does not have enough valid signatures.`);
+    }
+    const chosen = valid.sort().slice(0, numSignatures);
+    const tx = await wallet.assemblePartialTransaction(txHex, chosen);
+    tx.prepareToSend();
+    return tx;
+  },
+};
+
+export default multisig;
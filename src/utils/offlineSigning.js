@@ -0,0 +1,228 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import { get } from 'lodash';
+import { HDPrivateKey } from 'bitcore-lib';
+import hathorLib, { PartialTx, PartialTxInputData } from '@hathor/wallet-lib';
+import txPreview from './txPreview';
+
+/**
+ * How many addresses of the wallet are derived looking for the addresses of the inputs,
+ * since an offline wallet may have never loaded its addresses
+ */
+export const ADDRESS_SCAN_LIMIT = 2000;
+
+/**
+ * Methods to split building, signing and sending a transaction between an online wallet without
+ * private keys and an offline wallet that holds them.
+ *
+ * The unsigned transaction is exchanged as a serialized `PartialTx`, the same format used by atomic swaps,
+ * since it carries the value, token and address of the inputs needed to review it offline.
+ * The signatures are returned as a serialized `PartialTxInputData`.
+ *
+ * @namespace OfflineSigning
+ */
+const offlineSigning = {
+  /**
+   * Serialize a transaction with its inputs and change already chosen, so it can be signed elsewhere
+   *
+   * @param {Object} txData Full tx data, as returned by `SendTransaction.prepareTxData`
+   * @param {Network} network
+   *
+   * @return {string} The serialized `PartialTx`
+   *
+   * @memberof OfflineSigning
+   * @inner
+   */
+  serializeUnsignedTx(txData, network) {
+    const partialTx = new PartialTx(network);
+    for (const input of txData.inputs) {
+      partialTx.addInput(input.txId, input.index, input.value, input.address, {
+        token: input.token,
+        authorities: input.authorities || 0,
+      });
+    }
+    for (const output of txData.outputs) {
+      const script = hathorLib.transactionUtils.createOutputScript(output, network);
+      partialTx.addOutput(output.value, script, {
+        token: output.token,
+        authorities: output.authorities || 0,
+        isChange: !!output.isChange,
+      });
+    }
+    return partialTx.serialize();
+  },
+
+  /**
+   * Parse an unsigned transaction exported by `serializeUnsignedTx`
+   *
+   * @param {string} serialized
+   * @param {Network} network
+   *
+   * @return {PartialTx}
+   *
+   * @throws {SyntaxError} If it's not a valid serialized `PartialTx`
+   *
+   * @memberof OfflineSigning
+   * @inner
+   */
+  parseUnsignedTx(serialized, network) {
+    const partialTx = PartialTx.deserialize(serialized.trim(), network);
+    if (!partialTx.isComplete()) {
+      throw new SyntaxError('The inputs and outputs of the transaction do not balance.');
+    }
+    return partialTx;
+  },
+
+  /**
+   * Find the index of the addresses that are from the wallet, deriving them from the xpub if they
+   * were not loaded in the storage yet
+   *
+   * @param {IStorage} storage
+   * @param {string[]} addresses
+   * @param {Network} network
+   *
+   * @return {Promise<Map<string, number>>} Index of each address that is from the wallet
+   *
+   * @memberof OfflineSigning
+   * @inner
+   */
+  async getAddressIndexes(storage, addresses, network) {
+    const indexes = new Map();
+    const missing = new Set();
+    for (const address of addresses) {
+      const addressInfo = await storage.getAddressInfo(address);
+      if (addressInfo) {
+        indexes.set(address, addressInfo.bip32AddressIndex);
+      } else {
+        missing.add(address);
+      }
+    }
+
+    if (missing.size > 0) {
+      const { xpubkey } = await storage.getAccessData();
+      for (let index = 0; index < ADDRESS_SCAN_LIMIT && missing.size > 0; index++) {
+        const { base58 } = hathorLib.addressUtils.deriveAddressFromXPubP2PKH(xpubkey, index, network.name);
+        if (missing.delete(base58)) {
+          indexes.set(base58, index);
+        }
+      }
+    }
+    return indexes;
+  },
+
+  /**
+   * Build the review of an imported transaction
+   *
+   * @param {PartialTx} partialTx
+   * @param {Map<string, number>} addressIndexes Addresses of the wallet, from `getAddressIndexes`
+   *
+   * @return {Promise<TxPreview>}
+   *
+   * @memberof OfflineSigning
+   * @inner
+   */
+  buildPreview(partialTx, addressIndexes) {
+    // Not using `getTxData`, since it only accepts outputs with an address
+    const inputs = partialTx.inputs.map((input) => input.toData());
+    const outputs = partialTx.outputs.map((output) => {
+      // Sets the decoded script, data outputs don't have an address
+      output.parseScript(partialTx.network);
+      return {
+        address: get(output, 'decodedScript.address.base58', null),
+        data: get(output, 'decodedScript.data', null),
+        value: output.value,
+        token: output.token,
+        timelock: get(output, 'decodedScript.timelock', null),
+        isChange: output.isChange,
+      };
+    });
+    return txPreview.buildPreview({ inputs, outputs }, async (address) => addressIndexes.has(address));
+  },
+
+  /**
+   * Get the addresses of the inputs and outputs of the transaction, skipping the outputs without one
+   *
+   * @param {PartialTx} partialTx
+   *
+   * @return {string[]}
+   *
+   * @memberof OfflineSigning
+   * @inner
+   */
+  getAddresses(partialTx) {
+    const outputAddresses = partialTx.outputs.map((output) => {
+      output.parseScript(partialTx.network);
+      return get(output, 'decodedScript.address.base58', null);
+    });
+    return [
+      ...partialTx.inputs.map((input) => input.address),
+      ...outputAddresses.filter((address) => address !== null),
+    ];
+  },
+
+  /**
+   * Sign the inputs of the transaction that are from the wallet
+   *
+   * @param {PartialTx} partialTx
+   * @param {IStorage} storage
+   * @param {string} pin
+   * @param {Map<string, number>} addressIndexes Addresses of the wallet, from `getAddressIndexes`
+   *
+   * @return {Promise<string>} The serialized `PartialTxInputData` with the signatures
+   *
+   * @memberof OfflineSigning
+   * @inner
+   */
+  async signUnsignedTx(partialTx, storage, pin, addressIndexes) {
+    const xprivkey = new HDPrivateKey(await storage.getMainXPrivKey(pin));
+    const tx = partialTx.getTx();
+    const dataToSignHash = tx.getDataToSignHash();
+    const inputData = new PartialTxInputData(tx.getDataToSign().toString('hex'), tx.inputs.length);
+
+    for (const [index, input] of partialTx.inputs.entries()) {
+      if (!addressIndexes.has(input.address)) {
+        continue;
+      }
+      const xpriv = xprivkey.deriveNonCompliantChild(addressIndexes.get(input.address));
+      const signature = hathorLib.transactionUtils.getSignature(dataToSignHash, xpriv.privateKey);
+      inputData.addData(index, hathorLib.transactionUtils.createInputData(signature, xpriv.publicKey.toDER()));
+    }
+    return inputData.serialize();
+  },
+
+  /**
+   * Add the signatures to the transaction, so it's ready to be mined and pushed
+   *
+   * @param {PartialTx} partialTx
+   * @param {string} serializedSignatures Serialized `PartialTxInputData`
+   *
+   * @return {Transaction}
+   *
+   * @throws {SyntaxError} If the signatures are invalid or from another transaction
+   * @throws {Error} If an input was not signed
+   *
+   * @memberof OfflineSigning
+   * @inner
+   */
+  assembleSignedTx(partialTx, serializedSignatures) {
+    const tx = partialTx.getTx();
+    const inputData = new PartialTxInputData(tx.getDataToSign().toString('hex'), tx.inputs.length);
+    inputData.addSignatures(serializedSignatures.trim());
+    if (!inputData.isComplete()) {
+      throw new Error('Some inputs of the transaction are not signed.');
+    }
+
+    for (const [index, input] of tx.inputs.entries()) {
+      input.setData(inputData.data[index]);
+    }
+    tx.prepareToSend();
+    return tx;
+  },
+};
+
+export default offlineSigning;
@@ -0,0 +1,94 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import walletUtils from './wallet';
+
+/**
+ * Scheme of the payment request URIs, the same used on the address QR code.
+ * The desktop app is registered as the handler of this scheme.
+ */
+export const PAYMENT_URI_SCHEME = 'hathor';
+
+/**
+ * @typedef {Object} PaymentRequest
+ * @property {string} address Address that receives the payment
+ * @property {string} tokenUid Token of the payment, HTR when not informed
+ * @property {string|null} amount Amount with the token decimal places, as typed by the requester
+ * @property {string} memo Description of the payment
+ */
+
+/**
+ * Methods to build and read payment request URIs, like
+ * hathor:<address>?token=<uid>&amount=<amount>&memo=<memo>
+ *
+ * @namespace PaymentRequest
+ */
+const paymentRequest = {
+  /**
+   * Build the URI of a payment request. Empty fields are not added to the URI.
+   *
+   * @param {Object} request
+   * @param {string} request.address
+   * @param {string} [request.tokenUid] Token uid, omitted for HTR
+   * @param {string} [request.amount] Amount with a dot as decimal separator
+   * @param {string} [request.memo]
+   *
+   * @return {string}
+   *
+   * @memberof PaymentRequest
+   * @inner
+   */
+  buildUri({ address, tokenUid, amount, memo }) {
+    const params = new URLSearchParams();
+    if (tokenUid && !hathorLib.tokensUtils.isHathorToken(tokenUid)) {
+      params.set('token', tokenUid);
+    }
+    if (amount) {
+      params.set('amount', amount);
+    }
+    if (memo) {
+      params.set('memo', memo);
+    }
+    const query = params.toString();
+    return `${PAYMENT_URI_SCHEME}:${address}${query ? `?${query}` : ''}`;
+  },
+
+  /**
+   * Read a payment request URI. The address is validated on the network the wallet is connected to.
+   *
+   * @param {string} uri
+   *
+   * @return {PaymentRequest|null} The payment request or null if the URI is invalid
+   *
+   * @memberof PaymentRequest
+   * @inner
+   */
+  parseUri(uri) {
+    const prefix = `${PAYMENT_URI_SCHEME}:`;
+    if (typeof uri !== 'string' || !uri.toLowerCase().startsWith(prefix)) {
+      return null;
+    }
+
+    // Some systems open the URI as hathor://<address>/
+    const [path, query = ''] = uri.substring(prefix.length).split('?');
+    const address = path.replace(/^\/\//, '').replace(/\/$/, '');
+    if (!walletUtils.validateAddress(address)) {
+      return null;
+    }
+
+    const params = new URLSearchParams(query);
+    return {
+      address,
+      tokenUid: params.get('token') || hathorLib.constants.NATIVE_TOKEN_UID,
+      amount: params.get('amount'),
+      memo: params.get('memo') || '',
+    };
+  },
+};
+
+export default paymentRequest;
@@ -0,0 +1,244 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import LOCAL_STORE from '../storage';
+import { SCHEDULE_FREQUENCY, SCHEDULED_PAYMENT_STATUS } from '../constants';
+
+/**
+ * localStorage key of the scheduled payments, each wallet profile has its own
+ */
+export const SCHEDULED_PAYMENTS_KEY = 'wallet:scheduled_payments';
+
+/**
+ * Seconds to wait before asking again for a payment that was postponed or failed
+ */
+export const RETRY_INTERVAL = 15 * 60;
+
+/**
+ * Number of outcomes kept on each scheduled payment
+ */
+const MAX_OUTCOMES = 10;
+
+/**
+ * @typedef {Object} ScheduledPaymentOutcome
+ * @property {number} timestamp When the attempt happened
+ * @property {number} scheduledTimestamp Occurrence of the payment this attempt refers to
+ * @property {string} status One of `SCHEDULED_PAYMENT_STATUS`
+ * @property {string|null} txId Id of the transaction sent
+ * @property {string|null} error Error message of a failed attempt
+ */
+
+/**
+ * @typedef {Object} ScheduledPayment
+ * @property {string} id
+ * @property {string} name Description given by the user, like "Payroll"
+ * @property {{address: string, value: number, token: string}[]} outputs
+ * @property {string} frequency One of `SCHEDULE_FREQUENCY`
+ * @property {number} startTimestamp First occurrence of the payment
+ * @property {number|null} nextTimestamp Next occurrence, null when there are no more occurrences
+ * @property {number|null} retryAt Timestamp to ask again after a postponed or failed attempt
+ * @property {boolean} enabled
+ * @property {ScheduledPaymentOutcome[]} outcomes Last attempts, from the newest to the oldest
+ */
+
+/**
+ * Methods to manage payments sent periodically or at a set time.
+ * The payments are sent by the scheduler saga while the wallet is unlocked.
+ *
+ * @namespace ScheduledPayments
+ */
+const scheduledPayments = {
+  /**
+   * Get all scheduled payments, indexed by id
+   *
+   * @return {Record<string, ScheduledPayment>}
+   *
+   * @memberof ScheduledPayments
+   * @inner
+   */
+  getAll() {
+    return LOCAL_STORE.getItem(SCHEDULED_PAYMENTS_KEY) || {};
+  },
+
+  /**
+   * Persist the scheduled payments
+   *
+   * @param {Record<string, ScheduledPayment>} paymentsMap
+   *
+   * @return {Record<string, ScheduledPayment>} The same map, to be dispatched to redux
+   *
+   * @memberof ScheduledPayments
+   * @inner
+   */
+  saveAll(paymentsMap) {
+    LOCAL_STORE.setItem(SCHEDULED_PAYMENTS_KEY, paymentsMap);
+    return paymentsMap;
+  },
+
+  /**
+   * Add a new scheduled payment
+   *
+   * @param {Object} payment
+   * @param {string} payment.name
+   * @param {{address: string, value: number, token: string}[]} payment.outputs
+   * @param {string} payment.frequency One of `SCHEDULE_FREQUENCY`
+   * @param {number} payment.startTimestamp First occurrence of the payment
+   *
+   * @return {Record<string, ScheduledPayment>} All scheduled payments, after the change
+   *
+   * @memberof ScheduledPayments
+   * @inner
+   */
+  addPayment({ name, outputs, frequency, startTimestamp }) {
+    const paymentsMap = this.getAll();
+    const id = Date.now().toString(36) + Math.random().toString(36).substring(2);
+    paymentsMap[id] = {
+      id,
+      name: name.trim(),
+      outputs,
+      frequency,
+      startTimestamp,
+      nextTimestamp: startTimestamp,
+      retryAt: null,
+      enabled: true,
+      outcomes: [],
+    };
+    return this.saveAll(paymentsMap);
+  },
+
+  /**
+   * Remove a scheduled payment
+   *
+   * @param {string} id
+   *
+   * @return {Record<string, ScheduledPayment>} All scheduled payments, after the change
+   *
+   * @memberof ScheduledPayments
+   * @inner
+   */
+  removePayment(id) {
+    const paymentsMap = this.getAll();
+    delete paymentsMap[id];
+    return this.saveAll(paymentsMap);
+  },
+
+  /**
+   * Pause or resume a scheduled payment
+   *
+   * @param {string} id
+   * @param {boolean} enabled
+   *
+   * @return {Record<string, ScheduledPayment>} All scheduled payments, after the change
+   *
+   * @memberof ScheduledPayments
+   * @inner
+   */
+  setEnabled(id, enabled) {
+    const paymentsMap = this.getAll();
+    if (paymentsMap[id]) {
+      paymentsMap[id].enabled = enabled;
+    }
+    return this.saveAll(paymentsMap);
+  },
+
+  /**
+   * Get the occurrence after a given one.
+   * Monthly payments keep the day of the month of the first occurrence, or the last day of shorter months.
+   *
+   * @param {ScheduledPayment} payment
+   * @param {number} timestamp Current occurrence
+   *
+   * @return {number|null} Next occurrence or null for payments sent only once
+   *
+   * @memberof ScheduledPayments
+   * @inner
+   */
+  getNextOccurrence(payment, timestamp) {
+    const date = new Date(timestamp * 1000);
+    switch (payment.frequency) {
+      case SCHEDULE_FREQUENCY.WEEKLY:
+        date.setDate(date.getDate() + 7);
+        break;
+      case SCHEDULE_FREQUENCY.MONTHLY: {
+        const day = new Date(payment.startTimestamp * 1000).getDate();
+        date.setDate(1);
+        date.setMonth(date.getMonth() + 1);
+        const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        date.setDate(Math.min(day, lastDay));
+        break;
+      }
+      default:
+        return null;
+    }
+    return Math.floor(date.getTime() / 1000);
+  },
+
+  /**
+   * Get the enabled payments that must be sent now
+   *
+   * @param {number} now Current timestamp in seconds
+   *
+   * @return {ScheduledPayment[]} Due payments, the oldest occurrence first
+   *
+   * @memberof ScheduledPayments
+   * @inner
+   */
+  listDue(now) {
+    return Object.values(this.getAll())
+      .filter((payment) => payment.enabled
+        && payment.nextTimestamp !== null
+        && payment.nextTimestamp <= now
+        && (!payment.retryAt || payment.retryAt <= now))
+      .sort((a, b) => a.nextTimestamp - b.nextTimestamp);
+  },
+
+  /**
+   * Record the outcome of an attempt to send a payment and schedule the next one.
+   * A sent payment moves to its next occurrence after now, so occurrences missed while
+   * the wallet was closed are not paid all at once. Otherwise it is retried later.
+   *
+   * @param {string} id
+   * @param {{status: string, txId?: string, error?: string}} outcome
+   * @param {number} now Current timestamp in seconds
+   *
+   * @return {Record<string, ScheduledPayment>} All scheduled payments, after the change
+   *
+   * @memberof ScheduledPayments
+   * @inner
+   */
+  recordOutcome(id, { status, txId = null, error = null }, now) {
+    const paymentsMap = this.getAll();
+    const payment = paymentsMap[id];
+    if (!payment) {
+      // The payment was removed while it was being sent
+      return paymentsMap;
+    }
+
+    payment.outcomes = [
+      { timestamp: now, scheduledTimestamp: payment.nextTimestamp, status, txId, error },
+      ...payment.outcomes,
+    ].slice(0, MAX_OUTCOMES);
+
+    if (status === SCHEDULED_PAYMENT_STATUS.SENT) {
+      let next = this.getNextOccurrence(payment, payment.nextTimestamp);
+      while (next !== null && next <= now) {
+        next = this.getNextOccurrence(payment, next);
+      }
+      payment.nextTimestamp = next;
+      payment.retryAt = null;
+      if (next === null) {
+        payment.enabled = false;
+      }
+    } else {
+      payment.retryAt = now + RETRY_INTERVAL;
+    }
+
+    return this.saveAll(paymentsMap);
+  },
+};
+
+export default scheduledPayments;
@@ -0,0 +1,98 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import LOCAL_STORE from '../storage';
+
+/**
+ * localStorage key of the transaction notes, each wallet profile has its own
+ */
+export const TX_NOTES_KEY = 'wallet:tx_notes';
+
+/**
+ * @typedef {Object} TxNote
+ * @property {string} note Free text written by the user about the transaction
+ * @property {string[]} tags Tags used to group and filter transactions
+ */
+
+/**
+ * Methods to manage the notes and tags the user writes on transactions.
+ * They are kept on localStorage, so they are not lost when the wallet history is reloaded.
+ *
+ * @namespace TxNotes
+ */
+const txNotes = {
+  /**
+   * Get the notes of all transactions, indexed by tx id
+   *
+   * @return {Record<string, TxNote>}
+   *
+   * @memberof TxNotes
+   * @inner
+   */
+  getAll() {
+    return LOCAL_STORE.getItem(TX_NOTES_KEY) || {};
+  },
+
+  /**
+   * Save the note and tags of a transaction, removing the entry when both are empty
+   *
+   * @param {string} txId Transaction id
+   * @param {string} note Free text note
+   * @param {string[]} tags Transaction tags
+   *
+   * @return {Record<string, TxNote>} The notes of all transactions, after the change
+   *
+   * @memberof TxNotes
+   * @inner
+   */
+  setTxNote(txId, note, tags) {
+    const notesMap = this.getAll();
+    const cleanNote = (note || '').trim();
+    const cleanTags = [...new Set(tags.map((tag) => tag.trim()).filter((tag) => tag))];
+    if (!cleanNote && cleanTags.length === 0) {
+      delete notesMap[txId];
+    } else {
+      notesMap[txId] = { note: cleanNote, tags: cleanTags };
+    }
+    LOCAL_STORE.setItem(TX_NOTES_KEY, notesMap);
+    return notesMap;
+  },
+
+  /**
+   * Split the tags typed by the user, separated by commas
+   *
+   * @param {string} text Tags separated by commas
+   *
+   * @return {string[]}
+   *
+   * @memberof TxNotes
+   * @inner
+   */
+  parseTags(text) {
+    return text.split(',').map((tag) => tag.trim()).filter((tag) => tag);
+  },
+
+  /**
+   * Get all tags in use, sorted
+   *
+   * @param {Record<string, TxNote>} notesMap Notes of all transactions
+   *
+   * @return {string[]}
+   *
+   * @memberof TxNotes
+   * @inner
+   */
+  listTags(notesMap) {
+    const tags = new Set();
+    for (const { tags: txTags } of Object.values(notesMap)) {
+      txTags.forEach((tag) => tags.add(tag));
+    }
+    return [...tags].sort((a, b) => a.localeCompare(b));
+  },
+};
+
+export default txNotes;
@@ -0,0 +1,148 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+
+/**
+ * @typedef {Object} TxPreviewInput
+ * @property {string} txId
+ * @property {number} index
+ * @property {number} value
+ * @property {string} token
+ * @property {string} address
+ */
+
+/**
+ * @typedef {Object} TxPreviewOutput
+ * @property {string|null} address Address of the output, null for data outputs
+ * @property {string|null} data Data of a data output
+ * @property {number} value
+ * @property {string} token
+ * @property {number|null} timelock
+ * @property {boolean} isChange If the output returns the change to the wallet
+ * @property {boolean} isMine If the output goes to an address of the wallet
+ */
+
+/**
+ * @typedef {Object} TxPreview
+ * @property {TxPreviewInput[]} inputs
+ * @property {TxPreviewOutput[]} outputs
+ * @property {Record<string, number>} balance Net balance change of the wallet per token uid
+ * @property {number} deposit HTR spent by the inputs and not returned on the outputs
+ */
+
+/**
+ * Methods to build the review of a transaction before it is signed
+ *
+ * @namespace TxPreview
+ */
+const txPreview = {
+  /**
+   * Build the preview of a transaction from its complete data, with inputs and change already chosen
+   *
+   * @param {Object} txData
+   * @param {TxPreviewInput[]} txData.inputs
+   * @param {{address?: string, data?: string, value: number, token: string, timelock?: number, isChange?: boolean}[]} txData.outputs
+   * @param {function(string): Promise<boolean>} isAddressMine Check if an address is from the wallet
+   *
+   * @return {Promise<TxPreview>}
+   *
+   * @memberof TxPreview
+   * @inner
+   */
+  async buildPreview({ inputs, outputs }, isAddressMine) {
+    const balance = {};
+    const addToBalance = (token, value) => {
+      balance[token] = (balance[token] || 0) + value;
+    };
+
+    const previewInputs = inputs.map((input) => {
+      addToBalance(input.token, -input.value);
+      return {
+        txId: input.txId,
+        index: input.index,
+        value: input.value,
+        token: input.token,
+        address: input.address,
+      };
+    });
+
+    const previewOutputs = [];
+    for (const output of outputs) {
+      const isChange = !!output.isChange;
+      const address = output.address || null;
+      const isMine = isChange || (address !== null && await isAddressMine(address));
+      if (isMine) {
+        addToBalance(output.token, output.value);
+      }
+      previewOutputs.push({
+        address,
+        data: address === null && output.data !== undefined ? output.data : null,
+        value: output.value,
+        token: output.token,
+        timelock: output.timelock || null,
+        isChange,
+        isMine,
+      });
+    }
+
+    const htrUid = hathorLib.constants.NATIVE_TOKEN_UID;
+    const sum = (list) => list
+      .filter((item) => item.token === htrUid)
+      .reduce((acc, item) => acc + item.value, 0);
+    const deposit = Math.max(sum(previewInputs) - sum(previewOutputs), 0);
+
+    return { inputs: previewInputs, outputs: previewOutputs, balance, deposit };
+  },
+
+  /**
+   * Choose the inputs and change of a send transaction that was not prepared yet, without signing it,
+   * and build its preview. Running the send transaction afterwards signs exactly what was reviewed.
+   *
+   * @param {SendTransaction|SendTransactionWalletService} sendTransaction
+   * @param {HathorWallet|HathorWalletServiceWallet} wallet
+   *
+   * @return {Promise<{preview: TxPreview, sign: function(): Promise<void>}>} The preview and the method
+   * to call after the user confirms, that signs the transaction when it must be signed before mining
+   *
+   * @memberof TxPreview
+   * @inner
+   */
+  async prepare(sendTransaction, wallet) {
+    if (sendTransaction instanceof hathorLib.SendTransactionWalletService) {
+      const requestedOutputs = [...sendTransaction.outputs];
+      const { utxosAddressPath } = await sendTransaction.prepareTx();
+
+      const inputs = [];
+      for (const input of sendTransaction.inputs) {
+        const utxo = await wallet.getUtxoFromId(input.txId, input.index);
+        inputs.push({
+          txId: input.txId,
+          index: input.index,
+          value: utxo.value,
+          token: utxo.tokenId,
+          address: utxo.address,
+        });
+      }
+      // The wallet service facade can't tell if an address is from the wallet,
+      // so only the change outputs added when preparing the tx are known to be ours
+      const outputs = sendTransaction.outputs.map((output) => ({
+        ...output,
+        isChange: !requestedOutputs.includes(output),
+      }));
+
+      const preview = await this.buildPreview({ inputs, outputs }, async () => false);
+      return { preview, sign: () => sendTransaction.signTx(utxosAddressPath) };
+    }
+
+    const txData = await sendTransaction.prepareTxData();
+    const preview = await this.buildPreview(txData, (address) => wallet.isAddressMine(address));
+    return { preview, sign: async () => {} };
+  },
+};
+
+export default txPreview;
@@ -0,0 +1,161 @@
+/**
+ * Copyright (c) Hathor Labs and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import hathorLib from '@hathor/wallet-lib';
+import { TOKEN_MINT_MASK, TOKEN_MELT_MASK } from '@hathor/wallet-lib/lib/constants';
+import { AVERAGE_BLOCK_TIME } from '../constants';
+
+/**
+ * @typedef {Object} WalletUtxo
+ * @property {string} txId
+ * @property {number} index
+ * @property {string} token
+ * @property {string} address
+ * @property {number} value Amount of the utxo, or the authority mask for authority utxos
+ * @property {number} authorities 0 for regular utxos, or the mint/melt authority mask
+ * @property {number|null} timelock
+ * @property {boolean} isTimelocked If the timelock of the output has not expired yet
+ * @property {boolean} isHeightlocked If it is a block reward that can't be spent yet
+ * @property {number|null} unlockHeight Height of the network when a block reward can be spent, null for transactions
+ */
+
+/**
+ * @typedef {Object} LockedUtxo
+ * @property {WalletUtxo} utxo
+ * @property {number} unlockAt Timestamp when the utxo becomes spendable, estimated for block rewards
+ */
+
+/**
+ * Methods to list the unspent outputs of the wallet
+ *
+ * @namespace Utxos
+ */
+const utxos = {
+  /**
+   * Get all unspent outputs of a token, including the locked and authority ones.
+   * The utxos are read from the wallet storage, so it's not available on the wallet service facade.
+   *
+   * @param {HathorWallet} wallet
+   * @param {string} tokenUid
+   *
+   * @return {Promise<WalletUtxo[]>}
+   *
+   * @memberof Utxos
+   * @inner
+   */
+  async getUtxos(wallet, tokenUid) {
+    const { storage } = wallet;
+    const currentHeight = await storage.getCurrentHeight();
+    const rewardLock = storage.version?.reward_spend_min_blocks;
+    const now = Math.floor(Date.now() / 1000);
+
+    const list = [];
+    // Regular utxos and the ones with any authority must be fetched separately
+    for (const authorities of [0, TOKEN_MINT_MASK | TOKEN_MELT_MASK]) {
+      for await (const utxo of storage.selectUtxos({ token: tokenUid, authorities })) {
+        const isBlock = hathorLib.transactionUtils.isBlock({ version: utxo.type });
+        const unlockHeight = isBlock && utxo.height && rewardLock ? utxo.height + rewardLock : null;
+        list.push({
+          txId: utxo.txId,
+          index: utxo.index,
+          token: utxo.token,
+          address: utxo.address,
+          value: utxo.value,
+          authorities: utxo.authorities,
+          timelock: utxo.timelock || null,
+          isTimelocked: !!utxo.timelock && now < utxo.timelock,
+          isHeightlocked: isBlock && hathorLib.transactionUtils.isHeightLocked(utxo.height, currentHeight, rewardLock),
+          unlockHeight,
+        });
+      }
+    }
+    return list;
+  },
+
+  /**
+   * If the utxo can be used as input of a regular transaction
+   *
+   * @param {WalletUtxo} utxo
+   *
+   * @return {boolean}
+   *
+   * @memberof Utxos
+   * @inner
+   */
+  isSpendable(utxo) {
+    return utxo.authorities === 0 && !utxo.isTimelocked && !utxo.isHeightlocked;
+  },
+
+  /**
+   * List the locked utxos of regular amounts in the order they become spendable.
+   * Timelocked utxos unlock at their timelock, block rewards are estimated with the average time between blocks.
+   *
+   * @param {WalletUtxo[]} utxoList
+   * @param {number} currentHeight Current height of the network
+   * @param {number} now Current timestamp, in seconds
+   *
+   * @return {LockedUtxo[]}
+   *
+   * @memberof Utxos
+   * @inner
+   */
+  getUnlockSchedule(utxoList, currentHeight, now) {
+    return utxoList
+      .filter((utxo) => utxo.authorities === 0 && (utxo.isTimelocked || utxo.isHeightlocked))
+      .map((utxo) => {
+        let unlockAt = utxo.isTimelocked ? utxo.timelock : now;
+        if (utxo.isHeightlocked) {
+          const heightUnlock = now + (utxo.unlockHeight - currentHeight) * AVERAGE_BLOCK_TIME;
+          unlockAt = Math.max(unlockAt, heightUnlock);
+        }
+        return { utxo, unlockAt };
+      })
+      .sort((a, b) => a.unlockAt - b.unlockAt);
+  },
+
+  /**
+   * Plan the transactions that merge the available utxos of a token into one output each.
+   * The utxos are split in transactions of at most `maxInputs` inputs,
+   * and a last transaction with a single input is not created.
+   *
+   * @param {HathorWallet} wallet
+   * @param {Object} options
+   * @param {string} options.token Token uid
+   * @param {string} options.address Address that receives the consolidated amount, must be from the wallet
+   * @param {number} options.maxInputs Maximum number of inputs of each transaction
+   * @param {number} [options.amountSmallerThan] Only consolidate utxos with a smaller amount
+   *
+   * @return {Promise<{inputs: {txId: string, index: number}[], outputs: {address: string, value: number, token: string}[], total: number}[]>}
+   *
+   * @memberof Utxos
+   * @inner
+   */
+  async getConsolidationPlan(wallet, { token, address, maxInputs, amountSmallerThan }) {
+    const { utxos: available } = await wallet.getUtxos({
+      token,
+      only_available_utxos: true,
+      amount_smaller_than: amountSmallerThan,
+    });
+
+    const transactions = [];
+    for (let i = 0; i < available.length; i += maxInputs) {
+      const chunk = available.slice(i, i + maxInputs);
+      if (chunk.length < 2) {
+        break;
+      }
+      const total = chunk.reduce((acc, utxo) => acc + utxo.amount, 0);
+      transactions.push({
+        inputs: chunk.map((utxo) => ({ txId: utxo.tx_id, index: utxo.index })),
+        outputs: [{ address, value: total, token }],
+        total,
+      });
+    }
+    return transactions;
+  },
+};
+
+export default utxos;
@@ -27,8 +27,9 @@ import {
   Network,
 } from '@hathor/wallet-lib';
 import { chunk, get } from 'lodash';
+import { t } from 'ttag';
 import helpers from '../utils/helpers';
-import LOCAL_STORE from '../storage';
+import LOCAL_STORE, { DEFAULT_PROFILE_ID } from '../storage';
 
 let Sentry = null;
 // Need to import with window.require in electron (https://github.com/electron/electron/issues/7300)
@@ -49,6 +50,8 @@ if (window.require) {
  * sentry: string,
  * alwaysShowTokens: string,
  * atomicProposals: string,
+ * atomicOfflineProposals: string,
+ * atomicProposalsHistory: string,
  * }}
  * @readonly
  */
@@ -58,6 +61,8 @@ const storageKeys = {
   hideZeroBalanceTokens: 'wallet:hide_zero_balance_tokens',
   alwaysShowTokens: 'wallet:always_show_tokens',
   atomicProposals: 'wallet:atomic_swap_proposals',
+  atomicOfflineProposals: 'wallet:atomic_swap_offline_proposals',
+  atomicProposalsHistory: 'wallet:atomic_swap_history',
 }
 
 /**
@@ -115,11 +120,12 @@ const wallet = {
    * @param {string} passphrase
    * @param {string} pin
    * @param {string} password
+   * @param {{pubkeys: string[], numSignatures: number}|null} [multisig] Participants, to generate a multisig wallet
    *
    * @memberof Wallet
    * @inner
    */
-  generateWallet(words, passphrase, pin, password) {
+  generateWallet(words, passphrase, pin, password, multisig = null) {
     try {
       walletUtils.wordsValid(words);
     } catch(e) {
@@ -137,6 +143,7 @@ const wallet = {
       passphrase,
       pin,
       password,
+      multisig,
     }))
   },
 
@@ -328,7 +335,13 @@ const wallet = {
     const isHardwareWallet = await wallet.isHardwareWallet();
 
     // XXX: check if we would require the seed or xpriv to start the wallet
-    if (!isHardwareWallet) {
+    if (LOCAL_STORE.isWatchOnlyWallet()) {
+      store.dispatch(startWalletRequested({
+        passphrase: '',
+        password: '',
+        watchOnly: true,
+      }));
+    } else if (!isHardwareWallet) {
       store.dispatch(startWalletRequested({
         passphrase: '',
         pin,
@@ -646,6 +659,65 @@ const wallet = {
   setListenedProposals(proposalList) {
     LOCAL_STORE.setItem(storageKeys.atomicProposals, proposalList);
   },
+
+  /**
+   * Returns the data of the proposals exchanged offline, since there is no service to fetch them from.
+   * @returns {Record<string,ProposalData>}
+   */
+  getOfflineProposals() {
+    const proposalMap = LOCAL_STORE.getItem(storageKeys.atomicOfflineProposals);
+    return proposalMap || {};
+  },
+
+  /**
+   * Stores the data of the proposals exchanged offline.
+   * @param {Record<string,ProposalData>} proposalMap
+   */
+  setOfflineProposals(proposalMap) {
+    LOCAL_STORE.setItem(storageKeys.atomicOfflineProposals, proposalMap);
+  },
+
+  /**
+   * Returns the history of the proposals this wallet participated in, including the finished ones.
+   * @returns {Record<string,ProposalHistoryEntry>}
+   */
+  getProposalsHistory() {
+    const historyMap = LOCAL_STORE.getItem(storageKeys.atomicProposalsHistory);
+    return historyMap || {};
+  },
+
+  /**
+   * Stores the history of the proposals this wallet participated in.
+   * @param {Record<string,ProposalHistoryEntry>} historyMap
+   */
+  setProposalsHistory(historyMap) {
+    LOCAL_STORE.setItem(storageKeys.atomicProposalsHistory, historyMap);
+  },
+
+  /**
+   * Returns the name of a wallet profile to be shown to the user.
+   * The default profile has no name unless the user chose one.
+   *
+   * @param {{id: string, name: string|null}} profile
+   * @returns {string}
+   */
+  getProfileName(profile) {
+    if (profile.name) {
+      return profile.name;
+    }
+    return profile.id === DEFAULT_PROFILE_ID ? t`Main wallet` : t`Unnamed wallet`;
+  },
+
+  /**
+   * Returns the wallet profiles with the default one first and the others in creation order.
+   *
+   * @param {Record<string, {id: string, name: string|null}>} profiles
+   * @returns {{id: string, name: string|null}[]}
+   */
+  sortProfiles(profiles) {
+    const { [DEFAULT_PROFILE_ID]: defaultProfile, ...others } = profiles;
+    return defaultProfile ? [defaultProfile, ...Object.values(others)] : Object.values(others);
+  },
 }
 
 export default wallet;